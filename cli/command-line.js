@@ -0,0 +1,475 @@
+import { parseArgs } from 'node:util';
+import { CryptoError } from '../web/js/crypto-error.js';
+import { InputValidator } from '../web/js/input-validator.js';
+import { CryptographicEngine } from '../web/js/cryptographic-engine.js';
+import { StreamCipher } from '../web/js/stream-cipher.js';
+import { EnvelopeFormat } from '../web/js/envelope-format.js';
+import { OutputFormatter } from '../web/js/output-formatter.js';
+import { BatchFormat } from '../web/js/batch-format.js';
+import { KeyManager } from '../web/js/key-manager.js';
+import { CryptoJobs } from '../web/js/crypto-jobs.js';
+import { Terminal } from './terminal.js';
+
+/**
+ * Command Line Class
+ * The encryptdemo subcommands, built on the web app's modules (InputValidator, CryptoJobs,
+ * KeyManager key parsing, OutputFormatter, BatchFormat) so messages, encrypted files, keys and
+ * batch results are interchangeable with the page. Keys are read from arguments or files and
+ * never stored; exit codes tell authentication failures apart from malformed input
+ */
+export class CommandLine {
+    static EXIT_CODES = {
+        SUCCESS: 0,
+        ERROR: 1,
+        USAGE: 2,
+        MALFORMED_INPUT: 3,
+        AUTH_FAILED: 4,
+        KEY_ERROR: 5,
+        CANCELLED: 130
+    };
+    
+    // CryptoError codes for a missing, unusable or non-matching key or passphrase
+    static KEY_ERROR_CODES = [
+        'INVALID_KEY',
+        'INVALID_PASSPHRASE',
+        'KEY_SOURCE_MISMATCH',
+        'NO_MATCHING_KEY',
+        'NO_RECIPIENTS'
+    ];
+    
+    static OPTIONS = {
+        in: { type: 'string' },
+        out: { type: 'string' },
+        key: { type: 'string' },
+        'key-file': { type: 'string' },
+        'key-out': { type: 'string' },
+        passphrase: { type: 'boolean' },
+        'passphrase-file': { type: 'string' },
+        recipient: { type: 'string', multiple: true },
+        'private-key': { type: 'string' },
+        encoding: { type: 'string' },
+        file: { type: 'boolean' },
+        normalize: { type: 'boolean' },
+        type: { type: 'string' },
+        format: { type: 'string' },
+        columns: { type: 'string' },
+        'output-format': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    };
+    
+    static ENCRYPTION_OPTIONS = ['key', 'key-file', 'key-out', 'passphrase', 'passphrase-file', 'recipient', 'encoding', 'normalize'];
+    
+    // Options and the number of positional arguments each command takes
+    static COMMANDS = {
+        encrypt: { options: ['in', 'out', 'file', ...this.ENCRYPTION_OPTIONS], positionals: 1 },
+        decrypt: { options: ['in', 'out', 'key', 'key-file', 'passphrase', 'passphrase-file', 'private-key'], positionals: 0 },
+        keygen: { options: ['type', 'out'], positionals: 0 },
+        inspect: { options: ['in'], positionals: 0 },
+        batch: { options: ['in', 'out', 'format', 'columns', 'output-format', ...this.ENCRYPTION_OPTIONS], positionals: 1 }
+    };
+    
+    static KEY_TYPES = ['aes', ...Object.keys(CryptographicEngine.PUBLIC_KEY_ALGORITHMS)];
+    
+    // Enough for the largest header: 32 RSA-OAEP recipient blocks
+    static HEADER_READ_SIZE = 64 * 1024;
+    
+    static USAGE = `Usage: encryptdemo <command> [options]
+
+Commands:
+  encrypt [text]   Encrypt text from the argument, --in or stdin (--file: any file, as the page's file mode)
+  decrypt          Decrypt a message or an encrypted file from --in or stdin
+  keygen           Generate an AES key (--type aes) or a key pair (--type ECDH-P256 | RSA-OAEP-2048)
+  inspect          Show the header of a message or encrypted file without decrypting it
+  batch [file]     Encrypt a list, CSV or JSON file item by item
+
+Keys (encrypt, decrypt, batch):
+  --key <key>                AES key as Base64 or JWK
+  --key-file <file>          AES key file, as written by keygen
+  --passphrase               Use a passphrase, asked for without echo or read from ${Terminal.PASSPHRASE_VARIABLE}
+  --passphrase-file <file>   Read the passphrase from a file
+  --recipient <file>         Encrypt to a public key file (SPKI Base64 or JWK); repeat for more recipients
+  --private-key <file>       Decrypt with a private key file (JWK), as written by keygen
+  --key-out <file>           Write a generated random key to a file instead of stderr
+
+Other options:
+  --in <file>                Input file; - or no --in reads stdin
+  --out <file>               Output file (keygen: base name for <out>.key and <out>.pub); - or none writes stdout
+  --encoding <name>          base64 (default), base64url, hex, base32 or armored
+  --normalize                Normalize text to Unicode NFC before encrypting
+  --format <format>          Batch input format: lines, csv or json (default from the file name)
+  --columns <a,b>            Batch columns to encrypt (default: all)
+  --output-format <format>   Batch results as csv or json (default: json for JSON input, else csv)
+
+Exit codes:
+  0 success, 1 other error, 2 usage error, 3 malformed input (or batch rows that failed),
+  4 authentication failed (tampered data, wrong key or wrong passphrase), 5 missing or unusable key,
+  130 cancelled
+`;
+    
+    /**
+     * Run one command line and return the exit code
+     */
+    static async run(argv) {
+        try {
+            const [command, ...rest] = argv;
+            if (command === undefined) {
+                Terminal.error(this.USAGE);
+                return this.EXIT_CODES.USAGE;
+            }
+            if (command === 'help' || command === '--help' || command === '-h') {
+                await Terminal.write('-', this.USAGE);
+                return this.EXIT_CODES.SUCCESS;
+            }
+            if (!Object.hasOwn(this.COMMANDS, command)) {
+                throw new CryptoError(`Unknown command ${command} - see encryptdemo help`, 'USAGE');
+            }
+            
+            const { options, positionals } = this.parseOptions(command, rest);
+            if (options.help) {
+                await Terminal.write('-', this.USAGE);
+                return this.EXIT_CODES.SUCCESS;
+            }
+            return await this[command](options, positionals) ?? this.EXIT_CODES.SUCCESS;
+        } catch (error) {
+            Terminal.error(`encryptdemo: ${error.message}`);
+            return this.exitCodeFor(error);
+        }
+    }
+    
+    static exitCodeFor(error) {
+        if (!(error instanceof CryptoError)) {
+            return error.code && error.code.startsWith('ERR_PARSE_ARGS') ? this.EXIT_CODES.USAGE : this.EXIT_CODES.ERROR;
+        }
+        if (error.code === 'USAGE') {
+            return this.EXIT_CODES.USAGE;
+        }
+        if (error.code === 'CANCELLED') {
+            return this.EXIT_CODES.CANCELLED;
+        }
+        if (error.code === 'AUTH_FAILED') {
+            return this.EXIT_CODES.AUTH_FAILED;
+        }
+        return this.KEY_ERROR_CODES.includes(error.code) ? this.EXIT_CODES.KEY_ERROR : this.EXIT_CODES.MALFORMED_INPUT;
+    }
+    
+    /**
+     * Parse a command's options, rejecting options that belong to other commands
+     */
+    static parseOptions(command, args) {
+        const spec = this.COMMANDS[command];
+        const allowed = Object.fromEntries(
+            [...spec.options, 'help'].map((name) => [name, this.OPTIONS[name]])
+        );
+        const { values, positionals } = parseArgs({ args: args, options: allowed, allowPositionals: true });
+        
+        if (positionals.length > spec.positionals) {
+            throw new CryptoError(`Too many arguments for ${command}`, 'USAGE');
+        }
+        if (positionals.length > 0 && values.in !== undefined) {
+            throw new CryptoError(`Give the input as an argument or with --in, not both`, 'USAGE');
+        }
+        return { options: values, positionals: positionals };
+    }
+    
+    /**
+     * encrypt: text from the argument, --in or stdin into a message; --file encrypts any file
+     * the way the page's file mode does
+     */
+    static async encrypt(options, [text]) {
+        if (options.file && text !== undefined) {
+            throw new CryptoError('--file encrypts --in or stdin, not an argument', 'USAGE');
+        }
+        const encoding = options.encoding ?? OutputFormatter.ENCODINGS.BASE64;
+        if (!options.file && (encoding === OutputFormatter.ENCODINGS.JSON || !OutputFormatter.ENCODING_LABELS[encoding])) {
+            throw new CryptoError(`Unknown encoding ${encoding}`, 'USAGE');
+        }
+        
+        // The passphrase prompt comes before stdin is read
+        const keySpec = await this.encryptionKeySpec(options);
+        
+        if (options.file) {
+            const file = await Terminal.readBlob(options.in);
+            const validation = InputValidator.validateFile(file, 'encrypt');
+            if (!validation.isValid) {
+                throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+            }
+            
+            const { blob, encodedKey } = await CryptoJobs.run('encryptFile', { file: file, keySpec: keySpec });
+            await Terminal.write(options.out, new Uint8Array(await blob.arrayBuffer()));
+            await this.writeRandomKey(options, encodedKey);
+            return;
+        }
+        
+        const input = text ?? Terminal.decodeText(await Terminal.readBytes(options.in));
+        const validation = InputValidator.validate(input, { normalize: Boolean(options.normalize) });
+        if (!validation.isValid) {
+            throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+        }
+        
+        const { output, encodedKey } = await CryptoJobs.run('encryptText', {
+            plaintext: validation.value,
+            keySpec: keySpec,
+            encoding: encoding
+        });
+        await Terminal.write(options.out, output + '\n');
+        await this.writeRandomKey(options, encodedKey);
+    }
+    
+    /**
+     * decrypt: a message in any of the page's encodings, or an encrypted file
+     * Text is written exactly as it was encrypted, with a line break added only on a terminal
+     */
+    static async decrypt(options) {
+        const input = await Terminal.readBlob(options.in);
+        const head = await StreamCipher.readSlice(input, 0, this.HEADER_READ_SIZE);
+        
+        if (EnvelopeFormat.hasMagic(head)) {
+            const header = EnvelopeFormat.decodeHeader(head);
+            if (header.algorithm === EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM) {
+                const validation = InputValidator.validateFile(input, 'decrypt');
+                if (!validation.isValid) {
+                    throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+                }
+                
+                const { blob } = await CryptoJobs.run('decryptFile', {
+                    file: input,
+                    envelope: header,
+                    keySpec: await this.decryptionKeySpec(header, options)
+                });
+                await Terminal.write(options.out, new Uint8Array(await blob.arrayBuffer()));
+                return;
+            }
+        }
+        
+        const envelope = await this.readMessage(input);
+        if (envelope.algorithm === EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM) {
+            throw new CryptoError('This is an encrypted file in text form - decrypt the binary file instead', 'UNSUPPORTED_ALGORITHM');
+        }
+        
+        const { plaintext } = await CryptoJobs.run('decryptText', {
+            envelope: envelope,
+            keySpec: await this.decryptionKeySpec(envelope, options)
+        });
+        const toTerminal = (options.out === undefined || options.out === Terminal.STDIO) && process.stdout.isTTY;
+        await Terminal.write(options.out, toTerminal ? plaintext + '\n' : plaintext);
+    }
+    
+    /**
+     * keygen: an AES key as Base64, or a key pair as a private JWK and an SPKI Base64 public key
+     * (the formats the page's key manager imports and exports)
+     * With --out, keys go to files readable by the owner only; key pairs to <out>.key and <out>.pub
+     */
+    static async keygen(options) {
+        const type = options.type ?? 'aes';
+        if (!this.KEY_TYPES.includes(type)) {
+            throw new CryptoError(`Key type must be one of ${this.KEY_TYPES.join(', ')}`, 'USAGE');
+        }
+        
+        if (type === 'aes') {
+            const key = await CryptographicEngine.generateKey();
+            const encodedKey = OutputFormatter.encodeBase64(await CryptographicEngine.exportKey(key));
+            await Terminal.write(options.out, encodedKey + '\n', { secret: true });
+            return;
+        }
+        
+        const keyPair = await CryptographicEngine.generateKeyPair(type);
+        const publicKey = OutputFormatter.encodeBase64(await CryptographicEngine.exportPublicKey(keyPair.publicKey));
+        const privateKey = await CryptographicEngine.exportJwk(keyPair.privateKey);
+        const fingerprint = OutputFormatter.formatFingerprint(await CryptographicEngine.fingerprint(keyPair.publicKey));
+        
+        if (options.out === undefined || options.out === Terminal.STDIO) {
+            const keys = { type: type, publicKey: publicKey, privateKey: privateKey, fingerprint: fingerprint };
+            await Terminal.write(options.out, JSON.stringify(keys, null, 2) + '\n');
+            return;
+        }
+        
+        await Terminal.write(`${options.out}.key`, JSON.stringify(privateKey) + '\n', { secret: true });
+        await Terminal.write(`${options.out}.pub`, publicKey + '\n');
+        await Terminal.write('-', `${type} key pair written to ${options.out}.key and ${options.out}.pub\nFingerprint: ${fingerprint}\n`);
+    }
+    
+    /**
+     * inspect: the envelope header as JSON (the page's JSON export fields, without the ciphertext)
+     */
+    static async inspect(options) {
+        const input = await Terminal.readBlob(options.in);
+        const head = await StreamCipher.readSlice(input, 0, this.HEADER_READ_SIZE);
+        
+        let description;
+        if (EnvelopeFormat.hasMagic(head)) {
+            const header = EnvelopeFormat.decodeHeader(head);
+            description = { encoding: 'binary', ...OutputFormatter.headerFields(header), size: input.size };
+        } else {
+            const text = Terminal.decodeText(new Uint8Array(await input.arrayBuffer()));
+            const envelope = await this.readMessage(input);
+            description = {
+                encoding: OutputFormatter.detectEncoding(text),
+                ...OutputFormatter.headerFields(envelope),
+                size: envelope.additionalData.length + envelope.encryptedData.length
+            };
+        }
+        await Terminal.write('-', JSON.stringify(description, null, 2) + '\n');
+    }
+    
+    /**
+     * batch: encrypt each item of a list, CSV or JSON file into its own message
+     * Rows that fail validation are kept with an error and make the exit code 3
+     */
+    static async batch(options, [path]) {
+        const source = path ?? options.in ?? Terminal.STDIO;
+        const format = options.format ?? (source === Terminal.STDIO ? 'lines' : BatchFormat.formatForFile(source));
+        if (!BatchFormat.INPUT_FORMATS.includes(format)) {
+            throw new CryptoError(`Batch format must be one of ${BatchFormat.INPUT_FORMATS.join(', ')}`, 'USAGE');
+        }
+        const outputFormat = options['output-format'] ?? (format === 'json' ? 'json' : 'csv');
+        if (!BatchFormat.OUTPUT_FORMATS.includes(outputFormat)) {
+            throw new CryptoError(`Batch output format must be one of ${BatchFormat.OUTPUT_FORMATS.join(', ')}`, 'USAGE');
+        }
+        
+        const keySpec = await this.encryptionKeySpec(options);
+        
+        const bytes = await Terminal.readBytes(source);
+        const validation = InputValidator.validateBatchFile({ size: bytes.length });
+        if (!validation.isValid) {
+            throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+        }
+        
+        const table = BatchFormat.parse(Terminal.decodeText(bytes), format);
+        const columns = BatchFormat.selectColumns(table, options.columns ?? '');
+        const items = BatchFormat.collectItems(table, columns, { normalize: Boolean(options.normalize) });
+        
+        const { outputs, encodedKey } = await CryptoJobs.run('encryptBatch', {
+            plaintexts: items.map((item) => item.plaintext),
+            keySpec: keySpec,
+            encoding: options.encoding ?? OutputFormatter.ENCODINGS.BASE64
+        });
+        items.forEach((item, index) => {
+            item.row.cells[item.column] = outputs[index];
+        });
+        
+        await Terminal.write(options.out, BatchFormat.serialize(table, outputFormat));
+        await this.writeRandomKey(options, encodedKey);
+        
+        const failed = table.rows.filter((row) => row.error).length;
+        if (failed > 0) {
+            Terminal.error(`encryptdemo: ${failed} of ${table.rows.length} rows could not be encrypted - see the ${BatchFormat.ERROR_COLUMN} column`);
+            return this.EXIT_CODES.MALFORMED_INPUT;
+        }
+    }
+    
+    /**
+     * Parse a text message from its encoded form
+     */
+    static async readMessage(input) {
+        const validation = InputValidator.validateCiphertext(
+            Terminal.decodeText(new Uint8Array(await input.arrayBuffer()))
+        );
+        if (!validation.isValid) {
+            throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+        }
+        return OutputFormatter.parseInput(validation.value);
+    }
+    
+    /**
+     * Key spec for encrypt and batch; at most one key option may be given
+     */
+    static async encryptionKeySpec(options) {
+        const given = [
+            ['--key', options.key !== undefined || options['key-file'] !== undefined],
+            ['--passphrase', options.passphrase || options['passphrase-file'] !== undefined],
+            ['--recipient', options.recipient !== undefined]
+        ].filter(([, isGiven]) => isGiven).map(([name]) => name);
+        if (given.length > 1) {
+            throw new CryptoError(`Give only one of ${given.join(', ')}`, 'USAGE');
+        }
+        if (options['key-out'] !== undefined && given.length > 0) {
+            throw new CryptoError('--key-out is for generated random keys only', 'USAGE');
+        }
+        
+        if (options.passphrase || options['passphrase-file'] !== undefined) {
+            const passphrase = await Terminal.readPassphrase({ file: options['passphrase-file'], confirm: true });
+            const passphraseCheck = InputValidator.validatePassphrase(passphrase, passphrase);
+            if (!passphraseCheck.isValid) {
+                throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE');
+            }
+            return { source: 'passphrase', passphrase: passphrase };
+        }
+        
+        if (options.recipient !== undefined) {
+            if (options.recipient.length > EnvelopeFormat.MAX_RECIPIENTS) {
+                throw new CryptoError(`A message can have at most ${EnvelopeFormat.MAX_RECIPIENTS} recipients`, 'NO_RECIPIENTS');
+            }
+            const recipients = [];
+            for (const file of options.recipient) {
+                recipients.push(await KeyManager.parseRecipient(await this.readKeyFile(file)));
+            }
+            return { source: 'recipients', recipients: recipients };
+        }
+        
+        const keyText = await this.readKeyOption(options);
+        return keyText === null
+            ? { source: 'random' }
+            : { source: 'key', key: await KeyManager.parseSecretKey(keyText) };
+    }
+    
+    /**
+     * Key spec for decrypt, from the credential the envelope calls for
+     */
+    static async decryptionKeySpec(envelope, options) {
+        if (envelope.kdf === EnvelopeFormat.KDFS.RECIPIENTS) {
+            if (options['private-key'] === undefined) {
+                throw new CryptoError('This message was encrypted to public keys - use --private-key', 'KEY_SOURCE_MISMATCH');
+            }
+            return {
+                source: 'key',
+                key: await KeyManager.unwrapWithPrivateKey(envelope.recipients, await this.readKeyFile(options['private-key']))
+            };
+        }
+        
+        if (envelope.kdf === EnvelopeFormat.KDFS.PBKDF2_SHA256) {
+            const passphrase = await Terminal.readPassphrase({ file: options['passphrase-file'] });
+            const passphraseCheck = InputValidator.validatePassphrase(passphrase);
+            if (!passphraseCheck.isValid) {
+                throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE');
+            }
+            return { source: 'passphrase', passphrase: passphrase };
+        }
+        
+        const keyText = await this.readKeyOption(options);
+        if (keyText === null) {
+            throw new CryptoError('A key is required to decrypt - use --key or --key-file', 'INVALID_KEY');
+        }
+        return { source: 'key', key: await KeyManager.parseSecretKey(keyText) };
+    }
+    
+    /**
+     * Key text from --key or --key-file, or null when neither is given
+     */
+    static async readKeyOption(options) {
+        if (options.key !== undefined && options['key-file'] !== undefined) {
+            throw new CryptoError('Give --key or --key-file, not both', 'USAGE');
+        }
+        if (options['key-file'] !== undefined) {
+            return this.readKeyFile(options['key-file']);
+        }
+        return options.key ?? null;
+    }
+    
+    static async readKeyFile(path) {
+        return Terminal.decodeText(await Terminal.readBytes(path));
+    }
+    
+    /**
+     * Hand out a generated random key: to --key-out, or to stderr so stdout stays the output
+     */
+    static async writeRandomKey(options, encodedKey) {
+        if (!encodedKey) {
+            return;
+        }
+        if (options['key-out'] !== undefined) {
+            await Terminal.write(options['key-out'], encodedKey + '\n', { secret: true });
+        } else {
+            Terminal.error(`Key: ${encodedKey}`);
+        }
+    }
+}
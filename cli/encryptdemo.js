@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * encryptdemo command-line tool
+ *
+ * Encrypts, decrypts and inspects messages and files in the web app's envelope format, generates
+ * keys and encrypts batches, using the web app's own modules on Node's Web Crypto. Output opens
+ * in the page and the page's output opens here. See cli/command-line.js for the commands.
+ *
+ * Usage: encryptdemo <command> [options]   (encryptdemo help lists commands and options)
+ *   encryptdemo encrypt "text" --passphrase > message.txt
+ *   encryptdemo decrypt --in message.txt --passphrase-file pass.txt
+ *   encryptdemo keygen --type ECDH-P256 --out alice
+ *   encryptdemo encrypt --file --in report.pdf --recipient alice.pub --out report.pdf.enc
+ *
+ * Exit code 0 on success, 1 on other errors, 2 on usage errors, 3 on malformed input,
+ * 4 when authentication fails (tampered data or a wrong key), 5 when a key is missing or unusable
+ */
+
+import { CommandLine } from './command-line.js';
+
+process.exitCode = await CommandLine.run(process.argv.slice(2));
@@ -0,0 +1,140 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { openAsBlob } from 'node:fs';
+import { CryptoError } from '../web/js/crypto-error.js';
+
+/**
+ * Terminal Class
+ * Input and output for the command-line tool: files or stdin in, files or stdout out, and
+ * passphrase prompts that do not echo. A path of "-" means stdin or stdout
+ */
+export class Terminal {
+    static STDIO = '-';
+    
+    // Environment variable read for the passphrase before prompting, for unattended scripts
+    static PASSPHRASE_VARIABLE = 'ENCRYPTDEMO_PASSPHRASE';
+    
+    /**
+     * Read a file, or stdin, as bytes
+     */
+    static async readBytes(path = this.STDIO) {
+        if (path !== this.STDIO) {
+            return new Uint8Array(await readFile(path));
+        }
+        
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return new Uint8Array(Buffer.concat(chunks));
+    }
+    
+    /**
+     * A file, or stdin, as a Blob for the chunked file cipher
+     * Files are opened lazily; stdin has to be read whole
+     */
+    static async readBlob(path = this.STDIO) {
+        return path === this.STDIO ? new Blob([await this.readBytes()]) : openAsBlob(path);
+    }
+    
+    /**
+     * Decode bytes as UTF-8 text, rejecting invalid sequences instead of replacing them
+     */
+    static decodeText(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            throw new CryptoError('Input is not valid UTF-8 text', 'MALFORMED_INPUT');
+        }
+    }
+    
+    /**
+     * Write text or bytes to a file, or stdout
+     * Secrets (keys) are written readable by the owner only
+     */
+    static async write(path, data, { secret = false } = {}) {
+        if (path === undefined || path === this.STDIO) {
+            await new Promise((resolve, reject) => {
+                process.stdout.write(data, (error) => (error ? reject(error) : resolve()));
+            });
+            return;
+        }
+        await writeFile(path, data, { mode: secret ? 0o600 : 0o666 });
+    }
+    
+    static error(message) {
+        process.stderr.write(`${message}\n`);
+    }
+    
+    /**
+     * Read a passphrase from a file, the environment or a prompt, in that order
+     * A file's trailing line break is not part of the passphrase
+     */
+    static async readPassphrase({ file, confirm = false }) {
+        if (file !== undefined) {
+            return this.decodeText(await this.readBytes(file)).replace(/\r?\n$/, '');
+        }
+        if (process.env[this.PASSPHRASE_VARIABLE] !== undefined) {
+            return process.env[this.PASSPHRASE_VARIABLE];
+        }
+        
+        const passphrase = await this.promptHidden('Passphrase: ');
+        if (confirm && passphrase !== await this.promptHidden('Confirm passphrase: ')) {
+            throw new CryptoError('Passphrases do not match', 'INVALID_PASSPHRASE');
+        }
+        return passphrase;
+    }
+    
+    /**
+     * Ask for a line on the terminal without echoing it
+     * Needs stdin to be a terminal; piped input goes through --passphrase-file or the environment
+     */
+    static promptHidden(question) {
+        const input = process.stdin;
+        if (!input.isTTY) {
+            return Promise.reject(new CryptoError(
+                `No terminal to ask for the passphrase - use --passphrase-file or ${this.PASSPHRASE_VARIABLE}`,
+                'USAGE'
+            ));
+        }
+        
+        process.stderr.write(question);
+        return new Promise((resolve, reject) => {
+            let answer = '';
+            
+            const finish = (error) => {
+                input.removeListener('data', onData);
+                input.setRawMode(false);
+                input.pause();
+                process.stderr.write('\n');
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(answer);
+                }
+            };
+            
+            const onData = (text) => {
+                for (const char of text) {
+                    if (char === '\r' || char === '\n') {
+                        finish();
+                        return;
+                    }
+                    if (char === '\u0003' || char === '\u0004') {
+                        finish(new CryptoError('Cancelled', 'CANCELLED'));
+                        return;
+                    }
+                    if (char === '\u007F' || char === '\b') {
+                        answer = [...answer].slice(0, -1).join('');
+                    } else {
+                        answer += char;
+                    }
+                }
+            };
+            
+            input.setRawMode(true);
+            input.setEncoding('utf8');
+            input.on('data', onData);
+            input.resume();
+        });
+    }
+}
@@ -0,0 +1,332 @@
+import { createServer } from 'node:http';
+import { CryptoError } from '../web/js/crypto-error.js';
+import { InputValidator } from '../web/js/input-validator.js';
+import { CryptographicEngine } from '../web/js/cryptographic-engine.js';
+import { EnvelopeFormat } from '../web/js/envelope-format.js';
+import { OutputFormatter } from '../web/js/output-formatter.js';
+import { KeyManager } from '../web/js/key-manager.js';
+import { CryptoJobs } from '../web/js/crypto-jobs.js';
+
+/**
+ * API Server Class
+ * Enables Feature: APIAccess (EncryptionWebApp.fml line 276)
+ * Local JSON-over-HTTP access to the web app's crypto core, for backend jobs. Requests run the
+ * same validation and jobs as the page (InputValidator, CryptoJobs) on Node's Web Crypto, so
+ * the output is the same envelope the browser app opens. The server is stateless: keys come
+ * with each request and nothing is stored or logged
+ *   POST /keys     { type }                                               -> a new key or key pair
+ *   POST /encrypt  { plaintext, key | passphrase | recipients, encoding, normalize } -> { output }
+ *   POST /decrypt  { ciphertext, key | passphrase | privateKey }          -> { plaintext, signature }
+ * A signed message's signature is { signer, verified: false }: the server keeps no contacts to
+ * check signers against, so it only reports the signer's fingerprint (hex)
+ * Errors are { error: { code, message } } with the CryptoError code
+ */
+export class ApiServer {
+    static DEFAULT_HOST = '127.0.0.1';
+    static DEFAULT_PORT = 8787;
+    
+    // Room for the largest valid request: a 10000-character plaintext with 32 recipient keys,
+    // or its ciphertext as Base32 or a JSON export
+    static MAX_BODY_SIZE = 256 * 1024;
+    
+    static KEY_TYPES = ['aes', ...Object.keys(CryptographicEngine.PUBLIC_KEY_ALGORITHMS)];
+    
+    // HTTP status by CryptoError code; other CryptoErrors are the client's input (400)
+    static STATUS_BY_CODE = {
+        AUTH_FAILED: 422,
+        NO_MATCHING_KEY: 422,
+        NOT_FOUND: 404,
+        METHOD_NOT_ALLOWED: 405,
+        BODY_TOO_LARGE: 413,
+        UNSUPPORTED_MEDIA_TYPE: 415
+    };
+    
+    // Handler by path (Map per ThreatModel.md T-PRIV-02, as paths come from the request)
+    static ROUTES = new Map([
+        ['/keys', 'generateKeys'],
+        ['/encrypt', 'encrypt'],
+        ['/decrypt', 'decrypt']
+    ]);
+    
+    /**
+     * Create the HTTP server; the caller listens and closes it
+     */
+    static create() {
+        return createServer((request, response) => {
+            this.handle(request, response);
+        });
+    }
+    
+    /**
+     * Answer one request with JSON
+     * Unexpected errors are logged without request data and answered with a generic message
+     */
+    static async handle(request, response) {
+        let status = 200;
+        let body;
+        try {
+            body = await this.route(request);
+        } catch (error) {
+            if (!(error instanceof CryptoError)) {
+                console.error(`${request.method} ${request.url} failed:`, error.name);
+            }
+            status = error instanceof CryptoError ? this.STATUS_BY_CODE[error.code] || 400 : 500;
+            body = {
+                error: error instanceof CryptoError
+                    ? { code: error.code, message: error.message }
+                    : { code: 'INTERNAL_ERROR', message: 'The request could not be processed' }
+            };
+            if (status === 405) {
+                response.setHeader('Allow', 'POST');
+            }
+            if (status === 413) {
+                response.setHeader('Connection', 'close');
+            }
+        }
+        
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        response.end(JSON.stringify(body) + '\n');
+    }
+    
+    /**
+     * Dispatch a request to its endpoint
+     * Only application/json bodies are accepted, so a web page cannot post to the server
+     * without a CORS preflight, which is never answered
+     */
+    static async route(request) {
+        const path = new URL(request.url, 'http://localhost').pathname;
+        const handler = this.ROUTES.get(path);
+        if (!handler) {
+            throw new CryptoError(`No endpoint ${path}`, 'NOT_FOUND');
+        }
+        if (request.method !== 'POST') {
+            throw new CryptoError(`${path} only accepts POST`, 'METHOD_NOT_ALLOWED');
+        }
+        
+        const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+            throw new CryptoError('Requests must be application/json', 'UNSUPPORTED_MEDIA_TYPE');
+        }
+        
+        return this[handler](await this.readJson(request));
+    }
+    
+    /**
+     * Read and parse a JSON object body, up to MAX_BODY_SIZE bytes
+     */
+    static async readJson(request) {
+        const declaredSize = Number(request.headers['content-length']);
+        if (declaredSize > this.MAX_BODY_SIZE) {
+            throw this.bodyTooLarge();
+        }
+        
+        const bytes = await new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            request.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > this.MAX_BODY_SIZE) {
+                    // Stop reading; the connection is closed after the error response
+                    request.pause();
+                    request.removeAllListeners('data');
+                    reject(this.bodyTooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => resolve(Buffer.concat(chunks)));
+            request.on('error', reject);
+        });
+        
+        let body;
+        try {
+            body = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+        } catch (error) {
+            throw new CryptoError('Request body is not valid JSON', 'MALFORMED_INPUT');
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            throw new CryptoError('Request body must be a JSON object', 'MALFORMED_INPUT');
+        }
+        return body;
+    }
+    
+    static bodyTooLarge() {
+        return new CryptoError(
+            `Request body too large (maximum ${OutputFormatter.formatSize(this.MAX_BODY_SIZE)})`,
+            'BODY_TOO_LARGE'
+        );
+    }
+    
+    /**
+     * POST /keys: generate an AES key or a key pair for public-key mode
+     * Key pairs come back as the SPKI public key (as the web app exports it) and a private JWK
+     * (as the web app imports it)
+     */
+    static async generateKeys({ type = 'aes' }) {
+        if (!this.KEY_TYPES.includes(type)) {
+            throw new CryptoError(`Key type must be one of ${this.KEY_TYPES.join(', ')}`, 'MALFORMED_INPUT');
+        }
+        
+        if (type === 'aes') {
+            const key = await CryptographicEngine.generateKey();
+            return { type: type, key: OutputFormatter.encodeBase64(await CryptographicEngine.exportKey(key)) };
+        }
+        
+        const keyPair = await CryptographicEngine.generateKeyPair(type);
+        return {
+            type: type,
+            publicKey: OutputFormatter.encodeBase64(await CryptographicEngine.exportPublicKey(keyPair.publicKey)),
+            privateKey: await CryptographicEngine.exportJwk(keyPair.privateKey),
+            fingerprint: OutputFormatter.formatFingerprint(await CryptographicEngine.fingerprint(keyPair.publicKey))
+        };
+    }
+    
+    /**
+     * POST /encrypt: encrypt text the way the page does
+     * Without a key, passphrase or recipients a random key is generated and returned once
+     */
+    static async encrypt(body) {
+        const validation = InputValidator.validate(this.stringField(body, 'plaintext'), {
+            normalize: body.normalize === true
+        });
+        if (!validation.isValid) {
+            throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+        }
+        
+        const encoding = body.encoding === undefined ? OutputFormatter.ENCODINGS.BASE64 : body.encoding;
+        const { output, encodedKey } = await CryptoJobs.run('encryptText', {
+            plaintext: validation.value,
+            keySpec: await this.encryptionKeySpec(body),
+            encoding: encoding
+        });
+        
+        const result = { output: output, encoding: encoding };
+        if (encodedKey) {
+            result.key = encodedKey;
+        }
+        return result;
+    }
+    
+    /**
+     * Key spec for /encrypt; at most one of key, passphrase and recipients may be given
+     */
+    static async encryptionKeySpec(body) {
+        const given = ['key', 'passphrase', 'recipients'].filter((name) => body[name] !== undefined);
+        if (given.length > 1) {
+            throw new CryptoError(`Give only one of ${given.join(', ')}`, 'MALFORMED_INPUT');
+        }
+        
+        if (body.passphrase !== undefined) {
+            const passphrase = this.stringField(body, 'passphrase');
+            const passphraseCheck = InputValidator.validatePassphrase(passphrase, passphrase);
+            if (!passphraseCheck.isValid) {
+                throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE');
+            }
+            return { source: 'passphrase', passphrase: passphrase };
+        }
+        
+        if (body.key !== undefined) {
+            return { source: 'key', key: await KeyManager.parseSecretKey(this.keyText(body.key, 'key')) };
+        }
+        
+        if (body.recipients !== undefined) {
+            return { source: 'recipients', recipients: await this.recipients(body.recipients) };
+        }
+        
+        return { source: 'random' };
+    }
+    
+    /**
+     * Recipient public keys (SPKI Base64 or JWK) in the form CryptoJobs wraps to
+     */
+    static async recipients(keys) {
+        if (!Array.isArray(keys) || keys.length === 0) {
+            throw new CryptoError('recipients must be a non-empty array of public keys', 'NO_RECIPIENTS');
+        }
+        if (keys.length > EnvelopeFormat.MAX_RECIPIENTS) {
+            throw new CryptoError(`A message can have at most ${EnvelopeFormat.MAX_RECIPIENTS} recipients`, 'NO_RECIPIENTS');
+        }
+        
+        const recipients = [];
+        for (const keyText of keys) {
+            recipients.push(await KeyManager.parseRecipient(this.keyText(keyText, 'recipients')));
+        }
+        return recipients;
+    }
+    
+    /**
+     * POST /decrypt: decrypt any text envelope the page produces, in any of its encodings
+     */
+    static async decrypt(body) {
+        const validation = InputValidator.validateCiphertext(this.stringField(body, 'ciphertext'));
+        if (!validation.isValid) {
+            throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT');
+        }
+        
+        const envelope = OutputFormatter.parseInput(validation.value);
+        if (envelope.algorithm === EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM) {
+            throw new CryptoError('This is an encrypted file - the API decrypts text only', 'UNSUPPORTED_ALGORITHM');
+        }
+        
+        return CryptoJobs.run('decryptText', {
+            envelope: envelope,
+            keySpec: await this.decryptionKeySpec(envelope, body)
+        });
+    }
+    
+    /**
+     * Key spec for /decrypt, from the credential the envelope calls for
+     */
+    static async decryptionKeySpec(envelope, body) {
+        if (envelope.kdf === EnvelopeFormat.KDFS.RECIPIENTS) {
+            if (body.privateKey === undefined) {
+                throw new CryptoError('This message was encrypted to public keys - send privateKey', 'KEY_SOURCE_MISMATCH');
+            }
+            return {
+                source: 'key',
+                key: await KeyManager.unwrapWithPrivateKey(envelope.recipients, this.keyText(body.privateKey, 'privateKey'))
+            };
+        }
+        
+        if (envelope.kdf === EnvelopeFormat.KDFS.PBKDF2_SHA256) {
+            if (body.passphrase === undefined) {
+                throw new CryptoError('This message was encrypted with a passphrase - send passphrase', 'KEY_SOURCE_MISMATCH');
+            }
+            const passphrase = this.stringField(body, 'passphrase');
+            const passphraseCheck = InputValidator.validatePassphrase(passphrase);
+            if (!passphraseCheck.isValid) {
+                throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE');
+            }
+            return { source: 'passphrase', passphrase: passphrase };
+        }
+        
+        if (body.key === undefined) {
+            throw new CryptoError('A key is required to decrypt', 'INVALID_KEY');
+        }
+        return { source: 'key', key: await KeyManager.parseSecretKey(this.keyText(body.key, 'key')) };
+    }
+    
+    /**
+     * Key text from a field holding either a string or a JWK object
+     */
+    static keyText(value, name) {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            return JSON.stringify(value);
+        }
+        if (typeof value !== 'string' || value.trim().length === 0) {
+            throw new CryptoError(`${name} must be a Base64 key or a JWK`, 'INVALID_KEY');
+        }
+        return value;
+    }
+    
+    static stringField(body, name) {
+        if (typeof body[name] !== 'string') {
+            throw new CryptoError(`${name} must be a string`, 'MALFORMED_INPUT');
+        }
+        return body[name];
+    }
+}
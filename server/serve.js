@@ -0,0 +1,61 @@
+/**
+ * Local encryption API server
+ *
+ * Serves POST /keys, /encrypt and /decrypt (see server/api-server.js) for backend jobs that
+ * need ciphertext the web app can open. Listens on the loopback interface unless --host says
+ * otherwise; the API has no authentication, so do not expose it beyond the machine.
+ * Refuses to start when c_Integration_APIAccess is off in the variant config.
+ *
+ * Usage: node server/serve.js [--port <port>] [--host <address>] [--config <file.vcf>]
+ *
+ * Exit code 0 after a clean shutdown (SIGINT/SIGTERM), 1 when the server cannot start
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { FeatureConfig } from '../web/js/feature-config.js';
+import { ApiServer } from './api-server.js';
+
+const DEFAULT_CONFIG = fileURLToPath(new URL('../configs/EncryptionWebAppConfig.vcf', import.meta.url));
+const API_CONFIG = 'c_Integration_APIAccess';
+
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            port: { type: 'string', default: String(ApiServer.DEFAULT_PORT) },
+            host: { type: 'string', default: ApiServer.DEFAULT_HOST },
+            config: { type: 'string', default: DEFAULT_CONFIG }
+        }
+    });
+    
+    FeatureConfig.values = FeatureConfig.parseVcf(readFileSync(options.config, 'utf8'));
+    if (!FeatureConfig.isEnabled(API_CONFIG)) {
+        console.error(`API access is disabled (${API_CONFIG} in ${options.config})`);
+        process.exitCode = 1;
+        return;
+    }
+    
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`Invalid port ${options.port}`);
+        process.exitCode = 1;
+        return;
+    }
+    
+    const server = ApiServer.create();
+    server.on('error', (error) => {
+        console.error(`Server error: ${error.message}`);
+        process.exitCode = 1;
+    });
+    server.listen(port, options.host, () => {
+        const { address, port: boundPort } = server.address();
+        console.log(`Encryption API listening on http://${address.includes(':') ? `[${address}]` : address}:${boundPort}`);
+    });
+    
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => server.close());
+    }
+}
+
+main();
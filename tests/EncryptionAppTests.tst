@@ -174,3 +174,252 @@ hdef testset EncryptionWebAppValidationTests
     safetylevel ASIL-A
     testresult notrun
     owner "Compatibility Test Team"
+
+  def testcase TEST_SEC_002_KEY_SHARING
+    name "Key Sharing Test"
+    description "Verify Shamir k-of-n key splitting and rejection of bad, mismatched and altered shares"
+    satisfies ref requirement REQ_FUNC_002_1
+    when ref config c_DataManagement_DataBackup
+    method automated
+    setup "Secret sharing module with randomly generated 256-bit keys"
+    steps "Split keys for several threshold and share counts. Rebuild each key from different sets of threshold shares. Submit fewer shares than the threshold. Submit a share with a mistyped character. Mix shares of two splits. Submit a share whose data was altered and re-encoded with a valid checksum."
+    expected "Any threshold shares rebuild the original key; every bad share set is rejected with its error code"
+    passcriteria "All splits rebuild the key and no bad share set rebuilds any key"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_SEC_003_AUDIT_LOG_INTEGRITY
+    name "Audit Log Integrity Test"
+    description "Verify that the audit log hash chain reports tampered entries"
+    when ref config c_Monitoring_SecurityAudit
+    method automated
+    setup "Audit log turned on with five entries in an in-memory store"
+    steps "Verify the untouched log. Edit the fields of one entry. Edit an entry and recompute its hash. Delete an entry from the middle. Swap two entries. Delete the newest entries. Verify the log after each change."
+    expected "The untouched log checks out; each change is reported with the first entry that does not check out and the reason"
+    passcriteria "No tampered log verifies as intact"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Security Test Team"
+
+  def testcase TEST_TOOL_001_TRACEABILITY_CHECK
+    name "Traceability Check Test"
+    description "Verify that the traceability checker fails on stale line numbers and dangling references"
+    when ref config c_CoreEncryption
+    method automated
+    setup "Temporary copy of the Sylang model, web app code and tests"
+    steps "Run the traceability checker on the unchanged copy. Change a cited line number in a code annotation and run it again. Cite a function the model does not define and run it again."
+    expected "The unchanged copy passes with exit status 0; the stale line and the dangling reference are each reported as an error with exit status 1"
+    passcriteria "The exit status and the JSON report agree with the findings in every run"
+    safetylevel ASIL-A
+    testresult notrun
+    owner "Test Engineering Team"
+
+  def testcase TEST_FUNC_003_1_HISTORY
+    name "Encrypted History Test"
+    description "Verify saving, search, expiry and panic wipe of the encrypted output history"
+    satisfies ref requirement REQ_FUNC_003
+    when ref config c_UserExperience_History
+    method automated
+    setup "Encryption application with an in-memory history store"
+    steps "Encrypt text with history off. Turn history on with a passphrase and encrypt labelled text. Search by label and algorithm. Inspect a stored record. Lock history and try a wrong passphrase. Backdate entries and purge them with the default and shorter expiry periods. Run the panic wipe, then a plain clear."
+    expected "Outputs are saved only while history is unlocked and are encrypted at rest; expired entries are deleted; the panic wipe deletes every entry and the passphrase settings"
+    passcriteria "History holds exactly the expected entries after every step"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Security Test Team"
+
+  def testcase TEST_FUNC_001_3_BATCH_VALIDATION
+    name "Batch Validation Test"
+    description "Verify that each batch item is validated on its own and bad rows do not fail the batch"
+    satisfies ref requirement REQ_FUNC_001
+    when ref config c_UserExperience_BatchProcessing
+    method automated
+    setup "Encryption application in batch mode with a random key"
+    steps "Encrypt a CSV batch with valid rows, a control character, an oversized cell, a row with too many fields and an empty cell. Check the row errors, summary and downloads. Decrypt the valid outputs. Encrypt a batch with several columns, a JSON batch with a non-object item, and batches where no row can be encrypted."
+    expected "Valid rows are encrypted and decrypt to their input; each bad row carries its validation error and none of its plaintext; the batch fails only when no row can be encrypted"
+    passcriteria "Every row has the expected output or error"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Frontend Test Team"
+
+  def testcase TEST_FUNC_003_2_OUTPUT_ENCODINGS
+    name "Output Encodings Test"
+    description "Verify that output in every encoding and the JSON export decrypt with the encoding detected"
+    satisfies ref requirement REQ_FUNC_003
+    when ref config c_DataManagement_ExportFormats
+    method automated
+    setup "Encryption application with a random key"
+    steps "Encrypt text in Base64, Base64url, hex, Base32 and armored text, and decrypt each output as is and wrapped over several lines. Re-encode one output through every encoding. Export it as JSON and decrypt the export. Decrypt text in no known encoding. Encode and decode a 1 MiB payload in each compact encoding."
+    expected "Each output is detected as its encoding and decrypts to the original text; unknown text is rejected with an encoding error; large payloads encode without error"
+    passcriteria "All encodings round-trip and are detected correctly"
+    safetylevel ASIL-A
+    testresult notrun
+    owner "Frontend Test Team"
+
+  def testcase TEST_FUNC_004_1_API_ERRORS
+    name "REST API Error Test"
+    description "Verify HTTP status codes and structured JSON errors of the local REST API for bad input"
+    satisfies ref requirement REQ_FUNC_004
+    when ref config c_Integration_APIAccess
+    method automated
+    setup "Local API server on a free port of 127.0.0.1"
+    steps "Encrypt and decrypt with a generated key. Send requests to an unknown path, with GET, with a text body, with an oversized body, with invalid JSON and with wrongly typed fields. Send plaintext over the length limit or with control characters, a short passphrase, two key sources, a bad key and no recipients. Decrypt unencoded text, without a key, with a passphrase for a key-encrypted message and with the wrong key."
+    expected "Each bad request gets the HTTP status for its error code (400, 404, 405, 413, 415 or 422) and a JSON body holding only the error code and message"
+    passcriteria "All error responses have the expected status, code and message"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Security Test Team"
+
+  def testcase TEST_FUNC_004_2_CLI_EXIT_CODES
+    name "Command-Line Exit Code Test"
+    description "Verify that the encryptdemo command line exits with a distinct code for each kind of failure"
+    satisfies ref requirement REQ_FUNC_004
+    when ref config c_CoreEncryption
+    method automated
+    setup "encryptdemo run as a child process with keys in a temporary directory"
+    steps "Generate keys, encrypt a message and decrypt it. Run without a command, with an unknown command or option, a bad key type or encoding, and two key sources. Decrypt unencoded text, encrypt oversized text and encrypt a batch with a bad row. Decrypt with the wrong key, tampered data and a wrong passphrase. Decrypt without a key, with an invalid key and with a key for a message encrypted to a public key; encrypt with a short passphrase and an invalid public key."
+    expected "Success exits 0, usage errors 2, malformed input 3, authentication failures 4 and key errors 5, each failure with an encryptdemo message on stderr and nothing on stdout"
+    passcriteria "Every run exits with the expected code"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Security Test Team"
+
+  def testcase TEST_FUNC_003_3_CLIPBOARD
+    name "Clipboard Hygiene Test"
+    description "Verify clipboard read-back, auto-clear and the download fallback for copied output"
+    satisfies ref requirement REQ_FUNC_003
+    when ref config c_UserInterface_CopyToClipboard
+    method automated
+    setup "Encryption application with a Clipboard API stand-in"
+    steps "Copy with no output. Copy output to a clipboard that reads back, one that holds other text after the write, one that is missing, one that refuses writes and one that cannot be read. Let the auto-clear countdown run out with the copy still on the clipboard and after other text replaced it. Clear while the page has no focus, then give it focus. Copy and use Clear All."
+    expected "Confirmed copies are reported as copied; failed copies are offered as a .txt download; the clipboard is overwritten only while it still holds the copy, when the page has focus, after the delay and on Clear All"
+    passcriteria "The clipboard and status match the expected state after every step"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Security Test Team"
+
+  def testcase TEST_SEC_004_SIGNATURES
+    name "Message Signature Test"
+    description "Verify ECDSA P-256 and Ed25519 signatures, rejection of forged and altered signatures and the unknown signer badge"
+    satisfies ref requirement REQ_FUNC_002
+    when ref config c_CoreEncryption_CryptographicEngine_KeyManagement
+    method automated
+    setup "Encryption application with signing key pairs generated in an in-memory key store"
+    steps "Sign and verify data with each algorithm, then verify with an altered signature, altered data, another key and a truncated signature. For each algorithm and signed content, encrypt signed text and decrypt it. Decrypt a message signed by another key under the signer's fingerprint, and one with an altered signature. Delete the signing key pair and decrypt again. Add its public key as a contact and decrypt again."
+    expected "Valid signatures verify and show the own-key or contact badge; forged and altered signatures fail decryption with SIGNATURE_INVALID; a signer with no saved key decrypts with the unknown signer badge and fingerprint"
+    passcriteria "No forged or altered signature verifies and every badge names the right signer"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_USAB_002_LOCALIZATION
+    name "Localization Fallback Test"
+    description "Verify the message catalogs match and that messages missing from a catalog fall back to English"
+    satisfies ref requirement REQ_USAB_001
+    when ref config c_UserInterface
+    method automated
+    setup "Encryption application with the English and German message catalogs"
+    steps "Compare every catalog's keys, plural forms and placeholders with English. Switch to German. Remove messages from the German catalog, then look them up, decrypt a message through the UI and show an error whose reason has no German message. Look up a key in no catalog."
+    expected "Catalogs match English; German text is shown where it exists; missing messages are shown in English and unknown keys as the key"
+    passcriteria "No missing message is shown as its key or as a less specific message"
+    safetylevel ASIL-A
+    testresult notrun
+    owner "Usability Test Team"
+
+  def testcase TEST_FUNC_002_3_FILE_ENCRYPTION
+    name "Chunked File Encryption Test"
+    description "Verify chunked file encryption and rejection of truncated, reordered and duplicated chunks and a wrong key"
+    satisfies ref requirement REQ_FUNC_002
+    when ref config c_CoreEncryption_CryptographicEngine_AESEncryption
+    method automated
+    setup "Stream cipher with a small chunk size, and the file jobs with the default chunk size"
+    steps "Check the chunk nonce layout. Encrypt and decrypt files of sizes on and around chunk boundaries. Cut an encrypted file after each chunk and inside the final chunk. Swap, duplicate and drop chunks. Splice in a chunk of another file, alter the nonce prefix and decrypt with a wrong key. Encrypt and decrypt a multi-chunk file through the file jobs."
+    expected "Every file round-trips; every truncated, reordered, duplicated, spliced or altered file and every wrong key fails authentication"
+    passcriteria "No altered file decrypts, in part or in full"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_FUNC_003_4_ENVELOPE_FORMAT
+    name "Envelope Format Test"
+    description "Verify that unknown envelope versions, algorithms and KDFs are rejected, that input without the magic prefix is an unknown format and that every header byte is authenticated"
+    satisfies ref requirement REQ_FUNC_003
+    when ref config c_CoreEncryption_OutputFormatting
+    method automated
+    setup "Encryption application with a message encrypted under a random key"
+    steps "Decrypt the message. Set the version, algorithm and KDF bytes to unknown values. Flip each bit of every header byte and decrypt. Decrypt the message without its magic prefix and random Base64, directly and through the UI."
+    expected "Unknown fields are rejected with UNSUPPORTED_VERSION, UNSUPPORTED_ALGORITHM or UNSUPPORTED_KDF; every other header change fails with AUTH_FAILED; data without the magic prefix is rejected with UNKNOWN_FORMAT"
+    passcriteria "No altered header decrypts and no headerless input is reported as tampered"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_CONF_001_FEATURE_CONFIG
+    name "Feature Config Test"
+    description "Verify variant config parsing, parent gating, the fallback to defaults and hiding the UI of features that are off"
+    when ref config c_CoreEncryption
+    method automated
+    setup "Encryption application with stand-ins for the config file request"
+    steps "Parse config lines that are well formed, malformed or carry unknown values. Compare the shipped config with the selections in EncryptionWebAppVariants.vml. Check children of parents that are off and configs the file does not mention. Load a config file that is missing, unreachable or unreadable, then ones that load. Turn copying, history, local storage, backup and keyboard navigation off and apply the config. Press Ctrl+Enter and other shortcuts."
+    expected "Only well-formed lines are read; the shipped config matches its variant model; a child is off when a parent is; a file that does not load leaves the defaults with a warning; the UI of features that are off is hidden and only Ctrl+Enter still works"
+    passcriteria "No malformed line changes a config and no feature that is off shows its UI"
+    safetylevel ASIL-A
+    testresult notrun
+    owner "Test Engineering Team"
+
+  def testcase TEST_FUNC_002_4_PASSPHRASE
+    name "Passphrase Encryption Test"
+    description "Verify passphrase encryption with PBKDF2-SHA-256 and that a wrong passphrase fails authentication"
+    satisfies ref requirement REQ_FUNC_002
+    when ref config c_CoreEncryption_CryptographicEngine_KeyManagement
+    method automated
+    setup "Encryption application with Passphrase as the key source"
+    steps "Encrypt text twice with the same passphrase and parse both headers. Decrypt both through the UI and the jobs. Decrypt with passphrases that differ slightly and entirely. Encrypt with a short and an unconfirmed passphrase and decrypt with none. Decrypt with Random key selected. Type passphrases of rising strength."
+    expected "Headers carry a fresh 16-byte salt and 600,000 iterations; the passphrase decrypts; every wrong passphrase fails with AUTH_FAILED; invalid passphrases and the wrong key source are refused with their messages; the meter rates each passphrase"
+    passcriteria "No wrong passphrase decrypts and no output is produced from an invalid passphrase"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_FUNC_002_5_KEY_MANAGEMENT
+    name "Saved Key Test"
+    description "Verify that saved keys protected by a master passphrase are wrapped with AES-KW and unlock only with that passphrase"
+    satisfies ref requirement REQ_FUNC_002
+    when ref config c_CoreEncryption_CryptographicEngine_KeyManagement
+    method automated
+    setup "Encryption application with an in-memory key store"
+    steps "Generate a key with a master passphrase and inspect its stored record. Encrypt with it, clear the fields and decrypt. Unlock with wrong master passphrases, through the API and the UI, then with the right one and decrypt. Export the key as JWK and raw Base64, import both, lock and unlock them. Protect a key pair, give an empty name and import a short key."
+    expected "The stored record holds only the 40-byte wrapped key, salt and iteration count; a locked key is refused; every wrong master passphrase fails with AUTH_FAILED and leaves the key locked; the right one restores the same key; imports open the message"
+    passcriteria "No wrong master passphrase unlocks a key and no protected key is stored unwrapped"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_FUNC_002_6_RECIPIENTS
+    name "Public-Key Encryption Test"
+    description "Verify ECDH P-256 and RSA-OAEP-2048 recipient encryption and that a key pair the message was not encrypted to is rejected"
+    satisfies ref requirement REQ_FUNC_002
+    when ref config c_CoreEncryption_CryptographicEngine_KeyManagement
+    method automated
+    setup "Encryption application with ECDH and RSA-OAEP key pairs in an in-memory key store"
+    steps "Encrypt text to an ECDH and an RSA-OAEP key pair through the UI and parse the recipient blocks. Encrypt again. Recover the content key with each private key and decrypt through the UI. Encrypt to each imported public key alone and decrypt. Try the blocks with key pairs that are not recipients, alone and as the only saved key pairs. Alter each wrapped key. Import 1024- and 3072-bit RSA keys as JWK and SPKI. Encrypt to no recipients and to a signing key."
+    expected "Every message has one block per recipient addressed by its fingerprint and fresh wrapping; each recipient's private key decrypts; other key pairs and altered blocks are rejected with NO_MATCHING_KEY or AUTH_FAILED; RSA keys that are not 2048 bits are rejected with INVALID_KEY"
+    passcriteria "No key pair that is not a recipient recovers a content key"
+    safetylevel ASIL-B
+    testresult notrun
+    owner "Cryptography Test Team"
+
+  def testcase TEST_PERF_002_CRYPTO_WORKER
+    name "Crypto Worker Queue Test"
+    description "Verify that crypto jobs run one at a time in submission order and that cancelled jobs never deliver a result"
+    satisfies ref requirement REQ_PERF_001
+    when ref config c_CoreEncryption
+    method automated
+    setup "Crypto worker client running jobs inline, then with a stand-in worker the test answers for"
+    steps "Submit three jobs inline. Cancel a queued job, then the running one. With a worker, report progress and a result, cancel the running job and answer for it late, then fail a job with a CryptoError and another error. Cancel all of three jobs. Fail the worker while a job runs."
+    expected "Jobs settle in submission order; cancelled jobs reject with CANCELLED and their late results are ignored; cancelling the running job replaces the worker; a failed worker hands its job to the inline path"
+    passcriteria "No cancelled job delivers a result and no job runs out of order"
+    safetylevel ASIL-A
+    testresult notrun
+    owner "Performance Test Team"
@@ -0,0 +1,97 @@
+/**
+ * REST API error test
+ * Verifies Requirement: REQ_FUNC_004 (EncryptionRequirements.req line 98) for the local API
+ * Verifies Feature: APIAccess (EncryptionWebApp.fml line 276)
+ * Bad requests get the HTTP status for their error and a { error: { code, message } } body,
+ * never a stack trace or request data
+ */
+
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { ApiServer } from '../../server/api-server.js';
+
+/**
+ * Send a JSON body (or raw text) to the server and return status, headers and parsed body
+ */
+async function send(baseUrl, path, body, { method = 'POST', contentType = 'application/json' } = {}) {
+    const response = await fetch(baseUrl + path, {
+        method: method,
+        headers: { 'Content-Type': contentType },
+        body: method === 'GET' ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Check an error response: its status, error code and, when given, its message
+ */
+function assertError(response, status, code, message) {
+    assert.equal(response.status, status, JSON.stringify(response.body));
+    assert.deepEqual(Object.keys(response.body), ['error']);
+    assert.equal(response.body.error.code, code);
+    if (message !== undefined) {
+        assert.equal(response.body.error.message, message);
+    }
+    assert.equal(response.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+}
+
+export default {
+    async TEST_FUNC_004_1_API_ERRORS() {
+        const server = ApiServer.create();
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        
+        try {
+            // A good round trip first, so the errors below are the input's and not the server's
+            const { body: { key } } = await send(baseUrl, '/keys', { type: 'aes' });
+            const encrypted = await send(baseUrl, '/encrypt', { plaintext: 'hello', key: key });
+            assert.equal(encrypted.status, 200);
+            const decrypted = await send(baseUrl, '/decrypt', { ciphertext: encrypted.body.output, key: key });
+            assert.equal(decrypted.status, 200);
+            assert.equal(decrypted.body.plaintext, 'hello');
+            
+            // Routing and transport
+            assertError(await send(baseUrl, '/nothing', {}), 404, 'NOT_FOUND', 'No endpoint /nothing');
+            const get = await send(baseUrl, '/encrypt', null, { method: 'GET' });
+            assertError(get, 405, 'METHOD_NOT_ALLOWED', '/encrypt only accepts POST');
+            assert.equal(get.headers.get('allow'), 'POST');
+            assertError(await send(baseUrl, '/encrypt', 'plaintext=hello', { contentType: 'text/plain' }),
+                415, 'UNSUPPORTED_MEDIA_TYPE', 'Requests must be application/json');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'a'.repeat(ApiServer.MAX_BODY_SIZE) }),
+                413, 'BODY_TOO_LARGE', 'Request body too large (maximum 256.0 KB)');
+            
+            // Bodies that are not the expected JSON object
+            assertError(await send(baseUrl, '/encrypt', '{"plaintext": '), 400, 'MALFORMED_INPUT', 'Request body is not valid JSON');
+            assertError(await send(baseUrl, '/encrypt', ['hello']), 400, 'MALFORMED_INPUT', 'Request body must be a JSON object');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 42 }), 400, 'MALFORMED_INPUT', 'plaintext must be a string');
+            assertError(await send(baseUrl, '/keys', { type: 'dsa' }), 400, 'MALFORMED_INPUT');
+            
+            // The page's validation and size limits
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'a'.repeat(10001) }),
+                400, 'MALFORMED_INPUT', 'Input too long: 10001/10000 characters');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'null\u0000byte' }),
+                400, 'MALFORMED_INPUT', 'Input contains invalid control characters');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'hello', passphrase: 'short' }), 400, 'INVALID_PASSPHRASE');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'hello', key: key, passphrase: 'long enough passphrase' }),
+                400, 'MALFORMED_INPUT', 'Give only one of key, passphrase');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'hello', key: 'AAAA' }), 400, 'INVALID_KEY');
+            assertError(await send(baseUrl, '/encrypt', { plaintext: 'hello', recipients: [] }), 400, 'NO_RECIPIENTS');
+            
+            // Ciphertext that cannot be decrypted
+            assertError(await send(baseUrl, '/decrypt', { ciphertext: 'not an encrypted message!', key: key }),
+                400, 'MALFORMED_INPUT', 'Input is not valid Base64, Base64url, hex or Base32');
+            assertError(await send(baseUrl, '/decrypt', { ciphertext: encrypted.body.output }), 400, 'INVALID_KEY', 'A key is required to decrypt');
+            assertError(await send(baseUrl, '/decrypt', { ciphertext: encrypted.body.output, passphrase: 'long enough passphrase' }),
+                400, 'INVALID_KEY');
+            
+            const { body: { key: otherKey } } = await send(baseUrl, '/keys', {});
+            assertError(await send(baseUrl, '/decrypt', { ciphertext: encrypted.body.output, key: otherKey }), 422, 'AUTH_FAILED');
+        } finally {
+            server.close();
+            server.closeAllConnections();
+            await once(server, 'close');
+        }
+    }
+};
@@ -0,0 +1,104 @@
+/**
+ * Audit log integrity test
+ * Verifies Features: SecurityAudit, LocalStorage (EncryptionWebApp.fml lines 311, 248)
+ * The hash chain exposes an edited, deleted or reordered entry and a truncated tail, and
+ * AuditLog.verify() names the first entry that does not check out; a write that fails part-way
+ * leaves the chain as it was
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp } from '../harness/app.js';
+import { AuditLog } from '../../web/js/audit-log.js';
+
+const ENTRIES = 5;
+
+/**
+ * Start a new log of ENTRIES entries: the clear entry and one per event after it
+ */
+async function freshLog() {
+    if (!await AuditLog.isEnabled()) {
+        await AuditLog.enable();
+    }
+    await AuditLog.clear();
+    await AuditLog.record(AuditLog.EVENTS.ENCRYPT, AuditLog.OUTCOMES.SUCCESS, { target: 'text', size: 12 });
+    await AuditLog.record(AuditLog.EVENTS.DECRYPT, AuditLog.OUTCOMES.FAILURE, { target: 'text', errorCode: 'AUTH_FAILED' });
+    await AuditLog.record(AuditLog.EVENTS.COPY, AuditLog.OUTCOMES.SUCCESS, { target: 'output' });
+    await AuditLog.record(AuditLog.EVENTS.CLEAR, AuditLog.OUTCOMES.SUCCESS);
+    
+    const entries = (await AuditLog.list()).reverse();
+    assert.deepEqual(entries.map((entry) => entry.id), [1, 2, 3, 4, 5]);
+    return entries;
+}
+
+export default {
+    async TEST_SEC_003_AUDIT_LOG_INTEGRITY() {
+        const { LocalDatabase } = await loadApp();
+        const available = AuditLog.available;
+        AuditLog.available = true;
+        
+        try {
+            // An untouched log checks out
+            await freshLog();
+            assert.deepEqual(await AuditLog.verify(), { valid: true, count: ENTRIES, brokenAt: null, reason: null });
+            
+            // An edited entry, here a failed decryption rewritten as a success, no longer matches its hash
+            let entries = await freshLog();
+            await LocalDatabase.put(AuditLog.STORE, { ...entries[2], outcome: AuditLog.OUTCOMES.SUCCESS });
+            assert.deepEqual(await AuditLog.verify(), { valid: false, count: ENTRIES, brokenAt: 3, reason: 'modified' });
+            
+            // Recomputing the edited entry's own hash breaks the link from the entry after it
+            entries = await freshLog();
+            const edited = { ...entries[2], details: { target: 'file' } };
+            edited.hash = await AuditLog.hashEntry(edited);
+            await LocalDatabase.put(AuditLog.STORE, edited);
+            assert.deepEqual(await AuditLog.verify(), { valid: false, count: ENTRIES, brokenAt: 4, reason: 'outOfOrder' });
+            
+            // A deleted entry leaves a gap in the numbering
+            await freshLog();
+            await LocalDatabase.delete(AuditLog.STORE, 3);
+            assert.deepEqual(await AuditLog.verify(), { valid: false, count: ENTRIES - 1, brokenAt: 3, reason: 'missing' });
+            
+            // Swapped entries keep the numbering but not the chain
+            entries = await freshLog();
+            await LocalDatabase.put(AuditLog.STORE, { ...entries[1], id: 3 });
+            await LocalDatabase.put(AuditLog.STORE, { ...entries[2], id: 2 });
+            assert.deepEqual(await AuditLog.verify(), { valid: false, count: ENTRIES, brokenAt: 2, reason: 'outOfOrder' });
+            
+            // Deleting the newest entries leaves an intact chain that ends before the recorded head
+            await freshLog();
+            await LocalDatabase.delete(AuditLog.STORE, 5);
+            await LocalDatabase.delete(AuditLog.STORE, 4);
+            assert.deepEqual(await AuditLog.verify(), { valid: false, count: ENTRIES - 2, brokenAt: 4, reason: 'removed' });
+            
+            // The export carries the same result
+            const exported = JSON.parse(await AuditLog.exportJson());
+            assert.equal(exported.verification.reason, 'removed');
+            assert.equal(exported.entries.length, ENTRIES - 2);
+            
+            // A write that fails part-way stores neither the entry nor the new head
+            await freshLog();
+            const { runTransaction } = LocalDatabase;
+            LocalDatabase.runTransaction = (storeNames, mode, operation) => runTransaction(storeNames, mode, (stores) => {
+                const headStore = {
+                    put: () => {
+                        throw new Error('Quota exceeded');
+                    }
+                };
+                operation({ ...stores, [AuditLog.META_STORE]: headStore });
+            });
+            try {
+                assert.equal(await AuditLog.record(AuditLog.EVENTS.COPY, AuditLog.OUTCOMES.SUCCESS, { target: 'output' }), null);
+            } finally {
+                LocalDatabase.runTransaction = runTransaction;
+            }
+            assert.deepEqual(await AuditLog.verify(), { valid: true, count: ENTRIES, brokenAt: null, reason: null });
+            const next = await AuditLog.record(AuditLog.EVENTS.COPY, AuditLog.OUTCOMES.SUCCESS, { target: 'output' });
+            assert.equal(next.id, ENTRIES + 1);
+            assert.deepEqual(await AuditLog.verify(), { valid: true, count: ENTRIES + 1, brokenAt: null, reason: null });
+        } finally {
+            await AuditLog.clear();
+            await AuditLog.disable();
+            AuditLog.available = available;
+        }
+    }
+};
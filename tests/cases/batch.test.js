@@ -0,0 +1,103 @@
+/**
+ * Batch validation test
+ * Verifies Requirement: REQ_FUNC_001 (EncryptionRequirements.req line 10) for every batch item
+ * Verifies Feature: BatchProcessing (EncryptionWebApp.fml line 220)
+ * Each cell is validated on its own: a bad row is marked with its error and loses its plaintext,
+ * and the rest of the batch is still encrypted
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp, decryptThroughUi } from '../harness/app.js';
+import { BatchFormat } from '../../web/js/batch-format.js';
+
+/**
+ * Run a batch through the UI the way the Encrypt Batch button does
+ * Returns the result table, the key and the displayed summary, row errors and error
+ */
+async function encryptBatchThroughUi(input, format, columns = '') {
+    const { UIManager, EncryptionController, AppState } = await loadApp();
+    await resetApp();
+    AppState.batchResult = null;
+    UIManager.elements.batchInput.value = input;
+    UIManager.elements.batchFormat.value = format;
+    UIManager.elements.batchColumns.value = columns;
+    await EncryptionController.processBatch();
+    
+    const { keyText, batchSummary, batchErrors, errorMessage, errorText } = UIManager.elements;
+    return {
+        table: AppState.batchResult,
+        key: keyText.value,
+        summary: batchSummary.textContent,
+        rowErrors: Array.from(batchErrors.children, (item) => item.textContent),
+        error: errorMessage.classList.contains('hidden') ? null : errorText.textContent
+    };
+}
+
+export default {
+    async TEST_FUNC_001_3_BATCH_VALIDATION() {
+        const csv = [
+            'user,password',
+            'alice,s3cret!',
+            'bob,"bad\x00value"',
+            `carol,${'x'.repeat(10001)}`,
+            'dave,one,two',
+            'erin,',
+            'frank,"quoted, with comma"'
+        ].join('\n');
+        
+        const result = await encryptBatchThroughUi(csv, 'csv', 'password');
+        assert.equal(result.error, null);
+        assert.deepEqual(result.table.rows.map((row) => row.error), [
+            null,
+            'Input contains invalid control characters',
+            'Input too long: 10001/10000 characters',
+            'Expected 2 fields, found 3',
+            null,
+            null
+        ]);
+        assert.equal(result.summary, 'Encrypted 3 of 6 rows - 3 with errors');
+        assert.deepEqual(result.rowErrors, [
+            'Row 2: Input contains invalid control characters',
+            'Row 3: Input too long: 10001/10000 characters',
+            'Row 4: Expected 2 fields, found 3'
+        ]);
+        
+        // Failed rows keep the other columns but lose the cell that was to be encrypted
+        const [alice, bob, carol, dave, erin, frank] = result.table.rows;
+        assert.deepEqual(Object.keys(bob.cells), ['user']);
+        assert.deepEqual(Object.keys(carol.cells), ['user']);
+        assert.deepEqual(Object.keys(dave.cells), ['user']);
+        assert.equal(erin.cells.password, '');
+        
+        // No plaintext of a failed row reaches the download
+        const download = BatchFormat.serialize(result.table, 'csv');
+        assert.equal(download.split(/\r?\n/)[0], 'user,password,error');
+        assert.ok(!download.includes('bad') && !download.includes('xxxx') && !download.includes('two'));
+        const json = JSON.parse(BatchFormat.serialize(result.table, 'json'));
+        assert.deepEqual(json[1], { user: 'bob', error: 'Input contains invalid control characters' });
+        
+        // The rows that passed decrypt under the batch key
+        for (const [row, plaintext] of [[alice, 's3cret!'], [frank, 'quoted, with comma']]) {
+            const decrypted = await decryptThroughUi(row.cells.password, result.key);
+            assert.equal(decrypted.error, null);
+            assert.equal(decrypted.output, plaintext);
+        }
+        
+        // With more than one column, the error names the column that failed
+        const columns = await encryptBatchThroughUi('a,b\nok,"\x07"\nfine,also\n', 'csv');
+        assert.deepEqual(columns.table.rows.map((row) => row.error), ['b: Input contains invalid control characters', null]);
+        assert.deepEqual(columns.table.rows[0].cells, {});
+        
+        // JSON items that are not objects are row errors too
+        const mixed = await encryptBatchThroughUi('[{"token": "t1"}, 42, {"token": "t2"}]', 'json', 'token');
+        assert.deepEqual(mixed.table.rows.map((row) => row.error), [null, 'Item is not an object', null]);
+        
+        // Only when no row can be encrypted does the whole batch fail
+        const none = await encryptBatchThroughUi('\x00\nbad\x01', 'lines');
+        assert.equal(none.table, null);
+        assert.equal(none.error, 'Nothing to encrypt - row 1: Input contains invalid control characters');
+        
+        const empty = await encryptBatchThroughUi('user,password\nalice,\n', 'csv', 'password');
+        assert.equal(empty.error, 'Nothing to encrypt - the selected columns are empty');
+    }
+};
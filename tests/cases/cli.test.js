@@ -0,0 +1,125 @@
+/**
+ * Command-line exit code test
+ * Verifies Requirement: REQ_FUNC_004 (EncryptionRequirements.req line 98) for the encryptdemo CLI
+ * Scripts tell failures apart by exit code: usage errors, malformed input, failed
+ * authentication and missing or unusable keys each have their own
+ */
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CommandLine } from '../../cli/command-line.js';
+
+const CLI = fileURLToPath(new URL('../../cli/encryptdemo.js', import.meta.url));
+const { SUCCESS, USAGE, MALFORMED_INPUT, AUTH_FAILED, KEY_ERROR } = CommandLine.EXIT_CODES;
+const PASSPHRASE = 'correct horse battery';
+
+/**
+ * Run encryptdemo with args and stdin input; resolves { status, stdout, stderr }
+ */
+function encryptdemo(args, { input = '', env = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args], {
+            env: { ...process.env, ENCRYPTDEMO_PASSPHRASE: undefined, ...env },
+            timeout: 30000
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (chunk) => {
+            stdout += chunk;
+        });
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+        child.on('error', reject);
+        child.on('close', (status) => resolve({ status, stdout, stderr }));
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Check a failed run: its exit code, its message on stderr and nothing on stdout
+ */
+function assertFails(result, status, message) {
+    assert.equal(result.status, status, result.stderr);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, message);
+}
+
+/**
+ * Replace one character in the middle of a Base64 message with another
+ */
+function tamper(message) {
+    const position = Math.floor(message.length / 2);
+    return message.slice(0, position) + (message[position] === 'A' ? 'B' : 'A') + message.slice(position + 1);
+}
+
+export default {
+    async TEST_FUNC_004_2_CLI_EXIT_CODES() {
+        const dir = mkdtempSync(join(tmpdir(), 'encryptdemo-cli-'));
+        const keyFile = join(dir, 'aes.key');
+        const otherKeyFile = join(dir, 'other.key');
+        
+        try {
+            // Success: keys, then a message that decrypts under its key
+            assert.equal((await encryptdemo(['keygen', '--out', keyFile])).status, SUCCESS);
+            assert.equal((await encryptdemo(['keygen', '--out', otherKeyFile])).status, SUCCESS);
+            assert.equal((await encryptdemo(['keygen', '--type', 'ECDH-P256', '--out', join(dir, 'alice')])).status, SUCCESS);
+            
+            const encrypted = await encryptdemo(['encrypt', 'hello from a script', '--key-file', keyFile]);
+            assert.equal(encrypted.status, SUCCESS, encrypted.stderr);
+            const message = encrypted.stdout.trim();
+            const decrypted = await encryptdemo(['decrypt', '--key-file', keyFile], { input: message });
+            assert.equal(decrypted.status, SUCCESS, decrypted.stderr);
+            assert.equal(decrypted.stdout, 'hello from a script');
+            
+            // 2: usage errors
+            assertFails(await encryptdemo([]), USAGE, /^Usage: encryptdemo/);
+            assertFails(await encryptdemo(['shred']), USAGE, /^encryptdemo: Unknown command shred/);
+            assertFails(await encryptdemo(['encrypt', '--bogus']), USAGE, /^encryptdemo: .*--bogus/);
+            assertFails(await encryptdemo(['keygen', '--type', 'DSA']), USAGE, /^encryptdemo: Key type must be one of/);
+            assertFails(await encryptdemo(['encrypt', 'x', '--encoding', 'rot13']), USAGE, /^encryptdemo: Unknown encoding rot13/);
+            assertFails(await encryptdemo(['encrypt', 'x', '--key-file', keyFile, '--passphrase'], { env: { ENCRYPTDEMO_PASSPHRASE: PASSPHRASE } }),
+                USAGE, /^encryptdemo: Give only one of --key, --passphrase/);
+            
+            // 3: malformed input
+            assertFails(await encryptdemo(['decrypt', '--key-file', keyFile], { input: 'not an encrypted message!' }),
+                MALFORMED_INPUT, /^encryptdemo: Input is not valid Base64, Base64url, hex or Base32/);
+            assertFails(await encryptdemo(['encrypt', '--key-file', keyFile], { input: 'a'.repeat(10001) }),
+                MALFORMED_INPUT, /^encryptdemo: Input too long: 10001\/10000 characters/);
+            
+            // A batch with a bad row still writes its results, and exits 3 for the row
+            const batch = await encryptdemo(['batch', '--format', 'lines', '--key-file', keyFile], { input: 'first\nbad\x01\nthird\n' });
+            assert.equal(batch.status, MALFORMED_INPUT);
+            assert.equal(batch.stdout.trim().split(/\r?\n/).length, 4);
+            assert.match(batch.stderr, /1 of 3 rows could not be encrypted/);
+            
+            // 4: authentication fails for tampered data, a wrong key or a wrong passphrase
+            assertFails(await encryptdemo(['decrypt', '--key-file', otherKeyFile], { input: message }), AUTH_FAILED, /^encryptdemo: /);
+            assertFails(await encryptdemo(['decrypt', '--key-file', keyFile], { input: tamper(message) }), AUTH_FAILED, /^encryptdemo: /);
+            
+            const protectedMessage = await encryptdemo(['encrypt', 'secret', '--passphrase'], { env: { ENCRYPTDEMO_PASSPHRASE: PASSPHRASE } });
+            assert.equal(protectedMessage.status, SUCCESS, protectedMessage.stderr);
+            assertFails(await encryptdemo(['decrypt'], { input: protectedMessage.stdout, env: { ENCRYPTDEMO_PASSPHRASE: 'wrong passphrase' } }),
+                AUTH_FAILED, /^encryptdemo: /);
+            
+            // 5: a missing, unusable or mismatched key
+            assertFails(await encryptdemo(['decrypt'], { input: message }), KEY_ERROR, /^encryptdemo: A key is required to decrypt/);
+            assertFails(await encryptdemo(['decrypt', '--key', 'AAAA'], { input: message }), KEY_ERROR, /^encryptdemo: /);
+            assertFails(await encryptdemo(['encrypt', 'x', '--passphrase'], { env: { ENCRYPTDEMO_PASSPHRASE: 'short' } }), KEY_ERROR, /^encryptdemo: /);
+            
+            const toAlice = await encryptdemo(['encrypt', 'for alice', '--recipient', join(dir, 'alice.pub')]);
+            assert.equal(toAlice.status, SUCCESS, toAlice.stderr);
+            assertFails(await encryptdemo(['decrypt', '--key-file', keyFile], { input: toAlice.stdout }),
+                KEY_ERROR, /^encryptdemo: This message was encrypted to public keys - use --private-key/);
+            writeFileSync(join(dir, 'bob.pub'), 'AAAAAAAA\n');
+            assertFails(await encryptdemo(['encrypt', 'x', '--recipient', join(dir, 'bob.pub')]),
+                KEY_ERROR, /^encryptdemo: Invalid key: not an AES key or a supported public key/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    }
+};
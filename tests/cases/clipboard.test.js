@@ -0,0 +1,157 @@
+/**
+ * Clipboard test
+ * Verifies Requirement: REQ_FUNC_003 (EncryptionRequirements.req line 86) for copying the output
+ * Per ThreatModel.md T-INFO-01: a copy is read back to confirm it, the clipboard is cleared
+ * after the chosen delay and on Clear All only while it still holds the copy, and a failed copy
+ * is offered as a download
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp } from '../harness/app.js';
+import { ClipboardManager } from '../../web/js/clipboard-manager.js';
+import { FileManager } from '../../web/js/file-manager.js';
+
+const CIPHERTEXT = 'RURFTQEAAAB0ZXN0';
+
+/**
+ * A Clipboard API stand-in; without readText the clipboard cannot be read back, and with
+ * denied every write is refused
+ */
+function fakeClipboard({ readable = true, denied = false } = {}) {
+    const clipboard = {
+        text: 'copied elsewhere before',
+        async writeText(text) {
+            if (denied) {
+                throw new DOMException('Write permission denied', 'NotAllowedError');
+            }
+            clipboard.text = text;
+        }
+    };
+    if (readable) {
+        clipboard.readText = async () => clipboard.text;
+    }
+    return clipboard;
+}
+
+function useClipboard(clipboard) {
+    Object.defineProperty(globalThis, 'navigator', { value: { clipboard }, configurable: true, writable: true });
+    return clipboard;
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export default {
+    async TEST_FUNC_003_3_CLIPBOARD() {
+        const { UIManager, dom } = await loadApp();
+        const { outputText, copyStatus, copyDownloadBtn, clipboardClearDelay } = UIManager.elements;
+        const navigatorDescriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+        const { download } = FileManager;
+        const downloads = [];
+        FileManager.download = (blob, filename) => downloads.push({ blob, filename });
+        
+        try {
+            await resetApp();
+            clipboardClearDelay.value = '0';
+            
+            // Nothing to copy
+            useClipboard(fakeClipboard());
+            await ClipboardManager.copyToClipboard();
+            assert.equal(UIManager.elements.errorText.textContent, 'No encrypted text to copy');
+            
+            // A copy that reads back is confirmed; with auto-clear off nothing clears it
+            let clipboard = useClipboard(fakeClipboard());
+            outputText.value = CIPHERTEXT;
+            await ClipboardManager.copyToClipboard();
+            assert.equal(clipboard.text, CIPHERTEXT);
+            assert.equal(copyStatus.textContent, '✓ Copied to clipboard');
+            assert.ok(copyDownloadBtn.classList.contains('hidden'));
+            ClipboardManager.cancelAutoClear();
+            
+            // Read-back finds other text: not confirmed, and offered as a download instead
+            clipboard = useClipboard(fakeClipboard());
+            clipboard.writeText = async () => {
+                clipboard.text = 'replaced by another program';
+            };
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), false);
+            assert.equal(copyStatus.textContent, '✗ Copy not confirmed - the clipboard holds other text');
+            assert.ok(!copyDownloadBtn.classList.contains('hidden'));
+            ClipboardManager.downloadFallback();
+            assert.equal(downloads.length, 1);
+            assert.equal(downloads[0].filename, 'encrypted-message.txt');
+            assert.equal(await downloads[0].blob.text(), `${CIPHERTEXT}\n`);
+            assert.equal(copyStatus.textContent, '✓ Saved as a download');
+            assert.ok(copyDownloadBtn.classList.contains('hidden'));
+            
+            // No Clipboard API, or writing denied: the download is offered too
+            useClipboard(undefined);
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), false);
+            assert.equal(copyStatus.textContent, '✗ Copy failed');
+            assert.ok(!copyDownloadBtn.classList.contains('hidden'));
+            useClipboard(fakeClipboard({ denied: true }));
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), false);
+            assert.ok(!copyDownloadBtn.classList.contains('hidden'));
+            
+            // A clipboard that cannot be read is taken at its word, but never cleared blind
+            clipboard = useClipboard(fakeClipboard({ readable: false }));
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), true);
+            assert.ok(copyDownloadBtn.classList.contains('hidden'));
+            assert.equal(copyStatus.textContent, '✓ Copied to clipboard (not read back)');
+            assert.equal(await ClipboardManager.clearClipboard(), false);
+            assert.equal(clipboard.text, CIPHERTEXT);
+            assert.equal(copyStatus.textContent, '⚠️ Clipboard not cleared - allow clipboard access so it can be checked first');
+            
+            // Auto-clear: a delay starts the countdown; run out a one-second one and the copy is overwritten
+            clipboardClearDelay.value = '15';
+            clipboard = useClipboard(fakeClipboard());
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), true);
+            assert.notEqual(ClipboardManager.countdownTimer, null);
+            ClipboardManager.cancelAutoClear();
+            ClipboardManager.startAutoClear(1);
+            await wait(1300);
+            assert.equal(clipboard.text, '');
+            assert.equal(copyStatus.textContent, '✓ Clipboard cleared');
+            
+            // Text copied since, here or in another program, is left alone
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), true);
+            ClipboardManager.cancelAutoClear();
+            ClipboardManager.startAutoClear(1);
+            clipboard.text = 'copied in another program';
+            await wait(1300);
+            assert.equal(clipboard.text, 'copied in another program');
+            
+            // Without focus the clear waits for the page to get it back
+            clipboardClearDelay.value = '0';
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), true);
+            dom.document.hasFocus = () => false;
+            assert.equal(await ClipboardManager.clearClipboard(), false);
+            assert.equal(copyStatus.textContent, '⚠️ Clipboard clears when you return to this page');
+            assert.equal(clipboard.text, CIPHERTEXT);
+            dom.document.hasFocus = () => true;
+            dom.window.dispatchEvent({ type: 'focus' });
+            await wait(0);
+            assert.equal(clipboard.text, '');
+            
+            // Clear All clears the clipboard and drops the download offer
+            assert.equal(await ClipboardManager.copyText(CIPHERTEXT), true);
+            ClipboardManager.offerDownload(CIPHERTEXT);
+            UIManager.clearAll();
+            await wait(0);
+            assert.equal(clipboard.text, '');
+            assert.ok(copyDownloadBtn.classList.contains('hidden'));
+            assert.equal(ClipboardManager.fallbackText, null);
+        } finally {
+            ClipboardManager.cancelAutoClear();
+            ClipboardManager.copiedText = null;
+            clipboardClearDelay.value = '30';
+            FileManager.download = download;
+            dom.document.hasFocus = () => true;
+            if (navigatorDescriptor) {
+                Object.defineProperty(globalThis, 'navigator', navigatorDescriptor);
+            } else {
+                delete globalThis.navigator;
+            }
+        }
+    }
+};
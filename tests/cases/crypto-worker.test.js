@@ -0,0 +1,183 @@
+/**
+ * Crypto worker queue test
+ * Verifies Requirement: REQ_PERF_001 (EncryptionRequirements.req line 110) for queued jobs
+ * Per CryptoDecision.md crypto worker section: jobs run one at a time in the order they were
+ * submitted, a cancelled job never delivers a result, cancelling the running job replaces the
+ * worker, and jobs run inline when no worker can be started
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp } from '../harness/app.js';
+import { CryptoError } from '../../web/js/crypto-error.js';
+
+const JOB = { plaintext: 'queued', keySpec: { source: 'random' }, encoding: 'base64' };
+
+/**
+ * A Worker stand-in that keeps what it was sent and lets the test answer for it
+ */
+class FakeWorker {
+    static instances = [];
+    
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.listeners = new Map();
+        this.posted = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+    
+    addEventListener(type, listener) {
+        this.listeners.set(type, listener);
+    }
+    
+    postMessage(message) {
+        this.posted.push(message);
+    }
+    
+    terminate() {
+        this.terminated = true;
+    }
+    
+    reply(message) {
+        this.listeners.get('message')({ data: message });
+    }
+    
+    fail() {
+        const event = { defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+        this.listeners.get('error')(event);
+        return event;
+    }
+}
+
+/**
+ * Record the order in which jobs settle, and how
+ */
+function track(settled, label, { promise }) {
+    return promise.then(
+        (result) => settled.push({ label, result }),
+        (error) => settled.push({ label, error })
+    );
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export default {
+    async TEST_PERF_002_CRYPTO_WORKER() {
+        const { CryptoWorkerClient } = await loadApp();
+        const { onStatusChange } = CryptoWorkerClient;
+        const workerDescriptor = Object.getOwnPropertyDescriptor(globalThis, 'Worker');
+        const statuses = [];
+        CryptoWorkerClient.onStatusChange = (status) => statuses.push(status);
+        
+        try {
+            // Without Worker, jobs run inline one at a time, in submission order
+            let settled = [];
+            const inline = ['first', 'second', 'third'].map((label) => ({ label, job: CryptoWorkerClient.submit('encryptText', { ...JOB, plaintext: label }) }));
+            assert.deepEqual(CryptoWorkerClient.getStatus(), { current: { id: inline[0].job.id, type: 'encryptText', progress: 0 }, queued: 2 });
+            assert.deepEqual(inline.map(({ job }) => job.id), [inline[0].job.id, inline[0].job.id + 1, inline[0].job.id + 2]);
+            await Promise.all(inline.map(({ label, job }) => track(settled, label, job)));
+            assert.deepEqual(settled.map(({ label }) => label), ['first', 'second', 'third']);
+            assert.ok(settled.every(({ result }) => result && result.output));
+            assert.deepEqual(statuses.at(-1), { current: null, queued: 0 });
+            
+            // A cancelled queued job is dropped; the others keep their order
+            settled = [];
+            const [a, b, c] = [1, 2, 3].map(() => CryptoWorkerClient.submit('encryptText', JOB));
+            assert.equal(CryptoWorkerClient.cancel(b.id), true);
+            assert.equal(CryptoWorkerClient.cancel(b.id), false);
+            assert.equal(CryptoWorkerClient.cancel(0), false);
+            await Promise.all([track(settled, 'a', a), track(settled, 'b', b), track(settled, 'c', c)]);
+            assert.deepEqual(settled.map(({ label }) => label), ['b', 'a', 'c']);
+            assert.ok(settled[0].error instanceof CryptoError);
+            assert.equal(settled[0].error.code, 'CANCELLED');
+            
+            // The running inline job cannot be stopped, but its late result is ignored
+            settled = [];
+            const running = CryptoWorkerClient.submit('encryptText', { ...JOB, plaintext: 'cancelled while running' });
+            const next = CryptoWorkerClient.submit('encryptText', { ...JOB, plaintext: 'next' });
+            assert.equal(CryptoWorkerClient.cancel(running.id), true);
+            assert.equal(CryptoWorkerClient.getStatus().current.id, next.id);
+            await Promise.all([track(settled, 'running', running), track(settled, 'next', next)]);
+            assert.deepEqual(settled.map(({ label }) => label), ['running', 'next']);
+            assert.equal(settled[0].error.code, 'CANCELLED');
+            await wait(0);
+            assert.deepEqual(CryptoWorkerClient.getStatus(), { current: null, queued: 0 });
+            
+            // With a worker: one job is handed over at a time, with its progress
+            Object.defineProperty(globalThis, 'Worker', { value: FakeWorker, configurable: true, writable: true });
+            CryptoWorkerClient.worker = null;
+            settled = [];
+            const progress = [];
+            const first = CryptoWorkerClient.submit('encryptText', JOB, (value) => progress.push(value));
+            const second = CryptoWorkerClient.submit('decryptText', JOB);
+            const tracked = [track(settled, 'first', first), track(settled, 'second', second)];
+            const [worker] = FakeWorker.instances;
+            assert.equal(worker.options.type, 'module');
+            assert.deepEqual(worker.posted.map(({ id, type }) => ({ id, type })), [{ id: first.id, type: 'encryptText' }]);
+            worker.reply({ id: first.id, type: 'progress', progress: 0.5 });
+            assert.deepEqual(progress, [0.5]);
+            assert.deepEqual(CryptoWorkerClient.getStatus(), { current: { id: first.id, type: 'encryptText', progress: 0.5 }, queued: 1 });
+            worker.reply({ id: first.id, type: 'result', result: { output: 'from the worker' } });
+            assert.deepEqual(worker.posted.map(({ id }) => id), [first.id, second.id]);
+            
+            // Cancelling the running job terminates the worker; the next job gets a new one
+            const third = CryptoWorkerClient.submit('encryptText', JOB);
+            tracked.push(track(settled, 'third', third));
+            assert.equal(CryptoWorkerClient.cancel(second.id), true);
+            assert.equal(worker.terminated, true);
+            const [, replacement] = FakeWorker.instances;
+            assert.deepEqual(replacement.posted.map(({ id }) => id), [third.id]);
+            
+            // A late message for the cancelled job does not reach the new one
+            worker.reply({ id: second.id, type: 'result', result: { output: 'too late' } });
+            assert.equal(CryptoWorkerClient.getStatus().current.id, third.id);
+            replacement.reply({ id: third.id, type: 'error', error: { message: 'Decryption failed', code: 'AUTH_FAILED', details: {} } });
+            await Promise.all(tracked);
+            assert.deepEqual(settled.map(({ label }) => label), ['first', 'second', 'third']);
+            assert.deepEqual(settled[0].result, { output: 'from the worker' });
+            assert.equal(settled[1].error.code, 'CANCELLED');
+            assert.ok(settled[2].error instanceof CryptoError);
+            assert.equal(settled[2].error.code, 'AUTH_FAILED');
+            
+            // Errors that are not CryptoErrors cross the boundary without their message
+            const crashed = CryptoWorkerClient.submit('encryptText', JOB);
+            replacement.reply({ id: crashed.id, type: 'error', error: CryptoWorkerClient.serializeError(new TypeError('secret detail')) });
+            await assert.rejects(crashed.promise, (error) => !(error instanceof CryptoError) && error.message === 'Crypto job failed');
+            
+            // Cancel all: the queue first, so the running job's cancel starts nothing
+            const pending = [1, 2, 3].map(() => CryptoWorkerClient.submit('encryptText', JOB));
+            const postedBefore = replacement.posted.length;
+            assert.equal(CryptoWorkerClient.cancelAll(), 3);
+            for (const job of pending) {
+                await assert.rejects(job.promise, { code: 'CANCELLED' });
+            }
+            assert.equal(replacement.terminated, true);
+            assert.equal(replacement.posted.length, postedBefore);
+            assert.equal(FakeWorker.instances.length, 2);
+            assert.deepEqual(CryptoWorkerClient.getStatus(), { current: null, queued: 0 });
+            assert.equal(CryptoWorkerClient.cancelAll(), 0);
+            
+            // A worker that fails to load hands its running job to the inline path
+            const retried = CryptoWorkerClient.submit('encryptText', { ...JOB, plaintext: 'retried inline' });
+            const failing = FakeWorker.instances.at(-1);
+            assert.equal(failing.fail().defaultPrevented, true);
+            assert.equal(CryptoWorkerClient.worker, false);
+            assert.ok((await retried.promise).output);
+            const afterFailure = CryptoWorkerClient.submit('encryptText', JOB);
+            assert.ok((await afterFailure.promise).output);
+            assert.equal(FakeWorker.instances.length, 3);
+        } finally {
+            CryptoWorkerClient.cancelAll();
+            CryptoWorkerClient.worker = null;
+            CryptoWorkerClient.onStatusChange = onStatusChange;
+            if (workerDescriptor) {
+                Object.defineProperty(globalThis, 'Worker', workerDescriptor);
+            } else {
+                delete globalThis.Worker;
+            }
+        }
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * Encryption processing, key generation and IV generation tests
+ * Verifies Requirements: REQ_FUNC_002, REQ_FUNC_002_1, REQ_FUNC_002_2
+ * (EncryptionRequirements.req lines 56, 66, 76)
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, encryptThroughUi, decryptThroughUi } from '../harness/app.js';
+
+const SAMPLE_TEXT = 'The quick brown fox jumps over the lazy dog';
+const RUNS = 20;
+
+/**
+ * Encrypt the same text RUNS times through the UI and parse each envelope
+ */
+async function encryptRepeatedly() {
+    const { OutputFormatter } = await loadApp();
+    const runs = [];
+    for (let i = 0; i < RUNS; i++) {
+        const { output, key } = await encryptThroughUi(SAMPLE_TEXT);
+        runs.push({ output, key, envelope: OutputFormatter.parseInput(output) });
+    }
+    return runs;
+}
+
+export default {
+    async TEST_FUNC_002_ENCRYPTION_PROCESSING() {
+        const { EnvelopeFormat, CryptographicEngine, OutputFormatter } = await loadApp();
+        const encrypted = await encryptThroughUi(SAMPLE_TEXT);
+        assert.equal(encrypted.error, null);
+        
+        // Compact output is plain Base64 of the envelope
+        assert.match(encrypted.output, /^[A-Za-z0-9+/]+={0,2}$/);
+        const bytes = OutputFormatter.decodeBase64(encrypted.output);
+        assert.deepEqual(Array.from(bytes.slice(0, 4)), EnvelopeFormat.MAGIC);
+        
+        const envelope = EnvelopeFormat.decode(bytes);
+        assert.equal(envelope.version, EnvelopeFormat.VERSION);
+        assert.equal(envelope.algorithm, EnvelopeFormat.ALGORITHMS.AES_256_GCM);
+        assert.equal(envelope.kdf, EnvelopeFormat.KDFS.NONE);
+        
+        // AES-GCM: UTF-8 plaintext plus a 16-byte tag, authenticated together with the header
+        const plaintextLength = new TextEncoder().encode(SAMPLE_TEXT).length;
+        assert.equal(envelope.encryptedData.byteLength, plaintextLength + CryptographicEngine.TAG_LENGTH);
+        
+        const key = await CryptographicEngine.importKey(OutputFormatter.decodeBase64(encrypted.key));
+        const plaintext = await CryptographicEngine.decryptText(envelope.encryptedData, key, envelope.iv, envelope.additionalData);
+        assert.equal(plaintext, SAMPLE_TEXT);
+        
+        const decrypted = await decryptThroughUi(encrypted.output, encrypted.key);
+        assert.equal(decrypted.output, SAMPLE_TEXT);
+        
+        // A flipped ciphertext bit fails authentication
+        bytes[bytes.length - 1] ^= 1;
+        const tampered = await decryptThroughUi(OutputFormatter.encodeBase64(bytes), encrypted.key);
+        assert.equal(tampered.output, '');
+        assert.match(tampered.error, /tampered|authentic/i);
+    },
+    
+    async TEST_FUNC_002_1_KEY_GENERATION() {
+        const { CryptographicEngine, OutputFormatter } = await loadApp();
+        
+        const key = await CryptographicEngine.generateKey();
+        assert.equal(key.type, 'secret');
+        assert.equal(key.algorithm.name, 'AES-GCM');
+        assert.equal(key.algorithm.length, 256);
+        
+        const runs = await encryptRepeatedly();
+        const keys = new Set();
+        for (const { key: encodedKey } of runs) {
+            assert.equal(OutputFormatter.decodeBase64(encodedKey).length, 32);
+            keys.add(encodedKey);
+        }
+        assert.equal(keys.size, RUNS, 'every encryption uses a fresh key');
+    },
+    
+    async TEST_FUNC_002_2_IV_GENERATION() {
+        const { CryptographicEngine, OutputFormatter } = await loadApp();
+        
+        const runs = await encryptRepeatedly();
+        const ivs = new Set();
+        for (const { envelope } of runs) {
+            assert.equal(envelope.iv.length, CryptographicEngine.IV_LENGTH);
+            ivs.add(OutputFormatter.encodeBase64(envelope.iv));
+        }
+        assert.equal(ivs.size, RUNS, 'every encryption uses a fresh IV');
+        
+        // Identical plaintext never yields identical ciphertext
+        assert.equal(new Set(runs.map(({ output }) => output)).size, RUNS);
+        
+        const generated = new Set();
+        for (let i = 0; i < 1000; i++) {
+            const iv = CryptographicEngine.generateIV();
+            assert.equal(iv.length, 12);
+            generated.add(OutputFormatter.encodeBase64(iv));
+        }
+        assert.equal(generated.size, 1000);
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Envelope format test
+ * Verifies Requirement: REQ_FUNC_003 (EncryptionRequirements.req line 86)
+ * Verifies Feature: OutputFormatting (EncryptionWebApp.fml line 45)
+ * Per CryptoDecision.md output format section: unknown versions, algorithms and KDFs are
+ * rejected with their own error codes, input without the magic prefix is not an EncryptDemo
+ * message, and the header is authenticated, so no change to any of its bytes decrypts
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, encryptThroughUi, decryptThroughUi } from '../harness/app.js';
+import { CryptoJobs } from '../../web/js/crypto-jobs.js';
+
+const PLAINTEXT = 'Header fields are authenticated too';
+
+// Byte offsets of the fixed header fields, after the 4-byte magic
+const VERSION_OFFSET = 4;
+const ALGORITHM_OFFSET = 5;
+const KDF_OFFSET = 6;
+
+export default {
+    async TEST_FUNC_003_4_ENVELOPE_FORMAT() {
+        const { OutputFormatter, EnvelopeFormat, CryptographicEngine } = await loadApp();
+        const encrypted = await encryptThroughUi(PLAINTEXT);
+        const bytes = OutputFormatter.decodeBytes(encrypted.output, 'base64');
+        const envelope = EnvelopeFormat.decode(bytes);
+        const key = await CryptographicEngine.importKey(OutputFormatter.decodeBase64(encrypted.key));
+        const decrypt = async (altered) => CryptoJobs.run('decryptText', {
+            envelope: OutputFormatter.parseInput(OutputFormatter.encodeBytes(altered, 'base64')),
+            keySpec: { source: 'key', key: key }
+        });
+        const withByte = (offset, value) => {
+            const altered = bytes.slice();
+            altered[offset] = value;
+            return altered;
+        };
+        
+        assert.equal((await decrypt(bytes)).plaintext, PLAINTEXT);
+        
+        // Unknown versions, algorithms and KDFs, each with its own code
+        for (const version of [0, 3, 255]) {
+            await assert.rejects(decrypt(withByte(VERSION_OFFSET, version)), { code: 'UNSUPPORTED_VERSION' }, `version ${version}`);
+        }
+        for (const algorithm of [0, 3, 255]) {
+            await assert.rejects(decrypt(withByte(ALGORITHM_OFFSET, algorithm)), { code: 'UNSUPPORTED_ALGORITHM' }, `algorithm ${algorithm}`);
+        }
+        for (const kdf of [3, 4, 255]) {
+            await assert.rejects(decrypt(withByte(KDF_OFFSET, kdf)), { code: 'UNSUPPORTED_KDF' }, `KDF ${kdf}`);
+        }
+        
+        // Any change to a header byte is rejected by the parser or fails authentication
+        for (let offset = 0; offset < envelope.headerLength; offset++) {
+            for (let bit = 0; bit < 8; bit++) {
+                const altered = withByte(offset, bytes[offset] ^ (1 << bit));
+                let parsed;
+                try {
+                    parsed = OutputFormatter.parseInput(OutputFormatter.encodeBytes(altered, 'base64'));
+                } catch (error) {
+                    assert.notEqual(error.code, 'AUTH_FAILED', `byte ${offset}, bit ${bit}`);
+                    continue;
+                }
+                await assert.rejects(
+                    CryptoJobs.run('decryptText', { envelope: parsed, keySpec: { source: 'key', key: key } }),
+                    { code: 'AUTH_FAILED' },
+                    `byte ${offset}, bit ${bit}`
+                );
+            }
+        }
+        
+        // Data without the magic prefix is not a message, not a tampered one
+        const headerless = bytes.slice(EnvelopeFormat.MAGIC.length);
+        assert.throws(() => OutputFormatter.parseInput(OutputFormatter.encodeBytes(headerless, 'base64')), { code: 'UNKNOWN_FORMAT' });
+        const random = globalThis.crypto.getRandomValues(new Uint8Array(48));
+        random[0] = 0;
+        assert.throws(() => OutputFormatter.parseInput(OutputFormatter.encodeBytes(random, 'base64')), { code: 'UNKNOWN_FORMAT' });
+        const shown = await decryptThroughUi(OutputFormatter.encodeBytes(random, 'base64'), encrypted.key);
+        assert.equal(shown.error, 'Data is not an EncryptDemo message');
+    }
+};
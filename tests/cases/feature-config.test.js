@@ -0,0 +1,216 @@
+/**
+ * Feature config test
+ * Verifies Features: UserInterface, KeyboardNavigation (EncryptionWebApp.fml lines 52, 122)
+ * Per FeatureConfig: only well-formed `def config <name> <0|1>` lines count, a child config is
+ * off whenever a parent is, a config file that does not load leaves the defaults in place, and
+ * the UI of a feature that is off is hidden
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadApp, resetApp } from '../harness/app.js';
+import { StubEvent } from '../harness/dom.js';
+
+const VCF = [
+    'hdr EncryptionWebAppConfig',
+    '  def configset EncryptionWebAppConfig',
+    '    def config c_Accessibility 1',
+    '\tdef config c_UserInterface_CopyToClipboard 0\r',
+    '    def config c_DataManagement_DataBackup   1   ',
+    '    def config c_UserExperience_History 2',
+    '    def config c_UserExperience_BatchProcessing yes',
+    '    def config c_Monitoring_SecurityAudit',
+    '    def config c_Integration_APIAccess -1',
+    '    def config Accessibility_ScreenReaderSupport 0',
+    '    def config c_Accessibility_KeyboardNavigation 0 # off for kiosks',
+    '    config c_PerformanceOptimization_OfflineSupport 0',
+    '    // def config c_CoreEncryption 0'
+].join('\n');
+
+const SHIPPED_CONFIG = new URL('../../configs/EncryptionWebAppConfig.vcf', import.meta.url);
+const VARIANT_MODEL = new URL('../../features/EncryptionWebAppVariants.vml', import.meta.url);
+
+/**
+ * The config values a variant model selects: c_<feature path> for each `extends ref feature` line,
+ * on when it is marked selected
+ */
+function variantSelections(vml) {
+    const selections = {};
+    const path = [];
+    for (const match of vml.matchAll(/^( *)extends ref feature (\w+) (?:mandatory|optional)( selected)?\s*$/gm)) {
+        path.length = match[1].length / 2 - 1;
+        path.push(match[2]);
+        selections[`c_${path.join('_')}`] = Boolean(match[3]);
+    }
+    return selections;
+}
+
+/**
+ * A keydown event with no modifiers other than those given
+ */
+function keydown(init) {
+    return new StubEvent('keydown', { ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...init });
+}
+
+export default {
+    async TEST_CONF_001_FEATURE_CONFIG() {
+        const { FeatureConfig, UIManager, EncryptionController, AppState, dom } = await loadApp();
+        const { values, source } = FeatureConfig;
+        const { fetch } = globalThis;
+        const { querySelector, addEventListener } = dom.document;
+        const { warn } = console;
+        const { process } = EncryptionController;
+        const { setupKeyboardShortcuts } = UIManager;
+        const warnings = [];
+        
+        try {
+            // Well-formed lines only: other values, missing values, names without c_ and trailing text are ignored
+            assert.deepEqual(FeatureConfig.parseVcf(VCF), {
+                c_Accessibility: true,
+                c_UserInterface_CopyToClipboard: false,
+                c_DataManagement_DataBackup: true
+            });
+            assert.deepEqual(FeatureConfig.parseVcf(''), {});
+            
+            // The shipped config is the one generated from its variant model, feature for feature
+            const selections = variantSelections(readFileSync(VARIANT_MODEL, 'utf8'));
+            assert.ok(Object.keys(selections).length > 0);
+            assert.deepEqual(FeatureConfig.parseVcf(readFileSync(SHIPPED_CONFIG, 'utf8')), selections);
+            assert.deepEqual(
+                FeatureConfig.parseJson('{"c_Accessibility": 1, "c_UserInterface": true, "c_DataManagement": 0, "c_Integration": false, "Monitoring": 1}'),
+                { c_Accessibility: true, c_UserInterface: true, c_DataManagement: false, c_Integration: false }
+            );
+            
+            // A child is off when any parent is, whatever its own value
+            FeatureConfig.values = { c_Accessibility: false, c_Accessibility_KeyboardNavigation: true };
+            assert.equal(FeatureConfig.isEnabled('c_Accessibility'), false);
+            assert.equal(FeatureConfig.isEnabled('c_Accessibility_KeyboardNavigation'), false);
+            assert.equal(FeatureConfig.isEnabled('c_Accessibility_ScreenReaderSupport'), false);
+            FeatureConfig.values = { c_CoreEncryption: false, c_CoreEncryption_CryptographicEngine_AESEncryption: true };
+            assert.equal(FeatureConfig.isEnabled('c_CoreEncryption_CryptographicEngine_AESEncryption'), false);
+            FeatureConfig.values = { c_CoreEncryption_CryptographicEngine: false };
+            assert.equal(FeatureConfig.isEnabled('c_CoreEncryption'), true);
+            assert.equal(FeatureConfig.isEnabled('c_CoreEncryption_CryptographicEngine_KeyManagement'), false);
+            
+            // Configs the file does not mention keep their default; those without one are on
+            FeatureConfig.values = { c_Accessibility_KeyboardNavigation: false };
+            assert.equal(FeatureConfig.isEnabled('c_Accessibility_ScreenReaderSupport'), true);
+            assert.equal(FeatureConfig.isEnabled('c_SecurityFeatures_SecureMemoryHandling'), false);
+            assert.equal(FeatureConfig.isEnabled('c_Integration_APIAccess'), true);
+            FeatureConfig.values = { c_SecurityFeatures_SecureMemoryHandling: true };
+            assert.equal(FeatureConfig.isEnabled('c_SecurityFeatures_SecureMemoryHandling'), true);
+            
+            // A config file that is missing, unreachable or unreadable leaves the defaults in place
+            console.warn = (...args) => warnings.push(args.join(' '));
+            let content = 'config/EncryptionWebAppConfig.vcf';
+            dom.document.querySelector = (selector) => (selector === 'meta[name="feature-config"]' ? { content } : null);
+            const failures = [
+                [async () => ({ ok: false, status: 404 }), 'HTTP 404'],
+                [async () => {
+                    throw new TypeError('Failed to fetch');
+                }, 'Failed to fetch']
+            ];
+            for (const [failingFetch, reason] of failures) {
+                FeatureConfig.values = {};
+                FeatureConfig.source = null;
+                globalThis.fetch = failingFetch;
+                await FeatureConfig.load();
+                assert.deepEqual(FeatureConfig.values, {}, reason);
+                assert.equal(FeatureConfig.source, null, reason);
+                assert.equal(warnings.pop(), `Feature config ${content} not loaded, using defaults: ${reason}`);
+                assert.equal(FeatureConfig.isEnabled('c_Accessibility_KeyboardNavigation'), true, reason);
+                assert.equal(FeatureConfig.isEnabled('c_SecurityFeatures_SecureMemoryHandling'), false, reason);
+            }
+            content = 'config/EncryptionWebAppConfig.json';
+            globalThis.fetch = async () => ({ ok: true, text: async () => '{"c_Accessibility": 0' });
+            await FeatureConfig.load();
+            assert.deepEqual(FeatureConfig.values, {});
+            assert.match(warnings.pop(), /^Feature config config\/EncryptionWebAppConfig\.json not loaded, using defaults: /);
+            
+            // No config named in the page: nothing is fetched
+            dom.document.querySelector = () => null;
+            globalThis.fetch = async () => assert.fail('fetched without a config');
+            await FeatureConfig.load();
+            assert.deepEqual(FeatureConfig.values, {});
+            
+            // Files that load are read by their extension
+            dom.document.querySelector = (selector) => (selector === 'meta[name="feature-config"]' ? { content } : null);
+            globalThis.fetch = async (url, options) => {
+                assert.equal(url, content);
+                assert.equal(options.cache, 'no-store');
+                return { ok: true, text: async () => (content.endsWith('.json') ? '{"c_Accessibility": 0}' : VCF) };
+            };
+            await FeatureConfig.load();
+            assert.deepEqual(FeatureConfig.values, { c_Accessibility: false });
+            assert.equal(FeatureConfig.source, content);
+            content = 'config/EncryptionWebAppConfig.vcf';
+            await FeatureConfig.load();
+            assert.deepEqual(FeatureConfig.values, FeatureConfig.parseVcf(VCF));
+            assert.equal(FeatureConfig.source, content);
+            assert.deepEqual(warnings, []);
+            
+            // Features that are off have their UI hidden; Ctrl+Enter alone works without keyboard navigation
+            FeatureConfig.values = FeatureConfig.parseVcf([
+                'def config c_UserInterface_CopyToClipboard 0',
+                'def config c_UserExperience 0',
+                'def config c_UserExperience_History 1',
+                'def config c_DataManagement_LocalStorage 0',
+                'def config c_DataManagement_DataBackup 0',
+                'def config c_Accessibility_KeyboardNavigation 0'
+            ].join('\n'));
+            const keyListeners = [];
+            dom.document.addEventListener = (type, listener) => keyListeners.push(listener);
+            UIManager.applyFeatureConfig();
+            dom.document.addEventListener = addEventListener;
+            
+            const { elements } = UIManager;
+            for (const name of ['copyBtn', 'clipboardClearSettings', 'sharingPanel', 'keySourceSharesOption', 'historyPanel', 'auditPanel', 'shortcutHelpBtn']) {
+                assert.ok(elements[name].classList.contains('hidden'), name);
+            }
+            UIManager.setMode('encrypt');
+            assert.ok(elements.batchPanel.classList.contains('hidden'));
+            
+            await resetApp();
+            let runs = 0;
+            EncryptionController.process = () => {
+                runs++;
+            };
+            elements.inputText.type('Hello');
+            assert.equal(keyListeners.length, 1);
+            const [onKeydown] = keyListeners;
+            const run = keydown({ key: 'Enter', ctrlKey: true, target: elements.inputText });
+            onKeydown(run);
+            assert.equal(runs, 1);
+            assert.ok(run.defaultPrevented);
+            const decryptMode = keydown({ key: 'D', code: 'KeyD', altKey: true, shiftKey: true, target: elements.inputText });
+            onKeydown(decryptMode);
+            assert.ok(!decryptMode.defaultPrevented);
+            assert.equal(AppState.mode, 'encrypt');
+            const help = keydown({ key: '?', target: elements.inputText });
+            onKeydown(help);
+            assert.ok(!help.defaultPrevented);
+            
+            // Turned back on, the UI is shown again
+            FeatureConfig.values = {};
+            UIManager.setupKeyboardShortcuts = () => {};
+            UIManager.applyFeatureConfig();
+            for (const name of ['copyBtn', 'clipboardClearSettings', 'sharingPanel', 'keySourceSharesOption', 'historyPanel', 'auditPanel', 'shortcutHelpBtn']) {
+                assert.ok(!elements[name].classList.contains('hidden'), name);
+            }
+        } finally {
+            FeatureConfig.values = values;
+            FeatureConfig.source = source;
+            globalThis.fetch = fetch;
+            Object.assign(dom.document, { querySelector, addEventListener });
+            console.warn = warn;
+            EncryptionController.process = process;
+            
+            // Back to the runner's variant, without wiring the shortcuts a second time
+            UIManager.setupKeyboardShortcuts = () => {};
+            UIManager.applyFeatureConfig();
+            UIManager.setupKeyboardShortcuts = setupKeyboardShortcuts;
+            UIManager.setMode('encrypt');
+            await resetApp();
+        }
+    }
+};
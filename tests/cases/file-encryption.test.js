@@ -0,0 +1,147 @@
+/**
+ * Chunked file encryption test
+ * Verifies Requirement: REQ_FUNC_002 (EncryptionRequirements.req line 48) for files
+ * Per CryptoDecision.md file encryption section: every chunk nonce carries its index and a final
+ * flag, so a file cut at a chunk boundary, reordered or duplicated chunks and a wrong key all
+ * fail authentication rather than yield a shorter or scrambled file
+ */
+
+import assert from 'node:assert/strict';
+import { CryptoError } from '../../web/js/crypto-error.js';
+import { CryptographicEngine } from '../../web/js/cryptographic-engine.js';
+import { EnvelopeFormat } from '../../web/js/envelope-format.js';
+import { OutputFormatter } from '../../web/js/output-formatter.js';
+import { StreamCipher } from '../../web/js/stream-cipher.js';
+import { CryptoJobs } from '../../web/js/crypto-jobs.js';
+
+// Small chunks so a few hundred bytes make several of them
+const CHUNK_SIZE = 64;
+const SEALED_CHUNK_SIZE = CHUNK_SIZE + CryptographicEngine.TAG_LENGTH;
+
+function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    for (let offset = 0; offset < length; offset += 65536) {
+        globalThis.crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+    }
+    return bytes;
+}
+
+/**
+ * Encrypt bytes with CHUNK_SIZE chunks; returns the encrypted bytes and the header length
+ */
+async function encryptChunked(plaintext, key) {
+    const noncePrefix = StreamCipher.generateNoncePrefix();
+    const header = EnvelopeFormat.encodeHeader({
+        algorithm: EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM,
+        kdf: EnvelopeFormat.KDFS.NONE,
+        chunkSize: CHUNK_SIZE,
+        iv: noncePrefix
+    });
+    const blob = await StreamCipher.encryptFile(new Blob([plaintext]), key, header, noncePrefix, CHUNK_SIZE);
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), headerLength: header.length };
+}
+
+/**
+ * Decrypt encrypted file bytes the way the file workflow does: header first, then the chunks
+ */
+async function decryptChunked(bytes, key) {
+    const envelope = EnvelopeFormat.decodeHeader(bytes);
+    const blob = await StreamCipher.decryptFile(new Blob([bytes]), key, envelope);
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * The header followed by the given sealed chunks of an encrypted file, in that order
+ */
+function withChunks({ bytes, headerLength }, indexes) {
+    const chunk = (index) => bytes.subarray(headerLength + index * SEALED_CHUNK_SIZE, headerLength + (index + 1) * SEALED_CHUNK_SIZE);
+    const parts = [bytes.subarray(0, headerLength), ...indexes.map(chunk)];
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+async function assertAuthFails(bytes, key, message) {
+    await assert.rejects(decryptChunked(bytes, key), (error) => {
+        assert.ok(error instanceof CryptoError, message);
+        assert.equal(error.code, 'AUTH_FAILED', message);
+        return true;
+    });
+}
+
+export default {
+    async TEST_FUNC_002_3_FILE_ENCRYPTION() {
+        const key = await CryptographicEngine.generateKey();
+        
+        // Nonce layout: prefix (7) || big-endian chunk index (4) || final flag (1)
+        const prefix = Uint8Array.of(1, 2, 3, 4, 5, 6, 7);
+        assert.deepEqual(StreamCipher.chunkNonce(prefix, 0x01020304, false), Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 1, 2, 3, 4, 0));
+        assert.deepEqual(StreamCipher.chunkNonce(prefix, 5, true), Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 0, 0, 0, 5, 1));
+        
+        // Round trips, including an empty file and sizes on and around chunk boundaries
+        for (const size of [0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 5 * CHUNK_SIZE]) {
+            const plaintext = randomBytes(size);
+            const encrypted = await encryptChunked(plaintext, key);
+            assert.equal(encrypted.bytes.length, encrypted.headerLength + Math.max(1, Math.ceil(size / CHUNK_SIZE)) * CryptographicEngine.TAG_LENGTH + size);
+            assert.deepEqual(await decryptChunked(encrypted.bytes, key), plaintext, `${size} bytes`);
+        }
+        
+        const plaintext = randomBytes(4 * CHUNK_SIZE + 10);
+        const encrypted = await encryptChunked(plaintext, key);
+        assert.deepEqual(await decryptChunked(encrypted.bytes, key), plaintext);
+        
+        // Cut off at each chunk boundary: the new last chunk was not sealed as final
+        for (let chunks = 1; chunks <= 4; chunks++) {
+            await assertAuthFails(encrypted.bytes.slice(0, encrypted.headerLength + chunks * SEALED_CHUNK_SIZE), key, `cut after ${chunks} chunks`);
+        }
+        await assertAuthFails(encrypted.bytes.slice(0, -1), key, 'cut inside the final chunk');
+        await assert.rejects(
+            decryptChunked(encrypted.bytes.slice(0, encrypted.headerLength), key),
+            { code: 'MALFORMED_INPUT', message: 'Encrypted file is truncated' }
+        );
+        
+        // Reordered, duplicated and dropped chunks
+        await assertAuthFails(withChunks(encrypted, [1, 0, 2, 3, 4]), key, 'first two chunks swapped');
+        await assertAuthFails(withChunks(encrypted, [0, 1, 3, 2, 4]), key, 'middle chunks swapped');
+        await assertAuthFails(withChunks(encrypted, [0, 0, 2, 3, 4]), key, 'first chunk duplicated');
+        await assertAuthFails(withChunks(encrypted, [0, 1, 2, 3, 3, 4]), key, 'chunk repeated');
+        await assertAuthFails(withChunks(encrypted, [0, 1, 3, 4]), key, 'middle chunk dropped');
+        
+        // A chunk from another file under the same key, an altered header and a wrong key
+        const other = await encryptChunked(plaintext, key);
+        const spliced = encrypted.bytes.slice();
+        spliced.set(other.bytes.subarray(other.headerLength, other.headerLength + SEALED_CHUNK_SIZE), encrypted.headerLength);
+        await assertAuthFails(spliced, key, 'chunk from another file');
+        const alteredHeader = encrypted.bytes.slice();
+        alteredHeader[encrypted.headerLength - 1] ^= 0x01;
+        await assertAuthFails(alteredHeader, key, 'nonce prefix altered');
+        await assertAuthFails(encrypted.bytes, await CryptographicEngine.generateKey(), 'wrong key');
+        
+        // The file jobs, with the real chunk size: a multi-chunk file round-trips under the displayed key
+        const large = randomBytes(2 * StreamCipher.CHUNK_SIZE + 1000);
+        const { blob, encodedKey } = await CryptoJobs.run('encryptFile', { file: new Blob([large]), keySpec: { source: 'random' } });
+        const fileBytes = new Uint8Array(await blob.arrayBuffer());
+        const envelope = EnvelopeFormat.decodeHeader(fileBytes);
+        assert.equal(envelope.algorithm, EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM);
+        assert.equal(envelope.chunkSize, StreamCipher.CHUNK_SIZE);
+        assert.equal(envelope.iv.length, StreamCipher.NONCE_PREFIX_LENGTH);
+        
+        const fileKey = await CryptographicEngine.importKey(OutputFormatter.decodeBase64(encodedKey));
+        const decrypted = await CryptoJobs.run('decryptFile', { file: blob, envelope: envelope, keySpec: { source: 'key', key: fileKey } });
+        assert.deepEqual(new Uint8Array(await decrypted.blob.arrayBuffer()), large);
+        
+        const cut = new Blob([fileBytes.subarray(0, envelope.headerLength + StreamCipher.CHUNK_SIZE + CryptographicEngine.TAG_LENGTH)]);
+        await assert.rejects(
+            CryptoJobs.run('decryptFile', { file: cut, envelope: envelope, keySpec: { source: 'key', key: fileKey } }),
+            { code: 'AUTH_FAILED' }
+        );
+        await assert.rejects(
+            CryptoJobs.run('decryptFile', { file: blob, envelope: envelope, keySpec: { source: 'key', key: key } }),
+            { code: 'AUTH_FAILED' }
+        );
+    }
+};
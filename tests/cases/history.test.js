@@ -0,0 +1,102 @@
+/**
+ * History test
+ * Verifies Features: History, LocalStorage (EncryptionWebApp.fml lines 206, 248)
+ * Outputs encrypted through the UI are saved to the encrypted history while it is unlocked,
+ * entries expire after the chosen number of days, and the panic wipe deletes everything
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp, encryptThroughUi } from '../harness/app.js';
+import { HistoryManager } from '../../web/js/history-manager.js';
+
+const PASSPHRASE = 'history passphrase 1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move an entry's creation time days into the past
+ * The creation time is stored in the clear, so expiry can work while history is locked
+ */
+async function backdate(LocalDatabase, id, days) {
+    const record = await LocalDatabase.get(HistoryManager.STORE, id);
+    const createdAt = new Date(Date.parse(record.createdAt) - days * DAY_MS).toISOString();
+    await LocalDatabase.put(HistoryManager.STORE, { ...record, createdAt: createdAt });
+}
+
+export default {
+    async TEST_FUNC_003_1_HISTORY() {
+        const { LocalDatabase, MemoryManager, AppState, UIManager, EncryptionController } = await loadApp();
+        await HistoryManager.wipe();
+        
+        try {
+            // Nothing is saved until history is turned on
+            await encryptThroughUi('before history');
+            assert.equal(await HistoryManager.isConfigured(), false);
+            assert.deepEqual(await LocalDatabase.getAll(HistoryManager.STORE), []);
+            
+            // The first unlock sets the passphrase; outputs are then saved with their label.
+            // Clearing the fields locks history, so the unlock comes after the reset
+            await resetApp();
+            await HistoryManager.unlock(PASSPHRASE);
+            UIManager.elements.historyLabel.value = 'Report\nfor Alice';
+            UIManager.elements.inputText.type('quarterly numbers');
+            await EncryptionController.process();
+            assert.equal(UIManager.elements.historyLabel.value, '');
+            const [saved] = await HistoryManager.list();
+            await backdate(LocalDatabase, saved.id, 1);
+            await HistoryManager.add({ label: 'Backup', algorithm: 'AES-256-GCM, saved key', size: 3, output: 'abc' });
+            
+            const entries = await HistoryManager.list();
+            assert.deepEqual(entries.map((entry) => entry.label), ['Backup', 'Report for Alice']);
+            assert.equal(entries[1].output, UIManager.elements.outputText.value);
+            assert.equal(entries[1].algorithm, 'AES-256-GCM, random key');
+            assert.equal(entries[1].size, 'quarterly numbers'.length);
+            
+            // Search matches label and algorithm, ignoring case
+            assert.deepEqual((await HistoryManager.list('alice')).map((entry) => entry.id), [saved.id]);
+            assert.equal((await HistoryManager.list('SAVED KEY')).length, 1);
+            assert.deepEqual(await HistoryManager.list('nothing like this'), []);
+            
+            // At rest only the id and creation time are readable
+            const stored = await LocalDatabase.get(HistoryManager.STORE, saved.id);
+            assert.deepEqual(Object.keys(stored).sort(), ['createdAt', 'data', 'id', 'iv']);
+            assert.ok(!new TextDecoder().decode(stored.data).includes('Alice'));
+            
+            // Locked history cannot be read, and a wrong passphrase does not unlock it
+            HistoryManager.lock();
+            await assert.rejects(HistoryManager.list(), { code: 'HISTORY_LOCKED' });
+            await assert.rejects(HistoryManager.unlock('wrong passphrase'), { code: 'INVALID_PASSPHRASE' });
+            assert.equal(HistoryManager.isUnlocked(), false);
+            
+            // Expiry: entries older than the period go, even while locked
+            await backdate(LocalDatabase, saved.id, 7);
+            assert.equal(await HistoryManager.purgeExpired(), 0);
+            assert.equal(await HistoryManager.purgeExpired(Date.now() + 23 * DAY_MS), 1);
+            assert.equal(await HistoryManager.getExpiryDays(), HistoryManager.DEFAULT_EXPIRY_DAYS);
+            
+            await HistoryManager.unlock(PASSPHRASE);
+            const recent = await HistoryManager.add({ label: 'Recent', algorithm: 'AES-256-GCM, random key', size: 1, output: 'x' });
+            await backdate(LocalDatabase, recent.id, 2);
+            await HistoryManager.setExpiryDays(7);
+            assert.deepEqual((await HistoryManager.list()).map((entry) => entry.label), ['Backup', 'Recent']);
+            await HistoryManager.setExpiryDays(1);
+            assert.deepEqual((await HistoryManager.list()).map((entry) => entry.label), ['Backup']);
+            await assert.rejects(HistoryManager.setExpiryDays(5), { code: 'INVALID_EXPIRY' });
+            
+            // Panic wipe: entries, passphrase settings and the session key are gone
+            AppState.currentKey = 'key';
+            await MemoryManager.clearSensitiveData({ panic: true });
+            assert.equal(AppState.currentKey, null);
+            assert.equal(HistoryManager.isUnlocked(), false);
+            assert.equal(await HistoryManager.isConfigured(), false);
+            assert.deepEqual(await LocalDatabase.getAll(HistoryManager.STORE), []);
+            
+            // A plain clear leaves history alone
+            await HistoryManager.unlock(PASSPHRASE);
+            await HistoryManager.add({ label: 'Kept', algorithm: 'AES-256-GCM, random key', size: 1, output: 'y' });
+            await MemoryManager.clearSensitiveData();
+            assert.deepEqual((await HistoryManager.list()).map((entry) => entry.label), ['Kept']);
+        } finally {
+            await HistoryManager.wipe();
+        }
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * Input validation tests
+ * Verifies Requirements: REQ_FUNC_001_1, REQ_FUNC_001_2 (EncryptionRequirements.req lines 23, 35)
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp, encryptThroughUi, decryptThroughUi } from '../harness/app.js';
+
+// Markup, SQL and script vectors are text to an encryption tool: validation must accept them
+// unchanged and the decrypted result must match byte for byte
+const INJECTION_VECTORS = [
+    '<script>alert("xss")</script>',
+    '<img src=x onerror=alert(1)>',
+    '"><svg/onload=alert(document.cookie)>',
+    "'; DROP TABLE users; --",
+    "1' OR '1'='1",
+    'javascript:alert(1)',
+    '{{constructor.constructor("alert(1)")()}}',
+    '&lt;b&gt; &amp; &#x27;'
+];
+
+// Text that trimming, newline conversion or normalization would change
+const EXACT_TEXTS = [
+    'emoji 😀👩‍💻 and flags 🇩🇪',
+    'line\r\nbreak\ttab',
+    '  leading and trailing spaces  ',
+    '\n\tindented\r\n',
+    'cafe\u0301 (NFD)'
+];
+
+/**
+ * Encrypt and decrypt text through the UI, returning what decryption shows
+ */
+async function roundTrip(text) {
+    const encrypted = await encryptThroughUi(text);
+    assert.equal(encrypted.error, null, text);
+    const decrypted = await decryptThroughUi(encrypted.output, encrypted.key);
+    assert.equal(decrypted.error, null, text);
+    return decrypted.output;
+}
+
+export default {
+    async TEST_FUNC_001_1_LENGTH_VALIDATION() {
+        const { InputValidator, UIManager } = await loadApp();
+        
+        assert.equal(InputValidator.validate('a'.repeat(10000)).isValid, true);
+        const tooLong = InputValidator.validate('a'.repeat(10001));
+        assert.equal(tooLong.isValid, false);
+        assert.deepEqual(tooLong.errors, ['Input too long: 10001/10000 characters']);
+        assert.deepEqual(InputValidator.validate('').errors, ['Input cannot be empty']);
+        
+        // The boundary as the user sees it: counter, status line and button state
+        await resetApp();
+        UIManager.elements.inputText.type('a'.repeat(10000));
+        assert.equal(UIManager.elements.charCount.textContent, '10000 / 10,000 characters');
+        assert.equal(UIManager.elements.validationStatus.textContent, '✓ Valid input');
+        assert.equal(UIManager.elements.encryptBtn.disabled, false);
+        
+        UIManager.elements.inputText.type('a'.repeat(10001));
+        assert.equal(UIManager.elements.validationStatus.textContent, '✗ Input too long: 10001/10000 characters');
+        assert.equal(UIManager.elements.encryptBtn.disabled, true);
+        
+        // Submitting anyway reports the error instead of encrypting
+        const result = await encryptThroughUi('a'.repeat(10001));
+        assert.equal(result.error, 'Input too long: 10001/10000 characters');
+        assert.equal(result.output, '');
+    },
+    
+    async TEST_FUNC_001_2_INPUT_SANITIZATION() {
+        const { InputValidator, UIManager } = await loadApp();
+        
+        // decrypt(encrypt(x)) === x, with normalization off as it is by default
+        UIManager.elements.normalizeInput.checked = false;
+        for (const text of [...INJECTION_VECTORS, ...EXACT_TEXTS]) {
+            const validation = InputValidator.validate(text);
+            assert.equal(validation.isValid, true, text);
+            assert.equal(validation.value, text);
+            assert.equal(await roundTrip(text), text);
+        }
+        
+        // Opting in to NFC is the only thing that changes the text
+        const decomposed = 'cafe\u0301';
+        UIManager.elements.normalizeInput.checked = true;
+        try {
+            assert.equal(await roundTrip(decomposed), 'caf\u00e9');
+            assert.equal(await roundTrip('  line\r\nbreak\ttab 😀  '), '  line\r\nbreak\ttab 😀  ');
+        } finally {
+            UIManager.elements.normalizeInput.checked = false;
+        }
+        
+        // Content that cannot survive the round trip is rejected, never silently altered
+        assert.deepEqual(InputValidator.validate('null\x00byte').errors, ['Input contains invalid control characters']);
+        assert.deepEqual(InputValidator.validate('lone \uD800 surrogate').errors, ['Input contains invalid Unicode characters']);
+    }
+};
@@ -0,0 +1,134 @@
+/**
+ * Saved key test
+ * Verifies Requirement: REQ_FUNC_002 (EncryptionRequirements.req line 48) with saved keys
+ * Verifies Feature: KeyManagement (EncryptionWebApp.fml line 38)
+ * Per CryptoDecision.md saved keys section: a key protected by a master passphrase is stored
+ * only wrapped with AES-KW under a PBKDF2 key, is locked again with the session, and unlocks
+ * only with the right master passphrase, since AES-KW detects a wrong wrapping key
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp } from '../harness/app.js';
+import { CryptoJobs } from '../../web/js/crypto-jobs.js';
+
+const PLAINTEXT = 'Quarterly figures, draft 3';
+const MASTER_PASSPHRASE = 'master passphrase for saved keys';
+
+// AES-KW adds an 8-byte integrity check value to the 32-byte key
+const WRAPPED_KEY_LENGTH = 40;
+
+/**
+ * Encrypt or decrypt text through the UI with a saved key
+ * Leaves the key's lock alone, where resetApp would lock every protected key
+ * Returns the displayed output and error
+ */
+async function processWithSavedKey(mode, text, keyId) {
+    const { UIManager, EncryptionController } = await loadApp();
+    UIManager.setMode(mode);
+    UIManager.setKeySource('stored');
+    UIManager.elements.keySelect.value = keyId;
+    UIManager.elements.inputText.type(text);
+    await EncryptionController.process();
+    const { outputText, errorMessage, errorText } = UIManager.elements;
+    return {
+        output: outputText.value,
+        error: errorMessage.classList.contains('hidden') ? null : errorText.textContent
+    };
+}
+
+export default {
+    async TEST_FUNC_002_5_KEY_MANAGEMENT() {
+        const { UIManager, KeyManager, LocalDatabase, OutputFormatter, CryptographicEngine } = await loadApp();
+        const created = [];
+        
+        try {
+            // A protected key is stored wrapped, with its salt and iteration count, never in the clear
+            const saved = await KeyManager.generateKey('Team key', MASTER_PASSPHRASE);
+            created.push(saved.id);
+            assert.equal(saved.kind, 'secret');
+            assert.equal(saved.algorithm, 'AES-256-GCM');
+            assert.equal(saved.wrapped, true);
+            assert.equal(saved.locked, false);
+            const record = await LocalDatabase.get(KeyManager.STORE, saved.id);
+            assert.equal(record.key, null);
+            assert.equal(record.wrappedKey.length, WRAPPED_KEY_LENGTH);
+            assert.equal(record.salt.length, CryptographicEngine.SALT_LENGTH);
+            assert.equal(record.iterations, CryptographicEngine.PBKDF2_ITERATIONS);
+            const rawKey = await KeyManager.exportKey(saved.id, 'raw');
+            assert.equal(OutputFormatter.decodeBase64(rawKey).length, 32);
+            
+            // Usable for the session it was made in
+            await UIManager.refreshKeyList(saved.id);
+            const encrypted = await processWithSavedKey('encrypt', PLAINTEXT, saved.id);
+            assert.equal(encrypted.error, null);
+            assert.equal(UIManager.elements.keyText.value, '');
+            
+            // Clearing locks it again: neither usable nor exportable until unlocked
+            UIManager.clearSensitiveFields();
+            await UIManager.refreshKeyList(saved.id);
+            assert.equal((await KeyManager.listKeys()).find((key) => key.id === saved.id).locked, true);
+            await assert.rejects(KeyManager.getKey(saved.id), { code: 'KEY_LOCKED' });
+            await assert.rejects(KeyManager.exportKey(saved.id, 'jwk'), { code: 'KEY_LOCKED' });
+            let decrypted = await processWithSavedKey('decrypt', encrypted.output, saved.id);
+            assert.equal(decrypted.output, '');
+            assert.equal(decrypted.error, 'The selected key is locked - enter the master passphrase to unlock it');
+            
+            // A wrong master passphrase is rejected and leaves the key locked
+            for (const wrong of ['master passphrase for saved key', 'Master passphrase for saved keys', '']) {
+                await assert.rejects(KeyManager.unlockKey(saved.id, wrong), { code: 'AUTH_FAILED', details: { reason: 'masterPassphrase' } }, wrong);
+                await assert.rejects(KeyManager.getKey(saved.id), { code: 'KEY_LOCKED' }, wrong);
+            }
+            UIManager.elements.keySelect.value = saved.id;
+            UIManager.elements.masterPassphraseUnlock.type('not the master passphrase');
+            await UIManager.unlockStoredKey();
+            assert.equal(UIManager.elements.errorText.textContent, 'Could not unlock key: wrong master passphrase');
+            assert.ok(!UIManager.elements.unlockSection.classList.contains('hidden'));
+            
+            // The right one unwraps the same key, which opens the earlier message
+            UIManager.elements.masterPassphraseUnlock.type(MASTER_PASSPHRASE);
+            await UIManager.unlockStoredKey();
+            assert.equal(UIManager.elements.successText.textContent, 'Key unlocked for this session');
+            assert.ok(UIManager.elements.unlockSection.classList.contains('hidden'));
+            assert.equal(await KeyManager.exportKey(saved.id, 'raw'), rawKey);
+            decrypted = await processWithSavedKey('decrypt', encrypted.output, saved.id);
+            assert.equal(decrypted.error, null);
+            assert.equal(decrypted.output, PLAINTEXT);
+            
+            // Exported as JWK or raw Base64 and imported again, with or without protection
+            const jwk = JSON.parse(await KeyManager.exportKey(saved.id, 'jwk'));
+            assert.equal(jwk.kty, 'oct');
+            assert.equal(jwk.alg, 'A256GCM');
+            const imports = [
+                await KeyManager.importKey('From JWK', JSON.stringify(jwk)),
+                await KeyManager.importKey('From raw key', rawKey, 'another master passphrase')
+            ];
+            created.push(...imports.map((key) => key.id));
+            assert.deepEqual(imports.map((key) => key.wrapped), [false, true]);
+            KeyManager.lockAll();
+            assert.equal(await KeyManager.exportKey(imports[0].id, 'raw'), rawKey);
+            await assert.rejects(KeyManager.unlockKey(imports[1].id, MASTER_PASSPHRASE), { code: 'AUTH_FAILED' });
+            await KeyManager.unlockKey(imports[1].id, 'another master passphrase');
+            const envelope = OutputFormatter.parseInput(encrypted.output);
+            for (const key of imports) {
+                const { plaintext } = await CryptoJobs.run('decryptText', { envelope, keySpec: { source: 'key', key: await KeyManager.getKey(key.id) } });
+                assert.equal(plaintext, PLAINTEXT, key.name);
+            }
+            
+            // Protection is for AES keys only, and names are checked
+            const keyPair = await KeyManager.generateKeyPair('Key pair', 'ECDH-P256');
+            created.push(keyPair.id);
+            await assert.rejects(
+                KeyManager.importKey('Protected key pair', await KeyManager.exportKey(keyPair.id, 'jwk'), MASTER_PASSPHRASE),
+                { code: 'UNSUPPORTED_PROTECTION' }
+            );
+            await assert.rejects(KeyManager.generateKey('   ', MASTER_PASSPHRASE), { code: 'INVALID_KEY_NAME' });
+            await assert.rejects(KeyManager.importKey('Short key', OutputFormatter.encodeBase64(new Uint8Array(16))), { code: 'INVALID_KEY' });
+        } finally {
+            for (const id of created) {
+                await KeyManager.deleteKey(id);
+            }
+            await UIManager.refreshKeyList();
+            await resetApp();
+        }
+    }
+};
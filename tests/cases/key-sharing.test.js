@@ -0,0 +1,88 @@
+/**
+ * Key sharing test
+ * Verifies Features: DataBackup, KeyManagement (EncryptionWebApp.fml lines 255, 38)
+ * Shamir k-of-n splitting over GF(256): any k shares rebuild the key, and bad, mismatched or
+ * altered shares are rejected rather than rebuilding a wrong key
+ */
+
+import assert from 'node:assert/strict';
+import { SecretSharing } from '../../web/js/secret-sharing.js';
+
+const SPLITS = [[2, 2], [2, 3], [3, 5], [5, 5], [4, 10], [16, 255]];
+
+function randomKey() {
+    return globalThis.crypto.getRandomValues(new Uint8Array(SecretSharing.KEY_LENGTH));
+}
+
+/**
+ * Replace one Base32 character in the middle of a share with another
+ */
+function mistype(share) {
+    const position = share.indexOf('-', SecretSharing.PREFIX.length + 10) - 1;
+    const replacement = share[position] === 'A' ? 'B' : 'A';
+    return share.slice(0, position) + replacement + share.slice(position + 1);
+}
+
+export default {
+    async TEST_SEC_002_KEY_SHARING() {
+        // Any k of n shares, taken from the start, the end or in shuffled order, rebuild the key
+        for (const [threshold, count] of SPLITS) {
+            const rawKey = randomKey();
+            const shares = await SecretSharing.splitKey(rawKey, count, threshold);
+            assert.equal(shares.length, count);
+            
+            const shuffled = [...shares].sort(() => Math.random() - 0.5);
+            for (const subset of [shares.slice(0, threshold), shares.slice(-threshold), shuffled.slice(0, threshold), shares]) {
+                const recovered = await SecretSharing.recoverKey(subset);
+                assert.deepEqual(recovered.rawKey, rawKey, `${threshold} of ${count}`);
+                assert.equal(recovered.threshold, threshold);
+                assert.equal(recovered.count, count);
+            }
+        }
+        
+        const rawKey = randomKey();
+        const shares = await SecretSharing.splitKey(rawKey, 5, 3);
+        
+        // Fewer than k shares, counting a repeated share once
+        await assert.rejects(SecretSharing.recoverKey(shares.slice(0, 2)), { code: 'NOT_ENOUGH_SHARES' });
+        await assert.rejects(SecretSharing.recoverKey([shares[0], shares[1], shares[1]]), { code: 'NOT_ENOUGH_SHARES' });
+        await assert.rejects(SecretSharing.recoverKey([]), { code: 'NOT_ENOUGH_SHARES' });
+        
+        // A mistyped character fails the checksum; case, spaces and dashes do not matter
+        await assert.rejects(SecretSharing.recoverKey([mistype(shares[0]), shares[1], shares[2]]), { code: 'INVALID_SHARE' });
+        const retyped = shares[0].toLowerCase().replace(/-/g, ' ');
+        assert.deepEqual((await SecretSharing.recoverKey([retyped, shares[1], shares[2]])).rawKey, rawKey);
+        
+        // Shares of two different splits, even of the same key
+        const otherShares = await SecretSharing.splitKey(rawKey, 5, 3);
+        await assert.rejects(SecretSharing.recoverKey([shares[0], shares[1], otherShares[2]]), { code: 'SHARE_MISMATCH' });
+        
+        // The key check is split with the key: no share field stays the same across splits of one key
+        const share = await SecretSharing.decodeShare(shares[2], 3);
+        assert.deepEqual(Object.keys(share).sort(), ['count', 'data', 'index', 'setId', 'threshold']);
+        assert.equal(share.data.length, SecretSharing.KEY_LENGTH + SecretSharing.KEY_CHECK_LENGTH);
+        const sameKey = await SecretSharing.decodeShare(otherShares[2], 3);
+        for (let offset = 0; offset < share.data.length; offset += SecretSharing.KEY_CHECK_LENGTH) {
+            const end = offset + SecretSharing.KEY_CHECK_LENGTH;
+            assert.notDeepEqual(share.data.subarray(offset, end), sameKey.data.subarray(offset, end), `share bytes ${offset} to ${end}`);
+        }
+        
+        // Altered data re-encoded with a valid checksum passes decoding but fails the key check
+        for (const position of [0, SecretSharing.KEY_LENGTH]) {
+            const alteredShare = { ...share, data: share.data.slice() };
+            alteredShare.data[position] ^= 1;
+            await assert.rejects(
+                SecretSharing.recoverKey([shares[0], shares[1], await SecretSharing.encodeShare(alteredShare)]),
+                { code: 'INVALID_SHARE', details: { reason: 'altered' } },
+                `share byte ${position}`
+            );
+        }
+        share.data[0] ^= 1;
+        const altered = await SecretSharing.encodeShare(share);
+        assert.equal((await SecretSharing.decodeShare(altered, 3)).index, 3);
+        await assert.rejects(SecretSharing.recoverKey([shares[0], shares[1], altered]), { code: 'INVALID_SHARE' });
+        
+        // Two different versions of the same share
+        await assert.rejects(SecretSharing.recoverKey([shares[0], shares[2], altered]), { code: 'SHARE_MISMATCH' });
+    }
+};
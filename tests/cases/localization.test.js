@@ -0,0 +1,67 @@
+/**
+ * Localization test
+ * Verifies Requirement: REQ_USAB_001 (EncryptionRequirements.req line 122) for every locale
+ * The catalogs have the same keys and placeholders; a message missing from the current catalog
+ * is shown in English rather than as its key or a less specific message
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, encryptThroughUi, decryptThroughUi } from '../harness/app.js';
+import { I18n } from '../../web/js/i18n.js';
+
+/**
+ * The {name} placeholders of a message, over all plural forms
+ */
+function placeholders(message) {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+    return [...new Set(text.match(/\{\w+\}/g))].sort();
+}
+
+export default {
+    async TEST_USAB_002_LOCALIZATION() {
+        const { UIManager, CryptoError } = await loadApp();
+        const { en, de } = I18n.CATALOGS;
+        const removed = {};
+        
+        try {
+            // Every catalog has English's keys, plural forms and placeholders
+            for (const [locale, catalog] of Object.entries(I18n.CATALOGS)) {
+                assert.deepEqual(Object.keys(catalog).sort(), Object.keys(en).sort(), locale);
+                for (const [key, message] of Object.entries(catalog)) {
+                    assert.equal(typeof message, typeof en[key], `${locale} ${key}`);
+                    assert.deepEqual(placeholders(message), placeholders(en[key]), `${locale} ${key}`);
+                }
+            }
+            
+            // German text, with its own plural rules and number formatting
+            I18n.locale = 'de';
+            UIManager.applyLocale();
+            assert.equal(I18n.t('clipboard.countdown', { seconds: 15 }), '⚠️ Zwischenablage wird in 15 s geleert');
+            assert.equal(I18n.t('input.count.decrypt', { count: 1 }), '1 Zeichen');
+            assert.equal(UIManager.elements.charCount.textContent, '0 / 10.000 Zeichen');
+            
+            // Keys missing from the German catalog fall back to English
+            for (const key of ['output.decrypted', 'clipboard.countdown', 'error.MALFORMED_INPUT.truncated']) {
+                removed[key] = de[key];
+                delete de[key];
+            }
+            assert.equal(I18n.t('clipboard.countdown', { seconds: 15 }), '⚠️ Clipboard clears in 15s');
+            const encrypted = await encryptThroughUi('Guten Morgen');
+            const decrypted = await decryptThroughUi(encrypted.output, encrypted.key);
+            assert.equal(decrypted.output, 'Guten Morgen');
+            assert.equal(UIManager.elements.successText.textContent, 'Text decrypted successfully!');
+            
+            // An error's reason is shown in English before the German message for its code alone
+            const truncated = new CryptoError('Encrypted message is truncated', 'MALFORMED_INPUT', { reason: 'truncated' });
+            assert.equal(I18n.errorMessage(truncated, 'Fehler'), 'Encrypted message is truncated');
+            assert.equal(I18n.errorMessage(new CryptoError('Bad input', 'MALFORMED_INPUT'), 'Fehler'), 'Die Eingabe ist ungültig');
+            
+            // A key in no catalog is shown as the key itself
+            assert.equal(I18n.t('no.such.message'), 'no.such.message');
+        } finally {
+            Object.assign(de, removed);
+            I18n.locale = I18n.DEFAULT_LOCALE;
+            UIManager.applyLocale();
+        }
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * Output encodings test
+ * Verifies Requirement: REQ_FUNC_003 (EncryptionRequirements.req line 86)
+ * Verifies Feature: ExportFormats (EncryptionWebApp.fml line 241)
+ * Output in every encoding, re-encoded output and the JSON export all decrypt without choosing
+ * the encoding, since decryption detects it
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, encryptThroughUi, decryptThroughUi } from '../harness/app.js';
+
+const PLAINTEXT = 'Meet at the usual place at 10:30 - bring the keys 🔑';
+const ENCODINGS = ['base64', 'base64url', 'hex', 'base32', 'armored'];
+
+/**
+ * Break compact output into lines, the way it may arrive after pasting through mail or chat
+ */
+function wrap(text, width) {
+    return text.match(new RegExp(`.{1,${width}}`, 'g')).join('\n');
+}
+
+/**
+ * Encoding that detection reports for output in encoding
+ * Base64url without - or _ is also Base64, tried first, and decodes to the same bytes
+ */
+function detectedAs(text, encoding) {
+    return encoding === 'base64url' && !/[-_]/.test(text) ? 'base64' : encoding;
+}
+
+export default {
+    async TEST_FUNC_003_2_OUTPUT_ENCODINGS() {
+        const { UIManager, OutputFormatter } = await loadApp();
+        const { outputFormat, outputText } = UIManager.elements;
+        
+        try {
+            // Encrypt straight into each encoding
+            for (const encoding of ENCODINGS) {
+                outputFormat.value = encoding;
+                const encrypted = await encryptThroughUi(PLAINTEXT);
+                assert.equal(encrypted.error, null, encoding);
+                assert.equal(OutputFormatter.detectEncoding(encrypted.output), detectedAs(encrypted.output, encoding));
+                
+                const decrypted = await decryptThroughUi(encrypted.output, encrypted.key);
+                assert.equal(decrypted.error, null, encoding);
+                assert.equal(decrypted.output, PLAINTEXT);
+                
+                if (encoding !== 'armored') {
+                    const wrapped = await decryptThroughUi(`  ${wrap(encrypted.output, 64)}\n`, encrypted.key);
+                    assert.equal(wrapped.output, PLAINTEXT, `${encoding}, wrapped`);
+                }
+            }
+            
+            // Switching the encoding after encrypting re-encodes the same envelope under the same key
+            outputFormat.value = 'base64';
+            const encrypted = await encryptThroughUi(PLAINTEXT);
+            const envelope = OutputFormatter.parseInput(encrypted.output);
+            for (const encoding of [...ENCODINGS].reverse()) {
+                outputFormat.value = encoding;
+                UIManager.reformatOutput();
+                assert.equal(OutputFormatter.detectEncoding(outputText.value), detectedAs(outputText.value, encoding));
+                assert.deepEqual(OutputFormatter.parseInput(outputText.value), envelope);
+            }
+            assert.equal(outputText.value, encrypted.output);
+            
+            // The JSON export, with one field per envelope part, decrypts too
+            const exported = OutputFormatter.toJsonExport(envelope);
+            assert.equal(exported.format, OutputFormatter.JSON_FORMAT);
+            assert.equal(exported.algorithm, 'AES-256-GCM');
+            const json = JSON.stringify(exported, null, 2);
+            assert.equal(OutputFormatter.detectEncoding(json), 'json');
+            assert.equal((await decryptThroughUi(json, encrypted.key)).output, PLAINTEXT);
+            
+            // Text in no known encoding is reported as such
+            assert.equal(OutputFormatter.detectEncoding('not an encrypted message!'), null);
+            const garbage = await decryptThroughUi('not an encrypted message!', encrypted.key);
+            assert.equal(garbage.error, 'Input is not valid Base64, Base64url, hex or Base32');
+            
+            // Encoding large envelopes does not overflow the call stack
+            const bytes = new Uint8Array(1 << 20);
+            for (let offset = 0; offset < bytes.length; offset += 65536) {
+                globalThis.crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+            }
+            for (const encoding of OutputFormatter.COMPACT_ENCODINGS) {
+                assert.deepEqual(OutputFormatter.decodeBytes(OutputFormatter.encodeBytes(bytes, encoding), encoding), bytes, encoding);
+            }
+        } finally {
+            outputFormat.value = 'base64';
+        }
+    }
+};
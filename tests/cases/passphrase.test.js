@@ -0,0 +1,126 @@
+/**
+ * Passphrase encryption test
+ * Verifies Requirement: REQ_FUNC_002 (EncryptionRequirements.req line 48) with a passphrase key
+ * Per CryptoDecision.md passphrase mode section: the key is derived with PBKDF2-SHA-256 from the
+ * passphrase and a fresh random salt stored in the header, the same passphrase decrypts, and a
+ * wrong one derives a wrong key that fails authentication
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp } from '../harness/app.js';
+import { CryptoJobs } from '../../web/js/crypto-jobs.js';
+
+const PLAINTEXT = 'Meet at the north entrance at 10:00';
+const PASSPHRASE = 'correct horse battery staple';
+
+/**
+ * Encrypt text through the UI with a passphrase and its confirmation
+ * Returns the displayed output, key and error
+ */
+async function encryptWithPassphrase(text, passphrase, confirmation = passphrase) {
+    const { UIManager, EncryptionController } = await loadApp();
+    await resetApp();
+    UIManager.setKeySource('passphrase');
+    UIManager.elements.passphraseInput.type(passphrase);
+    UIManager.elements.passphraseConfirm.type(confirmation);
+    UIManager.elements.inputText.type(text);
+    await EncryptionController.process();
+    return displayed(UIManager);
+}
+
+/**
+ * Decrypt output from encryptWithPassphrase through the UI
+ */
+async function decryptWithPassphrase(output, passphrase) {
+    const { UIManager, EncryptionController } = await loadApp();
+    UIManager.setMode('decrypt');
+    UIManager.setKeySource('passphrase');
+    UIManager.elements.passphraseInput.type(passphrase);
+    UIManager.elements.inputText.type(output);
+    await EncryptionController.process();
+    return displayed(UIManager);
+}
+
+function displayed(UIManager) {
+    const { outputText, keyText, errorMessage, errorText } = UIManager.elements;
+    return {
+        output: outputText.value,
+        key: keyText.value,
+        error: errorMessage.classList.contains('hidden') ? null : errorText.textContent
+    };
+}
+
+export default {
+    async TEST_FUNC_002_4_PASSPHRASE() {
+        const { UIManager, EncryptionController, OutputFormatter, EnvelopeFormat, CryptographicEngine } = await loadApp();
+        
+        try {
+            // The salt and iteration count travel in the header; there is no key to show
+            const encrypted = await encryptWithPassphrase(PLAINTEXT, PASSPHRASE);
+            assert.equal(encrypted.error, null);
+            assert.equal(encrypted.key, '');
+            const envelope = OutputFormatter.parseInput(encrypted.output);
+            assert.equal(envelope.kdf, EnvelopeFormat.KDFS.PBKDF2_SHA256);
+            assert.equal(envelope.salt.length, CryptographicEngine.SALT_LENGTH);
+            assert.equal(envelope.iterations, CryptographicEngine.PBKDF2_ITERATIONS);
+            
+            // The same passphrase twice: a fresh salt, so a different key and output
+            const again = await encryptWithPassphrase(PLAINTEXT, PASSPHRASE);
+            const againEnvelope = OutputFormatter.parseInput(again.output);
+            assert.notDeepEqual(againEnvelope.salt, envelope.salt);
+            assert.notEqual(again.output, encrypted.output);
+            
+            // Round trip through the UI, and through the jobs with the salt from the header
+            let decrypted = await decryptWithPassphrase(encrypted.output, PASSPHRASE);
+            assert.equal(decrypted.error, null);
+            assert.equal(decrypted.output, PLAINTEXT);
+            decrypted = await decryptWithPassphrase(again.output, PASSPHRASE);
+            assert.equal(decrypted.output, PLAINTEXT);
+            const { plaintext } = await CryptoJobs.run('decryptText', { envelope, keySpec: { source: 'passphrase', passphrase: PASSPHRASE } });
+            assert.equal(plaintext, PLAINTEXT);
+            
+            // A wrong passphrase, even one character off, fails authentication
+            for (const wrong of ['correct horse battery stapler', 'Correct horse battery staple', 'another passphrase']) {
+                await assert.rejects(
+                    CryptoJobs.run('decryptText', { envelope, keySpec: { source: 'passphrase', passphrase: wrong } }),
+                    { code: 'AUTH_FAILED' },
+                    wrong
+                );
+                decrypted = await decryptWithPassphrase(encrypted.output, wrong);
+                assert.equal(decrypted.output, '', wrong);
+                assert.equal(decrypted.error, 'Decryption failed: the data has been tampered with or the key is wrong', wrong);
+            }
+            
+            // Passphrases that are too short, unconfirmed or empty are refused before any derivation
+            let refused = await encryptWithPassphrase(PLAINTEXT, 'short');
+            assert.equal(refused.error, 'Passphrase must be at least 8 characters');
+            assert.equal(refused.output, '');
+            refused = await encryptWithPassphrase(PLAINTEXT, PASSPHRASE, `${PASSPHRASE} `);
+            assert.equal(refused.error, 'Passphrases do not match');
+            assert.equal(refused.output, '');
+            refused = await decryptWithPassphrase(encrypted.output, '');
+            assert.equal(refused.error, 'Passphrase cannot be empty');
+            
+            // A passphrase message needs the passphrase key source
+            UIManager.setMode('decrypt');
+            UIManager.setKeySource('random');
+            UIManager.elements.inputText.type(encrypted.output);
+            await EncryptionController.process();
+            assert.equal(displayed(UIManager).error, 'This message was encrypted with a passphrase - select Passphrase, or Key shares with its split key, as the key source');
+            
+            // The strength meter, shown only when encrypting
+            await resetApp();
+            UIManager.setKeySource('passphrase');
+            const { passphraseInput, strengthLabel, strengthMeter } = UIManager.elements;
+            assert.ok(!strengthMeter.classList.contains('hidden'));
+            for (const [passphrase, label] of [['abc', 'Too short'], ['aaaaaaaa', 'Weak'], ['abcdefghij', 'Fair'], ['abcdefghijklmnop', 'Good'], [PASSPHRASE, 'Strong']]) {
+                passphraseInput.type(passphrase);
+                assert.equal(strengthLabel.textContent, label, passphrase);
+            }
+            UIManager.setMode('decrypt');
+            assert.ok(strengthMeter.classList.contains('hidden'));
+        } finally {
+            await resetApp();
+        }
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * Public-key encryption test
+ * Verifies Requirement: REQ_FUNC_002 (EncryptionRequirements.req line 48) for recipients
+ * Verifies Feature: MultipleAlgorithms (EncryptionWebApp.fml line 178)
+ * Per CryptoDecision.md public-key mode section: the content key is wrapped once per recipient,
+ * through an ephemeral ECDH agreement or with RSA-OAEP, each recipient's private key recovers
+ * it, and a key pair the message was not encrypted to recovers nothing
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp } from '../harness/app.js';
+import { CryptoJobs } from '../../web/js/crypto-jobs.js';
+
+const PLAINTEXT = 'For Alice and Bob only';
+
+// Uncompressed P-256 point, and an RSA-OAEP block as long as the 2048-bit modulus
+const ECDH_PUBLIC_KEY_LENGTH = 65;
+const RSA_WRAPPED_KEY_LENGTH = 256;
+
+/**
+ * Encrypt text through the UI to the selected saved recipients
+ * Returns the displayed output and error
+ */
+async function encryptToRecipients(text, recipientIds) {
+    const { UIManager, EncryptionController } = await loadApp();
+    await resetApp();
+    UIManager.setKeySource('recipients');
+    for (const option of UIManager.elements.recipientSelect.children) {
+        option.selected = recipientIds.includes(option.value);
+    }
+    UIManager.elements.inputText.type(text);
+    await EncryptionController.process();
+    return displayed(UIManager);
+}
+
+/**
+ * Decrypt output through the UI with the saved key pairs
+ */
+async function decryptWithKeyPairs(output) {
+    const { UIManager, EncryptionController } = await loadApp();
+    UIManager.setMode('decrypt');
+    UIManager.setKeySource('recipients');
+    UIManager.elements.inputText.type(output);
+    await EncryptionController.process();
+    return displayed(UIManager);
+}
+
+function displayed(UIManager) {
+    const { outputText, keyText, errorMessage, errorText } = UIManager.elements;
+    return {
+        output: outputText.value,
+        key: keyText.value,
+        error: errorMessage.classList.contains('hidden') ? null : errorText.textContent
+    };
+}
+
+export default {
+    async TEST_FUNC_002_6_RECIPIENTS() {
+        const { UIManager, KeyManager, LocalDatabase, OutputFormatter, EnvelopeFormat, CryptographicEngine } = await loadApp();
+        const created = [];
+        const createKeyPair = async (name, algorithm) => {
+            const keyPair = await KeyManager.generateKeyPair(name, algorithm);
+            created.push(keyPair.id);
+            return keyPair;
+        };
+        const decryptWith = async (envelope, key) => (await CryptoJobs.run('decryptText', { envelope, keySpec: { source: 'key', key } })).plaintext;
+        
+        try {
+            const alice = await createKeyPair('Alice', 'ECDH-P256');
+            const bob = await createKeyPair('Bob', 'RSA-OAEP-2048');
+            await UIManager.refreshKeyList();
+            
+            // One block per recipient, addressed by the leading bytes of its key's fingerprint
+            const encrypted = await encryptToRecipients(PLAINTEXT, [alice.id, bob.id]);
+            assert.equal(encrypted.error, null);
+            assert.equal(encrypted.key, '');
+            const envelope = OutputFormatter.parseInput(encrypted.output);
+            assert.equal(envelope.kdf, EnvelopeFormat.KDFS.RECIPIENTS);
+            const [aliceBlock, bobBlock] = envelope.recipients;
+            assert.equal(envelope.recipients.length, 2);
+            assert.equal(aliceBlock.type, EnvelopeFormat.RECIPIENT_TYPES.ECDH_P256);
+            assert.equal(aliceBlock.ephemeralPublicKey.length, ECDH_PUBLIC_KEY_LENGTH);
+            assert.equal(bobBlock.type, EnvelopeFormat.RECIPIENT_TYPES.RSA_OAEP_2048);
+            assert.equal(bobBlock.wrappedKey.length, RSA_WRAPPED_KEY_LENGTH);
+            for (const [block, keyPair] of [[aliceBlock, alice], [bobBlock, bob]]) {
+                const { fingerprint } = await LocalDatabase.get(KeyManager.STORE, keyPair.id);
+                assert.deepEqual(block.keyId, fingerprint.slice(0, CryptographicEngine.RECIPIENT_KEY_ID_LENGTH), keyPair.name);
+            }
+            
+            // A fresh ephemeral key and content key for every message
+            const again = OutputFormatter.parseInput((await encryptToRecipients(PLAINTEXT, [alice.id, bob.id])).output);
+            assert.notDeepEqual(again.recipients[0].ephemeralPublicKey, aliceBlock.ephemeralPublicKey);
+            assert.notDeepEqual(again.recipients[1].wrappedKey, bobBlock.wrappedKey);
+            
+            // Each recipient's private key recovers the content key on its own
+            const aliceJwk = await KeyManager.exportKey(alice.id, 'jwk');
+            const bobJwk = await KeyManager.exportKey(bob.id, 'jwk');
+            for (const jwk of [aliceJwk, bobJwk]) {
+                const contentKey = await KeyManager.unwrapWithPrivateKey(envelope.recipients, jwk);
+                assert.equal(await decryptWith(envelope, contentKey), PLAINTEXT);
+            }
+            let decrypted = await decryptWithKeyPairs(encrypted.output);
+            assert.equal(decrypted.error, null);
+            assert.equal(decrypted.output, PLAINTEXT);
+            
+            // Each algorithm alone, to a public key imported without its private key
+            for (const [keyPair, jwk] of [[alice, aliceJwk], [bob, bobJwk]]) {
+                const publicKey = await KeyManager.importKey(`${keyPair.name} (public)`, await KeyManager.exportKey(keyPair.id, 'spki'));
+                created.push(publicKey.id);
+                assert.equal(publicKey.kind, 'public');
+                assert.equal(publicKey.algorithm, keyPair.algorithm);
+                assert.equal(publicKey.fingerprint, keyPair.fingerprint);
+                const { output } = await CryptoJobs.run('encryptText', {
+                    plaintext: PLAINTEXT,
+                    keySpec: { source: 'recipients', recipients: await KeyManager.getRecipients([publicKey.id]) },
+                    encoding: 'base64'
+                });
+                const single = OutputFormatter.parseInput(output);
+                assert.equal(single.recipients.length, 1);
+                assert.equal(await decryptWith(single, await KeyManager.unwrapWithPrivateKey(single.recipients, jwk)), PLAINTEXT, keyPair.name);
+            }
+            
+            // A key pair the message was not encrypted to recovers nothing
+            const carol = await createKeyPair('Carol', 'ECDH-P256');
+            const dave = await createKeyPair('Dave', 'RSA-OAEP-2048');
+            for (const outsider of [carol, dave]) {
+                await assert.rejects(
+                    KeyManager.unwrapWithPrivateKey(envelope.recipients, await KeyManager.exportKey(outsider.id, 'jwk')),
+                    { code: 'NO_MATCHING_KEY' },
+                    outsider.name
+                );
+                const { privateKey } = await LocalDatabase.get(KeyManager.STORE, outsider.id);
+                const block = outsider === carol ? aliceBlock : bobBlock;
+                await assert.rejects(CryptographicEngine.unwrapForRecipient(block, privateKey), { code: 'AUTH_FAILED' }, outsider.name);
+            }
+            await KeyManager.deleteKey(alice.id);
+            await KeyManager.deleteKey(bob.id);
+            await UIManager.refreshKeyList();
+            decrypted = await decryptWithKeyPairs(encrypted.output);
+            assert.equal(decrypted.output, '');
+            assert.equal(decrypted.error, 'None of your saved key pairs is a recipient of this message');
+            
+            // An altered wrapped key recovers nothing either
+            for (const block of [aliceBlock, bobBlock]) {
+                const altered = { ...block, wrappedKey: block.wrappedKey.slice() };
+                altered.wrappedKey[0] ^= 0x01;
+                const jwk = block === aliceBlock ? aliceJwk : bobJwk;
+                await assert.rejects(KeyManager.unwrapWithPrivateKey([altered], jwk), { code: 'AUTH_FAILED' });
+            }
+            
+            // RSA keys of any other size are refused rather than labelled RSA-OAEP-2048
+            for (const modulusLength of [1024, 3072]) {
+                const { privateKey, publicKey } = await globalThis.crypto.subtle.generateKey(
+                    { name: 'RSA-OAEP', modulusLength, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+                    true,
+                    ['wrapKey', 'unwrapKey']
+                );
+                for (const key of [privateKey, publicKey]) {
+                    const jwk = JSON.stringify(await globalThis.crypto.subtle.exportKey('jwk', key));
+                    await assert.rejects(KeyManager.importKey(`RSA ${modulusLength}`, jwk), { code: 'INVALID_KEY', details: { reason: 'rsaSize' } }, `${modulusLength} ${key.type}`);
+                }
+                const spki = OutputFormatter.encodeBase64(new Uint8Array(await globalThis.crypto.subtle.exportKey('spki', publicKey)));
+                await assert.rejects(KeyManager.importKey(`RSA ${modulusLength}`, spki), { code: 'INVALID_KEY', details: { reason: 'unknown' } }, `${modulusLength} spki`);
+            }
+            await assert.rejects(KeyManager.importKey('RSA without modulus', JSON.stringify({ kty: 'RSA', e: 'AQAB' })), { code: 'INVALID_KEY', details: { reason: 'rsaSize' } });
+            assert.equal((await KeyManager.listKeys()).filter((key) => key.name.startsWith('RSA ')).length, 0);
+            
+            // Recipients are chosen from encryption key pairs and public keys
+            await assert.rejects(KeyManager.getRecipients([]), { code: 'NO_RECIPIENTS' });
+            const signer = await createKeyPair('Signer', 'ECDSA-P256');
+            await assert.rejects(KeyManager.getRecipients([carol.id, signer.id]), { code: 'INVALID_KEY' });
+        } finally {
+            for (const id of created) {
+                await KeyManager.deleteKey(id);
+            }
+            await UIManager.refreshKeyList();
+            await resetApp();
+        }
+    }
+};
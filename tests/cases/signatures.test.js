@@ -0,0 +1,139 @@
+/**
+ * Signature test
+ * Verifies Requirement: REQ_FUNC_002 (EncryptionRequirements.req line 48) for signed messages
+ * Verifies Features: MultipleAlgorithms, KeyManagement (EncryptionWebApp.fml lines 178, 38)
+ * Per ThreatModel.md T-SPOOF-03: a signature checks out only under the signer's public key and
+ * only over the data it was made for; decryption names a signer found among the saved keys and
+ * reports any other signer as unknown
+ */
+
+import assert from 'node:assert/strict';
+import { loadApp, resetApp, decryptThroughUi } from '../harness/app.js';
+import { SignatureEngine } from '../../web/js/signature-engine.js';
+import { CryptoJobs } from '../../web/js/crypto-jobs.js';
+
+const PLAINTEXT = 'Transfer approved - reference 4471';
+const ALGORITHMS = ['ECDSA-P256', 'Ed25519'];
+const CONTENTS = ['envelope', 'plaintext'];
+
+/**
+ * Encrypt text through the UI, signed with a saved signing key pair
+ * Returns the displayed output and key
+ */
+async function encryptSignedThroughUi(text, signingKeyId, content) {
+    const { UIManager, EncryptionController } = await loadApp();
+    await resetApp();
+    UIManager.elements.signOutput.checked = true;
+    UIManager.elements.signingKeySelect.value = signingKeyId;
+    UIManager.elements.signedContent.value = content;
+    UIManager.elements.inputText.type(text);
+    await EncryptionController.process();
+    return { output: UIManager.elements.outputText.value, key: UIManager.elements.keyText.value };
+}
+
+/**
+ * Flip the bits of an envelope's last byte, which belongs to a whole-message signature
+ */
+function alterSignature(output, OutputFormatter) {
+    const bytes = OutputFormatter.decodeBytes(output, 'base64');
+    bytes[bytes.length - 1] ^= 0xff;
+    return OutputFormatter.encodeBytes(bytes, 'base64');
+}
+
+export default {
+    async TEST_SEC_004_SIGNATURES() {
+        const { UIManager, KeyManager, OutputFormatter } = await loadApp();
+        const data = new TextEncoder().encode(PLAINTEXT);
+        const created = [];
+        
+        try {
+            assert.deepEqual(await SignatureEngine.supportedAlgorithms(), ALGORITHMS);
+            
+            // Signatures check out under the signer's public key, over the signed data only
+            for (const algorithm of ALGORITHMS) {
+                const signer = await SignatureEngine.generateKeyPair(algorithm);
+                const other = await SignatureEngine.generateKeyPair(algorithm);
+                const signature = await SignatureEngine.sign(signer.privateKey, algorithm, data);
+                assert.equal(signature.length, 64, algorithm);
+                assert.equal(await SignatureEngine.verify(signer.publicKey, algorithm, signature, data), true, algorithm);
+                
+                const altered = signature.slice();
+                altered[10] ^= 0x01;
+                assert.equal(await SignatureEngine.verify(signer.publicKey, algorithm, altered, data), false, algorithm);
+                assert.equal(await SignatureEngine.verify(signer.publicKey, algorithm, signature, data.subarray(1)), false, algorithm);
+                assert.equal(await SignatureEngine.verify(other.publicKey, algorithm, signature, data), false, algorithm);
+                assert.equal(await SignatureEngine.verify(signer.publicKey, algorithm, signature.subarray(0, 63), data), false, algorithm);
+            }
+            await assert.rejects(SignatureEngine.generateKeyPair('DSA'), { code: 'UNSUPPORTED_ALGORITHM' });
+            
+            for (const algorithm of ALGORITHMS) {
+                for (const content of CONTENTS) {
+                    const label = `${algorithm}, ${content}`;
+                    const alice = await KeyManager.generateKeyPair('Alice', algorithm);
+                    const mallory = await KeyManager.generateKeyPair('Mallory', algorithm);
+                    created.push(alice.id, mallory.id);
+                    await UIManager.refreshKeyList();
+                    
+                    // Signed with an own key: decrypts with the own-key badge
+                    const signed = await encryptSignedThroughUi(PLAINTEXT, alice.id, content);
+                    let decrypted = await decryptThroughUi(signed.output, signed.key);
+                    assert.equal(decrypted.error, null, label);
+                    assert.equal(decrypted.output, PLAINTEXT, label);
+                    assert.equal(UIManager.elements.signatureBadge.textContent, '✓ Signed by your key "Alice"', label);
+                    
+                    // A key pair that claims to be Alice's is caught by her public key
+                    const forged = await CryptoJobs.run('encryptText', {
+                        plaintext: PLAINTEXT,
+                        keySpec: { source: 'random' },
+                        encoding: 'base64',
+                        signing: {
+                            ...await KeyManager.getSigningKey(mallory.id),
+                            fingerprint: (await KeyManager.getSigningKey(alice.id)).fingerprint,
+                            content: OutputFormatter.lookupName(OutputFormatter.SIGNED_CONTENT_NAMES, content, 'signed content', 'MALFORMED_INPUT')
+                        }
+                    });
+                    decrypted = await decryptThroughUi(forged.output, forged.encodedKey);
+                    assert.equal(decrypted.error, 'Signature check failed: the message was not signed by this signer or has been altered', label);
+                    assert.ok(UIManager.elements.signatureBadge.classList.contains('hidden'), label);
+                    
+                    if (content === 'envelope') {
+                        decrypted = await decryptThroughUi(alterSignature(signed.output, OutputFormatter), signed.key);
+                        assert.equal(decrypted.error, 'Signature check failed: the message was not signed by this signer or has been altered', label);
+                    }
+                    
+                    // Once Alice's key pair is gone her signature cannot be checked, and says so
+                    const publicKey = await KeyManager.exportKey(alice.id, 'spki');
+                    await KeyManager.deleteKey(alice.id);
+                    decrypted = await decryptThroughUi(signed.output, signed.key);
+                    assert.equal(decrypted.output, PLAINTEXT, label);
+                    assert.equal(
+                        UIManager.elements.signatureBadge.textContent,
+                        `⚠️ Signed by an unknown key ${alice.fingerprint} - add the sender as a contact to check the signature`,
+                        label
+                    );
+                    
+                    // With her public key as a contact the signer is named and checked again
+                    const contact = await KeyManager.importContact('Alice (contact)', publicKey);
+                    created.push(contact.id);
+                    assert.equal(contact.fingerprint, alice.fingerprint, label);
+                    decrypted = await decryptThroughUi(signed.output, signed.key);
+                    assert.equal(decrypted.output, PLAINTEXT, label);
+                    assert.equal(UIManager.elements.signatureBadge.textContent, '✓ Signed by contact "Alice (contact)"', label);
+                    decrypted = await decryptThroughUi(forged.output, forged.encodedKey);
+                    assert.equal(decrypted.error, 'Signature check failed: the message was not signed by this signer or has been altered', label);
+                }
+            }
+            
+            // An encryption key pair cannot sign
+            const encryptionKeyPair = await KeyManager.generateKeyPair('Encryption only', 'ECDH-P256');
+            created.push(encryptionKeyPair.id);
+            await assert.rejects(KeyManager.getSigningKey(encryptionKeyPair.id), { code: 'INVALID_KEY' });
+        } finally {
+            for (const id of created) {
+                await KeyManager.deleteKey(id);
+            }
+            await UIManager.refreshKeyList();
+            await resetApp();
+        }
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * Traceability check test
+ * Runs tools/check-traceability.js on a copy of the model, code and tests: the repository's own
+ * references check out, and a stale line number or a dangling reference fails the command
+ */
+
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+const COPIED_DIRS = ['tools', 'functions', 'requirements', 'features', 'configs', 'web', 'tests'];
+
+/**
+ * Run the checker in dir, returning its exit status, console output and JSON report
+ */
+function check(dir) {
+    const result = spawnSync(process.execPath, ['tools/check-traceability.js', '--json', 'reports/traceability.json'], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    const report = result.status === null ? null : JSON.parse(readFileSync(join(dir, 'reports/traceability.json'), 'utf8'));
+    return { status: result.status, output: result.stdout + result.stderr, report: report };
+}
+
+/**
+ * Replace text in a file of the copy
+ */
+function edit(dir, file, from, to) {
+    const path = join(dir, file);
+    const source = readFileSync(path, 'utf8');
+    assert.ok(source.includes(from), `${file} contains ${from}`);
+    writeFileSync(path, source.replace(from, to));
+}
+
+export default {
+    TEST_TOOL_001_TRACEABILITY_CHECK() {
+        const dir = mkdtempSync(join(tmpdir(), 'encryptdemo-trace-'));
+        try {
+            for (const name of COPIED_DIRS) {
+                cpSync(join(ROOT, name), join(dir, name), { recursive: true });
+            }
+            
+            // The repository as it is: warnings are allowed, errors are not
+            let result = check(dir);
+            assert.equal(result.status, 0, result.output);
+            assert.equal(result.report.summary.errors, 0);
+            assert.match(result.output, / 0 errors, \d+ warnings$/m);
+            
+            // A line number that no longer points at the cited element's def line
+            edit(dir, 'web/js/output-formatter.js',
+                'FormatEncryptedOutput (EncryptionFunctions.fun line 37)',
+                'FormatEncryptedOutput (EncryptionFunctions.fun line 36)');
+            result = check(dir);
+            assert.equal(result.status, 1, result.output);
+            assert.match(result.output, /^ERROR web\/js\/output-formatter\.js:7 \[stale-line\]/m);
+            assert.equal(result.report.summary.errors, 1);
+            
+            // A function that the model does not define
+            edit(dir, 'web/js/output-formatter.js',
+                'FormatEncryptedOutput (EncryptionFunctions.fun line 36)',
+                'FormatEncryptedOutputs (EncryptionFunctions.fun line 37)');
+            result = check(dir);
+            assert.equal(result.status, 1, result.output);
+            assert.match(result.output, /^ERROR web\/js\/output-formatter\.js:7 \[dangling-reference\].*FormatEncryptedOutputs/m);
+            assert.equal(result.report.summary.errors, 1);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * Load the web app's modules under Node
+ * Installs the DOM stand-in for web/index.html and the in-memory key store, then initializes
+ * the UI the way the page does on DOMContentLoaded, minus fetching the feature config
+ */
+
+import { fileURLToPath } from 'node:url';
+import { installDom } from './dom.js';
+import { useMemoryDatabase } from './memory-database.js';
+
+const INDEX_HTML = fileURLToPath(new URL('../../web/index.html', import.meta.url));
+
+let app = null;
+
+/**
+ * Import every module once and return them by class name, with the DOM stand-in
+ */
+export async function loadApp() {
+    if (app) {
+        return app;
+    }
+    
+    const dom = installDom(INDEX_HTML);
+    const modules = await Promise.all([
+        import('../../web/js/app-state.js'),
+        import('../../web/js/crypto-error.js'),
+        import('../../web/js/feature-config.js'),
+        import('../../web/js/input-validator.js'),
+        import('../../web/js/cryptographic-engine.js'),
+        import('../../web/js/envelope-format.js'),
+        import('../../web/js/output-formatter.js'),
+        import('../../web/js/local-database.js'),
+        import('../../web/js/key-manager.js'),
+        import('../../web/js/memory-manager.js'),
+        import('../../web/js/crypto-worker-client.js'),
+        import('../../web/js/ui-manager.js'),
+        import('../../web/js/encryption-controller.js')
+    ]);
+    
+    app = Object.assign({ dom }, ...modules);
+    useMemoryDatabase(app.LocalDatabase);
+    app.UIManager.initialize();
+    return app;
+}
+
+/**
+ * Put the UI back in encrypt mode with a random key and empty fields
+ */
+export async function resetApp() {
+    const { UIManager, MemoryManager } = await loadApp();
+    UIManager.setMode('encrypt');
+    UIManager.setKeySource('random');
+    UIManager.clearSensitiveFields();
+    UIManager.clearMessages();
+    MemoryManager.secureWipe = false;
+}
+
+/**
+ * Type text into the input field and run the encryption workflow the way the button does
+ * Returns the displayed output, key and error
+ */
+export async function encryptThroughUi(text) {
+    const { UIManager, EncryptionController } = await loadApp();
+    await resetApp();
+    UIManager.elements.inputText.type(text);
+    await EncryptionController.process();
+    return displayed(UIManager);
+}
+
+/**
+ * Decrypt output and key from encryptThroughUi through the UI
+ */
+export async function decryptThroughUi(output, encodedKey) {
+    const { UIManager, EncryptionController } = await loadApp();
+    UIManager.setMode('decrypt');
+    UIManager.elements.inputText.type(output);
+    UIManager.elements.keyText.type(encodedKey);
+    await EncryptionController.process();
+    return displayed(UIManager);
+}
+
+function displayed(UIManager) {
+    const { outputText, keyText, errorMessage, errorText } = UIManager.elements;
+    return {
+        output: outputText.value,
+        key: keyText.value,
+        error: errorMessage.classList.contains('hidden') ? null : errorText.textContent
+    };
+}
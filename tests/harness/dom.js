@@ -0,0 +1,247 @@
+/**
+ * DOM stand-in for running the web app's modules under Node
+ * 
+ * Builds one element per id in web/index.html, with the tag, attributes and <option>s the
+ * markup declares. Implements just the DOM surface UIManager uses: values, text, classes,
+ * attributes, events, <select> options and child lists. No layout, no HTML parsing of content.
+ */
+
+import { readFileSync } from 'node:fs';
+
+export class StubEvent {
+    constructor(type, init = {}) {
+        Object.assign(this, init);
+        this.type = type;
+        this.defaultPrevented = false;
+    }
+    
+    preventDefault() {
+        this.defaultPrevented = true;
+    }
+}
+
+class StubEventTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+    }
+    
+    removeEventListener(type, listener) {
+        const listeners = this.listeners.get(type) || [];
+        this.listeners.set(type, listeners.filter((candidate) => candidate !== listener));
+    }
+    
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        for (const listener of this.listeners.get(event.type) || []) {
+            listener.call(this, event);
+        }
+        return !event.defaultPrevented;
+    }
+}
+
+class StubClassList {
+    constructor(element) {
+        this.element = element;
+    }
+    
+    get tokens() {
+        return this.element.className.split(/\s+/).filter(Boolean);
+    }
+    
+    add(...names) {
+        this.element.className = [...new Set([...this.tokens, ...names])].join(' ');
+    }
+    
+    remove(...names) {
+        this.element.className = this.tokens.filter((token) => !names.includes(token)).join(' ');
+    }
+    
+    toggle(name, force) {
+        const add = force === undefined ? !this.contains(name) : force;
+        if (add) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return add;
+    }
+    
+    contains(name) {
+        return this.tokens.includes(name);
+    }
+}
+
+export class StubElement extends StubEventTarget {
+    constructor(tagName, attributes = {}) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map(Object.entries(attributes));
+        this.id = attributes.id || '';
+        this.className = attributes.class || '';
+        this.classList = new StubClassList(this);
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.textContent = '';
+        this.placeholder = attributes.placeholder || '';
+        this.disabled = 'disabled' in attributes;
+        this.checked = 'checked' in attributes;
+        this.readOnly = 'readonly' in attributes;
+        this.multiple = 'multiple' in attributes;
+        this.selected = 'selected' in attributes;
+        this.files = [];
+        this.rawValue = attributes.value || '';
+    }
+    
+    get value() {
+        if (this.tagName === 'SELECT') {
+            const [option] = this.selectedOptions;
+            return option ? option.value : '';
+        }
+        return this.rawValue;
+    }
+    
+    set value(value) {
+        if (this.tagName === 'SELECT') {
+            for (const option of this.children) {
+                option.selected = option.value === String(value);
+            }
+            return;
+        }
+        this.rawValue = String(value);
+    }
+    
+    get options() {
+        return this.children;
+    }
+    
+    // A single <select> without an explicit selection selects its first option
+    get selectedOptions() {
+        const selected = this.children.filter((option) => option.selected);
+        if (this.multiple) {
+            return selected;
+        }
+        if (selected.length > 0) {
+            return [selected[selected.length - 1]];
+        }
+        return this.children.slice(0, 1);
+    }
+    
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+    
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+    
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+    
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+    
+    appendChild(child) {
+        child.remove();
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+    
+    replaceChildren(...children) {
+        for (const child of [...this.children]) {
+            child.remove();
+        }
+        children.forEach((child) => this.appendChild(child));
+    }
+    
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.children = this.parentNode.children.filter((child) => child !== this);
+            this.parentNode = null;
+        }
+    }
+    
+    click() {
+        this.dispatchEvent(new StubEvent('click'));
+    }
+    
+    focus() {
+        globalThis.document.activeElement = this;
+    }
+    
+    /**
+     * Set a form field's value the way a user would, firing input and change events
+     */
+    type(value) {
+        this.value = value;
+        this.dispatchEvent(new StubEvent('input'));
+        this.dispatchEvent(new StubEvent('change'));
+    }
+}
+
+/**
+ * Parse the attributes of one start tag
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(/([\w-]+)(?:="([^"]*)")?/g)) {
+        attributes[match[1]] = match[2] === undefined ? '' : match[2];
+    }
+    return attributes;
+}
+
+/**
+ * Create the stand-in document for an HTML file and install it as the global document and window
+ * Returns the installed document, window and elements by id
+ */
+export function installDom(htmlPath) {
+    const html = readFileSync(htmlPath, 'utf8');
+    const elements = new Map();
+    
+    for (const match of html.matchAll(/<(\w+)\b([^>]*?\bid="[^"]+"[^>]*)>/g)) {
+        const element = new StubElement(match[1], parseAttributes(match[2]));
+        
+        if (element.tagName === 'SELECT') {
+            const markup = html.slice(match.index, html.indexOf('</select>', match.index));
+            for (const option of markup.matchAll(/<option\b([^>]*)>([^<]*)<\/option>/g)) {
+                const child = element.appendChild(new StubElement('option', parseAttributes(option[1])));
+                child.textContent = option[2].trim();
+            }
+        }
+        
+        elements.set(element.id, element);
+    }
+    
+    const document = new StubEventTarget();
+    Object.assign(document, {
+        body: new StubElement('body'),
+        activeElement: null,
+        getElementById: (id) => elements.get(id) || null,
+        createElement: (tagName) => new StubElement(tagName),
+        querySelector: () => null,
+        hasFocus: () => true
+    });
+    
+    const window = new StubEventTarget();
+    Object.assign(window, {
+        document: document,
+        crypto: globalThis.crypto,
+        location: { hostname: 'test' },
+        confirm: () => true,
+        alert: () => {}
+    });
+    
+    globalThis.document = document;
+    globalThis.window = window;
+    return { document, window, elements };
+}
@@ -0,0 +1,66 @@
+/**
+ * In-memory replacement for the IndexedDB side of LocalDatabase
+ * Swaps LocalDatabase.run and runTransaction for Map-backed object stores, so
+ * get/getAll/put/delete/clear and everything built on them (KeyManager, HistoryManager,
+ * AuditLog) run unchanged under Node. A transaction works on copies of its stores and keeps
+ * them only if the operation completes, so a failed one changes nothing, as in IndexedDB
+ */
+
+export function useMemoryDatabase(LocalDatabase) {
+    const stores = new Map();
+    
+    const records = (storeName) => {
+        if (!LocalDatabase.STORES.includes(storeName)) {
+            throw new Error(`Unknown object store ${storeName}`);
+        }
+        if (!stores.has(storeName)) {
+            stores.set(storeName, new Map());
+        }
+        return stores.get(storeName);
+    };
+    
+    LocalDatabase.run = async (storeName, mode, operation) => {
+        return operation(objectStore(records(storeName), mode)).result;
+    };
+    
+    LocalDatabase.runTransaction = async (storeNames, mode, operation) => {
+        const staged = new Map(storeNames.map((storeName) => [storeName, new Map(records(storeName))]));
+        operation(Object.fromEntries([...staged].map(([storeName, copy]) => [storeName, objectStore(copy, mode)])));
+        for (const [storeName, copy] of staged) {
+            stores.set(storeName, copy);
+        }
+    };
+    
+    return stores;
+}
+
+/**
+ * The object store requests LocalDatabase makes, over one Map of records by id
+ */
+function objectStore(records, mode) {
+    const write = (request) => {
+        if (mode !== 'readwrite') {
+            throw new Error(`${request} in a readonly transaction`);
+        }
+    };
+    
+    return {
+        get: (id) => ({ result: records.get(id) }),
+        getAll: () => ({ result: [...records.values()] }),
+        put: (record) => {
+            write('put');
+            records.set(record.id, record);
+            return { result: record.id };
+        },
+        delete: (id) => {
+            write('delete');
+            records.delete(id);
+            return { result: undefined };
+        },
+        clear: () => {
+            write('clear');
+            records.clear();
+            return { result: undefined };
+        }
+    };
+}
@@ -0,0 +1,69 @@
+/**
+ * Reader and writer for Sylang test specifications (.tst)
+ * Parses each `def testcase` block into its id, method, `when ref config` and testresult,
+ * and writes run results back into the testresult fields without touching anything else
+ */
+
+// testresult values allowed by .sylangrules
+export const TEST_RESULTS = ['pass', 'fail', 'intest', 'notrun', 'blocked'];
+
+/**
+ * Parse the test cases of a .tst file
+ * Returns [{ id, name, method, config, result, requirements }] in file order
+ */
+export function parseTestCases(text) {
+    const testCases = [];
+    let current = null;
+    
+    for (const line of text.split(/\r?\n/)) {
+        const start = /^\s*def\s+testcase\s+(\w+)\s*$/.exec(line);
+        if (start) {
+            current = { id: start[1], name: '', method: null, config: null, result: null, requirements: [] };
+            testCases.push(current);
+            continue;
+        }
+        if (!current) {
+            continue;
+        }
+        
+        let match;
+        if ((match = /^\s*name\s+"([^"]*)"/.exec(line))) {
+            current.name = match[1];
+        } else if ((match = /^\s*method\s+(\w+)/.exec(line))) {
+            current.method = match[1];
+        } else if ((match = /^\s*when\s+ref\s+config\s+(c_\w+)/.exec(line))) {
+            current.config = match[1];
+        } else if ((match = /^\s*testresult\s+(\w+)/.exec(line))) {
+            current.result = match[1];
+        } else if ((match = /^\s*satisfies\s+ref\s+requirement\s+(.+)$/.exec(line))) {
+            current.requirements.push(...match[1].split(',').map((id) => id.trim()));
+        }
+    }
+    
+    return testCases;
+}
+
+/**
+ * Replace the testresult of each test case named in results ({ TEST_ID: 'pass' | ... })
+ * Test cases without a result keep theirs
+ */
+export function writeResults(text, results) {
+    let current = null;
+    
+    return text.split('\n').map((line) => {
+        const start = /^\s*def\s+testcase\s+(\w+)/.exec(line);
+        if (start) {
+            current = start[1];
+            return line;
+        }
+        
+        const result = current && results[current];
+        if (!result) {
+            return line;
+        }
+        if (!TEST_RESULTS.includes(result)) {
+            throw new Error(`Invalid testresult ${result} for ${current}`);
+        }
+        return line.replace(/^(\s*testresult\s+)\w+/, `$1${result}`);
+    }).join('\n');
+}
@@ -0,0 +1,158 @@
+/**
+ * Test runner for tests/EncryptionAppTests.tst
+ * 
+ * Runs every `method automated` test case against the web app's ES modules under Node,
+ * using Node's Web Crypto and the DOM stand-in in tests/harness. Test functions are the
+ * exports of tests/cases/*.test.js, named by test case id.
+ * 
+ * A test case runs when its `when ref config` is enabled in the variant config
+ * (configs/EncryptionWebAppConfig.vcf, or --config <file>); --all runs every case.
+ * 
+ * Usage: node tests/run-tests.js [--config <file.vcf>] [--all] [--json <file>] [--write] [TEST_ID...]
+ *   --json <file>  write the results as { TEST_ID: { result, status, ... } }
+ *   --write        write each case's result back into its testresult field
+ * 
+ * Exit code 0 when nothing failed, 1 when a test failed, 2 on usage errors
+ */
+
+import { readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { parseTestCases, writeResults } from './harness/tst.js';
+import { FeatureConfig } from '../web/js/feature-config.js';
+
+const TST_FILE = fileURLToPath(new URL('./EncryptionAppTests.tst', import.meta.url));
+const CASES_DIR = fileURLToPath(new URL('./cases/', import.meta.url));
+const DEFAULT_CONFIG = fileURLToPath(new URL('../configs/EncryptionWebAppConfig.vcf', import.meta.url));
+const TEST_TIMEOUT_MS = 60000;
+
+// How each run status is recorded in the .tst testresult field; skipped cases keep theirs
+const TESTRESULT_BY_STATUS = {
+    passed: 'pass',
+    failed: 'fail',
+    missing: 'blocked'
+};
+
+/**
+ * Collect the test functions exported by tests/cases/*.test.js
+ */
+async function loadTestFunctions() {
+    const functions = new Map();
+    for (const file of readdirSync(CASES_DIR).filter((name) => name.endsWith('.test.js')).sort()) {
+        const module = await import(pathToFileURL(CASES_DIR + file).href);
+        for (const [id, fn] of Object.entries(module.default || {})) {
+            if (functions.has(id)) {
+                throw new Error(`${id} is defined in both ${functions.get(id).file} and ${file}`);
+            }
+            functions.set(id, { file, fn });
+        }
+    }
+    return functions;
+}
+
+/**
+ * Run one test function, failing it when it does not settle in time
+ * The app logs the errors it reports to the user; that output is only shown for failed tests
+ */
+async function runTest(fn) {
+    const log = [];
+    const { error: consoleError, warn: consoleWarn } = console;
+    console.error = console.warn = (...args) => log.push(args.map(String).join(' '));
+    
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${TEST_TIMEOUT_MS}ms`)), TEST_TIMEOUT_MS);
+    });
+    
+    const start = performance.now();
+    try {
+        await Promise.race([fn(), timeout]);
+        return { status: 'passed', durationMs: Math.round(performance.now() - start) };
+    } catch (error) {
+        return {
+            status: 'failed',
+            durationMs: Math.round(performance.now() - start),
+            error: error.stack || String(error),
+            log: log
+        };
+    } finally {
+        clearTimeout(timer);
+        Object.assign(console, { error: consoleError, warn: consoleWarn });
+    }
+}
+
+async function main() {
+    const { values: options, positionals: selected } = parseArgs({
+        options: {
+            config: { type: 'string', default: DEFAULT_CONFIG },
+            all: { type: 'boolean', default: false },
+            json: { type: 'string' },
+            write: { type: 'boolean', default: false }
+        },
+        allowPositionals: true
+    });
+    
+    // The app under test sees the same variant config the cases are selected by
+    FeatureConfig.values = FeatureConfig.parseVcf(readFileSync(options.config, 'utf8'));
+    
+    const tstText = readFileSync(TST_FILE, 'utf8');
+    const testCases = parseTestCases(tstText).filter((testCase) => testCase.method === 'automated');
+    const unknown = selected.filter((id) => !testCases.some((testCase) => testCase.id === id));
+    if (unknown.length > 0) {
+        console.error(`Not an automated test case: ${unknown.join(', ')}`);
+        return 2;
+    }
+    
+    const functions = await loadTestFunctions();
+    for (const id of functions.keys()) {
+        if (!testCases.some((testCase) => testCase.id === id)) {
+            console.error(`${functions.get(id).file} exports ${id}, which is not an automated test case`);
+            return 2;
+        }
+    }
+    
+    const results = {};
+    for (const testCase of testCases) {
+        if (selected.length > 0 && !selected.includes(testCase.id)) {
+            continue;
+        }
+        
+        let result;
+        if (!options.all && testCase.config && !FeatureConfig.isEnabled(testCase.config)) {
+            result = { status: 'skipped', reason: `${testCase.config} is disabled` };
+        } else if (!functions.has(testCase.id)) {
+            result = { status: 'missing', reason: 'no test function' };
+        } else {
+            result = await runTest(functions.get(testCase.id).fn);
+        }
+        
+        result.testresult = TESTRESULT_BY_STATUS[result.status] || testCase.result;
+        results[testCase.id] = result;
+        
+        const label = { passed: 'PASS', failed: 'FAIL', skipped: 'SKIP', missing: 'MISS' }[result.status];
+        const detail = result.durationMs !== undefined ? `${result.durationMs}ms` : result.reason;
+        console.log(`${label} ${testCase.id} (${detail})`);
+        if (result.error) {
+            console.log([result.error, ...result.log].join('\n').replace(/^/gm, '    '));
+        }
+    }
+    
+    const counts = Object.values(results).reduce((total, { status }) => {
+        total[status] = (total[status] || 0) + 1;
+        return total;
+    }, {});
+    console.log(`\n${counts.passed || 0} passed, ${counts.failed || 0} failed, ` +
+        `${counts.skipped || 0} skipped, ${counts.missing || 0} without a test function`);
+    
+    if (options.json) {
+        writeFileSync(options.json, JSON.stringify(results, null, 2) + '\n');
+    }
+    if (options.write) {
+        const testresults = Object.fromEntries(Object.entries(results).map(([id, { testresult }]) => [id, testresult]));
+        writeFileSync(TST_FILE, writeResults(tstText, testresults));
+    }
+    
+    return counts.failed ? 1 : 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,157 @@
+/**
+ * Integrity manifest build
+ * 
+ * Hashes the web app's files into web/integrity.json, the manifest IntegrityCheck and the service
+ * worker check the running code against (ThreatModel.md T-TAMPER-01), and pins the manifest's
+ * SHA-256 - the code fingerprint users see - in web/service-worker.js. The service worker itself
+ * is not listed: it holds the fingerprint, and browsers check it for updates on their own.
+ * The variant config index.html points at (config/<name> in web/) is copied from configs/<name>
+ * first, so every listed file is served from web/ and can be cached by the service worker.
+ * Run after every change to a file under web/ or to that variant config.
+ * 
+ * Usage: node tools/build-integrity.js [--check]
+ *   --check  only report whether the config copy, the manifest and the pinned fingerprint are
+ *            up to date
+ * 
+ * Exit code 0 when written (or up to date with --check), 1 otherwise
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const WEB_DIR = fileURLToPath(new URL('../web/', import.meta.url));
+const CONFIGS_DIR = fileURLToPath(new URL('../configs/', import.meta.url));
+const MANIFEST_FILE = 'integrity.json';
+const SERVICE_WORKER_FILE = 'service-worker.js';
+
+// Where index.html's variant config is copied to, relative to web/
+const WEB_CONFIG_DIR = 'config';
+
+// Files of the app, relative to web/; directories are listed recursively
+const APP_FILES = ['index.html', 'bootstrap.js', 'app.js', 'crypto-worker.js', 'manifest.webmanifest'];
+const APP_DIRS = ['css', 'icons', 'js'];
+
+const FINGERPRINT_PATTERN = /^const MANIFEST_FINGERPRINT = '[0-9a-f]*';$/m;
+
+function sha256Hex(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * The variant config from <meta name="feature-config">: its path relative to web/, which must be
+ * in config/, and the file in configs/ it is copied from
+ * Returns null when index.html has no such meta
+ */
+function findVariantConfig() {
+    const html = readFileSync(join(WEB_DIR, 'index.html'), 'utf8');
+    const configMeta = html.match(/<meta name="feature-config" content="([^"]+)">/);
+    if (!configMeta) {
+        return null;
+    }
+    const path = configMeta[1];
+    if (dirname(path) !== WEB_CONFIG_DIR) {
+        throw new Error(`The feature-config meta in index.html must point into ${WEB_CONFIG_DIR}/, not at ${path}`);
+    }
+    return { path, source: join(CONFIGS_DIR, basename(path)) };
+}
+
+/**
+ * Paths to hash, relative to web/, with the variant config's path
+ */
+function listAppFiles(variantConfig) {
+    const paths = [...APP_FILES];
+    for (const dir of APP_DIRS) {
+        const files = readdirSync(join(WEB_DIR, dir), { recursive: true, withFileTypes: true })
+            .filter((entry) => entry.isFile())
+            .map((entry) => relative(WEB_DIR, join(entry.parentPath || entry.path, entry.name)).split('\\').join('/'));
+        paths.push(...files.sort());
+    }
+    if (variantConfig) {
+        paths.push(variantConfig.path);
+    }
+    return paths;
+}
+
+/**
+ * A file's text, or '' when it does not exist
+ */
+function readIfPresent(path) {
+    try {
+        return readFileSync(path, 'utf8');
+    } catch (error) {
+        // Not built yet
+        return '';
+    }
+}
+
+/**
+ * The manifest's JSON, hashing the variant config from its source so it matches the copy to write
+ */
+function buildManifest(variantConfig) {
+    const files = {};
+    for (const path of listAppFiles(variantConfig)) {
+        const file = variantConfig && path === variantConfig.path ? variantConfig.source : join(WEB_DIR, path);
+        files[path] = sha256Hex(readFileSync(file));
+    }
+    const manifest = {
+        format: 'EncryptDemo integrity manifest',
+        version: 1,
+        algorithm: 'SHA-256',
+        files
+    };
+    return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            check: { type: 'boolean', default: false }
+        }
+    });
+    
+    let variantConfig;
+    try {
+        variantConfig = findVariantConfig();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    const manifestPath = join(WEB_DIR, MANIFEST_FILE);
+    const serviceWorkerPath = join(WEB_DIR, SERVICE_WORKER_FILE);
+    const manifest = buildManifest(variantConfig);
+    const fingerprint = sha256Hex(manifest);
+    const serviceWorker = readFileSync(serviceWorkerPath, 'utf8');
+    if (!FINGERPRINT_PATTERN.test(serviceWorker)) {
+        console.error(`No MANIFEST_FINGERPRINT constant in ${SERVICE_WORKER_FILE}`);
+        process.exitCode = 1;
+        return;
+    }
+    const pinnedServiceWorker = serviceWorker.replace(FINGERPRINT_PATTERN, `const MANIFEST_FINGERPRINT = '${fingerprint}';`);
+    
+    if (options.check) {
+        const current = readIfPresent(manifestPath);
+        const configCopied = !variantConfig ||
+            readIfPresent(join(WEB_DIR, variantConfig.path)) === readFileSync(variantConfig.source, 'utf8');
+        if (current !== manifest || serviceWorker !== pinnedServiceWorker || !configCopied) {
+            console.error(`web/${MANIFEST_FILE} is out of date - run node tools/build-integrity.js`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`web/${MANIFEST_FILE} is up to date, fingerprint ${fingerprint}`);
+        return;
+    }
+    
+    if (variantConfig) {
+        mkdirSync(join(WEB_DIR, WEB_CONFIG_DIR), { recursive: true });
+        writeFileSync(join(WEB_DIR, variantConfig.path), readFileSync(variantConfig.source));
+    }
+    writeFileSync(manifestPath, manifest);
+    writeFileSync(serviceWorkerPath, pinnedServiceWorker);
+    console.log(`Wrote web/${MANIFEST_FILE} (${Object.keys(JSON.parse(manifest).files).length} files), fingerprint ${fingerprint}`);
+}
+
+main();
@@ -0,0 +1,98 @@
+/**
+ * Requirements traceability check
+ * 
+ * Parses the Sylang model (functions/*.fun, requirements/*.req, features/*.fml, tests/*.tst,
+ * configs/*.vcf) and the traceability annotations in the web app's JavaScript, then reports
+ * dangling references, stale line numbers, unimplemented functions and untested requirements.
+ * See tools/traceability/check.js for the checks.
+ * 
+ * Usage: node tools/check-traceability.js [--json <file>] [--html <file>]
+ *   --json <file>  write the matrix and findings as JSON
+ *   --html <file>  write the matrix and findings as an HTML page
+ * 
+ * Exit code 0 without errors (warnings allowed), 1 with errors
+ */
+
+import { readFileSync, readdirSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { readSylang } from './traceability/sylang.js';
+import { findAnnotations } from './traceability/annotations.js';
+import { checkTraceability } from './traceability/check.js';
+import { renderHtml } from './traceability/html.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// Where each kind of Sylang file lives
+const SYLANG_SOURCES = [
+    ['functions', '.fun'],
+    ['requirements', '.req'],
+    ['features', '.fml'],
+    ['tests', '.tst'],
+    ['configs', '.vcf']
+];
+const CODE_DIR = 'web';
+const TEST_CASES_DIR = 'tests/cases';
+
+/**
+ * Files under dir (relative to the repository) ending in extension, recursively
+ */
+function listFiles(dir, extension) {
+    return readdirSync(join(ROOT, dir), { recursive: true, withFileTypes: true })
+        .filter((entry) => entry.isFile() && entry.name.endsWith(extension))
+        .map((entry) => relative(ROOT, join(entry.parentPath || entry.path, entry.name)))
+        .sort();
+}
+
+/**
+ * Test case ids with a test function, from the exports of tests/cases/*.test.js
+ */
+function findTestFunctions() {
+    const testFunctions = new Map();
+    for (const file of listFiles(TEST_CASES_DIR, '.test.js')) {
+        for (const match of readFileSync(join(ROOT, file), 'utf8').matchAll(/^\s*(?:async\s+)?(TEST_\w+)\s*\(/gm)) {
+            testFunctions.set(match[1], file);
+        }
+    }
+    return testFunctions;
+}
+
+function writeOutput(path, content) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content);
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            json: { type: 'string' },
+            html: { type: 'string' }
+        }
+    });
+    
+    const models = SYLANG_SOURCES.flatMap(([dir, extension]) =>
+        listFiles(dir, extension).map((file) => readSylang(file, ROOT)));
+    const annotations = listFiles(CODE_DIR, '.js').flatMap((file) =>
+        findAnnotations(readFileSync(join(ROOT, file), 'utf8'), file));
+    
+    const matrix = checkTraceability({ models, annotations, testFunctions: findTestFunctions() });
+    
+    for (const finding of matrix.findings) {
+        console.log(`${finding.severity.toUpperCase()} ${finding.file}:${finding.line} [${finding.type}] ${finding.message}`);
+    }
+    const { summary } = matrix;
+    console.log(`\n${summary.requirements} requirements, ${summary.functions} functions, ${summary.testcases} test cases, ` +
+        `${summary.annotations} code references: ${summary.errors} errors, ${summary.warnings} warnings`);
+    
+    if (options.json) {
+        writeOutput(options.json, JSON.stringify(matrix, null, 2) + '\n');
+    }
+    if (options.html) {
+        writeOutput(options.html, renderHtml(matrix));
+    }
+    
+    return summary.errors > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,185 @@
+/**
+ * Traceability annotations in JavaScript source
+ * 
+ * Comments cite Sylang elements as `<Kind>: Name, Name (File.ext line N)` or `lines N, M`,
+ * `per REQ_ID (File.ext line N)`, or as `- Name (line N)` list entries under a comment that
+ * names the file. Requirement and test case ids in comments and config names in string
+ * literals (FeatureConfig.isEnabled('c_...')) are references too, without a line.
+ */
+
+const SYLANG_FILE = /\b(\w+\.(?:fun|req|fml|tst|vcf))\b/g;
+const CITATION = /\((?:(\w+\.(?:fun|req|fml|tst|vcf))(?:\s+lines?\s+([\d,\s]+))?|lines?\s+([\d,\s]+))\)/g;
+const ELEMENT_ID = /^(?:REQ_\w+|TEST_\w+|c_\w+|[A-Z][A-Za-z0-9]*)$/;
+const MENTION = /\b(REQ_[A-Z0-9_]+|TEST_[A-Z0-9_]+|c_[A-Za-z0-9_]+)\b/g;
+
+/**
+ * Split JavaScript source into comment blocks and string literals
+ * Consecutive line comments form one block. Regex literals are skipped by the usual
+ * heuristic: a slash where an expression may start opens a regex
+ */
+export function scanSource(source) {
+    const comments = [];
+    const strings = [];
+    let line = 1;
+    let i = 0;
+    let lastSignificant = '';
+    
+    const advance = (count) => {
+        for (let end = i + count; i < end; i++) {
+            if (source[i] === '\n') {
+                line++;
+            }
+        }
+    };
+    
+    const addCommentLines = (text, startLine) => {
+        const lines = text.split('\n').map((content, offset) => ({
+            line: startLine + offset,
+            text: content.replace(/^\s*\*?\s?/, '').trimEnd()
+        }));
+        const previous = comments[comments.length - 1];
+        if (previous && previous.single && lines.length === 1 && previous.lines.at(-1).line === startLine - 1) {
+            previous.lines.push(...lines);
+        } else {
+            comments.push({ single: lines.length === 1, lines: lines });
+        }
+    };
+    
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+        
+        if (char === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            addCommentLines(source.slice(i + 2, stop), line);
+            advance(stop - i);
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const stop = end === -1 ? source.length : end + 2;
+            const block = { single: false, lines: [] };
+            const startLine = line;
+            block.lines = source.slice(i + 2, stop - 2).split('\n').map((content, offset) => ({
+                line: startLine + offset,
+                text: content.replace(/^\s*\*?\s?/, '').trimEnd()
+            }));
+            comments.push(block);
+            advance(stop - i);
+        } else if (char === '"' || char === "'" || char === '`') {
+            const startLine = line;
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                j += source[j] === '\\' ? 2 : 1;
+            }
+            strings.push({ line: startLine, value: source.slice(i + 1, j) });
+            advance(j + 1 - i);
+            lastSignificant = char;
+        } else if (char === '/' && (lastSignificant === '' || '(,=:[!&|?{};'.includes(lastSignificant))) {
+            let j = i + 1;
+            let inClass = false;
+            while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+                if (source[j] === '\\') {
+                    j++;
+                } else if (source[j] === '[') {
+                    inClass = true;
+                } else if (source[j] === ']') {
+                    inClass = false;
+                }
+                j++;
+            }
+            advance(j + 1 - i);
+            lastSignificant = '/';
+        } else {
+            if (!/\s/.test(char)) {
+                lastSignificant = char;
+            }
+            advance(1);
+        }
+    }
+    
+    return { comments, strings };
+}
+
+/**
+ * Names cited by the text in front of a citation
+ * "Implements Functions: A, B" -> [A, B]; "per REQ_X" -> [REQ_X]; "- Name" -> [Name]
+ */
+function citedNames(text) {
+    let names;
+    if (text.includes(':')) {
+        names = text.slice(text.lastIndexOf(':') + 1);
+    } else if (/\bper\s/.test(text)) {
+        names = text.slice(text.lastIndexOf('per ') + 4);
+    } else if (/^\s*-\s*\w+\s*$/.test(text)) {
+        names = text.replace('-', '');
+    } else {
+        return [];
+    }
+    // "KeyManagement persistence" cites KeyManagement; trailing prose is not a name
+    return names.split(',').map((part) => part.trim().split(/\s+/)[0]).filter((name) => ELEMENT_ID.test(name));
+}
+
+/**
+ * Find every Sylang reference in one JavaScript file
+ * Returns [{ file, line, id, sylangFile, citedLine, text }]; sylangFile and citedLine are null
+ * for bare mentions. Citations with a different number of names and lines get citedLines instead
+ */
+export function findAnnotations(source, file) {
+    const { comments, strings } = scanSource(source);
+    const references = [];
+    
+    for (const block of comments) {
+        let contextFile = null;
+        
+        block.lines.forEach(({ line, text }, index) => {
+            const cited = new Set();
+            let previousEnd = 0;
+            
+            for (const match of text.matchAll(CITATION)) {
+                const sylangFile = match[1] || contextFile;
+                const lines = (match[2] || match[3] || '').split(',').map((value) => value.trim()).filter(Boolean).map(Number);
+                
+                // A citation on its own line belongs to the names on the line above
+                let before = text.slice(previousEnd, match.index);
+                if (before.trim() === '' && index > 0) {
+                    before = block.lines[index - 1].text;
+                }
+                previousEnd = match.index + match[0].length;
+                
+                const names = citedNames(before);
+                names.forEach((name) => cited.add(name));
+                if (!sylangFile) {
+                    continue;
+                }
+                
+                if (names.length === 0) {
+                    references.push({ file, line, id: null, sylangFile, citedLine: null, text });
+                } else if (lines.length > 0 && lines.length !== names.length) {
+                    references.push(...names.map((id) => ({ file, line, id, sylangFile, citedLine: null, citedLines: lines, text })));
+                } else {
+                    references.push(...names.map((id, position) => ({
+                        file, line, id, sylangFile, citedLine: lines.length > 0 ? lines[position] : null, text
+                    })));
+                }
+            }
+            
+            for (const match of text.matchAll(SYLANG_FILE)) {
+                contextFile = match[1];
+            }
+            
+            for (const match of text.matchAll(MENTION)) {
+                if (!cited.has(match[1])) {
+                    references.push({ file, line, id: match[1], sylangFile: null, citedLine: null, text });
+                }
+            }
+        });
+    }
+    
+    for (const { line, value } of strings) {
+        if (/^c_[A-Za-z0-9_]+$/.test(value)) {
+            references.push({ file, line, id: value, sylangFile: null, citedLine: null, text: `'${value}'` });
+        }
+    }
+    
+    return references;
+}
@@ -0,0 +1,237 @@
+/**
+ * Traceability checks and matrix
+ * 
+ * Links requirements (.req) to the functions they are implemented by (.fun), the features
+ * those functions enable (.fml), the code annotations that cite them, the test cases that
+ * satisfy them (.tst) and the configs they are gated on (.vcf), and reports:
+ *   dangling-reference  a cited or referenced element, or cited file, that does not exist
+ *   stale-line          a cited line number that is not the element's `def` line
+ *   unresolved-config   a config whose name is not a feature path (c_Parent_Child)
+ *   unimplemented-function  a function no code annotation cites
+ *   untested-requirement    a requirement no test case satisfies
+ *   missing-test-function   an automated test case without a test function in tests/cases
+ * The first three are errors; the rest are warnings.
+ */
+
+// Element kind defined by each Sylang file type
+export const KIND_BY_EXTENSION = {
+    fun: 'function',
+    req: 'requirement',
+    fml: 'feature',
+    tst: 'testcase',
+    vcf: 'config'
+};
+
+const ERROR_TYPES = new Set(['dangling-reference', 'stale-line', 'unresolved-config']);
+
+/**
+ * Kind of element a bare mention refers to, from its id
+ */
+function kindOfMention(id) {
+    if (id.startsWith('REQ_')) {
+        return 'requirement';
+    }
+    if (id.startsWith('TEST_')) {
+        return 'testcase';
+    }
+    return 'config';
+}
+
+/**
+ * Drop repeated file/line locations, keeping the first
+ */
+function uniqueLocations(locations) {
+    const seen = new Set();
+    return locations.filter(({ file, line }) => !seen.has(`${file}:${line}`) && seen.add(`${file}:${line}`));
+}
+
+/**
+ * Index Sylang models by kind and id
+ * Returns Map<kind, Map<id, definition & { file }>>
+ */
+function indexDefinitions(models) {
+    const index = new Map(Object.values(KIND_BY_EXTENSION).map((kind) => [kind, new Map()]));
+    for (const model of models) {
+        for (const definition of model.definitions) {
+            if (index.has(definition.kind)) {
+                index.get(definition.kind).set(definition.id, { ...definition, file: model.file, path: model.path });
+            }
+        }
+    }
+    return index;
+}
+
+/**
+ * Config name for every feature, from its path in the feature tree
+ */
+function featureConfigNames(features) {
+    const names = new Map();
+    const pathOf = (feature) => {
+        const parent = feature.parent && features.get(feature.parent);
+        return parent ? `${pathOf(parent)}_${feature.id}` : feature.id;
+    };
+    for (const feature of features.values()) {
+        names.set(`c_${pathOf(feature)}`, feature.id);
+    }
+    return names;
+}
+
+/**
+ * Run every check and build the matrix
+ * models: parsed Sylang files; annotations: references from findAnnotations;
+ * testFunctions: Map<testcase id, file> of test functions found in tests/cases
+ */
+export function checkTraceability({ models, annotations, testFunctions }) {
+    const index = indexDefinitions(models);
+    const files = new Set(models.map((model) => model.file));
+    const findings = [];
+    
+    const report = (type, message, file, line) => {
+        findings.push({ severity: ERROR_TYPES.has(type) ? 'error' : 'warning', type, message, file, line });
+    };
+    
+    // References between Sylang files
+    for (const model of models) {
+        for (const definition of model.definitions) {
+            for (const reference of definition.references) {
+                if (index.has(reference.kind) && !index.get(reference.kind).has(reference.id)) {
+                    report('dangling-reference',
+                        `${definition.id} ${reference.relation} unknown ${reference.kind} ${reference.id}`,
+                        model.path, reference.line);
+                }
+            }
+        }
+    }
+    
+    // Configs name feature paths
+    const configNames = featureConfigNames(index.get('feature'));
+    for (const config of index.get('config').values()) {
+        if (!configNames.has(config.id)) {
+            report('unresolved-config', `${config.id} does not match any feature path in the feature model`,
+                config.path, config.line);
+        }
+    }
+    
+    // Code annotations
+    for (const annotation of annotations) {
+        if (annotation.sylangFile && !files.has(annotation.sylangFile)) {
+            report('dangling-reference', `Cites unknown file ${annotation.sylangFile}`, annotation.file, annotation.line);
+            continue;
+        }
+        if (!annotation.id) {
+            continue;
+        }
+        
+        const kind = annotation.sylangFile
+            ? KIND_BY_EXTENSION[annotation.sylangFile.split('.').pop()]
+            : kindOfMention(annotation.id);
+        const target = index.get(kind).get(annotation.id);
+        annotation.kind = kind;
+        
+        if (!target || (annotation.sylangFile && target.file !== annotation.sylangFile)) {
+            report('dangling-reference',
+                `Cites unknown ${kind} ${annotation.id}${annotation.sylangFile ? ` in ${annotation.sylangFile}` : ''}`,
+                annotation.file, annotation.line);
+            continue;
+        }
+        
+        annotation.resolved = true;
+        if (annotation.citedLines) {
+            report('stale-line',
+                `Cites ${annotation.citedLines.length} line numbers for its names; ${annotation.id} is defined at line ${target.line}`,
+                annotation.file, annotation.line);
+        } else if (annotation.citedLine !== null && annotation.citedLine !== target.line) {
+            report('stale-line',
+                `Cites ${annotation.id} at ${annotation.sylangFile} line ${annotation.citedLine}; it is defined at line ${target.line}`,
+                annotation.file, annotation.line);
+        }
+    }
+    
+    const citations = (kind, id) => annotations
+        .filter((annotation) => annotation.resolved && annotation.kind === kind && annotation.id === id)
+        .map(({ file, line }) => ({ file, line }));
+    const referencesTo = (definition, relation) => definition.references
+        .filter((reference) => reference.relation === relation)
+        .map((reference) => reference.id);
+    const configOf = (definition) => referencesTo(definition, 'when')[0] || null;
+    
+    // Functions and the code that implements them
+    const functions = [...index.get('function').values()].map((fn) => {
+        const row = {
+            id: fn.id,
+            name: fn.properties.name || '',
+            line: fn.line,
+            features: referencesTo(fn, 'enables'),
+            config: configOf(fn),
+            requirements: [...index.get('requirement').values()]
+                .filter((requirement) => referencesTo(requirement, 'implements').includes(fn.id))
+                .map((requirement) => requirement.id),
+            code: citations('function', fn.id)
+        };
+        if (row.code.length === 0) {
+            report('unimplemented-function', `${fn.id} is not cited by any code annotation`, fn.path, fn.line);
+        }
+        return row;
+    });
+    
+    // Test cases and their test functions
+    const testcases = [...index.get('testcase').values()].map((testcase) => {
+        const automated = testcase.properties.method === 'automated';
+        const row = {
+            id: testcase.id,
+            method: testcase.properties.method || null,
+            result: testcase.properties.testresult || null,
+            config: configOf(testcase),
+            requirements: referencesTo(testcase, 'satisfies'),
+            testFunction: testFunctions.get(testcase.id) || null
+        };
+        if (automated && !row.testFunction) {
+            report('missing-test-function', `Automated test case ${testcase.id} has no test function in tests/cases`,
+                testcase.path, testcase.line);
+        }
+        return row;
+    });
+    
+    // Requirements, with everything that traces to them
+    const requirements = [...index.get('requirement').values()].map((requirement) => {
+        const implementedBy = referencesTo(requirement, 'implements');
+        const row = {
+            id: requirement.id,
+            name: requirement.properties.name || '',
+            line: requirement.line,
+            refinedFrom: referencesTo(requirement, 'refinedfrom')[0] || null,
+            status: requirement.properties.status || null,
+            safetyLevel: requirement.properties.safetylevel || null,
+            config: configOf(requirement),
+            functions: implementedBy,
+            features: [...new Set(functions.filter((fn) => implementedBy.includes(fn.id)).flatMap((fn) => fn.features))],
+            code: uniqueLocations([
+                ...citations('requirement', requirement.id),
+                ...functions.filter((fn) => implementedBy.includes(fn.id)).flatMap((fn) => fn.code)
+            ]),
+            tests: testcases.filter((testcase) => testcase.requirements.includes(requirement.id))
+                .map(({ id, method, result, testFunction }) => ({ id, method, result, automated: Boolean(testFunction) }))
+        };
+        if (row.tests.length === 0) {
+            report('untested-requirement', `${requirement.id} is not satisfied by any test case`,
+                requirement.path, requirement.line);
+        }
+        return row;
+    });
+    
+    const count = (severity) => findings.filter((finding) => finding.severity === severity).length;
+    return {
+        summary: {
+            requirements: requirements.length,
+            functions: functions.length,
+            testcases: testcases.length,
+            annotations: annotations.length,
+            errors: count('error'),
+            warnings: count('warning')
+        },
+        findings,
+        requirements,
+        functions,
+        testcases
+    };
+}
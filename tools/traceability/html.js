@@ -0,0 +1,114 @@
+/**
+ * HTML rendering of the traceability matrix
+ * A single self-contained page: summary, findings, and requirement and function tables
+ */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function list(items) {
+    return items.length === 0 ? '<span class="none">none</span>' : items.map(escapeHtml).join('<br>');
+}
+
+function locations(code) {
+    return list(code.map(({ file, line }) => `${file}:${line}`));
+}
+
+function tests(rows) {
+    if (rows.length === 0) {
+        return '<span class="none">none</span>';
+    }
+    return rows.map(({ id, method, result, automated }) => {
+        const kind = method === 'automated' && !automated ? 'automated, no test function' : method;
+        return `${escapeHtml(id)} <span class="meta">(${escapeHtml(kind)})</span> ` +
+            `<span class="result result-${escapeHtml(result)}">${escapeHtml(result)}</span>`;
+    }).join('<br>');
+}
+
+/**
+ * Render a checkTraceability() result as an HTML document
+ */
+export function renderHtml(matrix, title = 'Traceability Matrix') {
+    const { summary, findings, requirements, functions } = matrix;
+    
+    const findingRows = findings.map((finding) => `
+        <tr class="${finding.severity}">
+            <td>${escapeHtml(finding.severity)}</td>
+            <td>${escapeHtml(finding.type)}</td>
+            <td>${escapeHtml(`${finding.file}:${finding.line}`)}</td>
+            <td>${escapeHtml(finding.message)}</td>
+        </tr>`).join('');
+    
+    const requirementRows = requirements.map((requirement) => `
+        <tr${requirement.tests.length === 0 ? ' class="warning"' : ''}>
+            <td><strong>${escapeHtml(requirement.id)}</strong><br>${escapeHtml(requirement.name)}` +
+            `${requirement.refinedFrom ? `<br><span class="meta">refines ${escapeHtml(requirement.refinedFrom)}</span>` : ''}</td>
+            <td>${escapeHtml(requirement.safetyLevel || '')}</td>
+            <td>${list(requirement.functions)}</td>
+            <td>${list(requirement.features)}</td>
+            <td>${locations(requirement.code)}</td>
+            <td>${tests(requirement.tests)}</td>
+            <td>${escapeHtml(requirement.config || '')}</td>
+        </tr>`).join('');
+    
+    const functionRows = functions.map((fn) => `
+        <tr${fn.code.length === 0 ? ' class="warning"' : ''}>
+            <td><strong>${escapeHtml(fn.id)}</strong><br>${escapeHtml(fn.name)}</td>
+            <td>${list(fn.features)}</td>
+            <td>${list(fn.requirements)}</td>
+            <td>${locations(fn.code)}</td>
+            <td>${escapeHtml(fn.config || '')}</td>
+        </tr>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.875rem; }
+        th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+        th { background: #f3f4f6; }
+        tr.error td { background: #fef2f2; }
+        tr.warning td { background: #fffbeb; }
+        .none, .meta { color: #6b7280; }
+        .result { font-weight: 600; }
+        .result-pass { color: #15803d; }
+        .result-fail { color: #b91c1c; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${summary.requirements} requirements, ${summary.functions} functions, ${summary.testcases} test cases,
+        ${summary.annotations} code references: ${summary.errors} errors, ${summary.warnings} warnings</p>
+    
+    <h2>Findings</h2>
+    ${findings.length === 0 ? '<p>No findings.</p>' : `<table>
+        <thead><tr><th>Severity</th><th>Type</th><th>Location</th><th>Message</th></tr></thead>
+        <tbody>${findingRows}
+        </tbody>
+    </table>`}
+    
+    <h2>Requirements</h2>
+    <table>
+        <thead><tr><th>Requirement</th><th>Safety</th><th>Functions</th><th>Features</th><th>Code</th><th>Tests</th><th>Config</th></tr></thead>
+        <tbody>${requirementRows}
+        </tbody>
+    </table>
+    
+    <h2>Functions</h2>
+    <table>
+        <thead><tr><th>Function</th><th>Features</th><th>Requirements</th><th>Code</th><th>Config</th></tr></thead>
+        <tbody>${functionRows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
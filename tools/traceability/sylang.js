@@ -0,0 +1,84 @@
+/**
+ * Minimal reader for the Sylang files the traceability check needs (.fun, .req, .fml, .tst, .vcf)
+ * 
+ * Reads every `hdef`/`def` line as a definition with its kind, id, line and parent (by
+ * indentation), and every `<relation> ref <kind> <id>, <id>` line as references from the
+ * enclosing definition. Quoted properties (name, description, ...) are kept as strings and
+ * bare ones (method, testresult, ...) as single words; .vcf values are the trailing 0 or 1.
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+
+/**
+ * Parse one Sylang file
+ * Returns { file, path, kind, id, definitions: [{ kind, id, line, parent, flags, properties, references }] }
+ * where file is the name annotations cite, path where it was read from, and kind/id the file's `hdef` set
+ */
+export function parseSylang(text, path) {
+    const model = { file: basename(path), path: path, kind: null, id: null, definitions: [] };
+    const stack = [];
+    let current = null;
+    
+    text.split(/\r?\n/).forEach((source, index) => {
+        const line = index + 1;
+        const indent = source.length - source.trimStart().length;
+        const trimmed = source.trim();
+        
+        const header = /^hdef\s+(\w+)\s+(\w+)/.exec(trimmed);
+        if (header) {
+            model.kind = header[1];
+            model.id = header[2];
+            current = null;
+            return;
+        }
+        
+        const definition = /^def\s+(\w+)\s+(\w+)\s*(.*)$/.exec(trimmed);
+        if (definition) {
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                stack.pop();
+            }
+            current = {
+                kind: definition[1],
+                id: definition[2],
+                line: line,
+                parent: stack.length > 0 ? stack[stack.length - 1].definition.id : null,
+                flags: definition[3].split(/\s+/).filter(Boolean),
+                properties: {},
+                references: []
+            };
+            stack.push({ indent, definition: current });
+            model.definitions.push(current);
+            return;
+        }
+        
+        if (!current) {
+            return;
+        }
+        
+        const reference = /^(\w+)\s+ref\s+(\w+)\s+(.+)$/.exec(trimmed);
+        if (reference) {
+            const targets = reference[3].split(',').map((target) => target.trim().split(/\s+/)[0]);
+            for (const target of targets.filter(Boolean)) {
+                current.references.push({ relation: reference[1], kind: reference[2], id: target, line: line });
+            }
+            return;
+        }
+        
+        const property = /^(\w+)\s+(.+)$/.exec(trimmed);
+        if (property) {
+            const quoted = /^"([^"]*)"/.exec(property[2]);
+            current.properties[property[1]] = quoted ? quoted[1] : property[2].split(/\s+/)[0];
+        }
+    });
+    
+    return model;
+}
+
+/**
+ * Read and parse a Sylang file from disk
+ * root, when given, is where paths in findings are reported relative to
+ */
+export function readSylang(path, root = '') {
+    return parseSylang(readFileSync(join(root, path), 'utf8'), path);
+}
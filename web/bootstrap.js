@@ -0,0 +1,79 @@
+/**
+ * Encryption Web Application - Bootstrap
+ *
+ * Entry module for the page, per ThreatModel.md T-TAMPER-01. It checks the app's files against
+ * integrity.json before any of them runs: only this file, IntegrityCheck, I18n and the modules
+ * they import (CryptoError, LocalDatabase, the message catalogs) are loaded up front, and app.js
+ * with every other module is imported once the check has passed. A tampered module is therefore
+ * reported instead of executed.
+ * 
+ * The check and the import are separate requests, so a server that answers them differently is
+ * not caught here; with c_PerformanceOptimization_OfflineSupport on, the service worker serves
+ * both from the same verified copy.
+ */
+
+import { IntegrityCheck } from './js/integrity-check.js';
+import { I18n } from './js/i18n.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Check Web Crypto API support per CryptoDecision.md browser compatibility
+    if (!window.crypto || !window.crypto.subtle) {
+        alert('Your browser does not support the Web Crypto API. Please use a modern browser.');
+        return;
+    }
+    
+    // Translate the page first, so the integrity alert is in the user's language too
+    I18n.setLocale(I18n.detectLocale());
+    
+    // Refuse to run code that does not match the integrity manifest
+    if (!await checkCodeIntegrity()) {
+        return;
+    }
+    
+    const { startApp } = await import('./app.js');
+    await startApp();
+});
+
+/**
+ * Check the app's files against integrity.json and show the code fingerprint
+ * Resolves true once the app may start: every file matches and the fingerprint is the one
+ * accepted before, or the user accepted the new one. Otherwise the app stays hidden behind the
+ * integrity alert
+ */
+async function checkCodeIntegrity() {
+    const integrityAlert = document.getElementById('integrityAlert');
+    const message = document.getElementById('integrityMessage');
+    
+    let result;
+    try {
+        result = await IntegrityCheck.verify(document.baseURI);
+    } catch (error) {
+        console.error('Integrity check error:', error);
+        message.textContent = I18n.errorMessage(error, I18n.t('integrity.checkFailed'));
+        integrityAlert.classList.remove('hidden');
+        return false;
+    }
+    
+    const fingerprint = IntegrityCheck.formatFingerprint(result.fingerprint);
+    const fingerprintText = document.getElementById('codeFingerprint');
+    fingerprintText.removeAttribute('data-i18n');
+    fingerprintText.textContent = fingerprint;
+    
+    if (result.changed) {
+        // A new version since the last visit: run it only when the user accepts its fingerprint
+        message.textContent = I18n.t('integrity.changed');
+        document.getElementById('integrityPinnedFingerprint').textContent = IntegrityCheck.formatFingerprint(result.pinned);
+        document.getElementById('integrityNewFingerprint').textContent = fingerprint;
+        document.getElementById('integrityChangeSection').classList.remove('hidden');
+        integrityAlert.classList.remove('hidden');
+        
+        await new Promise((resolve) => {
+            document.getElementById('integrityTrustBtn').addEventListener('click', resolve, { once: true });
+        });
+        await IntegrityCheck.pin(result.fingerprint);
+        integrityAlert.classList.add('hidden');
+    }
+    
+    document.getElementById('appMain').classList.remove('hidden');
+    return true;
+}
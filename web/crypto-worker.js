@@ -0,0 +1,29 @@
+/**
+ * Crypto Worker - runs CryptoJobs off the main thread
+ * 
+ * Key derivation (PBKDF2, 600,000 iterations) and large files would otherwise freeze the page.
+ * Started as a module worker by CryptoWorkerClient.
+ * 
+ * Message protocol (see CryptoWorkerClient in js/crypto-worker-client.js):
+ * - In:  { id, type, payload }
+ * - Out: { id, type: 'progress', progress } while running, then
+ *        { id, type: 'result', result } or { id, type: 'error', error: { message, code } }
+ * 
+ * Follows Requirement: REQ_PERF_001 (EncryptionRequirements.req line 110)
+ */
+
+import { CryptoJobs } from './js/crypto-jobs.js';
+import { CryptoWorkerClient } from './js/crypto-worker-client.js';
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data;
+    
+    try {
+        const result = await CryptoJobs.run(type, payload, (progress) => {
+            self.postMessage({ id: id, type: 'progress', progress: progress });
+        });
+        self.postMessage({ id: id, type: 'result', result: result });
+    } catch (error) {
+        self.postMessage({ id: id, type: 'error', error: CryptoWorkerClient.serializeError(error) });
+    }
+});
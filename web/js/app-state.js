@@ -0,0 +1,15 @@
+/**
+ * Global state management
+ * Shared UI state for the current mode, key source and selected files, and the last batch result
+ * sharedKey is the key split or rebuilt from shares last, { key, count, threshold }, kept until Clear All
+ */
+export const AppState = {
+    mode: 'encrypt',
+    keySource: 'random',
+    currentKey: null,
+    lastEncryptedData: null,
+    selectedFile: null,
+    selectedBatchFile: null,
+    batchResult: null,
+    sharedKey: null
+};
@@ -0,0 +1,275 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { OutputFormatter } from './output-formatter.js';
+import { LocalDatabase } from './local-database.js';
+
+/**
+ * Audit Log Class
+ * Enables Features: SecurityAudit, LocalStorage (EncryptionWebApp.fml lines 311, 248)
+ * Opt-in local log of encrypt, decrypt, key import, key split and recovery, copy and clear
+ * events per ThreatModel.md T-REPUD-01, kept in IndexedDB. Entries hold metadata only - never
+ * plaintext, ciphertext, keys or passphrases. Each entry carries the SHA-256 hash of the one
+ * before it and the settings record keeps the hash of the newest, so an edited, removed or
+ * reordered entry breaks the chain.
+ * The chain has no secret: it exposes edits, but whoever can write the browser's storage can
+ * also rewrite the whole log and recompute every hash.
+ */
+export class AuditLog {
+    static STORE = 'audit';
+    static META_STORE = 'auditMeta';
+    static META_ID = 'settings';
+    
+    static EVENTS = {
+        ENCRYPT: 'encrypt',
+        DECRYPT: 'decrypt',
+        KEY_IMPORT: 'key-import',
+        KEY_SPLIT: 'key-split',
+        KEY_RECOVER: 'key-recover',
+        COPY: 'copy',
+        CLEAR: 'clear',
+        LOG_ENABLED: 'log-enabled',
+        LOG_DISABLED: 'log-disabled',
+        LOG_CLEARED: 'log-cleared'
+    };
+    static OUTCOMES = {
+        SUCCESS: 'success',
+        FAILURE: 'failure',
+        CANCELLED: 'cancelled'
+    };
+    
+    // The only detail fields an entry may hold, so no caller can log content by mistake
+    static DETAIL_FIELDS = [
+        'target', 'keySource', 'encoding', 'size', 'items', 'threshold', 'source',
+        'kind', 'algorithm', 'fingerprint', 'protected', 'panic', 'signed', 'signer', 'errorCode'
+    ];
+    static MAX_DETAIL_LENGTH = 64;
+    
+    // prevHash of the first entry
+    static GENESIS_HASH = '0'.repeat(64);
+    static EXPORT_FORMAT = 'EncryptDemo audit log';
+    
+    // Set from configs c_Monitoring_SecurityAudit and c_DataManagement_LocalStorage;
+    // while false nothing is recorded, even when the log was turned on earlier
+    static available = false;
+    
+    // Called after the log changes, so an open viewer can refresh
+    static onChange = null;
+    
+    // Writes run one at a time so each entry links to the one written before it
+    static queue = Promise.resolve();
+    
+    static async isEnabled() {
+        const meta = await LocalDatabase.get(this.META_STORE, this.META_ID);
+        return Boolean(meta && meta.enabled);
+    }
+    
+    /**
+     * Start recording; entries already in the log are kept and the chain continues
+     */
+    static enable() {
+        return this.serialize(async () => {
+            const meta = await this.getMeta();
+            await LocalDatabase.put(this.META_STORE, { ...meta, enabled: true });
+            await this.append(this.EVENTS.LOG_ENABLED, this.OUTCOMES.SUCCESS);
+        });
+    }
+    
+    /**
+     * Stop recording; turning the log off is its last entry
+     */
+    static disable() {
+        return this.serialize(async () => {
+            await this.append(this.EVENTS.LOG_DISABLED, this.OUTCOMES.SUCCESS);
+            const meta = await this.getMeta();
+            await LocalDatabase.put(this.META_STORE, { ...meta, enabled: false });
+        });
+    }
+    
+    /**
+     * Delete every entry and start a new chain
+     * While the log is on, the new chain opens with an entry saying the log was cleared
+     */
+    static clear() {
+        return this.serialize(async () => {
+            const meta = await this.getMeta();
+            await LocalDatabase.runTransaction([this.STORE, this.META_STORE], 'readwrite', (stores) => {
+                stores[this.STORE].clear();
+                stores[this.META_STORE].put({ ...meta, head: this.emptyHead() });
+            });
+            await this.append(this.EVENTS.LOG_CLEARED, this.OUTCOMES.SUCCESS);
+        });
+    }
+    
+    /**
+     * Add an event to the log when it is on
+     * Never rejects: a failure to log is reported on the console and does not fail the operation
+     */
+    static record(event, outcome, details = {}) {
+        if (!this.available) {
+            return Promise.resolve(null);
+        }
+        
+        return this.serialize(() => this.append(event, outcome, details)).catch((error) => {
+            console.error('Audit log error:', error);
+            return null;
+        });
+    }
+    
+    /**
+     * Record the end of an operation: success without an error, otherwise cancelled or failed
+     * with the error's code
+     */
+    static recordResult(event, error, details = {}) {
+        if (!error) {
+            return this.record(event, this.OUTCOMES.SUCCESS, details);
+        }
+        if (error instanceof CryptoError && error.code === 'CANCELLED') {
+            return this.record(event, this.OUTCOMES.CANCELLED, details);
+        }
+        return this.record(event, this.OUTCOMES.FAILURE, {
+            ...details,
+            errorCode: error instanceof CryptoError ? error.code : 'UNEXPECTED_ERROR'
+        });
+    }
+    
+    /**
+     * Entries, newest first
+     */
+    static async list() {
+        const entries = await LocalDatabase.getAll(this.STORE);
+        return entries.sort((a, b) => b.id - a.id);
+    }
+    
+    /**
+     * Check the hash chain from the first entry to the newest recorded in the settings
+     * Returns { valid, count, brokenAt, reason }; brokenAt is the number of the first entry
+     * that does not check out and reason names the check it failed (audit.reason.* messages)
+     */
+    static async verify() {
+        const entries = (await LocalDatabase.getAll(this.STORE)).sort((a, b) => a.id - b.id);
+        const head = (await this.getMeta()).head;
+        const broken = (brokenAt, reason) => ({ valid: false, count: entries.length, brokenAt: brokenAt, reason: reason });
+        
+        let prevHash = this.GENESIS_HASH;
+        for (const [index, entry] of entries.entries()) {
+            const sequence = index + 1;
+            if (entry.id !== sequence) {
+                return broken(sequence, 'missing');
+            }
+            if (entry.prevHash !== prevHash) {
+                return broken(sequence, 'outOfOrder');
+            }
+            if (await this.hashEntry(entry) !== entry.hash) {
+                return broken(sequence, 'modified');
+            }
+            prevHash = entry.hash;
+        }
+        
+        if (head.sequence > entries.length) {
+            return broken(entries.length + 1, 'removed');
+        }
+        if (head.sequence < entries.length) {
+            return broken(head.sequence + 1, 'unrecorded');
+        }
+        if (head.hash !== prevHash) {
+            return broken(entries.length, 'head');
+        }
+        return { valid: true, count: entries.length, brokenAt: null, reason: null };
+    }
+    
+    /**
+     * The whole log as JSON, oldest entry first, with the result of an integrity check
+     * The chain can be checked again outside the app from the entries and head alone
+     */
+    static async exportJson() {
+        const entries = (await this.list()).reverse();
+        return JSON.stringify({
+            format: this.EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            head: (await this.getMeta()).head,
+            verification: await this.verify(),
+            entries: entries
+        }, null, 2) + '\n';
+    }
+    
+    /**
+     * Run a log write after the ones before it
+     */
+    static serialize(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result.then((value) => {
+            if (this.onChange) {
+                this.onChange();
+            }
+            return value;
+        });
+    }
+    
+    /**
+     * Chain a new entry onto the newest one; does nothing while the log is off
+     */
+    static async append(event, outcome, details = {}) {
+        const meta = await this.getMeta();
+        if (!meta.enabled) {
+            return null;
+        }
+        
+        const entry = {
+            id: meta.head.sequence + 1,
+            time: new Date().toISOString(),
+            event: event,
+            outcome: outcome,
+            details: this.cleanDetails(details),
+            prevHash: meta.head.hash
+        };
+        entry.hash = await this.hashEntry(entry);
+        
+        // Entry and head together, so an interrupted write cannot leave the head behind the log
+        await LocalDatabase.runTransaction([this.STORE, this.META_STORE], 'readwrite', (stores) => {
+            stores[this.STORE].put(entry);
+            stores[this.META_STORE].put({ ...meta, head: { sequence: entry.id, hash: entry.hash } });
+        });
+        return entry;
+    }
+    
+    /**
+     * Keep only the allowed detail fields, and only short strings, numbers and booleans
+     */
+    static cleanDetails(details) {
+        const cleaned = {};
+        for (const field of this.DETAIL_FIELDS) {
+            const value = details[field];
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                cleaned[field] = value;
+            } else if (typeof value === 'string') {
+                cleaned[field] = value.slice(0, this.MAX_DETAIL_LENGTH);
+            }
+        }
+        return cleaned;
+    }
+    
+    /**
+     * SHA-256 of an entry's fields in a fixed order, as hex
+     * A malformed entry hashes to nothing, so it never matches
+     */
+    static async hashEntry(entry) {
+        if (!entry.details || typeof entry.details !== 'object') {
+            return null;
+        }
+        
+        const details = Object.keys(entry.details).sort().map((field) => [field, entry.details[field]]);
+        const canonical = JSON.stringify([entry.id, entry.time, entry.event, entry.outcome, details, entry.prevHash]);
+        return OutputFormatter.encodeHex(await CryptographicEngine.sha256(new TextEncoder().encode(canonical)));
+    }
+    
+    static async getMeta() {
+        const meta = await LocalDatabase.get(this.META_STORE, this.META_ID);
+        return meta || { id: this.META_ID, enabled: false, head: this.emptyHead() };
+    }
+    
+    static emptyHead() {
+        return { sequence: 0, hash: this.GENESIS_HASH };
+    }
+}
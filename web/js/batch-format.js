@@ -0,0 +1,413 @@
+import { CryptoError } from './crypto-error.js';
+import { InputValidator } from './input-validator.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Batch Format Class
+ * Enables Feature: BatchProcessing (EncryptionWebApp.fml line 220)
+ * Reads batch input into a table and writes batch results back out as CSV or JSON
+ * Input is one item per line, CSV with a header row (RFC 4180 quoting), or a JSON array of
+ * strings or of flat objects. A table is { columns, rows }; each row holds its cells keyed by
+ * column name, plus an error once it has been processed
+ */
+export class BatchFormat {
+    static INPUT_FORMATS = ['lines', 'csv', 'json'];
+    static OUTPUT_FORMATS = ['csv', 'json'];
+    static MAX_ROWS = 1000;
+    
+    // Column for one-item-per-line input and JSON arrays of strings
+    static VALUE_COLUMN = 'value';
+    // Column added to the results for rows that could not be encrypted
+    static ERROR_COLUMN = 'error';
+    
+    static MIME_TYPES = {
+        csv: 'text/csv',
+        json: 'application/json'
+    };
+    
+    /**
+     * Input format for an uploaded file, from its extension
+     */
+    static formatForFile(name) {
+        const lower = name.toLowerCase();
+        if (lower.endsWith('.json')) {
+            return 'json';
+        }
+        return lower.endsWith('.csv') ? 'csv' : 'lines';
+    }
+    
+    /**
+     * Name of the results download, after the uploaded file when there is one
+     */
+    static outputName(sourceName, format) {
+        const base = sourceName ? sourceName.replace(/\.(csv|json|txt)$/i, '') : 'batch';
+        return `${base}.encrypted.${format}`;
+    }
+    
+    /**
+     * Parse batch input into a table
+     * Problems with the input as a whole throw; problems with a single row are kept on that row
+     */
+    static parse(text, format) {
+        let table;
+        switch (format) {
+            case 'lines':
+                table = this.parseLines(text);
+                break;
+            case 'csv':
+                table = this.parseCsv(text);
+                break;
+            case 'json':
+                table = this.parseJson(text);
+                break;
+            default:
+                throw new CryptoError(
+                    `Unknown batch format ${format}`,
+                    'MALFORMED_INPUT',
+                    { reason: 'batchFormat', params: { format } }
+                );
+        }
+        
+        if (table.rows.length === 0) {
+            throw new CryptoError('The batch has no items', 'MALFORMED_INPUT', { reason: 'batchEmpty' });
+        }
+        if (table.rows.length > this.MAX_ROWS) {
+            throw new CryptoError(
+                `Too many items: ${table.rows.length} (maximum ${this.MAX_ROWS})`,
+                'MALFORMED_INPUT',
+                { reason: 'batchTooMany', params: { count: table.rows.length, maximum: this.MAX_ROWS } }
+            );
+        }
+        if (table.columns.includes(this.ERROR_COLUMN)) {
+            throw new CryptoError(
+                `The batch already has a column named "${this.ERROR_COLUMN}"`,
+                'MALFORMED_INPUT',
+                { reason: 'batchErrorColumn', params: { column: this.ERROR_COLUMN } }
+            );
+        }
+        return table;
+    }
+    
+    /**
+     * One item per line; blank lines are skipped
+     */
+    static parseLines(text) {
+        return {
+            columns: [this.VALUE_COLUMN],
+            rows: text.split(/\r\n|\n|\r/)
+                .filter((line) => line.trim().length > 0)
+                .map((line) => ({ cells: { [this.VALUE_COLUMN]: line }, error: null }))
+        };
+    }
+    
+    /**
+     * CSV with a header row naming the columns
+     * A row with the wrong number of fields is kept as a row error
+     */
+    static parseCsv(text) {
+        const records = this.readCsvRecords(text).filter((record) => record.length > 1 || record[0] !== '');
+        if (records.length === 0) {
+            return { columns: [], rows: [] };
+        }
+        
+        const [header, ...body] = records;
+        const columns = header.map((name) => name.trim());
+        columns.forEach((name, index) => {
+            if (!name) {
+                throw new CryptoError(
+                    `CSV column ${index + 1} has no name`,
+                    'MALFORMED_INPUT',
+                    { reason: 'csvColumnName', params: { number: index + 1 } }
+                );
+            }
+            if (columns.indexOf(name) !== index) {
+                throw new CryptoError(
+                    `CSV column "${name}" appears more than once`,
+                    'MALFORMED_INPUT',
+                    { reason: 'csvColumnRepeated', params: { name } }
+                );
+            }
+        });
+        
+        return {
+            columns: columns,
+            rows: body.map((record) => {
+                const cells = {};
+                columns.forEach((name, index) => {
+                    cells[name] = record[index] ?? '';
+                });
+                return {
+                    cells: cells,
+                    error: record.length === columns.length
+                        ? null
+                        : `Expected ${columns.length} fields, found ${record.length}`
+                };
+            })
+        };
+    }
+    
+    /**
+     * Split CSV text into records of fields
+     * Quoted fields may contain commas, doubled quotes and line breaks
+     */
+    static readCsvRecords(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        
+        while (i < text.length) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+            
+            if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+            } else {
+                field += char;
+            }
+            i++;
+        }
+        
+        if (quoted) {
+            throw new CryptoError(
+                'CSV has a quoted field that is never closed',
+                'MALFORMED_INPUT',
+                { reason: 'csvQuote' }
+            );
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        return records;
+    }
+    
+    /**
+     * A JSON array of strings (one item each) or of flat objects (one row each)
+     * Columns are the object keys in the order they first appear
+     */
+    static parseJson(text) {
+        let items;
+        try {
+            items = JSON.parse(text);
+        } catch (error) {
+            throw new CryptoError('The batch is not valid JSON', 'MALFORMED_INPUT', { reason: 'batchJson' });
+        }
+        if (!Array.isArray(items)) {
+            throw new CryptoError(
+                'A JSON batch must be an array of strings or objects',
+                'MALFORMED_INPUT',
+                { reason: 'batchJsonArray' }
+            );
+        }
+        
+        if (items.every((item) => typeof item === 'string')) {
+            return {
+                columns: [this.VALUE_COLUMN],
+                rows: items.map((item) => ({ cells: { [this.VALUE_COLUMN]: item }, error: null }))
+            };
+        }
+        
+        const columns = [];
+        const rows = items.map((item) => {
+            if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+                return { cells: {}, error: 'Item is not an object' };
+            }
+            for (const name of Object.keys(item)) {
+                if (!columns.includes(name)) {
+                    columns.push(name);
+                }
+            }
+            return { cells: { ...item }, error: null };
+        });
+        return { columns: columns, rows: rows };
+    }
+    
+    /**
+     * Columns named in a comma-separated list, or every column when the list is empty
+     */
+    static selectColumns(table, columnList) {
+        const names = columnList
+            .split(',')
+            .map((name) => name.trim())
+            .filter((name) => name.length > 0);
+        
+        for (const name of names) {
+            if (!table.columns.includes(name)) {
+                throw new CryptoError(
+                    `The batch has no column named "${name}"`,
+                    'MALFORMED_INPUT',
+                    { reason: 'batchColumnMissing', params: { name } }
+                );
+            }
+        }
+        return names.length > 0 ? names : table.columns;
+    }
+    
+    /**
+     * Validate the cells to encrypt and list them in order as { row, column, plaintext }
+     * A failed row keeps its error and loses the cells that were to be encrypted, so no
+     * plaintext from those columns reaches the results
+     */
+    static collectItems(table, columns, { normalize = false } = {}) {
+        const items = [];
+        
+        for (const row of table.rows) {
+            const rowItems = [];
+            
+            for (const column of columns) {
+                if (row.error) {
+                    break;
+                }
+                
+                const cell = this.validateCell(row.cells[column], normalize);
+                if (cell.error) {
+                    row.error = columns.length > 1 ? `${column}: ${cell.error}` : cell.error;
+                } else if (cell.plaintext.length > 0) {
+                    rowItems.push({ row: row, column: column, plaintext: cell.plaintext });
+                }
+            }
+            
+            if (row.error) {
+                for (const column of columns) {
+                    delete row.cells[column];
+                }
+            } else {
+                items.push(...rowItems);
+            }
+        }
+        
+        if (items.length === 0) {
+            const failedRow = table.rows.findIndex((row) => row.error);
+            throw new CryptoError(
+                failedRow === -1
+                    ? 'Nothing to encrypt - the selected columns are empty'
+                    : `Nothing to encrypt - row ${failedRow + 1}: ${table.rows[failedRow].error}`,
+                'MALFORMED_INPUT',
+                failedRow === -1
+                    ? { reason: 'batchNothing' }
+                    : { reason: 'batchRowFailed', params: { number: failedRow + 1, error: table.rows[failedRow].error } }
+            );
+        }
+        return items;
+    }
+    
+    /**
+     * Validate one cell; empty cells have nothing to encrypt and stay empty
+     */
+    static validateCell(value, normalize) {
+        let text;
+        try {
+            text = this.cellText(value);
+        } catch (error) {
+            return { error: I18n.errorMessage(error, error.message) };
+        }
+        if (text.length === 0) {
+            return { plaintext: '' };
+        }
+        
+        const validation = InputValidator.validate(text, { normalize: normalize });
+        return validation.isValid ? { plaintext: validation.value } : { error: validation.errors[0] };
+    }
+    
+    /**
+     * Text to encrypt from a cell
+     * Numbers and booleans are encrypted as written; missing and null cells have nothing to encrypt
+     */
+    static cellText(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        throw new CryptoError('Value is not text', 'MALFORMED_INPUT', { reason: 'batchValue' });
+    }
+    
+    /**
+     * Write a processed table as CSV or JSON, with an error for each row that failed
+     */
+    static serialize(table, format) {
+        if (format === 'json') {
+            return this.toJson(table);
+        }
+        if (format === 'csv') {
+            return this.toCsv(table);
+        }
+        throw new CryptoError(
+            `Unknown batch format ${format}`,
+            'MALFORMED_INPUT',
+            { reason: 'batchFormat', params: { format } }
+        );
+    }
+    
+    static toCsv({ columns, rows }) {
+        const lines = [[...columns, this.ERROR_COLUMN].map((name) => this.csvField(name)).join(',')];
+        for (const row of rows) {
+            const fields = columns.map((name) => {
+                const value = row.cells[name];
+                if (value === undefined || value === null) {
+                    return '';
+                }
+                return this.csvField(typeof value === 'object' ? JSON.stringify(value) : String(value));
+            });
+            fields.push(this.csvField(row.error || ''));
+            lines.push(fields.join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Quote a CSV field when it holds a comma, quote, line break or edge whitespace
+     */
+    static csvField(value) {
+        return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+    
+    /**
+     * One object per row; failed rows carry an error field
+     */
+    static toJson({ columns, rows }) {
+        return JSON.stringify(rows.map((row) => {
+            const item = {};
+            for (const name of columns) {
+                if (name in row.cells) {
+                    item[name] = row.cells[name];
+                }
+            }
+            if (row.error) {
+                item[this.ERROR_COLUMN] = row.error;
+            }
+            return item;
+        }), null, 2) + '\n';
+    }
+}
@@ -0,0 +1,216 @@
+import { CryptoError } from './crypto-error.js';
+import { FileManager } from './file-manager.js';
+import { UIManager } from './ui-manager.js';
+import { AuditLog } from './audit-log.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Clipboard Manager Class
+ * Implements Function: CopyToClipboardFunction (EncryptionFunctions.fun line 64)
+ * Enables Feature: CopyToClipboard when config c_UserInterface_CopyToClipboard = 1
+ * Per ThreatModel.md T-INFO-01 and CS-THREAT-02: a copy is read back to confirm it, the clipboard
+ * is overwritten after the chosen delay and on Clear All while it still holds what was copied,
+ * and where the clipboard cannot be used the text is offered as a download instead
+ * Status messages are announced to screen readers, except the countdown's every tick
+ */
+export class ClipboardManager {
+    static FALLBACK_FILENAME = 'encrypted-message.txt';
+    
+    // The text copied last, while it may still be on the clipboard
+    static copiedText = null;
+    
+    // Text offered as a download after a copy failed
+    static fallbackText = null;
+    
+    static clearTimer = null;
+    static countdownTimer = null;
+    
+    static async copyToClipboard() {
+        const text = UIManager.elements.outputText.value;
+        if (!text) {
+            UIManager.showError(I18n.t('clipboard.nothingToCopy'));
+            return;
+        }
+        
+        await this.copyText(text);
+    }
+    
+    /**
+     * Copy text, confirm it by reading it back and start the auto-clear countdown
+     * The source ('output', 'history' or 'share') goes into the audit log, never the copied text
+     * Returns whether the copy succeeded; when it did not, a download is offered instead
+     */
+    static async copyText(text, source = 'output') {
+        this.cancelAutoClear();
+        this.hideFallback();
+        
+        try {
+            const clipboard = this.clipboard();
+            if (!clipboard) {
+                throw new CryptoError(I18n.t('clipboard.unavailable'), 'CLIPBOARD_UNAVAILABLE', { localized: true });
+            }
+            await clipboard.writeText(text);
+        } catch (error) {
+            this.copyFailed(text, source, I18n.t('clipboard.failed'), error instanceof CryptoError ? error.code : error.name);
+            return false;
+        }
+        
+        // Another program may have replaced the text already; a clipboard that cannot be read
+        // is taken at its word
+        const confirmed = await this.clipboardHolds(text);
+        if (confirmed === false) {
+            this.copyFailed(text, source, I18n.t('clipboard.notConfirmed'), 'READ_BACK_MISMATCH');
+            return false;
+        }
+        
+        this.copiedText = text;
+        this.showStatus(I18n.t(confirmed ? 'clipboard.copied' : 'clipboard.copiedUnchecked'), 'text-green-600');
+        AuditLog.record(AuditLog.EVENTS.COPY, AuditLog.OUTCOMES.SUCCESS, { source: source });
+        
+        // Seconds until the clipboard is cleared; 0 leaves it alone
+        const delay = Number(UIManager.elements.clipboardClearDelay.value);
+        if (delay > 0) {
+            this.startAutoClear(delay);
+        } else {
+            // Security warning per ThreatModel.md T-INFO-01
+            this.clearTimer = setTimeout(() => {
+                this.showStatus(I18n.t('clipboard.risk'), 'text-yellow-600');
+            }, 3000);
+        }
+        return true;
+    }
+    
+    static copyFailed(text, source, message, errorCode) {
+        this.showStatus(message, 'text-red-600');
+        this.offerDownload(text);
+        AuditLog.record(AuditLog.EVENTS.COPY, AuditLog.OUTCOMES.FAILURE, { source: source, errorCode: errorCode });
+    }
+    
+    /**
+     * Count down next to the copy button, taking over from the copy message after a second,
+     * and clear the clipboard at zero
+     */
+    static startAutoClear(seconds) {
+        const clearAt = Date.now() + seconds * 1000;
+        const showRemaining = () => {
+            const remaining = Math.max(0, Math.ceil((clearAt - Date.now()) / 1000));
+            this.showStatus(I18n.t('clipboard.countdown', { seconds: remaining }), 'text-yellow-600', { announce: false });
+        };
+        
+        this.countdownTimer = setInterval(showRemaining, 1000);
+        this.clearTimer = setTimeout(() => {
+            this.clearClipboard();
+        }, seconds * 1000);
+    }
+    
+    static cancelAutoClear() {
+        clearTimeout(this.clearTimer);
+        clearInterval(this.countdownTimer);
+        this.clearTimer = null;
+        this.countdownTimer = null;
+    }
+    
+    /**
+     * Overwrite the clipboard if it still holds the text copied last
+     * Anything copied since, here or elsewhere, is left alone, and so is a clipboard that cannot
+     * be read, since there is no telling what it holds. Browsers only allow clipboard access to
+     * the focused page, so the clear waits for the page to get focus back.
+     * Returns whether the clipboard was cleared
+     */
+    static async clearClipboard() {
+        this.cancelAutoClear();
+        const text = this.copiedText;
+        if (text === null) {
+            return false;
+        }
+        
+        if (!document.hasFocus()) {
+            this.showStatus(I18n.t('clipboard.clearsOnReturn'), 'text-yellow-600');
+            window.addEventListener('focus', () => this.clearClipboard(), { once: true });
+            return false;
+        }
+        this.copiedText = null;
+        
+        const holdsCopy = await this.clipboardHolds(text);
+        if (holdsCopy === null) {
+            this.showStatus(I18n.t('clipboard.notChecked'), 'text-yellow-600');
+            return false;
+        }
+        if (!holdsCopy) {
+            this.showStatus('', '');
+            return false;
+        }
+        
+        try {
+            await this.clipboard().writeText('');
+        } catch (error) {
+            this.showStatus(I18n.t('clipboard.clearFailed'), 'text-yellow-600');
+            return false;
+        }
+        this.showStatus(I18n.t('clipboard.cleared'), 'text-green-600');
+        return true;
+    }
+    
+    /**
+     * Whether the clipboard holds exactly this text, or null when it cannot be read
+     * Reading may ask the user for permission the first time
+     */
+    static async clipboardHolds(text) {
+        const clipboard = this.clipboard();
+        if (!clipboard || !clipboard.readText) {
+            return null;
+        }
+        
+        try {
+            return await clipboard.readText() === text;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Show the button that saves the text as a .txt file in place of the failed copy
+     */
+    static offerDownload(text) {
+        this.fallbackText = text;
+        UIManager.elements.copyDownloadBtn.classList.remove('hidden');
+    }
+    
+    static hideFallback() {
+        this.fallbackText = null;
+        UIManager.elements.copyDownloadBtn.classList.add('hidden');
+    }
+    
+    static downloadFallback() {
+        if (this.fallbackText === null) {
+            return;
+        }
+        
+        FileManager.download(new Blob([this.fallbackText + '\n'], { type: 'text/plain' }), this.FALLBACK_FILENAME);
+        this.hideFallback();
+        this.showStatus(I18n.t('clipboard.downloaded'), 'text-green-600');
+    }
+    
+    /**
+     * Stop the countdown, drop the download offer and clear the clipboard, for Clear All
+     */
+    static reset() {
+        this.hideFallback();
+        return this.clearClipboard();
+    }
+    
+    static clipboard() {
+        return globalThis.navigator ? globalThis.navigator.clipboard : undefined;
+    }
+    
+    /**
+     * Show a message next to the copy button; failures are announced at once
+     */
+    static showStatus(message, colorClass, { announce = true } = {}) {
+        UIManager.elements.copyStatus.textContent = message;
+        UIManager.elements.copyStatus.className = `text-sm ${colorClass}`.trim();
+        if (announce && message) {
+            UIManager.announce(message, { assertive: colorClass === 'text-red-600' });
+        }
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Cryptographic Error Class
+ * Carries a user-safe message plus a machine-readable code
+ * Per ThreatModel.md - messages never expose keys, plaintext or crypto internals
+ * The message is English for the CLI, the server and logs; the UI shows the catalog message
+ * for the code instead (I18n.errorMessage). details.reason picks a more specific message for
+ * the code and details.params fills it in; details.localized marks a message that already
+ * came from the catalog, such as a validator's
+ */
+export class CryptoError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'CryptoError';
+        this.code = code;
+        this.details = details;
+    }
+}
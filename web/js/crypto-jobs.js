@@ -0,0 +1,327 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { SignatureEngine } from './signature-engine.js';
+import { StreamCipher } from './stream-cipher.js';
+import { EnvelopeFormat } from './envelope-format.js';
+import { OutputFormatter } from './output-formatter.js';
+import { SecretSharing } from './secret-sharing.js';
+
+/**
+ * Crypto Jobs Class
+ * The expensive half of each workflow: key derivation, encryption, decryption and formatting
+ * Runs inside the crypto worker (crypto-worker.js), or inline where workers are unavailable
+ * Payloads and results hold only structured-cloneable values (strings, bytes, CryptoKeys, Blobs)
+ * Key specs say where the content key comes from:
+ *   { source: 'random' } | { source: 'passphrase', passphrase } | { source: 'key', key }
+ *   | { source: 'recipients', recipients }
+ * Signing specs, for signed output: { algorithm, privateKey, fingerprint, content }, where
+ * content is an EnvelopeFormat.SIGNED_CONTENT id
+ */
+export class CryptoJobs {
+    /**
+     * Run one job by type, reporting progress as a 0-1 fraction
+     */
+    static run(type, payload, onProgress = () => {}) {
+        switch (type) {
+            case 'encryptText':
+                return this.encryptText(payload, onProgress);
+            case 'encryptBatch':
+                return this.encryptBatch(payload, onProgress);
+            case 'decryptText':
+                return this.decryptText(payload, onProgress);
+            case 'encryptFile':
+                return this.encryptFile(payload, onProgress);
+            case 'decryptFile':
+                return this.decryptFile(payload, onProgress);
+            case 'splitKey':
+                return this.splitKey(payload, onProgress);
+            default:
+                return Promise.reject(new CryptoError(`Unknown job type ${type}`, 'UNKNOWN_JOB', { params: { type } }));
+        }
+    }
+    
+    /**
+     * Generate or derive the content key for an encryption key spec
+     * Returns the key plus the envelope header fields that describe how to recover it
+     */
+    static async prepareEncryptionKey(keySpec) {
+        if (keySpec.source === 'passphrase') {
+            const salt = CryptographicEngine.generateSalt();
+            return {
+                key: await CryptographicEngine.deriveKey(keySpec.passphrase, salt, CryptographicEngine.PBKDF2_ITERATIONS),
+                keyParams: {
+                    kdf: EnvelopeFormat.KDFS.PBKDF2_SHA256,
+                    salt: salt,
+                    iterations: CryptographicEngine.PBKDF2_ITERATIONS
+                }
+            };
+        }
+        
+        if (keySpec.source === 'key') {
+            return {
+                key: keySpec.key,
+                keyParams: { kdf: EnvelopeFormat.KDFS.NONE }
+            };
+        }
+        
+        if (keySpec.source === 'recipients') {
+            // Hybrid encryption: a fresh content key, wrapped once per recipient
+            const key = await CryptographicEngine.generateKey();
+            return {
+                key: key,
+                keyParams: {
+                    kdf: EnvelopeFormat.KDFS.RECIPIENTS,
+                    recipients: await Promise.all(
+                        keySpec.recipients.map((recipient) => CryptographicEngine.wrapForRecipient(key, recipient))
+                    )
+                }
+            };
+        }
+        
+        return {
+            key: await CryptographicEngine.generateKey(),
+            keyParams: { kdf: EnvelopeFormat.KDFS.NONE }
+        };
+    }
+    
+    /**
+     * Encode a one-off random key for display
+     * Only the random key is shown; passphrases, saved keys and recipients' keys are already shared
+     */
+    static async exportRandomKey(keySpec, key) {
+        return keySpec.source === 'random'
+            ? OutputFormatter.encodeBase64(await CryptographicEngine.exportKey(key))
+            : '';
+    }
+    
+    /**
+     * Resolve the key for a decryption key spec, re-deriving it from the passphrase if needed
+     */
+    static async resolveDecryptionKey(keySpec, envelope) {
+        if (keySpec.source === 'passphrase') {
+            return CryptographicEngine.deriveKey(keySpec.passphrase, envelope.salt, envelope.iterations);
+        }
+        return keySpec.key;
+    }
+    
+    /**
+     * Encrypt text into a formatted envelope
+     * Implements Functions: GenerateCryptographicKey, EncryptText, FormatEncryptedOutput
+     */
+    static async encryptText({ plaintext, keySpec, encoding, signing = null }, onProgress) {
+        const { key, keyParams } = await this.prepareEncryptionKey(keySpec);
+        onProgress(0.5);
+        
+        const output = await this.sealText(plaintext, key, keyParams, encoding, signing);
+        onProgress(0.9);
+        
+        return {
+            output: output,
+            encodedKey: await this.exportRandomKey(keySpec, key)
+        };
+    }
+    
+    /**
+     * Encrypt a list of texts, one envelope each
+     * Enables Feature: BatchProcessing (EncryptionWebApp.fml line 220)
+     * The key is generated or derived once for the batch, so a passphrase costs one PBKDF2 run;
+     * every item gets its own IV and header
+     */
+    static async encryptBatch({ plaintexts, keySpec, encoding, signing = null }, onProgress) {
+        const { key, keyParams } = await this.prepareEncryptionKey(keySpec);
+        onProgress(0.1);
+        
+        const outputs = [];
+        for (const plaintext of plaintexts) {
+            outputs.push(await this.sealText(plaintext, key, keyParams, encoding, signing));
+            onProgress(0.1 + 0.9 * outputs.length / plaintexts.length);
+        }
+        
+        return {
+            outputs: outputs,
+            encodedKey: await this.exportRandomKey(keySpec, key)
+        };
+    }
+    
+    /**
+     * Encrypt one text under a prepared key into a formatted envelope, signed when a signing
+     * spec is given
+     */
+    static async sealText(plaintext, key, keyParams, encoding, signing = null) {
+        const iv = CryptographicEngine.generateIV();
+        const header = EnvelopeFormat.encodeHeader({
+            algorithm: EnvelopeFormat.ALGORITHMS.AES_256_GCM,
+            ...keyParams,
+            signature: signing ? this.signatureHeader(signing) : null,
+            iv: iv
+        });
+        
+        // The header is authenticated along with the text
+        let envelope;
+        if (!signing) {
+            envelope = EnvelopeFormat.encode(header, await CryptographicEngine.encryptText(plaintext, key, iv, header));
+        } else if (signing.content === EnvelopeFormat.SIGNED_CONTENT.PLAINTEXT) {
+            // The signature is encrypted with the text, so only recipients learn it
+            const textBytes = CryptographicEngine.encodeText(plaintext);
+            const signature = await SignatureEngine.sign(
+                signing.privateKey,
+                signing.algorithm,
+                SignatureEngine.plaintextSignedData(textBytes)
+            );
+            const payload = new Uint8Array(signature.length + textBytes.length);
+            payload.set(signature, 0);
+            payload.set(textBytes, signature.length);
+            envelope = EnvelopeFormat.encode(header, await CryptographicEngine.encryptBytes(payload, key, iv, header));
+        } else {
+            // The signature covers the header and the ciphertext, so it can be checked before decrypting
+            const encryptedData = await CryptographicEngine.encryptText(plaintext, key, iv, header);
+            const signature = await SignatureEngine.sign(
+                signing.privateKey,
+                signing.algorithm,
+                EnvelopeFormat.encode(header, encryptedData)
+            );
+            envelope = EnvelopeFormat.encode(header, encryptedData, signature);
+        }
+        return OutputFormatter.formatOutput(envelope, { encoding: encoding });
+    }
+    
+    /**
+     * Envelope header fields naming the signer of a signing spec
+     */
+    static signatureHeader(signing) {
+        return {
+            algorithm: OutputFormatter.lookupName(
+                OutputFormatter.SIGNATURE_ALGORITHM_NAMES,
+                signing.algorithm,
+                'signature algorithm',
+                'UNSUPPORTED_ALGORITHM',
+                'jsonSignatureAlgorithm'
+            ),
+            content: signing.content,
+            fingerprint: signing.fingerprint
+        };
+    }
+    
+    /**
+     * Decrypt a parsed envelope back to text
+     * With a passphrase, a wrong passphrase derives a wrong key and fails the tag check
+     * A signed envelope is checked against the signer's public key when the caller has it
+     * ({ algorithm, publicKey }); a signature that does not check out fails the whole job.
+     * Returns the plaintext and, for signed messages, { signer (hex fingerprint), verified }
+     */
+    static async decryptText({ envelope, keySpec, signer = null }, onProgress) {
+        const key = await this.resolveDecryptionKey(keySpec, envelope);
+        onProgress(0.5);
+        
+        const signature = envelope.signature;
+        if (!signature) {
+            return {
+                plaintext: await CryptographicEngine.decryptText(
+                    envelope.encryptedData,
+                    key,
+                    envelope.iv,
+                    envelope.additionalData
+                ),
+                signature: null
+            };
+        }
+        
+        let plaintext;
+        if (signature.content === EnvelopeFormat.SIGNED_CONTENT.PLAINTEXT) {
+            const payload = await CryptographicEngine.decryptBytes(envelope.encryptedData, key, envelope.iv, envelope.additionalData);
+            if (payload.length < EnvelopeFormat.SIGNATURE_LENGTH) {
+                throw new CryptoError('Signed message is truncated', 'MALFORMED_INPUT', { reason: 'signedTruncated' });
+            }
+            const value = payload.slice(0, EnvelopeFormat.SIGNATURE_LENGTH);
+            const textBytes = payload.slice(EnvelopeFormat.SIGNATURE_LENGTH);
+            if (signer) {
+                await this.checkSignature(signer, signature, value, SignatureEngine.plaintextSignedData(textBytes));
+            }
+            plaintext = CryptographicEngine.decodeText(textBytes);
+        } else {
+            if (signer) {
+                const signedData = EnvelopeFormat.encode(envelope.additionalData, envelope.encryptedData);
+                await this.checkSignature(signer, signature, signature.value, signedData);
+            }
+            plaintext = await CryptographicEngine.decryptText(envelope.encryptedData, key, envelope.iv, envelope.additionalData);
+        }
+        
+        return {
+            plaintext: plaintext,
+            signature: { signer: OutputFormatter.encodeHex(signature.fingerprint), verified: Boolean(signer) }
+        };
+    }
+    
+    /**
+     * Check a message signature with the signer's public key
+     */
+    static async checkSignature(signer, signature, value, signedData) {
+        const algorithm = OutputFormatter.SIGNATURE_ALGORITHM_NAMES[signature.algorithm];
+        if (signer.algorithm !== algorithm || !await SignatureEngine.verify(signer.publicKey, algorithm, value, signedData)) {
+            throw new CryptoError(
+                'Signature check failed: the message was not signed by this signer or has been altered',
+                'SIGNATURE_INVALID'
+            );
+        }
+    }
+    
+    /**
+     * Encrypt a file with the chunked stream algorithm
+     */
+    static async encryptFile({ file, keySpec }, onProgress) {
+        const { key, keyParams } = await this.prepareEncryptionKey(keySpec);
+        
+        const noncePrefix = StreamCipher.generateNoncePrefix();
+        const header = EnvelopeFormat.encodeHeader({
+            algorithm: EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM,
+            ...keyParams,
+            chunkSize: StreamCipher.CHUNK_SIZE,
+            iv: noncePrefix
+        });
+        
+        return {
+            blob: await StreamCipher.encryptFile(file, key, header, noncePrefix, StreamCipher.CHUNK_SIZE, onProgress),
+            encodedKey: await this.exportRandomKey(keySpec, key)
+        };
+    }
+    
+    /**
+     * Decrypt a chunked file whose header has already been parsed
+     */
+    static async decryptFile({ file, envelope, keySpec }, onProgress) {
+        const key = await this.resolveDecryptionKey(keySpec, envelope);
+        return {
+            blob: await StreamCipher.decryptFile(file, key, envelope, onProgress)
+        };
+    }
+    
+    /**
+     * Split a content key into Shamir shares
+     * Enables Feature: DataBackup (EncryptionWebApp.fml line 255)
+     * The key is a new random key, a given key, or the passphrase key of a PBKDF2 envelope
+     * ({ salt, iterations }). Returns the share texts and the key as a non-extractable
+     * encrypt/decrypt key for the Key shares key source
+     */
+    static async splitKey({ keySpec, envelope = null, count, threshold }, onProgress) {
+        SecretSharing.checkCounts(count, threshold);
+        
+        let rawKey;
+        if (keySpec.source === 'passphrase') {
+            rawKey = await CryptographicEngine.deriveKeyBytes(keySpec.passphrase, envelope.salt, envelope.iterations);
+        } else if (keySpec.source === 'key') {
+            rawKey = await CryptographicEngine.exportKey(keySpec.key);
+        } else {
+            rawKey = await CryptographicEngine.exportKey(await CryptographicEngine.generateKey());
+        }
+        onProgress(0.5);
+        
+        try {
+            return {
+                shares: await SecretSharing.splitKey(rawKey, count, threshold),
+                key: await CryptographicEngine.importKey(rawKey, { usages: ["encrypt", "decrypt"] })
+            };
+        } finally {
+            rawKey.fill(0);
+        }
+    }
+}
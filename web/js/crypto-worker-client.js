@@ -0,0 +1,198 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptoJobs } from './crypto-jobs.js';
+
+/**
+ * Crypto Worker Client Class
+ * Queues CryptoJobs and runs them one at a time on the crypto worker
+ * Every job gets an id; results from a cancelled job are ignored by id
+ * Web Crypto calls cannot be interrupted, so cancelling the running job terminates the worker
+ * and starts a fresh one for the rest of the queue
+ * Follows Requirement: REQ_PERF_001 (EncryptionRequirements.req line 110) - the page stays responsive
+ */
+export class CryptoWorkerClient {
+    static WORKER_URL = new URL('../crypto-worker.js', import.meta.url);
+    
+    static worker = null; // null = not started, false = unavailable (jobs run inline)
+    static nextJobId = 1;
+    static queue = [];
+    static current = null;
+    static onStatusChange = () => {};
+    
+    /**
+     * Queue a job
+     * Returns { id, promise }; the promise rejects with code CANCELLED if the job is cancelled
+     */
+    static submit(type, payload, onProgress = () => {}) {
+        const job = { id: this.nextJobId++, type, payload, onProgress, progress: 0 };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        
+        this.queue.push(job);
+        this.startNext();
+        this.notify();
+        return { id: job.id, promise: job.promise };
+    }
+    
+    /**
+     * Cancel a queued or running job
+     * Returns true if the job was still pending
+     */
+    static cancel(id) {
+        const index = this.queue.findIndex((job) => job.id === id);
+        if (index !== -1) {
+            const [job] = this.queue.splice(index, 1);
+            job.reject(new CryptoError('Operation cancelled', 'CANCELLED'));
+            this.notify();
+            return true;
+        }
+        
+        if (this.current && this.current.id === id) {
+            const job = this.current;
+            this.current = null;
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            job.reject(new CryptoError('Operation cancelled', 'CANCELLED'));
+            this.startNext();
+            this.notify();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Cancel every queued job and the running one
+     * Returns the number of jobs cancelled
+     */
+    static cancelAll() {
+        const ids = this.queue.map((job) => job.id);
+        if (this.current) {
+            ids.unshift(this.current.id);
+        }
+        
+        // Queued jobs first, so cancelling the running job does not start the next one
+        ids.reverse().forEach((id) => this.cancel(id));
+        return ids.length;
+    }
+    
+    /**
+     * Snapshot of the running job and queue length for the processing indicator
+     */
+    static getStatus() {
+        return {
+            current: this.current
+                ? { id: this.current.id, type: this.current.type, progress: this.current.progress }
+                : null,
+            queued: this.queue.length
+        };
+    }
+    
+    static notify() {
+        this.onStatusChange(this.getStatus());
+    }
+    
+    /**
+     * Start the worker on first use
+     * Pages opened from file:// may not be allowed to start workers; jobs then run inline
+     */
+    static getWorker() {
+        if (this.worker === null) {
+            try {
+                this.worker = new Worker(this.WORKER_URL, { type: 'module' });
+                this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+                this.worker.addEventListener('error', (event) => this.handleWorkerFailure(event));
+            } catch (error) {
+                this.worker = false;
+            }
+        }
+        return this.worker || null;
+    }
+    
+    /**
+     * Hand the next queued job to the worker, or run it inline
+     */
+    static startNext() {
+        if (this.current || this.queue.length === 0) {
+            return;
+        }
+        
+        const job = this.current = this.queue.shift();
+        const worker = typeof Worker === 'undefined' ? null : this.getWorker();
+        if (worker) {
+            worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+        } else {
+            this.runInline(job);
+        }
+    }
+    
+    static runInline(job) {
+        CryptoJobs.run(job.type, job.payload, (progress) => {
+            this.handleMessage({ id: job.id, type: 'progress', progress: progress });
+        }).then(
+            (result) => this.handleMessage({ id: job.id, type: 'result', result: result }),
+            (error) => this.handleMessage({ id: job.id, type: 'error', error: this.serializeError(error) })
+        );
+    }
+    
+    /**
+     * Route a worker message to its job
+     */
+    static handleMessage(message) {
+        const job = this.current;
+        if (!job || message.id !== job.id) {
+            return; // Late message from a cancelled job
+        }
+        
+        if (message.type === 'progress') {
+            job.progress = message.progress;
+            job.onProgress(message.progress);
+            this.notify();
+            return;
+        }
+        
+        this.current = null;
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            job.reject(this.deserializeError(message.error));
+        }
+        this.startNext();
+        this.notify();
+    }
+    
+    /**
+     * The worker script failed to load or crashed
+     * Fall back to inline jobs and retry the running job there
+     */
+    static handleWorkerFailure(event) {
+        event.preventDefault();
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = false;
+        
+        if (this.current) {
+            this.runInline(this.current);
+        }
+    }
+    
+    /**
+     * Errors cross the worker boundary as plain data
+     * Only CryptoError messages are user-safe; anything else keeps just its code
+     */
+    static serializeError(error) {
+        return error instanceof CryptoError
+            ? { message: error.message, code: error.code, details: error.details }
+            : { message: null, code: null };
+    }
+    
+    static deserializeError(error) {
+        return error.message === null
+            ? new Error('Crypto job failed')
+            : new CryptoError(error.message, error.code, error.details);
+    }
+}
@@ -0,0 +1,563 @@
+import { CryptoError } from './crypto-error.js';
+import { InputValidator } from './input-validator.js';
+import { EnvelopeFormat } from './envelope-format.js';
+
+/**
+ * Cryptographic Engine Class
+ * Implements Functions: GenerateCryptographicKey, EncryptText (EncryptionFunctions.fun lines 19, 28)
+ * Follows Requirements: REQ_FUNC_002, REQ_FUNC_002_1, REQ_FUNC_002_2 (EncryptionRequirements.req)
+ * Per CryptoDecision.md specifications (AES-GCM 256-bit)
+ */
+export class CryptographicEngine {
+    // 96-bit IV and 128-bit authentication tag as per CryptoDecision.md
+    static IV_LENGTH = 12;
+    static TAG_LENGTH = 16;
+    
+    // PBKDF2-SHA-256 parameters for passphrase mode (OWASP 2023 recommendation)
+    static SALT_LENGTH = 16;
+    static PBKDF2_ITERATIONS = 600000;
+    static MAX_PBKDF2_ITERATIONS = 10000000;
+    
+    // Public-key mode: recipient key pair algorithms and their Web Crypto parameters
+    static RECIPIENT_KEY_ID_LENGTH = 8;
+    static PUBLIC_KEY_ALGORITHMS = {
+        'ECDH-P256': {
+            generate: { name: "ECDH", namedCurve: "P-256" },
+            import: { name: "ECDH", namedCurve: "P-256" },
+            privateUsages: ["deriveBits"],
+            publicUsages: []
+        },
+        'RSA-OAEP-2048': {
+            generate: {
+                name: "RSA-OAEP",
+                modulusLength: 2048,
+                publicExponent: new Uint8Array([1, 0, 1]),
+                hash: "SHA-256"
+            },
+            import: { name: "RSA-OAEP", hash: "SHA-256" },
+            privateUsages: ["unwrapKey"],
+            publicUsages: ["wrapKey"]
+        }
+    };
+    
+    /**
+     * Generate 256-bit AES key using Web Crypto API
+     * Implements Function: GenerateCryptographicKey (EncryptionFunctions.fun line 19)
+     * Follows Requirement: REQ_FUNC_002_1 (EncryptionRequirements.req line 60)
+     */
+    static async generateKey() {
+        try {
+            // Generate 256-bit AES key as per CryptoDecision.md
+            const key = await globalThis.crypto.subtle.generateKey(
+                {
+                    name: "AES-GCM",
+                    length: 256,
+                },
+                true, // extractable so the key can be handed to the user for decryption
+                ["encrypt", "decrypt"]
+            );
+            return key;
+        } catch (error) {
+            throw new Error('Failed to generate cryptographic key');
+        }
+    }
+    
+    /**
+     * Generate random initialization vector
+     * Implements Function: EncryptText (EncryptionFunctions.fun line 28)
+     * Follows Requirement: REQ_FUNC_002_2 (EncryptionRequirements.req line 73)
+     */
+    static generateIV() {
+        // 96-bit IV as per CryptoDecision.md (recommended for GCM)
+        return globalThis.crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+    }
+    
+    /**
+     * Encrypt text using AES-GCM
+     * Implements Function: EncryptText (EncryptionFunctions.fun line 28)
+     * Follows Requirement: REQ_FUNC_002 (EncryptionRequirements.req line 48)
+     */
+    static async encryptText(plaintext, key, iv, additionalData) {
+        return this.encryptBytes(this.encodeText(plaintext), key, iv, additionalData);
+    }
+    
+    /**
+     * Encode text as UTF-8 for encryption or signing
+     */
+    static encodeText(text) {
+        // TextEncoder would silently replace unpaired surrogates, breaking the round trip
+        if (!InputValidator.isWellFormed(text)) {
+            throw new CryptoError(
+                'Text contains invalid Unicode characters',
+                'MALFORMED_INPUT',
+                { reason: 'textUnicode' }
+            );
+        }
+        return new TextEncoder().encode(text);
+    }
+    
+    /**
+     * Encrypt bytes using AES-GCM
+     */
+    static async encryptBytes(data, key, iv, additionalData) {
+        try {
+            // Encrypt using AES-GCM as per CryptoDecision.md
+            const encryptedData = await globalThis.crypto.subtle.encrypt(
+                this.gcmParams(iv, additionalData),
+                key,
+                data
+            );
+            
+            return encryptedData;
+        } catch (error) {
+            throw new Error('Encryption operation failed');
+        }
+    }
+    
+    /**
+     * Build AES-GCM parameters, binding optional additional data (the envelope header)
+     */
+    static gcmParams(iv, additionalData) {
+        const params = {
+            name: "AES-GCM",
+            iv: iv
+        };
+        if (additionalData) {
+            params.additionalData = additionalData;
+        }
+        return params;
+    }
+    
+    /**
+     * Generate random salt for passphrase key derivation
+     */
+    static generateSalt() {
+        return globalThis.crypto.getRandomValues(new Uint8Array(this.SALT_LENGTH));
+    }
+    
+    /**
+     * Derive a 256-bit AES key from a passphrase with PBKDF2-SHA-256
+     * Derives an AES-GCM content key by default, or an AES-KW key for wrapping stored keys
+     * The derived key is non-extractable; the passphrase itself is the shared secret
+     */
+    static async deriveKey(passphrase, salt, iterations, algorithm = "AES-GCM") {
+        try {
+            const baseKey = await globalThis.crypto.subtle.importKey(
+                "raw",
+                new TextEncoder().encode(passphrase),
+                "PBKDF2",
+                false,
+                ["deriveKey"]
+            );
+            
+            return await globalThis.crypto.subtle.deriveKey(
+                {
+                    name: "PBKDF2",
+                    hash: "SHA-256",
+                    salt: salt,
+                    iterations: iterations
+                },
+                baseKey,
+                {
+                    name: algorithm,
+                    length: 256
+                },
+                false,
+                algorithm === "AES-KW" ? ["wrapKey", "unwrapKey"] : ["encrypt", "decrypt"]
+            );
+        } catch (error) {
+            throw new Error('Failed to derive key from passphrase');
+        }
+    }
+    
+    /**
+     * Derive the raw bytes of the AES-GCM key deriveKey would produce, for splitting into shares
+     * An AES-256 key derived with PBKDF2 is the first 256 bits of its output
+     */
+    static async deriveKeyBytes(passphrase, salt, iterations) {
+        try {
+            const baseKey = await globalThis.crypto.subtle.importKey(
+                "raw",
+                new TextEncoder().encode(passphrase),
+                "PBKDF2",
+                false,
+                ["deriveBits"]
+            );
+            
+            return new Uint8Array(await globalThis.crypto.subtle.deriveBits(
+                {
+                    name: "PBKDF2",
+                    hash: "SHA-256",
+                    salt: salt,
+                    iterations: iterations
+                },
+                baseKey,
+                256
+            ));
+        } catch (error) {
+            throw new Error('Failed to derive key from passphrase');
+        }
+    }
+    
+    /**
+     * Export a key as raw bytes so it can be shown to the user
+     */
+    static async exportKey(key) {
+        try {
+            const raw = await globalThis.crypto.subtle.exportKey("raw", key);
+            return new Uint8Array(raw);
+        } catch (error) {
+            throw new Error('Failed to export cryptographic key');
+        }
+    }
+    
+    /**
+     * Export a key as a JSON Web Key
+     */
+    static async exportJwk(key) {
+        try {
+            return await globalThis.crypto.subtle.exportKey("jwk", key);
+        } catch (error) {
+            throw new Error('Failed to export cryptographic key');
+        }
+    }
+    
+    /**
+     * Import a raw 256-bit AES key
+     * Defaults to a non-extractable decrypt-only key for one-off decryption
+     */
+    static async importKey(rawKey, { extractable = false, usages = ["decrypt"] } = {}) {
+        if (rawKey.length !== 32) {
+            throw new CryptoError('Invalid key: expected a 256-bit AES key', 'INVALID_KEY', { reason: 'aesLength' });
+        }
+        
+        try {
+            return await globalThis.crypto.subtle.importKey(
+                "raw",
+                rawKey,
+                { name: "AES-GCM" },
+                extractable,
+                usages
+            );
+        } catch (error) {
+            throw new CryptoError('Invalid key: could not import key', 'INVALID_KEY', { reason: 'import' });
+        }
+    }
+    
+    /**
+     * Import a 256-bit AES key from a JSON Web Key
+     */
+    static async importJwk(jwk, { extractable = false, usages = ["decrypt"] } = {}) {
+        if (!jwk || jwk.kty !== 'oct' || (jwk.alg !== undefined && jwk.alg !== 'A256GCM')) {
+            throw new CryptoError('Invalid key: expected an A256GCM JSON Web Key', 'INVALID_KEY', { reason: 'aesJwk' });
+        }
+        
+        try {
+            // key_ops from the source system would conflict with the requested usages
+            const { key_ops, ...keyData } = jwk;
+            return await globalThis.crypto.subtle.importKey(
+                "jwk",
+                keyData,
+                { name: "AES-GCM" },
+                extractable,
+                usages
+            );
+        } catch (error) {
+            throw new CryptoError('Invalid key: could not import key', 'INVALID_KEY', { reason: 'import' });
+        }
+    }
+    
+    /**
+     * Wrap an AES-GCM key with an AES-KW key
+     */
+    static async wrapKey(key, wrappingKey) {
+        try {
+            const wrapped = await globalThis.crypto.subtle.wrapKey("raw", key, wrappingKey, "AES-KW");
+            return new Uint8Array(wrapped);
+        } catch (error) {
+            throw new Error('Failed to wrap cryptographic key');
+        }
+    }
+    
+    /**
+     * Unwrap an AES-KW wrapped AES-GCM key
+     * AES-KW carries an integrity check, so a wrong wrapping key is detected here
+     */
+    static async unwrapKey(wrappedKey, wrappingKey) {
+        try {
+            return await globalThis.crypto.subtle.unwrapKey(
+                "raw",
+                wrappedKey,
+                wrappingKey,
+                "AES-KW",
+                { name: "AES-GCM" },
+                true,
+                ["encrypt", "decrypt"]
+            );
+        } catch (error) {
+            throw new CryptoError(
+                'Could not unlock key: wrong master passphrase',
+                'AUTH_FAILED',
+                { reason: 'masterPassphrase' }
+            );
+        }
+    }
+    
+    /**
+     * Generate a recipient key pair for public-key mode
+     * ECDH keys derive per-recipient wrapping keys; RSA-OAEP keys wrap the content key directly
+     * Enables Feature: MultipleAlgorithms (EncryptionWebApp.fml line 178)
+     */
+    static async generateKeyPair(algorithm) {
+        const params = this.PUBLIC_KEY_ALGORITHMS[algorithm];
+        if (!params) {
+            throw new CryptoError(
+                `Unsupported key pair algorithm ${algorithm}`,
+                'UNSUPPORTED_ALGORITHM',
+                { reason: 'keyPair', params: { algorithm } }
+            );
+        }
+        
+        try {
+            return await globalThis.crypto.subtle.generateKey(
+                params.generate,
+                true, // extractable so the private key can be backed up as JWK
+                params.privateUsages.concat(params.publicUsages)
+            );
+        } catch (error) {
+            throw new Error('Failed to generate key pair');
+        }
+    }
+    
+    /**
+     * Import a recipient public key from SPKI bytes or a public JWK
+     */
+    static async importPublicKey(keyData, algorithm) {
+        const params = this.PUBLIC_KEY_ALGORITHMS[algorithm];
+        let format = "spki";
+        
+        if (!(keyData instanceof Uint8Array)) {
+            // Only the public members are kept; flags from the source system would conflict
+            const { key_ops, ext, d, p, q, dp, dq, qi, ...publicJwk } = keyData;
+            format = "jwk";
+            keyData = publicJwk;
+        }
+        
+        try {
+            const publicKey = await globalThis.crypto.subtle.importKey(format, keyData, params.import, true, params.publicUsages);
+            // An RSA key must have the modulus length its algorithm name promises
+            if (params.generate.modulusLength && publicKey.algorithm.modulusLength !== params.generate.modulusLength) {
+                throw new Error(`RSA modulus of ${publicKey.algorithm.modulusLength} bits`);
+            }
+            return publicKey;
+        } catch (error) {
+            throw new CryptoError(
+                'Invalid key: could not import public key',
+                'INVALID_KEY',
+                { reason: 'importPublic' }
+            );
+        }
+    }
+    
+    /**
+     * Import a private key pair from a private JWK
+     * The public half is rebuilt from the JWK's public members
+     */
+    static async importPrivateJwk(jwk, algorithm) {
+        const params = this.PUBLIC_KEY_ALGORITHMS[algorithm];
+        const { key_ops, ext, d, p, q, dp, dq, qi, ...publicJwk } = jwk;
+        
+        try {
+            return {
+                privateKey: await globalThis.crypto.subtle.importKey(
+                    "jwk",
+                    { ...publicJwk, d, p, q, dp, dq, qi },
+                    params.import,
+                    true,
+                    params.privateUsages
+                ),
+                publicKey: await globalThis.crypto.subtle.importKey("jwk", publicJwk, params.import, true, params.publicUsages)
+            };
+        } catch (error) {
+            throw new CryptoError(
+                'Invalid key: could not import private key',
+                'INVALID_KEY',
+                { reason: 'importPrivate' }
+            );
+        }
+    }
+    
+    /**
+     * Export a public key as SPKI bytes for sharing
+     */
+    static async exportPublicKey(publicKey) {
+        try {
+            return new Uint8Array(await globalThis.crypto.subtle.exportKey("spki", publicKey));
+        } catch (error) {
+            throw new Error('Failed to export public key');
+        }
+    }
+    
+    /**
+     * SHA-256 fingerprint of a public key's SPKI encoding
+     */
+    static async fingerprint(publicKey) {
+        return this.sha256(await this.exportPublicKey(publicKey));
+    }
+    
+    /**
+     * SHA-256 digest of bytes
+     */
+    static async sha256(data) {
+        return new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", data));
+    }
+    
+    /**
+     * Wrap a content key for one recipient
+     * ECDH: ephemeral P-256 key agreement -> HKDF-SHA-256 -> AES-KW wrap
+     * RSA-OAEP: wrap the content key with the recipient's public key
+     * Returns a recipient block for EnvelopeFormat
+     */
+    static async wrapForRecipient(contentKey, recipient) {
+        const keyId = recipient.fingerprint.slice(0, this.RECIPIENT_KEY_ID_LENGTH);
+        
+        try {
+            if (recipient.algorithm === 'ECDH-P256') {
+                const ephemeral = await globalThis.crypto.subtle.generateKey(
+                    this.PUBLIC_KEY_ALGORITHMS['ECDH-P256'].generate,
+                    true,
+                    ["deriveBits"]
+                );
+                const ephemeralPublicKey = new Uint8Array(await globalThis.crypto.subtle.exportKey("raw", ephemeral.publicKey));
+                const sharedSecret = await globalThis.crypto.subtle.deriveBits(
+                    { name: "ECDH", public: recipient.publicKey },
+                    ephemeral.privateKey,
+                    256
+                );
+                const wrappingKey = await this.deriveRecipientWrappingKey(sharedSecret, ephemeralPublicKey);
+                
+                return {
+                    type: EnvelopeFormat.RECIPIENT_TYPES.ECDH_P256,
+                    keyId: keyId,
+                    ephemeralPublicKey: ephemeralPublicKey,
+                    wrappedKey: new Uint8Array(await globalThis.crypto.subtle.wrapKey("raw", contentKey, wrappingKey, "AES-KW"))
+                };
+            }
+            
+            return {
+                type: EnvelopeFormat.RECIPIENT_TYPES.RSA_OAEP_2048,
+                keyId: keyId,
+                ephemeralPublicKey: new Uint8Array(0),
+                wrappedKey: new Uint8Array(await globalThis.crypto.subtle.wrapKey(
+                    "raw",
+                    contentKey,
+                    recipient.publicKey,
+                    { name: "RSA-OAEP" }
+                ))
+            };
+        } catch (error) {
+            throw new Error('Failed to wrap key for recipient');
+        }
+    }
+    
+    /**
+     * Recover the content key from a recipient block with the matching private key
+     */
+    static async unwrapForRecipient(block, privateKey) {
+        try {
+            let unwrapKey = privateKey;
+            let unwrapAlgorithm = { name: "RSA-OAEP" };
+            
+            if (block.type === EnvelopeFormat.RECIPIENT_TYPES.ECDH_P256) {
+                const ephemeralPublicKey = await globalThis.crypto.subtle.importKey(
+                    "raw",
+                    block.ephemeralPublicKey,
+                    this.PUBLIC_KEY_ALGORITHMS['ECDH-P256'].import,
+                    false,
+                    []
+                );
+                const sharedSecret = await globalThis.crypto.subtle.deriveBits(
+                    { name: "ECDH", public: ephemeralPublicKey },
+                    privateKey,
+                    256
+                );
+                unwrapKey = await this.deriveRecipientWrappingKey(sharedSecret, block.ephemeralPublicKey);
+                unwrapAlgorithm = "AES-KW";
+            }
+            
+            return await globalThis.crypto.subtle.unwrapKey(
+                "raw",
+                block.wrappedKey,
+                unwrapKey,
+                unwrapAlgorithm,
+                { name: "AES-GCM" },
+                false,
+                ["decrypt"]
+            );
+        } catch (error) {
+            throw new CryptoError(
+                'Decryption failed: the message key could not be recovered with your key pair',
+                'AUTH_FAILED',
+                { reason: 'recipient' }
+            );
+        }
+    }
+    
+    /**
+     * Derive an AES-KW key from an ECDH shared secret
+     * The ephemeral public key is the HKDF salt, binding the wrap to this exchange
+     */
+    static async deriveRecipientWrappingKey(sharedSecret, ephemeralPublicKey) {
+        const baseKey = await globalThis.crypto.subtle.importKey("raw", sharedSecret, "HKDF", false, ["deriveKey"]);
+        return globalThis.crypto.subtle.deriveKey(
+            {
+                name: "HKDF",
+                hash: "SHA-256",
+                salt: ephemeralPublicKey,
+                info: new TextEncoder().encode('EncryptDemo ECDH-P256 AES-KW')
+            },
+            baseKey,
+            { name: "AES-KW", length: 256 },
+            false,
+            ["wrapKey", "unwrapKey"]
+        );
+    }
+    
+    /**
+     * Decrypt AES-GCM ciphertext back into text
+     * AES-GCM verifies the authentication tag first, so any modification of the
+     * IV, ciphertext, tag or envelope header - or a wrong key - surfaces as an OperationError
+     */
+    static async decryptText(encryptedData, key, iv, additionalData) {
+        return this.decodeText(await this.decryptBytes(encryptedData, key, iv, additionalData));
+    }
+    
+    /**
+     * Decrypt AES-GCM ciphertext into bytes, checking the authentication tag
+     */
+    static async decryptBytes(encryptedData, key, iv, additionalData) {
+        try {
+            return new Uint8Array(await globalThis.crypto.subtle.decrypt(
+                this.gcmParams(iv, additionalData),
+                key,
+                encryptedData
+            ));
+        } catch (error) {
+            throw new CryptoError(
+                'Decryption failed: the data has been tampered with or the key is wrong',
+                'AUTH_FAILED'
+            );
+        }
+    }
+    
+    /**
+     * Decode decrypted UTF-8 bytes, rejecting invalid sequences instead of replacing them
+     */
+    static decodeText(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            throw new CryptoError('Decrypted data is not valid text', 'MALFORMED_INPUT', { reason: 'decryptedText' });
+        }
+    }
+}
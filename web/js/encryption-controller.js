@@ -0,0 +1,612 @@
+import { AppState } from './app-state.js';
+import { CryptoError } from './crypto-error.js';
+import { InputValidator } from './input-validator.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { StreamCipher } from './stream-cipher.js';
+import { EnvelopeFormat } from './envelope-format.js';
+import { OutputFormatter } from './output-formatter.js';
+import { BatchFormat } from './batch-format.js';
+import { FileManager } from './file-manager.js';
+import { KeyManager } from './key-manager.js';
+import { SecretSharing } from './secret-sharing.js';
+import { HistoryManager } from './history-manager.js';
+import { AuditLog } from './audit-log.js';
+import { UIManager } from './ui-manager.js';
+import { MemoryManager } from './memory-manager.js';
+import { CryptoWorkerClient } from './crypto-worker-client.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Main Encryption Controller
+ * Implements Function: ProcessUserInput (EncryptionFunctions.fun line 91)
+ * Orchestrates the complete encryption workflow
+ * Validation and key lookup run here; key derivation, encryption and formatting run as
+ * CryptoJobs on the crypto worker
+ * Every workflow's outcome goes into the audit log (Feature: SecurityAudit), described by
+ * metadata only
+ * Text can be signed with a saved signing key pair; signed messages are checked against the
+ * contacts when decrypted (ThreatModel.md T-SPOOF-03)
+ * Keys can be split into k-of-n Shamir shares; the key rebuilt from shares is the Key shares
+ * key source (Feature: DataBackup)
+ * Follows Requirements: REQ_FUNC_002, REQ_PERF_001 (EncryptionRequirements.req)
+ */
+export class EncryptionController {
+    // Enough for the largest possible header (32 recipients with RSA-wrapped keys)
+    static FILE_HEADER_READ_SIZE = 64 * 1024;
+    
+    // How each key source is described in the history
+    static HISTORY_ALGORITHMS = {
+        random: 'AES-256-GCM, random key',
+        passphrase: 'AES-256-GCM, PBKDF2-SHA-256 passphrase',
+        stored: 'AES-256-GCM, saved key',
+        recipients: 'AES-256-GCM, public-key recipients',
+        shares: 'AES-256-GCM, key from shares'
+    };
+    
+    /**
+     * Run the workflow for the current mode
+     */
+    static process() {
+        if (AppState.mode === 'decrypt') {
+            return this.processDecryption();
+        }
+        return this.processEncryption();
+    }
+    
+    /**
+     * Process user input through complete encryption workflow
+     * Implements Function: ProcessUserInput (EncryptionFunctions.fun line 91)
+     * Follows Requirement: REQ_PERF_001 (EncryptionRequirements.req line 110) - 2 second limit
+     */
+    static async processEncryption() {
+        // Performance tracking per REQ_PERF_001
+        const startTime = performance.now();
+        UIManager.clearMessages();
+        const auditDetails = {
+            target: 'text',
+            keySource: AppState.keySource,
+            encoding: UIManager.elements.outputFormat.value,
+            signed: UIManager.elements.signOutput.checked
+        };
+        
+        try {
+            // Step 1: Validate input (Function: ValidateTextInput)
+            // The exact input is encrypted; only the NFC opt-in may change it
+            const input = UIManager.elements.inputText.value;
+            const validation = InputValidator.validate(input, {
+                normalize: UIManager.elements.normalizeInput.checked
+            });
+            
+            if (!validation.isValid) {
+                throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT', { localized: true });
+            }
+            
+            // Step 2: Collect the key source (Function: GenerateCryptographicKey)
+            const keySpec = await this.encryptionKeySpec();
+            
+            // Steps 3-5: Generate or derive the key, encrypt and format on the worker
+            // (Functions: GenerateCryptographicKey, EncryptText, FormatEncryptedOutput)
+            const { output, encodedKey } = await CryptoWorkerClient.submit('encryptText', {
+                plaintext: validation.value,
+                keySpec: keySpec,
+                encoding: UIManager.elements.outputFormat.value,
+                signing: await this.signingSpec()
+            }).promise;
+            
+            // Step 6: Display result (Function: DisplayEncryptedResult)
+            UIManager.displayResult(output, encodedKey);
+            AuditLog.recordResult(AuditLog.EVENTS.ENCRYPT, null, auditDetails);
+            await this.recordHistory(output, validation.value);
+            
+            // Performance check per REQ_PERF_001 - includes time spent queued behind other jobs
+            const endTime = performance.now();
+            const processingTime = endTime - startTime;
+            
+            if (processingTime > 2000) {
+                console.warn(`Encryption took ${processingTime}ms - exceeds 2s requirement`);
+            }
+            
+        } catch (error) {
+            // Step 7: Handle errors (Function: HandleEncryptionError)
+            AuditLog.recordResult(AuditLog.EVENTS.ENCRYPT, error, auditDetails);
+            this.reportError(error, 'Encryption', I18n.t('job.failed.encryptText'));
+        } finally {
+            // Step 8: Clear sensitive references (Function: ClearSensitiveData)
+            setTimeout(() => {
+                MemoryManager.clearSensitiveData();
+            }, 100);
+        }
+    }
+    
+    /**
+     * Save an encrypted output to the history when history is unlocked
+     * The key is never saved; a failure to save is logged and does not fail the encryption
+     */
+    static async recordHistory(output, plaintext) {
+        if (!HistoryManager.isUnlocked()) {
+            return;
+        }
+        
+        try {
+            await HistoryManager.add({
+                label: UIManager.elements.historyLabel.value,
+                algorithm: this.HISTORY_ALGORITHMS[AppState.keySource],
+                size: new TextEncoder().encode(plaintext).length,
+                output: output
+            });
+            UIManager.elements.historyLabel.value = '';
+            await UIManager.refreshHistory();
+        } catch (error) {
+            console.error('History error:', error);
+        }
+    }
+    
+    /**
+     * Encrypt every item of a batch under the selected key source, one output per item
+     * Enables Feature: BatchProcessing (EncryptionWebApp.fml line 220)
+     * Each cell is validated on its own (Function: ValidateTextInput); a cell that fails marks
+     * its row with the error and the rest of the batch is still encrypted
+     */
+    static async processBatch() {
+        UIManager.clearMessages();
+        const auditDetails = {
+            target: 'batch',
+            keySource: AppState.keySource,
+            encoding: UIManager.elements.outputFormat.value,
+            signed: UIManager.elements.signOutput.checked
+        };
+        
+        try {
+            const table = BatchFormat.parse(await this.readBatchInput(), UIManager.elements.batchFormat.value);
+            const columns = BatchFormat.selectColumns(table, UIManager.elements.batchColumns.value);
+            const items = BatchFormat.collectItems(table, columns, {
+                normalize: UIManager.elements.normalizeInput.checked
+            });
+            
+            const { outputs, encodedKey } = await CryptoWorkerClient.submit('encryptBatch', {
+                plaintexts: items.map((item) => item.plaintext),
+                keySpec: await this.encryptionKeySpec(),
+                encoding: UIManager.elements.outputFormat.value,
+                signing: await this.signingSpec()
+            }).promise;
+            
+            items.forEach((item, index) => {
+                item.row.cells[item.column] = outputs[index];
+            });
+            AppState.batchResult = table;
+            UIManager.displayBatchResult(table, encodedKey);
+            AuditLog.recordResult(AuditLog.EVENTS.ENCRYPT, null, { ...auditDetails, items: items.length });
+            
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.ENCRYPT, error, auditDetails);
+            this.reportError(error, 'Batch encryption', I18n.t('job.failed.encryptBatch'));
+        } finally {
+            // Clear sensitive references
+            setTimeout(() => {
+                MemoryManager.clearSensitiveData();
+            }, 100);
+        }
+    }
+    
+    /**
+     * Batch input from the uploaded file, or else from the batch text box
+     */
+    static async readBatchInput() {
+        const file = AppState.selectedBatchFile;
+        if (!file) {
+            return UIManager.elements.batchInput.value;
+        }
+        
+        const validation = InputValidator.validateBatchFile(file);
+        if (!validation.isValid) {
+            throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT', { localized: true });
+        }
+        return file.text();
+    }
+    
+    /**
+     * Collect what the worker needs to produce the content key for the selected key source
+     * Saved keys and recipients' public keys live in IndexedDB, so they are looked up here
+     */
+    static async encryptionKeySpec() {
+        if (AppState.keySource === 'passphrase') {
+            const passphrase = UIManager.elements.passphraseInput.value;
+            const passphraseCheck = InputValidator.validatePassphrase(
+                passphrase,
+                UIManager.elements.passphraseConfirm.value
+            );
+            if (!passphraseCheck.isValid) {
+                throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE', { localized: true });
+            }
+            return { source: 'passphrase', passphrase: passphrase };
+        }
+        
+        if (AppState.keySource === 'stored') {
+            return { source: 'key', key: await KeyManager.getKey(UIManager.elements.keySelect.value) };
+        }
+        
+        if (AppState.keySource === 'shares') {
+            return { source: 'key', key: this.sharedKey() };
+        }
+        
+        if (AppState.keySource === 'recipients') {
+            const recipientIds = Array.from(UIManager.elements.recipientSelect.selectedOptions, (option) => option.value);
+            return { source: 'recipients', recipients: await KeyManager.getRecipients(recipientIds) };
+        }
+        
+        return { source: 'random' };
+    }
+    
+    /**
+     * The signing key and signed content when Sign is ticked, otherwise null
+     */
+    static async signingSpec() {
+        if (!UIManager.elements.signOutput.checked) {
+            return null;
+        }
+        
+        return {
+            ...await KeyManager.getSigningKey(UIManager.elements.signingKeySelect.value),
+            content: OutputFormatter.lookupName(
+                OutputFormatter.SIGNED_CONTENT_NAMES,
+                UIManager.elements.signedContent.value,
+                'signed content',
+                'MALFORMED_INPUT',
+                'signedContent'
+            )
+        };
+    }
+    
+    /**
+     * Collect the decryption key for a parsed envelope
+     * Passphrase derivation is left to the worker; every other key source is cheap to resolve here
+     * A key from shares opens key and passphrase envelopes alike, as the passphrase key of a
+     * message can be split too
+     */
+    static async decryptionKeySpec(envelope) {
+        if (envelope.kdf === EnvelopeFormat.KDFS.RECIPIENTS) {
+            return { source: 'key', key: await KeyManager.unwrapForRecipients(envelope.recipients) };
+        }
+        
+        if (AppState.keySource === 'shares') {
+            return { source: 'key', key: this.sharedKey() };
+        }
+        
+        if (envelope.kdf === EnvelopeFormat.KDFS.PBKDF2_SHA256) {
+            return this.passphraseKeySpec();
+        }
+        
+        if (AppState.keySource === 'stored') {
+            return { source: 'key', key: await KeyManager.getKey(UIManager.elements.keySelect.value) };
+        }
+        
+        const encodedKey = UIManager.elements.keyText.value.trim();
+        if (encodedKey.length === 0) {
+            throw new CryptoError('A key is required to decrypt', 'INVALID_KEY', { reason: 'required' });
+        }
+        const rawKey = OutputFormatter.decodeBase64(encodedKey);
+        try {
+            return { source: 'key', key: await CryptographicEngine.importKey(rawKey) };
+        } finally {
+            MemoryManager.wipe(rawKey);
+        }
+    }
+    
+    /**
+     * The passphrase entered to decrypt a passphrase envelope
+     */
+    static passphraseKeySpec() {
+        const passphrase = UIManager.elements.passphraseInput.value;
+        const passphraseCheck = InputValidator.validatePassphrase(passphrase);
+        if (!passphraseCheck.isValid) {
+            throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE', { localized: true });
+        }
+        return { source: 'passphrase', passphrase: passphrase };
+    }
+    
+    /**
+     * The key rebuilt from shares or split last
+     */
+    static sharedKey() {
+        if (!AppState.sharedKey) {
+            throw new CryptoError(
+                'No key from shares yet - recover one under Split or Recover a Key',
+                'INVALID_KEY',
+                { reason: 'noSharedKey' }
+            );
+        }
+        return AppState.sharedKey.key;
+    }
+    
+    /**
+     * Make sure the selected key source can open the parsed envelope
+     */
+    static checkKeySource(envelope) {
+        if (envelope.kdf === EnvelopeFormat.KDFS.PBKDF2_SHA256 && AppState.keySource !== 'passphrase' && AppState.keySource !== 'shares') {
+            throw new CryptoError(
+                'This message was encrypted with a passphrase - select Passphrase, or Key shares with its split key, as the key source',
+                'KEY_SOURCE_MISMATCH',
+                { reason: 'passphrase' }
+            );
+        }
+        if (envelope.kdf === EnvelopeFormat.KDFS.RECIPIENTS && AppState.keySource !== 'recipients') {
+            throw new CryptoError(
+                'This message was encrypted to public keys - select Public key as the key source',
+                'KEY_SOURCE_MISMATCH',
+                { reason: 'recipients' }
+            );
+        }
+        if (envelope.kdf === EnvelopeFormat.KDFS.NONE && !['random', 'stored', 'shares'].includes(AppState.keySource)) {
+            throw new CryptoError(
+                'This message was encrypted with a key - select Random key, Saved key or Key shares as the key source',
+                'KEY_SOURCE_MISMATCH',
+                { reason: 'key' }
+            );
+        }
+    }
+    
+    /**
+     * Report a failed workflow
+     * Cancellation is the user's own doing and is not reported as an error
+     */
+    static reportError(error, operation, fallbackMessage) {
+        if (error instanceof CryptoError && error.code === 'CANCELLED') {
+            return;
+        }
+        console.error(`${operation} error:`, error);
+        UIManager.showError(I18n.errorMessage(error, fallbackMessage));
+    }
+    
+    /**
+     * Process encrypted input through the reverse workflow
+     * Parses the envelope, resolves the user's key and decrypts on the worker
+     * Authentication tag failures are reported as tampering per ThreatModel.md T-TAMPER-02
+     */
+    static async processDecryption() {
+        UIManager.clearMessages();
+        const auditDetails = { target: 'text', keySource: AppState.keySource };
+        
+        try {
+            // Step 1: Validate encrypted input
+            const validation = InputValidator.validateCiphertext(UIManager.elements.inputText.value);
+            if (!validation.isValid) {
+                throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT', { localized: true });
+            }
+            
+            // Step 2: Parse the envelope (reverses FormatEncryptedOutput)
+            const envelope = OutputFormatter.parseInput(validation.value);
+            if (envelope.algorithm === EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM) {
+                throw new CryptoError(
+                    'This is an encrypted file - decrypt it with the file picker',
+                    'UNSUPPORTED_ALGORITHM',
+                    { reason: 'encryptedFile' }
+                );
+            }
+            this.checkKeySource(envelope);
+            
+            // Step 3: Import the key, unwrap it with a key pair, or pass the passphrase on
+            const keySpec = await this.decryptionKeySpec(envelope);
+            
+            // A signer found among the saved signing keys is checked; an unknown one cannot be
+            const signer = envelope.signature ? await KeyManager.findSigner(envelope.signature.fingerprint) : null;
+            if (envelope.signature) {
+                auditDetails.signer = !signer ? 'unknown' : signer.own ? 'own' : 'contact';
+            }
+            
+            // Step 4: Decrypt and verify the authentication tag and signature on the worker
+            const { plaintext } = await CryptoWorkerClient.submit('decryptText', {
+                envelope: envelope,
+                keySpec: keySpec,
+                signer: signer && { algorithm: signer.algorithm, publicKey: signer.publicKey }
+            }).promise;
+            
+            // Step 5: Display result
+            UIManager.displayDecryptedResult(
+                plaintext,
+                envelope.signature ? { signer: signer, fingerprint: envelope.signature.fingerprint } : null
+            );
+            AuditLog.recordResult(AuditLog.EVENTS.DECRYPT, null, auditDetails);
+            
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.DECRYPT, error, auditDetails);
+            this.reportError(error, 'Decryption', I18n.t('job.failed.decryptText'));
+        } finally {
+            // Clear sensitive references
+            setTimeout(() => {
+                MemoryManager.clearSensitiveData();
+            }, 100);
+        }
+    }
+    
+    /**
+     * Encrypt or decrypt the selected file for the current mode
+     */
+    static processFile() {
+        if (AppState.mode === 'decrypt') {
+            return this.processFileDecryption(AppState.selectedFile);
+        }
+        return this.processFileEncryption(AppState.selectedFile);
+    }
+    
+    /**
+     * Encrypt a file in chunks and offer the result as a download
+     * Uses the same key sources and envelope header as text, with the chunked stream algorithm
+     */
+    static async processFileEncryption(file) {
+        UIManager.clearMessages();
+        const auditDetails = { target: 'file', keySource: AppState.keySource, size: file ? file.size : null };
+        
+        try {
+            const validation = InputValidator.validateFile(file, 'encrypt');
+            if (!validation.isValid) {
+                throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT', { localized: true });
+            }
+            if (UIManager.elements.signOutput.checked) {
+                throw new CryptoError('Files cannot be signed - untick Sign to encrypt a file', 'UNSUPPORTED_SIGNATURE');
+            }
+            
+            const { blob, encodedKey } = await CryptoWorkerClient.submit('encryptFile', {
+                file: file,
+                keySpec: await this.encryptionKeySpec()
+            }).promise;
+            
+            const outputName = FileManager.outputName(file.name, 'encrypt');
+            FileManager.download(blob, outputName);
+            UIManager.displayFileResult(outputName, blob.size, encodedKey);
+            AuditLog.recordResult(AuditLog.EVENTS.ENCRYPT, null, auditDetails);
+            
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.ENCRYPT, error, auditDetails);
+            this.reportError(error, 'File encryption', I18n.t('job.failed.encryptFile'));
+        } finally {
+            // Clear sensitive references
+            setTimeout(() => {
+                MemoryManager.clearSensitiveData();
+            }, 100);
+        }
+    }
+    
+    /**
+     * Decrypt a chunked file and offer the plaintext as a download
+     * Only the header is parsed here; the worker reads and verifies chunks one at a time
+     */
+    static async processFileDecryption(file) {
+        UIManager.clearMessages();
+        const auditDetails = { target: 'file', keySource: AppState.keySource, size: file ? file.size : null };
+        
+        try {
+            const validation = InputValidator.validateFile(file, 'decrypt');
+            if (!validation.isValid) {
+                throw new CryptoError(validation.errors[0], 'MALFORMED_INPUT', { localized: true });
+            }
+            
+            const envelope = EnvelopeFormat.decodeHeader(
+                await StreamCipher.readSlice(file, 0, this.FILE_HEADER_READ_SIZE)
+            );
+            if (envelope.algorithm !== EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM) {
+                throw new CryptoError(
+                    'This is an encrypted text message - paste it into the text box instead',
+                    'UNSUPPORTED_ALGORITHM',
+                    { reason: 'encryptedText' }
+                );
+            }
+            this.checkKeySource(envelope);
+            
+            const { blob } = await CryptoWorkerClient.submit('decryptFile', {
+                file: file,
+                envelope: envelope,
+                keySpec: await this.decryptionKeySpec(envelope)
+            }).promise;
+            
+            const outputName = FileManager.outputName(file.name, 'decrypt');
+            FileManager.download(blob, outputName);
+            UIManager.displayFileResult(outputName, blob.size, '');
+            AuditLog.recordResult(AuditLog.EVENTS.DECRYPT, null, auditDetails);
+            
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.DECRYPT, error, auditDetails);
+            this.reportError(error, 'File decryption', I18n.t('job.failed.decryptFile'));
+        } finally {
+            // Clear sensitive references
+            setTimeout(() => {
+                MemoryManager.clearSensitiveData();
+            }, 100);
+        }
+    }
+    
+    /**
+     * Split a key into Shamir shares, any threshold of which rebuild it
+     * Enables Features: DataBackup, KeyManagement (EncryptionWebApp.fml lines 255, 38)
+     * The key is a new random key, the active saved key, or the passphrase key of the passphrase
+     * message in the input; it becomes the Key shares key for this session
+     */
+    static async processKeySplit() {
+        UIManager.clearMessages();
+        const source = UIManager.elements.shareSource.value;
+        const count = Number(UIManager.elements.shareCount.value);
+        const threshold = Number(UIManager.elements.shareThreshold.value);
+        const auditDetails = { source: source, items: count, threshold: threshold };
+        
+        try {
+            const { shares, key } = await CryptoWorkerClient.submit('splitKey', {
+                ...await this.splitKeySpec(source),
+                count: count,
+                threshold: threshold
+            }).promise;
+            
+            AppState.sharedKey = { key: key, count: count, threshold: threshold };
+            UIManager.displayShares(shares);
+            AuditLog.recordResult(AuditLog.EVENTS.KEY_SPLIT, null, auditDetails);
+            
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.KEY_SPLIT, error, auditDetails);
+            this.reportError(error, 'Key split', I18n.t('job.failed.splitKey'));
+        }
+    }
+    
+    /**
+     * The key spec, and for a passphrase key the envelope's salt and iterations, to split
+     */
+    static async splitKeySpec(source) {
+        if (source === 'stored') {
+            return { keySpec: { source: 'key', key: await KeyManager.getKey(UIManager.elements.keySelect.value) } };
+        }
+        
+        if (source === 'passphrase') {
+            const validation = InputValidator.validateCiphertext(UIManager.elements.inputText.value);
+            if (AppState.mode !== 'decrypt' || !validation.isValid) {
+                throw new CryptoError(
+                    'Paste the passphrase-encrypted message in Decrypt mode to split its key',
+                    'MALFORMED_INPUT',
+                    { reason: 'splitPassphraseMessage' }
+                );
+            }
+            const envelope = OutputFormatter.parseInput(validation.value);
+            if (envelope.kdf !== EnvelopeFormat.KDFS.PBKDF2_SHA256) {
+                throw new CryptoError(
+                    'The message in the input was not encrypted with a passphrase',
+                    'KEY_SOURCE_MISMATCH',
+                    { reason: 'notPassphrase' }
+                );
+            }
+            return {
+                keySpec: this.passphraseKeySpec(),
+                envelope: { salt: envelope.salt, iterations: envelope.iterations }
+            };
+        }
+        
+        return { keySpec: { source: 'random' } };
+    }
+    
+    /**
+     * Rebuild a key from the shares entered, one per line, and select it as the Key shares key
+     * Enables Features: DataBackup, KeyManagement (EncryptionWebApp.fml lines 255, 38)
+     */
+    static async recoverSharedKey() {
+        UIManager.clearMessages();
+        const texts = UIManager.elements.shareInput.value.split('\n').filter((line) => line.trim().length > 0);
+        const auditDetails = { items: texts.length };
+        
+        try {
+            const { rawKey, count, threshold } = await SecretSharing.recoverKey(texts);
+            try {
+                AppState.sharedKey = {
+                    key: await CryptographicEngine.importKey(rawKey, { usages: ["encrypt", "decrypt"] }),
+                    count: count,
+                    threshold: threshold
+                };
+            } finally {
+                MemoryManager.wipe(rawKey);
+            }
+            
+            UIManager.elements.shareInput.value = '';
+            UIManager.setKeySource('shares');
+            UIManager.showSuccess(I18n.t('sharing.recovered', { threshold: threshold, count: count }));
+            AuditLog.recordResult(AuditLog.EVENTS.KEY_RECOVER, null, { ...auditDetails, threshold: threshold });
+            
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.KEY_RECOVER, error, auditDetails);
+            this.reportError(error, 'Key recovery', I18n.t('job.failed.recoverKey'));
+        }
+    }
+}
@@ -0,0 +1,325 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { StreamCipher } from './stream-cipher.js';
+import { OutputFormatter } from './output-formatter.js';
+
+/**
+ * Envelope Format Class
+ * Versioned, self-describing binary container for encrypted output
+ * Layout (version 1), all integers big-endian:
+ *   Magic "EDMO" (4) || Version (1) || Algorithm (1) || KDF (1) || KDF params || IV length (1) || IV
+ *   || Ciphertext || AuthTag
+ * KDF params for PBKDF2-SHA-256: Salt length (1) || Salt || Iterations (4)
+ * KDF params for public-key recipients: Count (1) || Count x recipient block, each
+ *   Type (1) || Key id (8) || Ephemeral key length (1) || Ephemeral key || Wrapped key length (2) || Wrapped key
+ * Chunked file streams (algorithm 2) add Chunk size (4) before the IV length, and carry a
+ *   7-byte nonce prefix in place of the IV; the body is a sequence of sealed chunks
+ * Signed messages are version 2 and add Signature algorithm (1) || Signed content (1)
+ *   || Signer fingerprint (32) before the IV length. A signature over the envelope follows the
+ *   AuthTag and covers everything before it; a signature over the plaintext is encrypted with it,
+ *   as Signature (64) || Plaintext
+ * The header (everything before the ciphertext) is authenticated as AES-GCM additional data
+ */
+export class EnvelopeFormat {
+    static MAGIC = [0x45, 0x44, 0x4D, 0x4F]; // "EDMO"
+    static VERSION = 1;
+    static SIGNED_VERSION = 2;
+    
+    static ALGORITHMS = {
+        AES_256_GCM: 1,
+        AES_256_GCM_STREAM: 2
+    };
+    
+    static KDFS = {
+        NONE: 0,
+        PBKDF2_SHA256: 1,
+        RECIPIENTS: 2
+    };
+    
+    static RECIPIENT_TYPES = {
+        ECDH_P256: 1,
+        RSA_OAEP_2048: 2
+    };
+    static MAX_RECIPIENTS = 32;
+    
+    static SIGNATURE_ALGORITHMS = {
+        ECDSA_P256_SHA256: 1,
+        ED25519: 2
+    };
+    static SIGNED_CONTENT = {
+        ENVELOPE: 1,
+        PLAINTEXT: 2
+    };
+    static SIGNER_FINGERPRINT_LENGTH = 32;
+    // ECDSA P-256 signatures (r || s) and Ed25519 signatures are both 64 bytes
+    static SIGNATURE_LENGTH = 64;
+    
+    static ARMOR_BEGIN = '-----BEGIN ENCRYPTDEMO MESSAGE-----';
+    static ARMOR_END = '-----END ENCRYPTDEMO MESSAGE-----';
+    static ARMOR_LINE_LENGTH = 64;
+    
+    /**
+     * Encode the envelope header for the given parameters
+     * The returned bytes double as AES-GCM additional data
+     */
+    static encodeHeader({ algorithm, kdf, salt, iterations, recipients, chunkSize, signature, iv }) {
+        const bytes = [...this.MAGIC, signature ? this.SIGNED_VERSION : this.VERSION, algorithm, kdf];
+        
+        if (kdf === this.KDFS.PBKDF2_SHA256) {
+            bytes.push(salt.length, ...salt);
+            bytes.push((iterations >>> 24) & 0xFF, (iterations >>> 16) & 0xFF, (iterations >>> 8) & 0xFF, iterations & 0xFF);
+        } else if (kdf === this.KDFS.RECIPIENTS) {
+            bytes.push(recipients.length);
+            for (const recipient of recipients) {
+                bytes.push(recipient.type, ...recipient.keyId);
+                bytes.push(recipient.ephemeralPublicKey.length, ...recipient.ephemeralPublicKey);
+                bytes.push((recipient.wrappedKey.length >>> 8) & 0xFF, recipient.wrappedKey.length & 0xFF, ...recipient.wrappedKey);
+            }
+        }
+        
+        if (algorithm === this.ALGORITHMS.AES_256_GCM_STREAM) {
+            bytes.push((chunkSize >>> 24) & 0xFF, (chunkSize >>> 16) & 0xFF, (chunkSize >>> 8) & 0xFF, chunkSize & 0xFF);
+        }
+        if (signature) {
+            bytes.push(signature.algorithm, signature.content, ...signature.fingerprint);
+        }
+        
+        bytes.push(iv.length, ...iv);
+        return new Uint8Array(bytes);
+    }
+    
+    /**
+     * Build the compact binary envelope from an encoded header and AES-GCM output,
+     * followed by the signature for messages signed over the envelope
+     */
+    static encode(header, encryptedData, signature = new Uint8Array(0)) {
+        const envelope = new Uint8Array(header.length + encryptedData.byteLength + signature.length);
+        envelope.set(header, 0);
+        envelope.set(new Uint8Array(encryptedData), header.length);
+        envelope.set(signature, header.length + encryptedData.byteLength);
+        return envelope;
+    }
+    
+    /**
+     * Check whether bytes start with the envelope magic prefix
+     */
+    static hasMagic(bytes) {
+        return bytes.length >= this.MAGIC.length && this.MAGIC.every((value, i) => bytes[i] === value);
+    }
+    
+    /**
+     * Decode a compact binary envelope
+     * Each unknown field is rejected with its own error code so callers can tell
+     * a newer format apart from corrupted data
+     */
+    static decode(bytes) {
+        const envelope = this.decodeHeader(bytes);
+        const signed = envelope.signature && envelope.signature.content === this.SIGNED_CONTENT.ENVELOPE;
+        const bodyEnd = signed ? bytes.length - this.SIGNATURE_LENGTH : bytes.length;
+        if (bodyEnd - envelope.headerLength < CryptographicEngine.TAG_LENGTH) {
+            throw new CryptoError('Encrypted message is truncated', 'MALFORMED_INPUT', { reason: 'truncated' });
+        }
+        
+        envelope.encryptedData = bytes.slice(envelope.headerLength, bodyEnd);
+        if (signed) {
+            envelope.signature.value = bytes.slice(bodyEnd);
+        }
+        return envelope;
+    }
+    
+    /**
+     * Decode only the envelope header, leaving the body to the caller
+     * Used directly for files, where the body is streamed chunk by chunk
+     */
+    static decodeHeader(bytes) {
+        if (!this.hasMagic(bytes)) {
+            throw new CryptoError('Data is not an EncryptDemo message', 'UNKNOWN_FORMAT');
+        }
+        
+        let offset = this.MAGIC.length;
+        const readByte = () => {
+            if (offset >= bytes.length) {
+                throw new CryptoError('Encrypted message is truncated', 'MALFORMED_INPUT', { reason: 'truncated' });
+            }
+            return bytes[offset++];
+        };
+        const readBytes = (length) => {
+            if (offset + length > bytes.length) {
+                throw new CryptoError('Encrypted message is truncated', 'MALFORMED_INPUT', { reason: 'truncated' });
+            }
+            const value = bytes.slice(offset, offset + length);
+            offset += length;
+            return value;
+        };
+        
+        const version = readByte();
+        if (version !== this.VERSION && version !== this.SIGNED_VERSION) {
+            throw new CryptoError(
+                `Unsupported message version ${version} - this app reads versions ${this.VERSION} and ${this.SIGNED_VERSION}`,
+                'UNSUPPORTED_VERSION',
+                { reason: 'message', params: { version, current: this.VERSION, signed: this.SIGNED_VERSION } }
+            );
+        }
+        
+        const algorithm = readByte();
+        if (!Object.values(this.ALGORITHMS).includes(algorithm)) {
+            throw new CryptoError(
+                `Unsupported encryption algorithm id ${algorithm}`,
+                'UNSUPPORTED_ALGORITHM',
+                { reason: 'encryptionId', params: { id: algorithm } }
+            );
+        }
+        
+        const kdf = readByte();
+        let salt = null;
+        let iterations = null;
+        let recipients = null;
+        if (kdf === this.KDFS.RECIPIENTS) {
+            const count = readByte();
+            if (count < 1 || count > this.MAX_RECIPIENTS) {
+                throw new CryptoError(
+                    'Encrypted message has an invalid recipient count',
+                    'MALFORMED_INPUT',
+                    { reason: 'recipientCount' }
+                );
+            }
+            
+            recipients = [];
+            for (let i = 0; i < count; i++) {
+                const type = readByte();
+                if (!Object.values(this.RECIPIENT_TYPES).includes(type)) {
+                    throw new CryptoError(
+                        `Unsupported recipient key type ${type}`,
+                        'UNSUPPORTED_ALGORITHM',
+                        { reason: 'recipientType', params: { type } }
+                    );
+                }
+                const keyId = readBytes(CryptographicEngine.RECIPIENT_KEY_ID_LENGTH);
+                const ephemeralPublicKey = readBytes(readByte());
+                const wrappedLength = (readByte() << 8) | readByte();
+                recipients.push({ type, keyId, ephemeralPublicKey, wrappedKey: readBytes(wrappedLength) });
+            }
+        } else if (kdf === this.KDFS.PBKDF2_SHA256) {
+            const saltLength = readByte();
+            if (saltLength < 8) {
+                throw new CryptoError('Encrypted message has an invalid salt', 'MALFORMED_INPUT', { reason: 'salt' });
+            }
+            salt = readBytes(saltLength);
+            iterations = new DataView(readBytes(4).buffer).getUint32(0);
+            if (iterations < 1 || iterations > CryptographicEngine.MAX_PBKDF2_ITERATIONS) {
+                throw new CryptoError(
+                    'Encrypted message has an unsupported iteration count',
+                    'MALFORMED_INPUT',
+                    { reason: 'iterations' }
+                );
+            }
+        } else if (kdf !== this.KDFS.NONE) {
+            throw new CryptoError(`Unsupported key derivation id ${kdf}`, 'UNSUPPORTED_KDF', { params: { id: kdf } });
+        }
+        
+        let chunkSize = null;
+        let expectedIvLength = CryptographicEngine.IV_LENGTH;
+        if (algorithm === this.ALGORITHMS.AES_256_GCM_STREAM) {
+            chunkSize = new DataView(readBytes(4).buffer).getUint32(0);
+            if (chunkSize < 1 || chunkSize > StreamCipher.MAX_CHUNK_SIZE) {
+                throw new CryptoError(
+                    'Encrypted file has an unsupported chunk size',
+                    'MALFORMED_INPUT',
+                    { reason: 'chunkSize' }
+                );
+            }
+            expectedIvLength = StreamCipher.NONCE_PREFIX_LENGTH;
+        }
+        
+        let signature = null;
+        if (version === this.SIGNED_VERSION) {
+            if (algorithm === this.ALGORITHMS.AES_256_GCM_STREAM) {
+                throw new CryptoError(
+                    'Signed files are not supported',
+                    'UNSUPPORTED_ALGORITHM',
+                    { reason: 'signedFile' }
+                );
+            }
+            signature = { algorithm: readByte(), content: readByte() };
+            if (!Object.values(this.SIGNATURE_ALGORITHMS).includes(signature.algorithm)) {
+                throw new CryptoError(
+                    `Unsupported signature algorithm id ${signature.algorithm}`,
+                    'UNSUPPORTED_ALGORITHM',
+                    { reason: 'signatureId', params: { id: signature.algorithm } }
+                );
+            }
+            if (!Object.values(this.SIGNED_CONTENT).includes(signature.content)) {
+                throw new CryptoError(
+                    'Encrypted message has an invalid signature type',
+                    'MALFORMED_INPUT',
+                    { reason: 'signatureType' }
+                );
+            }
+            signature.fingerprint = readBytes(this.SIGNER_FINGERPRINT_LENGTH);
+        }
+        
+        const ivLength = readByte();
+        if (ivLength !== expectedIvLength) {
+            throw new CryptoError('Encrypted message has an invalid IV', 'MALFORMED_INPUT', { reason: 'iv' });
+        }
+        const iv = readBytes(ivLength);
+        
+        return {
+            version: version,
+            algorithm: algorithm,
+            kdf: kdf,
+            salt: salt,
+            iterations: iterations,
+            recipients: recipients,
+            chunkSize: chunkSize,
+            signature: signature,
+            iv: iv,
+            additionalData: bytes.slice(0, offset),
+            headerLength: offset
+        };
+    }
+    
+    /**
+     * Wrap a compact envelope in armored text
+     */
+    static armor(bytes) {
+        const body = OutputFormatter.encodeBase64(bytes);
+        const lines = [];
+        for (let i = 0; i < body.length; i += this.ARMOR_LINE_LENGTH) {
+            lines.push(body.slice(i, i + this.ARMOR_LINE_LENGTH));
+        }
+        return [this.ARMOR_BEGIN, ...lines, this.ARMOR_END].join('\n');
+    }
+    
+    /**
+     * Check whether text is in armored form
+     */
+    static isArmored(text) {
+        return text.trimStart().startsWith(this.ARMOR_BEGIN);
+    }
+    
+    /**
+     * Extract the compact envelope from armored text
+     */
+    static dearmor(text) {
+        const trimmed = text.trim();
+        const endIndex = trimmed.indexOf(this.ARMOR_END);
+        
+        if (!trimmed.startsWith(this.ARMOR_BEGIN) || endIndex === -1) {
+            throw new CryptoError(
+                'Armored message is missing its BEGIN or END line',
+                'MALFORMED_INPUT',
+                { reason: 'armorLines' }
+            );
+        }
+        if (trimmed.slice(endIndex + this.ARMOR_END.length).trim().length > 0) {
+            throw new CryptoError(
+                'Unexpected text after the armored message',
+                'MALFORMED_INPUT',
+                { reason: 'armorTrailing' }
+            );
+        }
+        
+        return OutputFormatter.decodeBase64(trimmed.slice(this.ARMOR_BEGIN.length, endIndex));
+    }
+}
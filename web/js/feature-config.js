@@ -0,0 +1,89 @@
+/**
+ * Feature Config Class
+ * Runtime feature toggles from the variant configuration (EncryptionWebAppConfig.vcf)
+ * Reads the `def config <name> <0|1>` lines of a .vcf file, or a generated JSON equivalent
+ * ({ "<name>": 0 | 1 }), from the URL in <meta name="feature-config">
+ * A child config is only on when its parents are (c_Accessibility_KeyboardNavigation needs
+ * c_Accessibility); configs the file does not mention keep their default
+ */
+export class FeatureConfig {
+    static META_NAME = 'feature-config';
+    
+    // Defaults match the behavior before configs were read, so a missing file changes nothing
+    static DEFAULTS = {
+        c_UserInterface_CopyToClipboard: true,
+        c_SecurityFeatures_SecureMemoryHandling: false,
+        c_Accessibility: true,
+        c_Accessibility_KeyboardNavigation: true,
+        c_Accessibility_ScreenReaderSupport: true
+    };
+    
+    static values = {};
+    static source = null;
+    
+    /**
+     * Fetch and apply the configured file
+     * Failures are logged and leave the defaults in place
+     */
+    static async load() {
+        const meta = document.querySelector(`meta[name="${this.META_NAME}"]`);
+        if (!meta || !meta.content) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(meta.content, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const text = await response.text();
+            this.values = meta.content.endsWith('.json') ? this.parseJson(text) : this.parseVcf(text);
+            this.source = meta.content;
+        } catch (error) {
+            console.warn(`Feature config ${meta.content} not loaded, using defaults:`, error.message);
+        }
+    }
+    
+    /**
+     * Parse the `def config` lines of a .vcf file
+     */
+    static parseVcf(text) {
+        const values = {};
+        for (const line of text.split(/\r?\n/)) {
+            const match = /^\s*def\s+config\s+(c_\w+)\s+([01])\s*$/.exec(line);
+            if (match) {
+                values[match[1]] = match[2] === '1';
+            }
+        }
+        return values;
+    }
+    
+    /**
+     * Parse the JSON equivalent of a .vcf file
+     */
+    static parseJson(text) {
+        const values = {};
+        for (const [name, value] of Object.entries(JSON.parse(text))) {
+            if (/^c_\w+$/.test(name)) {
+                values[name] = value === true || value === 1;
+            }
+        }
+        return values;
+    }
+    
+    /**
+     * Check a config, including every parent config it is nested under
+     */
+    static isEnabled(name) {
+        const parts = name.split('_');
+        for (let i = 2; i <= parts.length; i++) {
+            const prefix = parts.slice(0, i).join('_');
+            const value = prefix in this.values ? this.values[prefix] : this.DEFAULTS[prefix];
+            if (value === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * File Manager Class
+ * Browser file handling: output naming and downloads
+ */
+export class FileManager {
+    static ENCRYPTED_EXTENSION = '.enc';
+    
+    /**
+     * Name of the file produced by the current mode
+     */
+    static outputName(name, mode) {
+        if (mode === 'encrypt') {
+            return name + this.ENCRYPTED_EXTENSION;
+        }
+        return name.toLowerCase().endsWith(this.ENCRYPTED_EXTENSION) && name.length > this.ENCRYPTED_EXTENSION.length
+            ? name.slice(0, -this.ENCRYPTED_EXTENSION.length)
+            : name + '.decrypted';
+    }
+    
+    /**
+     * Offer a Blob to the user as a download
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Revoke after the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
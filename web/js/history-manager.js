@@ -0,0 +1,230 @@
+import { CryptoError } from './crypto-error.js';
+import { InputValidator } from './input-validator.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { LocalDatabase } from './local-database.js';
+
+/**
+ * History Manager Class
+ * Enables Features: History, LocalStorage (EncryptionWebApp.fml lines 206, 248)
+ * Opt-in history of encrypted outputs, kept in IndexedDB and encrypted at rest with AES-GCM
+ * under a key derived (PBKDF2-SHA-256) from a history passphrase entered once per session.
+ * Only the creation time is stored in the clear, so expiry works while history is locked;
+ * label, algorithm, size and output are readable only after unlocking.
+ */
+export class HistoryManager {
+    static STORE = 'history';
+    static META_STORE = 'historyMeta';
+    static META_ID = 'settings';
+    
+    static DEFAULT_EXPIRY_DAYS = 30;
+    static EXPIRY_OPTIONS = [1, 7, 30, 90];
+    static MAX_LABEL_LENGTH = 64;
+    
+    // Encrypted under the history key so a wrong passphrase is detected on unlock
+    static VERIFIER = 'EncryptDemo history';
+    
+    // History key for this session; null while locked
+    static sessionKey = null;
+    
+    static isUnlocked() {
+        return this.sessionKey !== null;
+    }
+    
+    /**
+     * Whether a history passphrase has been set in this browser
+     */
+    static async isConfigured() {
+        return Boolean(await LocalDatabase.get(this.META_STORE, this.META_ID));
+    }
+    
+    /**
+     * Unlock history with its passphrase, turning history on when no passphrase is set yet
+     */
+    static async unlock(passphrase) {
+        let meta = await LocalDatabase.get(this.META_STORE, this.META_ID);
+        
+        if (!meta) {
+            const passphraseCheck = InputValidator.validatePassphrase(passphrase, passphrase);
+            if (!passphraseCheck.isValid) {
+                throw new CryptoError(passphraseCheck.errors[0], 'INVALID_PASSPHRASE', { localized: true });
+            }
+            
+            meta = {
+                id: this.META_ID,
+                salt: CryptographicEngine.generateSalt(),
+                iterations: CryptographicEngine.PBKDF2_ITERATIONS,
+                expiryDays: this.DEFAULT_EXPIRY_DAYS,
+                createdAt: new Date().toISOString()
+            };
+            const key = await CryptographicEngine.deriveKey(passphrase, meta.salt, meta.iterations);
+            Object.assign(meta, await this.seal(this.VERIFIER, key, meta.id));
+            await LocalDatabase.put(this.META_STORE, meta);
+            this.sessionKey = key;
+            return;
+        }
+        
+        if (passphrase.length === 0) {
+            throw new CryptoError('Passphrase cannot be empty', 'INVALID_PASSPHRASE', { reason: 'empty' });
+        }
+        
+        const key = await CryptographicEngine.deriveKey(passphrase, meta.salt, meta.iterations);
+        try {
+            await this.open(meta, key, meta.id);
+        } catch (error) {
+            throw new CryptoError('Wrong history passphrase', 'INVALID_PASSPHRASE', { reason: 'history' });
+        }
+        
+        this.sessionKey = key;
+        await this.purgeExpired();
+    }
+    
+    /**
+     * Forget the history key; entries stay stored until they expire or are wiped
+     */
+    static lock() {
+        this.sessionKey = null;
+    }
+    
+    /**
+     * Save an encrypted output to history
+     * Does nothing while history is locked, so history stays opt-in
+     */
+    static async add({ label, algorithm, size, output }) {
+        if (!this.isUnlocked()) {
+            return null;
+        }
+        
+        const entry = {
+            label: this.cleanLabel(label),
+            algorithm: algorithm,
+            size: size,
+            output: output
+        };
+        const record = {
+            id: globalThis.crypto.randomUUID(),
+            createdAt: new Date().toISOString()
+        };
+        Object.assign(record, await this.seal(JSON.stringify(entry), this.sessionKey, record.id));
+        
+        await LocalDatabase.put(this.STORE, record);
+        return { id: record.id, createdAt: record.createdAt, ...entry };
+    }
+    
+    /**
+     * Decrypt history entries, newest first
+     * A query filters on label and algorithm, case-insensitively
+     */
+    static async list(query = '') {
+        const key = this.requireUnlocked();
+        await this.purgeExpired();
+        
+        const records = await LocalDatabase.getAll(this.STORE);
+        const entries = [];
+        for (const record of records) {
+            const entry = JSON.parse(await this.open(record, key, record.id));
+            entries.push({ id: record.id, createdAt: record.createdAt, ...entry });
+        }
+        
+        const needle = query.trim().toLowerCase();
+        return entries
+            .filter((entry) => !needle || `${entry.label}\n${entry.algorithm}`.toLowerCase().includes(needle))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+    
+    /**
+     * Decrypt one history entry
+     */
+    static async get(id) {
+        const key = this.requireUnlocked();
+        const record = await LocalDatabase.get(this.STORE, id);
+        if (!record) {
+            throw new CryptoError('This history entry no longer exists', 'HISTORY_NOT_FOUND');
+        }
+        return { id: record.id, createdAt: record.createdAt, ...JSON.parse(await this.open(record, key, record.id)) };
+    }
+    
+    static remove(id) {
+        return LocalDatabase.delete(this.STORE, id);
+    }
+    
+    /**
+     * Days after which entries are deleted
+     */
+    static async getExpiryDays() {
+        const meta = await LocalDatabase.get(this.META_STORE, this.META_ID);
+        return meta ? meta.expiryDays : this.DEFAULT_EXPIRY_DAYS;
+    }
+    
+    static async setExpiryDays(days) {
+        if (!this.EXPIRY_OPTIONS.includes(days)) {
+            throw new CryptoError(
+                `History expiry must be one of ${this.EXPIRY_OPTIONS.join(', ')} days`,
+                'INVALID_EXPIRY',
+                { params: { options: this.EXPIRY_OPTIONS.join(', ') } }
+            );
+        }
+        
+        const meta = await LocalDatabase.get(this.META_STORE, this.META_ID);
+        if (!meta) {
+            throw new CryptoError('Turn on history first', 'HISTORY_LOCKED', { reason: 'off' });
+        }
+        await LocalDatabase.put(this.META_STORE, { ...meta, expiryDays: days });
+        await this.purgeExpired();
+    }
+    
+    /**
+     * Delete entries older than the expiry period
+     * Works while locked, from the creation times stored in the clear
+     */
+    static async purgeExpired(now = Date.now()) {
+        const cutoff = now - (await this.getExpiryDays()) * 24 * 60 * 60 * 1000;
+        const records = await LocalDatabase.getAll(this.STORE);
+        
+        let purged = 0;
+        for (const record of records) {
+            if (Date.parse(record.createdAt) < cutoff) {
+                await LocalDatabase.delete(this.STORE, record.id);
+                purged++;
+            }
+        }
+        return purged;
+    }
+    
+    /**
+     * Panic wipe: delete every entry and the history passphrase settings, and lock
+     * Needs no passphrase, so it also works on a locked history
+     */
+    static async wipe() {
+        this.lock();
+        await LocalDatabase.clear(this.STORE);
+        await LocalDatabase.clear(this.META_STORE);
+    }
+    
+    static requireUnlocked() {
+        if (!this.isUnlocked()) {
+            throw new CryptoError('History is locked - enter the history passphrase', 'HISTORY_LOCKED');
+        }
+        return this.sessionKey;
+    }
+    
+    /**
+     * Trim a label to one line of at most MAX_LABEL_LENGTH characters
+     */
+    static cleanLabel(label) {
+        const cleaned = (label || '').replace(/[\x00-\x1F\x7F]+/g, ' ').trim();
+        return [...cleaned].slice(0, this.MAX_LABEL_LENGTH).join('') || 'Untitled';
+    }
+    
+    /**
+     * Encrypt a record's content, bound to its id so records cannot be swapped
+     */
+    static async seal(text, key, id) {
+        const iv = CryptographicEngine.generateIV();
+        const data = await CryptographicEngine.encryptText(text, key, iv, new TextEncoder().encode(id));
+        return { iv: iv, data: new Uint8Array(data) };
+    }
+    
+    static open(record, key, id) {
+        return CryptographicEngine.decryptText(record.data, key, record.iv, new TextEncoder().encode(id));
+    }
+}
@@ -0,0 +1,132 @@
+import { en } from './locales/en.js';
+import { de } from './locales/de.js';
+import { CryptoError } from './crypto-error.js';
+
+/**
+ * I18n Class
+ * Message catalog lookup for every text the app shows (web/js/locales)
+ * Enables Feature: UserInterface (EncryptionWebApp.fml line 52)
+ * Follows Requirement: REQ_USAB_001 (EncryptionRequirements.req line 122)
+ * Static text in index.html names its key in a data-i18n attribute (data-i18n-placeholder,
+ * -aria-label and -title for attributes); text built in code calls t(). Outside the browser
+ * (CLI, server, tests) the locale stays English
+ */
+export class I18n {
+    static CATALOGS = { en, de };
+    
+    // Each locale's name in its own language, for the switcher
+    static LOCALE_NAMES = {
+        en: 'English',
+        de: 'Deutsch'
+    };
+    
+    static DEFAULT_LOCALE = 'en';
+    static STORAGE_KEY = 'encryptdemo-locale';
+    
+    static ATTRIBUTES = {
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-aria-label': 'aria-label',
+        'data-i18n-title': 'title'
+    };
+    
+    static locale = 'en';
+    
+    /**
+     * Look up a message and fill in its {name} parameters
+     * A message with one and other forms is picked by params.count; keys missing from the
+     * current catalog fall back to English, and unknown keys are returned as they are
+     */
+    static t(key, params = {}) {
+        let message = this.CATALOGS[this.locale][key] ?? this.CATALOGS[this.DEFAULT_LOCALE][key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            message = message[form] ?? message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    }
+    
+    /**
+     * The message to show for a failed operation, looked up by error code
+     * A CryptoError shows error.<code>.<reason>, else error.<code>, filled in from its details;
+     * codes without a message and any other error show fallbackMessage
+     */
+    static errorMessage(error, fallbackMessage) {
+        if (!(error instanceof CryptoError)) {
+            return fallbackMessage;
+        }
+        const { reason, params, localized } = error.details;
+        if (localized) {
+            return error.message;
+        }
+        
+        const keys = reason ? [`error.${error.code}.${reason}`, `error.${error.code}`] : [`error.${error.code}`];
+        const key = keys.find((candidate) => candidate in this.CATALOGS[this.DEFAULT_LOCALE]);
+        return key ? this.t(key, params) : fallbackMessage;
+    }
+    
+    /**
+     * The locale chosen before, else the first supported browser language, else English
+     */
+    static detectLocale() {
+        const saved = this.getSavedLocale();
+        if (saved) {
+            return saved;
+        }
+        
+        const languages = globalThis.navigator ? globalThis.navigator.languages || [] : [];
+        for (const language of languages) {
+            const locale = language.split('-')[0].toLowerCase();
+            if (locale in this.CATALOGS) {
+                return locale;
+            }
+        }
+        return this.DEFAULT_LOCALE;
+    }
+    
+    static getSavedLocale() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved in this.CATALOGS ? saved : null;
+        } catch (error) {
+            // Storage blocked or unavailable
+            return null;
+        }
+    }
+    
+    /**
+     * Remember the locale the user picked; failures only mean it is not remembered
+     */
+    static saveLocale(locale) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, locale);
+        } catch (error) {
+            // Storage blocked or unavailable
+        }
+    }
+    
+    /**
+     * Switch the locale and translate the page's static text
+     * Text built in code is re-rendered by its owner (UIManager.applyLocale)
+     */
+    static setLocale(locale) {
+        this.locale = locale in this.CATALOGS ? locale : this.DEFAULT_LOCALE;
+        document.documentElement.lang = this.locale;
+        this.translatePage(document);
+    }
+    
+    static translatePage(root) {
+        for (const element of root.querySelectorAll('[data-i18n]')) {
+            element.textContent = this.t(element.dataset.i18n);
+        }
+        for (const [attribute, target] of Object.entries(this.ATTRIBUTES)) {
+            for (const element of root.querySelectorAll(`[${attribute}]`)) {
+                element.setAttribute(target, this.t(element.getAttribute(attribute)));
+            }
+        }
+    }
+}
@@ -0,0 +1,223 @@
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { EnvelopeFormat } from './envelope-format.js';
+import { OutputFormatter } from './output-formatter.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Input Validator Class
+ * Implements Function: ValidateTextInput (EncryptionFunctions.fun line 10)
+ * Follows Requirement: REQ_FUNC_001 (EncryptionRequirements.req line 10)
+ * Per InputValidation.md specifications
+ * Error messages and strength labels come from the message catalog (I18n)
+ */
+export class InputValidator {
+    static MAX_FILE_SIZE = 1024 * 1024 * 1024;
+    static MAX_FILE_OVERHEAD = 1024 * 1024; // Room for the header and per-chunk tags of an encrypted file
+    static MAX_BATCH_FILE_SIZE = 10 * 1024 * 1024;
+    
+    /**
+     * Validate plaintext for encryption
+     * Validation may reject input but never alters it: the returned value is exactly what is
+     * encrypted, so decrypt(encrypt(x)) === x. HTML escaping belongs to the display layer
+     * NFC normalization is the only transformation, and only when options.normalize is set
+     * Follows Requirement: REQ_FUNC_001_2 (EncryptionRequirements.req line 35) - preserving text content
+     */
+    static validate(input, { normalize = false } = {}) {
+        const errors = [];
+        const value = normalize ? input.normalize('NFC') : input;
+        
+        // Length validation - per REQ_FUNC_001_1 (EncryptionRequirements.req line 22)
+        if (value.length === 0) {
+            errors.push(I18n.t('validation.empty'));
+        }
+        if (value.length > 10000) {
+            errors.push(I18n.t('validation.tooLong', { length: value.length }));
+        }
+        
+        // Character validation - per InputValidation.md character set restrictions
+        const dangerousChars = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/;
+        if (dangerousChars.test(value)) {
+            errors.push(I18n.t('validation.controlCharacters'));
+        }
+        
+        // Unpaired surrogates cannot be encoded as UTF-8 and would not survive a round trip
+        if (!this.isWellFormed(value)) {
+            errors.push(I18n.t('validation.unicode'));
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            value: value
+        };
+    }
+    
+    /**
+     * Check that a string has no unpaired UTF-16 surrogates
+     */
+    static isWellFormed(text) {
+        return !/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(text);
+    }
+    
+    /**
+     * Validate encrypted input for decrypt mode
+     * Accepts armored text, a JSON export, or compact Base64, Base64url, hex or Base32 (detected
+     * by OutputFormatter.detectEncoding); whitespace in compact input is ignored
+     */
+    static validateCiphertext(input) {
+        const errors = [];
+        const encoding = OutputFormatter.detectEncoding(input);
+        
+        if (encoding === OutputFormatter.ENCODINGS.ARMORED || encoding === OutputFormatter.ENCODINGS.JSON) {
+            const text = input.trim();
+            if (encoding === OutputFormatter.ENCODINGS.ARMORED && !text.includes(EnvelopeFormat.ARMOR_END)) {
+                errors.push(I18n.t('validation.armorEnd'));
+            }
+            
+            return {
+                isValid: errors.length === 0,
+                errors: errors,
+                encoding: encoding,
+                value: text
+            };
+        }
+        
+        const compact = input.replace(/\s+/g, '');
+        
+        if (compact.length === 0) {
+            errors.push(I18n.t('validation.empty'));
+        } else if (encoding === null) {
+            errors.push(I18n.t('validation.encoding'));
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            encoding: encoding,
+            value: compact
+        };
+    }
+    
+    /**
+     * Validate a file selected for encryption or decryption
+     * Files are streamed in chunks, but the result is assembled in memory, hence the cap
+     */
+    static validateFile(file, mode) {
+        const errors = [];
+        
+        if (!file) {
+            errors.push(I18n.t('validation.noFile'));
+        } else if (file.size === 0) {
+            errors.push(I18n.t('validation.fileEmpty'));
+        } else if (file.size > (mode === 'decrypt' ? this.MAX_FILE_SIZE + this.MAX_FILE_OVERHEAD : this.MAX_FILE_SIZE)) {
+            errors.push(I18n.t('validation.fileTooLarge', {
+                size: OutputFormatter.formatSize(file.size),
+                maximum: OutputFormatter.formatSize(this.MAX_FILE_SIZE)
+            }));
+        } else if (mode === 'decrypt' && file.size < EnvelopeFormat.MAGIC.length + CryptographicEngine.TAG_LENGTH) {
+            errors.push(I18n.t('validation.fileTooSmall'));
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+    
+    /**
+     * Validate a CSV or JSON file uploaded for batch encryption
+     * The file is read as text in one piece, so it is capped well below MAX_FILE_SIZE
+     */
+    static validateBatchFile(file) {
+        const errors = [];
+        
+        if (!file) {
+            errors.push(I18n.t('validation.noFile'));
+        } else if (file.size === 0) {
+            errors.push(I18n.t('validation.fileEmpty'));
+        } else if (file.size > this.MAX_BATCH_FILE_SIZE) {
+            errors.push(I18n.t('validation.fileTooLarge', {
+                size: OutputFormatter.formatSize(file.size),
+                maximum: OutputFormatter.formatSize(this.MAX_BATCH_FILE_SIZE)
+            }));
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+    
+    /**
+     * Validate a passphrase for passphrase mode
+     * On encrypt a confirmation is passed and a minimum length applies;
+     * on decrypt the passphrase only has to be present
+     */
+    static validatePassphrase(passphrase, confirmation) {
+        const errors = [];
+        const encrypting = confirmation !== undefined;
+        
+        if (passphrase.length === 0) {
+            errors.push(I18n.t('validation.passphraseEmpty'));
+        } else if (encrypting && [...passphrase].length < 8) {
+            errors.push(I18n.t('validation.passphraseShort'));
+        } else if (encrypting && passphrase !== confirmation) {
+            errors.push(I18n.t('validation.passphraseMismatch'));
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+    
+    /**
+     * Validate a display name for a stored key
+     */
+    static validateKeyName(name) {
+        const errors = [];
+        const trimmed = name.trim();
+        
+        if (trimmed.length === 0) {
+            errors.push(I18n.t('validation.keyNameEmpty'));
+        } else if (trimmed.length > 64) {
+            errors.push(I18n.t('validation.keyNameTooLong'));
+        } else if (/[\x00-\x1F\x7F]/.test(trimmed)) {
+            errors.push(I18n.t('validation.keyNameControlCharacters'));
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+    
+    /**
+     * Estimate passphrase strength for the strength meter
+     * Rough entropy estimate from character classes; repeated characters are discounted
+     * Returns score 0-4 with a display label
+     */
+    static assessPassphrase(passphrase) {
+        const chars = [...passphrase];
+        if (chars.length === 0) {
+            return { score: 0, label: '' };
+        }
+        if (chars.length < 8) {
+            return { score: 0, label: I18n.t('strength.tooShort') };
+        }
+        
+        let pool = 0;
+        if (/[a-z]/.test(passphrase)) pool += 26;
+        if (/[A-Z]/.test(passphrase)) pool += 26;
+        if (/[0-9]/.test(passphrase)) pool += 10;
+        if (/[^a-zA-Z0-9]/.test(passphrase)) pool += 33;
+        
+        const effectiveLength = Math.min(chars.length, new Set(chars).size * 2);
+        const bits = effectiveLength * Math.log2(pool);
+        
+        if (bits < 40) return { score: 1, label: I18n.t('strength.weak') };
+        if (bits < 60) return { score: 2, label: I18n.t('strength.fair') };
+        if (bits < 80) return { score: 3, label: I18n.t('strength.good') };
+        return { score: 4, label: I18n.t('strength.strong') };
+    }
+}
@@ -0,0 +1,132 @@
+import { CryptoError } from './crypto-error.js';
+import { LocalDatabase } from './local-database.js';
+
+/**
+ * Integrity Check Class
+ * Per ThreatModel.md T-TAMPER-01: checks the app's code against integrity.json, the SHA-256
+ * manifest of app.js and its assets written by tools/build-integrity.js. The manifest's own
+ * SHA-256 is the code fingerprint shown to users. It is pinned in local storage on first use,
+ * so a later build with another fingerprint only runs once the user accepts it.
+ * bootstrap.js runs this before any other module of the app is loaded, so it hashes with Web
+ * Crypto directly and imports nothing but CryptoError and LocalDatabase
+ */
+export class IntegrityCheck {
+    static MANIFEST_URL = 'integrity.json';
+    static FORMAT = 'EncryptDemo integrity manifest';
+    static VERSION = 1;
+    static ALGORITHM = 'SHA-256';
+    
+    static STORE = 'integrity';
+    static PIN_ID = 'fingerprint';
+    
+    /**
+     * Check every file listed in the manifest under baseUrl
+     * Returns { fingerprint, pinned, changed }: the manifest's SHA-256 as hex, the fingerprint
+     * accepted before (null on first use, when this one is pinned) and whether the two differ.
+     * Throws CODE_MODIFIED when a file does not match its hash
+     */
+    static async verify(baseUrl) {
+        const manifestBytes = await this.fetchBytes(new URL(this.MANIFEST_URL, baseUrl));
+        const manifest = this.parseManifest(manifestBytes);
+        
+        const modified = [];
+        for (const [path, hash] of Object.entries(manifest.files)) {
+            const bytes = await this.fetchBytes(new URL(path, baseUrl));
+            if (await this.sha256Hex(bytes) !== hash) {
+                modified.push(path);
+            }
+        }
+        if (modified.length > 0) {
+            throw new CryptoError(
+                `The app's code was modified: ${modified.join(', ')} does not match the integrity manifest`,
+                'CODE_MODIFIED',
+                { params: { files: modified.join(', ') } }
+            );
+        }
+        
+        const fingerprint = await this.sha256Hex(manifestBytes);
+        const pinned = await this.getPinned();
+        if (pinned === null) {
+            await this.pin(fingerprint);
+        }
+        return { fingerprint, pinned, changed: pinned !== null && pinned !== fingerprint };
+    }
+    
+    static parseManifest(bytes) {
+        let manifest;
+        try {
+            manifest = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            manifest = null;
+        }
+        if (!manifest || manifest.format !== this.FORMAT || manifest.algorithm !== this.ALGORITHM ||
+            typeof manifest.files !== 'object' || manifest.files === null) {
+            throw new CryptoError(
+                'The integrity manifest is damaged',
+                'INTEGRITY_CHECK_FAILED',
+                { reason: 'manifest' }
+            );
+        }
+        if (manifest.version !== this.VERSION) {
+            throw new CryptoError(
+                `Unsupported integrity manifest version ${manifest.version}`,
+                'UNSUPPORTED_VERSION',
+                { reason: 'manifest', params: { version: manifest.version } }
+            );
+        }
+        return manifest;
+    }
+    
+    static async fetchBytes(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            response = null;
+        }
+        if (!response || !response.ok) {
+            throw new CryptoError(
+                `The app's code could not be checked: ${url.pathname} did not load`,
+                'INTEGRITY_CHECK_FAILED',
+                { reason: 'load', params: { path: url.pathname } }
+            );
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+    
+    /**
+     * The fingerprint accepted last, or null when none was pinned or local storage is unavailable
+     */
+    static async getPinned() {
+        try {
+            const record = await LocalDatabase.get(this.STORE, this.PIN_ID);
+            return record ? record.fingerprint : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Accept a fingerprint; without local storage nothing is pinned and every visit is a first use
+     */
+    static async pin(fingerprint) {
+        try {
+            await LocalDatabase.put(this.STORE, { id: this.PIN_ID, fingerprint, pinnedAt: new Date().toISOString() });
+        } catch (error) {
+            // Nothing to pin to
+        }
+    }
+    
+    static async sha256Hex(bytes) {
+        const digest = new Uint8Array(await globalThis.crypto.subtle.digest(this.ALGORITHM, bytes));
+        return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Fingerprint as shown to users: the first 16 bytes in groups of four hex digits, as
+     * OutputFormatter.formatFingerprint shows key fingerprints
+     */
+    static formatFingerprint(fingerprint) {
+        return fingerprint.slice(0, 32).toUpperCase().match(/.{4}/g).join(' ');
+    }
+}
@@ -0,0 +1,537 @@
+import { CryptoError } from './crypto-error.js';
+import { InputValidator } from './input-validator.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { SignatureEngine } from './signature-engine.js';
+import { EnvelopeFormat } from './envelope-format.js';
+import { OutputFormatter } from './output-formatter.js';
+import { LocalDatabase } from './local-database.js';
+import { AuditLog } from './audit-log.js';
+
+/**
+ * Key Manager Class
+ * Implements Feature: KeyManagement (EncryptionWebApp.fml line 38)
+ * Named AES-256 keys persisted in IndexedDB; keys protected by a master passphrase are
+ * stored wrapped with AES-KW under a PBKDF2-derived key and unlocked per session.
+ * Also holds own key pairs and recipients' public keys for public-key mode, and own signing
+ * key pairs and contacts' public signing keys for signatures. A signer is trusted when their
+ * key is in the contact list (ThreatModel.md T-SPOOF-03)
+ */
+export class KeyManager {
+    static STORE = 'keys';
+    
+    static KINDS = {
+        SECRET: 'secret',
+        KEY_PAIR: 'keypair',
+        PUBLIC: 'public'
+    };
+    
+    // Unwrapped keys for this session, by key id (Map per ThreatModel.md T-PRIV-02)
+    static unlockedKeys = new Map();
+    
+    /**
+     * Generate and store a new named key
+     */
+    static async generateKey(name, masterPassphrase) {
+        const key = await CryptographicEngine.generateKey();
+        return this.storeKey(name, key, masterPassphrase);
+    }
+    
+    /**
+     * Generate and store a new key pair for public-key mode or for signing
+     */
+    static async generateKeyPair(name, algorithm) {
+        const keyPair = await this.engineFor(algorithm).generateKeyPair(algorithm);
+        return this.storePublicKey(name, algorithm, keyPair.publicKey, keyPair.privateKey);
+    }
+    
+    /**
+     * Import and store a key
+     * Accepts an AES key (oct JWK or raw Base64), a private key pair (EC/RSA/OKP JWK with "d")
+     * or a public key (EC/RSA/OKP public JWK or SPKI Base64)
+     */
+    static importKey(name, keyText, masterPassphrase) {
+        return this.auditImport(async () => {
+            const parsed = await this.parseKey(keyText);
+            if (parsed.kind === this.KINDS.SECRET) {
+                return this.storeKey(name, parsed.key, masterPassphrase);
+            }
+            this.rejectMasterPassphrase(masterPassphrase);
+            return this.storePublicKey(name, parsed.algorithm, parsed.publicKey, parsed.privateKey);
+        });
+    }
+    
+    /**
+     * Import and store a contact's public signing key
+     * P-256 keys are read as ECDSA here, where Import Key would read an SPKI P-256 key as ECDH
+     */
+    static importContact(name, keyText) {
+        return this.auditImport(async () => {
+            const parsed = await this.parseKey(keyText, { signing: true });
+            if (parsed.kind !== this.KINDS.PUBLIC || !SignatureEngine.isSigningAlgorithm(parsed.algorithm)) {
+                throw new CryptoError(
+                    'A contact must be a public signing key (ECDSA P-256 or Ed25519)',
+                    'INVALID_KEY',
+                    { reason: 'contact' }
+                );
+            }
+            return this.storePublicKey(name, parsed.algorithm, parsed.publicKey);
+        });
+    }
+    
+    /**
+     * Run a key import and record its outcome in the audit log, with the key's kind,
+     * algorithm and fingerprint only
+     */
+    static async auditImport(importTask) {
+        let key;
+        try {
+            key = await importTask();
+        } catch (error) {
+            AuditLog.recordResult(AuditLog.EVENTS.KEY_IMPORT, error);
+            throw error;
+        }
+        
+        AuditLog.recordResult(AuditLog.EVENTS.KEY_IMPORT, null, {
+            kind: key.kind,
+            algorithm: key.algorithm,
+            fingerprint: key.fingerprint,
+            protected: key.wrapped
+        });
+        return key;
+    }
+    
+    /**
+     * Read key text into CryptoKeys without storing anything
+     * Returns { kind: SECRET, key } or { kind: KEY_PAIR | PUBLIC, algorithm, publicKey, privateKey }
+     * Also used by the API server, which never persists keys
+     * EC JWKs are signing keys when their key_ops or alg say so; with signing set, any P-256 key
+     * is read as a signing key
+     */
+    static async parseKey(keyText, { signing = false } = {}) {
+        const trimmed = keyText.trim();
+        const options = { extractable: true, usages: ["encrypt", "decrypt"] };
+        
+        if (trimmed.startsWith('{')) {
+            let jwk;
+            try {
+                jwk = JSON.parse(trimmed);
+            } catch (error) {
+                throw new CryptoError('Invalid key: JWK is not valid JSON', 'INVALID_KEY', { reason: 'jwkJson' });
+            }
+            
+            if (jwk && (jwk.kty === 'EC' || jwk.kty === 'RSA' || jwk.kty === 'OKP')) {
+                const algorithm = this.jwkAlgorithm(jwk, signing);
+                const engine = this.engineFor(algorithm);
+                if (jwk.d) {
+                    const keyPair = await engine.importPrivateJwk(jwk, algorithm);
+                    return { kind: this.KINDS.KEY_PAIR, algorithm: algorithm, ...keyPair };
+                }
+                return this.publicKeyResult(algorithm, await engine.importPublicKey(jwk, algorithm));
+            }
+            return { kind: this.KINDS.SECRET, key: await CryptographicEngine.importJwk(jwk, options) };
+        }
+        
+        const keyBytes = OutputFormatter.decodeBase64(trimmed);
+        if (keyBytes.length === 32) {
+            return { kind: this.KINDS.SECRET, key: await CryptographicEngine.importKey(keyBytes, options) };
+        }
+        
+        // Anything longer than a raw AES key is read as an SPKI public key, trying the
+        // encryption algorithms first
+        const algorithms = Object.keys(SignatureEngine.ALGORITHMS);
+        if (!signing) {
+            algorithms.unshift(...Object.keys(CryptographicEngine.PUBLIC_KEY_ALGORITHMS));
+        }
+        for (const algorithm of algorithms) {
+            let publicKey;
+            try {
+                publicKey = await this.engineFor(algorithm).importPublicKey(keyBytes, algorithm);
+            } catch (error) {
+                continue; // Try the next algorithm
+            }
+            return this.publicKeyResult(algorithm, publicKey);
+        }
+        throw new CryptoError(
+            'Invalid key: not an AES key or a supported public key',
+            'INVALID_KEY',
+            { reason: 'unknown' }
+        );
+    }
+    
+    static publicKeyResult(algorithm, publicKey) {
+        return { kind: this.KINDS.PUBLIC, algorithm: algorithm, publicKey: publicKey, privateKey: null };
+    }
+    
+    /**
+     * Key pair algorithm for an EC, RSA or OKP JWK
+     * RSA keys are accepted only with the 2048-bit modulus their algorithm name promises
+     */
+    static jwkAlgorithm(jwk, signing) {
+        if (jwk.kty === 'RSA') {
+            if (this.rsaModulusBits(jwk.n) !== 2048) {
+                throw new CryptoError('Invalid key: only 2048-bit RSA keys are supported', 'INVALID_KEY', { reason: 'rsaSize' });
+            }
+            return 'RSA-OAEP-2048';
+        }
+        if (jwk.kty === 'OKP') {
+            if (jwk.crv !== 'Ed25519') {
+                throw new CryptoError(
+                    `Invalid key: unsupported curve ${jwk.crv}`,
+                    'INVALID_KEY',
+                    { reason: 'curve', params: { curve: jwk.crv } }
+                );
+            }
+            return 'Ed25519';
+        }
+        
+        const signingOps = Array.isArray(jwk.key_ops) && jwk.key_ops.some((op) => op === 'sign' || op === 'verify');
+        return signing || signingOps || jwk.alg === 'ES256' ? 'ECDSA-P256' : 'ECDH-P256';
+    }
+    
+    /**
+     * Bit length of an RSA JWK's modulus (n, Base64url), 0 when it is missing or not Base64url
+     */
+    static rsaModulusBits(n) {
+        let modulus;
+        try {
+            modulus = OutputFormatter.decodeBase64url(typeof n === 'string' ? n : '');
+        } catch (error) {
+            return 0;
+        }
+        const first = modulus.findIndex((byte) => byte !== 0);
+        return first === -1 ? 0 : (modulus.length - first - 1) * 8 + modulus[first].toString(2).length;
+    }
+    
+    /**
+     * The engine that generates and imports keys of an algorithm
+     */
+    static engineFor(algorithm) {
+        return SignatureEngine.isSigningAlgorithm(algorithm) ? SignatureEngine : CryptographicEngine;
+    }
+    
+    /**
+     * An AES key from key text (raw Base64 or an oct JWK)
+     */
+    static async parseSecretKey(keyText) {
+        const parsed = await this.parseKey(keyText);
+        if (parsed.kind !== this.KINDS.SECRET) {
+            throw new CryptoError('Invalid key: expected an AES-256 key', 'INVALID_KEY', { reason: 'aes' });
+        }
+        return parsed.key;
+    }
+    
+    /**
+     * A recipient for encryption from key text (a public key or a key pair)
+     */
+    static async parseRecipient(keyText) {
+        const parsed = await this.parseKey(keyText);
+        if (!parsed.publicKey) {
+            throw new CryptoError(
+                'Recipients must be public keys or key pairs',
+                'INVALID_KEY',
+                { reason: 'recipient' }
+            );
+        }
+        if (SignatureEngine.isSigningAlgorithm(parsed.algorithm)) {
+            throw new CryptoError(
+                'Signing keys cannot be recipients - use an ECDH or RSA-OAEP key',
+                'INVALID_KEY',
+                { reason: 'signingRecipient' }
+            );
+        }
+        return {
+            algorithm: parsed.algorithm,
+            publicKey: parsed.publicKey,
+            fingerprint: await CryptographicEngine.fingerprint(parsed.publicKey)
+        };
+    }
+    
+    /**
+     * Recover a message's content key with a private JWK given as key text
+     */
+    static async unwrapWithPrivateKey(recipientBlocks, keyText) {
+        const parsed = await this.parseKey(keyText);
+        if (parsed.kind !== this.KINDS.KEY_PAIR) {
+            throw new CryptoError('Invalid key: expected a private key (JWK)', 'INVALID_KEY', { reason: 'private' });
+        }
+        
+        const block = this.findRecipientBlock(recipientBlocks, await CryptographicEngine.fingerprint(parsed.publicKey));
+        if (!block) {
+            throw new CryptoError(
+                'This private key is not a recipient of the message',
+                'NO_MATCHING_KEY',
+                { reason: 'privateKey' }
+            );
+        }
+        return CryptographicEngine.unwrapForRecipient(block, parsed.privateKey);
+    }
+    
+    /**
+     * The recipient block addressed to a public-key fingerprint, if any
+     * Block key ids are the leading bytes of the fingerprint
+     */
+    static findRecipientBlock(recipientBlocks, fingerprint) {
+        return recipientBlocks.find((block) => block.keyId.every((value, i) => fingerprint[i] === value));
+    }
+    
+    /**
+     * Master passphrase protection covers symmetric keys only
+     */
+    static rejectMasterPassphrase(masterPassphrase) {
+        if (masterPassphrase) {
+            throw new CryptoError('Master passphrase protection is only available for AES keys', 'UNSUPPORTED_PROTECTION');
+        }
+    }
+    
+    /**
+     * Create the common part of a key record
+     */
+    static createRecord(name, kind) {
+        const nameCheck = InputValidator.validateKeyName(name);
+        if (!nameCheck.isValid) {
+            throw new CryptoError(nameCheck.errors[0], 'INVALID_KEY_NAME', { localized: true });
+        }
+        
+        return {
+            id: globalThis.crypto.randomUUID(),
+            kind: kind,
+            name: name.trim(),
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Persist a recipient public key, or an own key pair when the private key is given
+     */
+    static async storePublicKey(name, algorithm, publicKey, privateKey = null) {
+        const record = {
+            ...this.createRecord(name, privateKey ? this.KINDS.KEY_PAIR : this.KINDS.PUBLIC),
+            algorithm: algorithm,
+            publicKey: publicKey,
+            privateKey: privateKey,
+            fingerprint: await CryptographicEngine.fingerprint(publicKey),
+            wrapped: false
+        };
+        
+        await LocalDatabase.put(this.STORE, record);
+        return this.describe(record);
+    }
+    
+    /**
+     * Persist an AES key, wrapping it when a master passphrase is given
+     */
+    static async storeKey(name, key, masterPassphrase) {
+        const record = {
+            ...this.createRecord(name, this.KINDS.SECRET),
+            wrapped: Boolean(masterPassphrase),
+            key: null,
+            wrappedKey: null,
+            salt: null,
+            iterations: null
+        };
+        
+        if (record.wrapped) {
+            record.salt = CryptographicEngine.generateSalt();
+            record.iterations = CryptographicEngine.PBKDF2_ITERATIONS;
+            const wrappingKey = await CryptographicEngine.deriveKey(masterPassphrase, record.salt, record.iterations, "AES-KW");
+            record.wrappedKey = await CryptographicEngine.wrapKey(key, wrappingKey);
+            this.unlockedKeys.set(record.id, key);
+        } else {
+            record.key = key;
+        }
+        
+        await LocalDatabase.put(this.STORE, record);
+        return this.describe(record);
+    }
+    
+    /**
+     * List stored keys without key material, oldest first
+     */
+    static async listKeys() {
+        const records = await LocalDatabase.getAll(this.STORE);
+        return records
+            .map((record) => this.describe(record))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+    
+    /**
+     * Key metadata safe to show in the UI
+     */
+    static describe(record) {
+        return {
+            id: record.id,
+            // Records saved before public-key mode have no kind and are AES keys
+            kind: record.kind || this.KINDS.SECRET,
+            name: record.name,
+            algorithm: record.algorithm || 'AES-256-GCM',
+            signing: SignatureEngine.isSigningAlgorithm(record.algorithm),
+            fingerprint: record.fingerprint ? OutputFormatter.formatFingerprint(record.fingerprint) : null,
+            createdAt: record.createdAt,
+            wrapped: record.wrapped,
+            locked: record.wrapped && !this.unlockedKeys.has(record.id)
+        };
+    }
+    
+    /**
+     * Unlock a wrapped key with the master passphrase for this session
+     */
+    static async unlockKey(id, masterPassphrase) {
+        const record = await this.getRecord(id);
+        if (!record.wrapped || this.unlockedKeys.has(id)) {
+            return;
+        }
+        
+        const wrappingKey = await CryptographicEngine.deriveKey(masterPassphrase, record.salt, record.iterations, "AES-KW");
+        this.unlockedKeys.set(id, await CryptographicEngine.unwrapKey(record.wrappedKey, wrappingKey));
+    }
+    
+    /**
+     * Get a usable CryptoKey for a stored key
+     */
+    static async getKey(id) {
+        if (this.unlockedKeys.has(id)) {
+            return this.unlockedKeys.get(id);
+        }
+        
+        const record = await this.getRecord(id);
+        if (record.kind && record.kind !== this.KINDS.SECRET) {
+            throw new CryptoError('The selected key is not an AES key', 'INVALID_KEY', { reason: 'notAes' });
+        }
+        if (record.wrapped) {
+            throw new CryptoError('The selected key is locked - enter the master passphrase to unlock it', 'KEY_LOCKED');
+        }
+        return record.key;
+    }
+    
+    /**
+     * Export a stored key
+     * AES keys: JWK or raw Base64. Key pairs: private JWK, or the public key as SPKI Base64.
+     * Public keys: public JWK or SPKI Base64
+     */
+    static async exportKey(id, format) {
+        const record = await this.getRecord(id);
+        
+        if (!record.kind || record.kind === this.KINDS.SECRET) {
+            const key = await this.getKey(id);
+            if (format === 'jwk') {
+                return JSON.stringify(await CryptographicEngine.exportJwk(key));
+            }
+            return OutputFormatter.encodeBase64(await CryptographicEngine.exportKey(key));
+        }
+        
+        if (format === 'jwk') {
+            return JSON.stringify(await CryptographicEngine.exportJwk(record.privateKey || record.publicKey));
+        }
+        return OutputFormatter.encodeBase64(await CryptographicEngine.exportPublicKey(record.publicKey));
+    }
+    
+    /**
+     * Get the public keys of the selected recipients for encryption
+     */
+    static async getRecipients(ids) {
+        if (ids.length === 0) {
+            throw new CryptoError('Select at least one recipient', 'NO_RECIPIENTS');
+        }
+        if (ids.length > EnvelopeFormat.MAX_RECIPIENTS) {
+            throw new CryptoError(
+                `A message can have at most ${EnvelopeFormat.MAX_RECIPIENTS} recipients`,
+                'NO_RECIPIENTS',
+                { reason: 'tooMany', params: { maximum: EnvelopeFormat.MAX_RECIPIENTS } }
+            );
+        }
+        
+        const recipients = [];
+        for (const id of ids) {
+            const record = await this.getRecord(id);
+            if (!record.publicKey || SignatureEngine.isSigningAlgorithm(record.algorithm)) {
+                throw new CryptoError(
+                    'Recipients must be encryption key pairs or public keys',
+                    'INVALID_KEY',
+                    { reason: 'recipientPair' }
+                );
+            }
+            recipients.push({ algorithm: record.algorithm, publicKey: record.publicKey, fingerprint: record.fingerprint });
+        }
+        return recipients;
+    }
+    
+    /**
+     * Recover a message's content key with one of the stored key pairs
+     * Recipient blocks are matched to key pairs by public-key fingerprint
+     */
+    static async unwrapForRecipients(recipientBlocks) {
+        const records = await LocalDatabase.getAll(this.STORE);
+        const keyPairs = records.filter(
+            (record) => record.kind === this.KINDS.KEY_PAIR && !SignatureEngine.isSigningAlgorithm(record.algorithm)
+        );
+        
+        for (const record of keyPairs) {
+            const block = this.findRecipientBlock(recipientBlocks, record.fingerprint);
+            if (block) {
+                return CryptographicEngine.unwrapForRecipient(block, record.privateKey);
+            }
+        }
+        throw new CryptoError('None of your saved key pairs is a recipient of this message', 'NO_MATCHING_KEY');
+    }
+    
+    /**
+     * A stored signing key pair, ready to sign with
+     * Returns a CryptoJobs signing spec without the signed content
+     */
+    static async getSigningKey(id) {
+        const record = await this.getRecord(id);
+        if (record.kind !== this.KINDS.KEY_PAIR || !SignatureEngine.isSigningAlgorithm(record.algorithm)) {
+            throw new CryptoError(
+                'The selected key is not a signing key pair',
+                'INVALID_KEY',
+                { reason: 'notSigning' }
+            );
+        }
+        return { algorithm: record.algorithm, privateKey: record.privateKey, fingerprint: record.fingerprint };
+    }
+    
+    /**
+     * The saved signing key with a public-key fingerprint: a contact's, or one of the user's own
+     * Returns { name, own, algorithm, publicKey }, or null for an unknown signer
+     */
+    static async findSigner(fingerprint) {
+        const records = await LocalDatabase.getAll(this.STORE);
+        const record = records.find((candidate) => (
+            SignatureEngine.isSigningAlgorithm(candidate.algorithm) &&
+            candidate.fingerprint.length === fingerprint.length &&
+            candidate.fingerprint.every((value, i) => fingerprint[i] === value)
+        ));
+        if (!record) {
+            return null;
+        }
+        return {
+            name: record.name,
+            own: record.kind === this.KINDS.KEY_PAIR,
+            algorithm: record.algorithm,
+            publicKey: record.publicKey
+        };
+    }
+    
+    /**
+     * Delete a stored key
+     */
+    static async deleteKey(id) {
+        this.unlockedKeys.delete(id);
+        await LocalDatabase.delete(this.STORE, id);
+    }
+    
+    /**
+     * Forget all unwrapped keys; wrapped keys need the master passphrase again
+     */
+    static lockAll() {
+        this.unlockedKeys.clear();
+    }
+    
+    static async getRecord(id) {
+        const record = await LocalDatabase.get(this.STORE, id);
+        if (!record) {
+            throw new CryptoError('The selected key no longer exists', 'KEY_NOT_FOUND');
+        }
+        return record;
+    }
+}
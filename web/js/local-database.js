@@ -0,0 +1,106 @@
+import { CryptoError } from './crypto-error.js';
+
+/**
+ * Local Database Class
+ * Thin promise wrapper around the app's IndexedDB database
+ * Enables Features: KeyManagement persistence, LocalStorage (EncryptionWebApp.fml lines 38, 248)
+ * Version 2 added the history stores, version 3 the audit log stores and version 4 the pinned code
+ * fingerprint; upgrades only create missing stores, so saved keys and history are kept
+ */
+export class LocalDatabase {
+    static DB_NAME = 'EncryptDemo';
+    static DB_VERSION = 4;
+    static STORES = ['keys', 'history', 'historyMeta', 'audit', 'auditMeta', 'integrity'];
+    static connection = null;
+    
+    /**
+     * Open (and create or upgrade) the database
+     */
+    static open() {
+        if (this.connection) {
+            return this.connection;
+        }
+        
+        this.connection = new Promise((resolve, reject) => {
+            if (!globalThis.indexedDB) {
+                reject(new CryptoError('Local storage is not available in this browser', 'STORAGE_UNAVAILABLE'));
+                return;
+            }
+            
+            const request = globalThis.indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const storeName of this.STORES) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: 'id' });
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new CryptoError(
+                'Local storage could not be opened',
+                'STORAGE_UNAVAILABLE',
+                { reason: 'open' }
+            ));
+        });
+        
+        // Allow a retry after a failed open
+        this.connection.catch(() => {
+            this.connection = null;
+        });
+        return this.connection;
+    }
+    
+    /**
+     * Run a single request against an object store
+     */
+    static async run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new CryptoError('Local storage operation failed', 'STORAGE_FAILED'));
+        });
+    }
+    
+    /**
+     * Run requests against several object stores in one transaction, so either all of them
+     * take effect or none does
+     * The operation gets the stores by name; an exception from it aborts the transaction
+     */
+    static async runTransaction(storeNames, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new CryptoError('Local storage operation failed', 'STORAGE_FAILED'));
+            try {
+                operation(Object.fromEntries(storeNames.map((storeName) => [storeName, transaction.objectStore(storeName)])));
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+    
+    static get(storeName, id) {
+        return this.run(storeName, 'readonly', (store) => store.get(id));
+    }
+    
+    static getAll(storeName) {
+        return this.run(storeName, 'readonly', (store) => store.getAll());
+    }
+    
+    static put(storeName, record) {
+        return this.run(storeName, 'readwrite', (store) => store.put(record));
+    }
+    
+    static delete(storeName, id) {
+        return this.run(storeName, 'readwrite', (store) => store.delete(id));
+    }
+    
+    static clear(storeName) {
+        return this.run(storeName, 'readwrite', (store) => store.clear());
+    }
+}
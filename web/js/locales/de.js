@@ -0,0 +1,521 @@
+/**
+ * German message catalog
+ * Keys missing here fall back to the English catalog (en.js)
+ */
+export const de = {
+    // Page
+    'page.title': 'Textverschlüsselung',
+    'page.subtitle': 'Sichere Textverschlüsselung im Browser mit AES-GCM',
+    'page.noticeLabel': 'Sicherheitshinweis:',
+    'page.notice': 'Dieses Werkzeug verschlüsselt in Ihrem Browser. Nutzen Sie es nicht auf gemeinsam genutzten Computern und denken Sie an die Risiken der Zwischenablage.',
+    'page.skipLink': 'Zur Texteingabe springen',
+    'page.language': 'Sprache',
+    'page.shortcuts': '⌨️ Tastenkürzel',
+    
+    // Code integrity
+    'integrity.title': '⚠️ Der Code der App konnte nicht geprüft werden',
+    'integrity.pinned': 'Bisher akzeptiert:',
+    'integrity.new': 'Diese Version:',
+    'integrity.compare': 'Vergleichen Sie den neuen Fingerabdruck mit dem für diese Version veröffentlichten, bevor Sie fortfahren.',
+    'integrity.trust': 'Diese Version ausführen',
+    'integrity.changed': 'Die App hat sich seit Ihrer letzten Nutzung geändert. Wenn Sie kein Update erwartet haben, schließen Sie diese Seite.',
+    'integrity.checkFailed': 'Der Code der App konnte nicht geprüft werden',
+    
+    // Mode and actions
+    'mode.label': 'Modus',
+    'mode.encrypt': 'Verschlüsseln',
+    'mode.decrypt': 'Entschlüsseln',
+    'action.encrypt': '🔒 Text verschlüsseln',
+    'action.decrypt': '🔓 Text entschlüsseln',
+    'action.clear': '🗑️ Alles löschen',
+    'action.cancel': 'Abbrechen',
+    'action.copy': 'Kopieren',
+    'action.delete': 'Löschen',
+    
+    // Input
+    'input.label.encrypt': 'Zu verschlüsselnden Text eingeben',
+    'input.label.decrypt': 'Verschlüsselte Nachricht eingeben',
+    'input.placeholder.encrypt': 'Geben Sie hier Ihren Text ein (höchstens 10.000 Zeichen)...',
+    'input.placeholder.decrypt': 'Fügen Sie hier die verschlüsselte Nachricht ein (Armor-Text, JSON, Base64, Base64url, Hex oder Base32)...',
+    'input.normalize': 'Unicode vor dem Verschlüsseln normalisieren (NFC)',
+    'input.count.encrypt': '{count} / 10.000 Zeichen',
+    'input.count.decrypt': { one: '{count} Zeichen', other: '{count} Zeichen' },
+    'input.valid': '✓ Gültige Eingabe',
+    'input.validEncoding': '✓ Gültige Eingabe ({encoding})',
+    'input.invalid': '✗ {error}',
+    
+    // Files
+    'file.heading': 'Oder eine Datei wählen',
+    'file.dropZone': 'Datei wählen oder hier ablegen',
+    'file.dropHint': 'Datei hier ablegen oder zum Durchsuchen klicken',
+    'file.none': 'Keine Datei ausgewählt',
+    'file.info': '{name} ({size})',
+    'file.invalid': '✗ {name}: {error}',
+    'file.encrypt': '🔒 Datei verschlüsseln',
+    'file.decrypt': '🔓 Datei entschlüsseln',
+    'file.saved': '{name} gespeichert ({size})',
+    
+    // Batch
+    'batch.title': 'Stapelverschlüsselung',
+    'batch.help': 'Fügen Sie einen Eintrag pro Zeile oder eine CSV mit Kopfzeile ein, oder laden Sie eine CSV- oder JSON-Datei hoch. Jeder Eintrag wird einzeln mit der Schlüsselquelle unten verschlüsselt.',
+    'batch.placeholder': 'Ein Eintrag pro Zeile, oder CSV mit Kopfzeile...',
+    'batch.items': 'Stapeleinträge',
+    'batch.file': 'Stapeldatei',
+    'batch.noFile': 'Keine Datei ausgewählt - das Textfeld wird verwendet',
+    'batch.format': 'Eingabeformat',
+    'batch.format.lines': 'Ein Eintrag pro Zeile',
+    'batch.format.csv': 'CSV mit Kopfzeile',
+    'batch.format.json': 'JSON-Array',
+    'batch.columns': 'Zu verschlüsselnde Spalten',
+    'batch.columnsPlaceholder': 'Alle Spalten (oder z. B. password, token)',
+    'batch.run': '🔒 Stapel verschlüsseln',
+    'batch.downloadCsv': 'CSV herunterladen',
+    'batch.downloadJson': 'JSON herunterladen',
+    'batch.summary.all': { one: '{count} Zeile verschlüsselt', other: 'Alle {count} Zeilen verschlüsselt' },
+    'batch.summary.partial': '{encrypted} von {count} Zeilen verschlüsselt - {failed} mit Fehlern',
+    'batch.rowError': 'Zeile {number}: {error}',
+    'batch.moreErrors': '{count} weitere - siehe Fehlerspalte im Download',
+    
+    // Key source
+    'keySource.heading': 'Schlüsselquelle',
+    'keySource.label': 'Schlüsselquelle',
+    'keySource.random': 'Zufälliger Schlüssel',
+    'keySource.passphrase': 'Passphrase',
+    'keySource.stored': 'Gespeicherter Schlüssel',
+    'keySource.recipients': 'Öffentlicher Schlüssel',
+    'keySource.shares': 'Schlüsselanteile',
+    'storedKey.active': 'Aktiver Schlüssel',
+    'storedKey.masterPlaceholder': 'Master-Passphrase zum Entsperren dieses Schlüssels',
+    'storedKey.master': 'Master-Passphrase',
+    'storedKey.unlock': 'Entsperren',
+    'recipients.label': 'Empfänger',
+    'recipients.encryptHint': 'Wählen Sie einen oder mehrere Empfänger. Nehmen Sie Ihr eigenes Schlüsselpaar dazu, um die Nachricht selbst lesen zu können.',
+    'recipients.decryptHint': 'Ihre gespeicherten Schlüsselpaare werden automatisch der Nachricht zugeordnet.',
+    'passphrase.label': 'Passphrase',
+    'passphrase.confirm': 'Passphrase bestätigen',
+    
+    // Signing
+    'signing.signWith': 'Signieren mit',
+    'signing.key': 'Signaturschlüssel',
+    'signing.content': 'Signierter Inhalt',
+    'signing.envelope': 'Ganze Nachricht',
+    'signing.plaintext': 'Nur Text',
+    'signing.hint.noKeys': 'Um Nachrichten zu signieren, erzeugen Sie unter Schlüssel verwalten ein ECDSA-P-256- oder Ed25519-Schlüsselpaar.',
+    'signing.hint.plaintext': 'Die Signatur wird mit dem Text verschlüsselt; nur Empfänger können sie prüfen.',
+    'signing.hint.envelope': 'Die Signatur deckt die ganze Nachricht ab und kann vor dem Entschlüsseln geprüft werden.',
+    'signature.unknown': '⚠️ Signiert mit einem unbekannten Schlüssel {fingerprint} - fügen Sie den Absender als Kontakt hinzu, um die Signatur zu prüfen',
+    'signature.own': '✓ Signiert mit Ihrem Schlüssel „{name}“',
+    'signature.contact': '✓ Signiert vom Kontakt „{name}“',
+    
+    // Key management
+    'keys.title': 'Schlüssel verwalten',
+    'keys.name': 'Schlüsselname',
+    'keys.master': 'Master-Passphrase (optional)',
+    'keys.generateAes': 'AES-Schlüssel erzeugen',
+    'keys.algorithm': 'Algorithmus des Schlüsselpaars',
+    'keys.algorithm.ecdsa': 'ECDSA P-256 (Signatur)',
+    'keys.algorithm.ed25519': 'Ed25519 (Signatur)',
+    'keys.algorithm.unsupported': '{algorithm} (in diesem Browser nicht unterstützt)',
+    'keys.generatePair': 'Schlüsselpaar erzeugen',
+    'keys.masterHint': 'Die Master-Passphrase schützt AES-Schlüssel; Schlüsselpaare werden ungeschützt gespeichert.',
+    'keys.importLabel': 'Schlüssel importieren (AES- oder öffentlicher Schlüssel als JWK oder Base64, Schlüsselpaar als privater JWK)',
+    'keys.import': 'Schlüssel importieren',
+    'keys.addContact': 'Als Kontakt hinzufügen',
+    'keys.addContactHint': 'Als Kontakt hinzufügen speichert den öffentlichen Signaturschlüssel einer Person, damit ihre Signaturen als vertrauenswürdig angezeigt werden.',
+    'keys.contacts': 'Kontakte',
+    'keys.noContacts': 'Noch keine Kontakte.',
+    'keys.selected': 'Ausgewählter Schlüssel',
+    'keys.exportFormat': 'Exportformat',
+    'keys.exportFormat.jwk': 'JWK (privat bei Schlüsselpaaren)',
+    'keys.exportFormat.raw': 'Roh / öffentlicher Schlüssel als Base64',
+    'keys.export': 'Exportieren',
+    'keys.exported': 'Exportierter Schlüssel',
+    'keys.kind.secret': 'AES-256',
+    'keys.kind.keyPair': 'Schlüsselpaar',
+    'keys.kind.public': 'öffentlicher Schlüssel',
+    'keys.kind.signingKeyPair': 'Signatur-Schlüsselpaar',
+    'keys.kind.contact': 'Kontakt',
+    'keys.option.protected': '{name} (geschützt)',
+    'keys.option.signing': '{name} ({algorithm})',
+    'keys.option.recipient': '{name} ({algorithm} {kind})',
+    'keys.option.managed': '{name} - {kind}',
+    'keys.contact': '{name} - {algorithm} - {fingerprint}',
+    'keys.info': '{algorithm} - Fingerabdruck {fingerprint}',
+    'keys.failed': 'Schlüsselvorgang fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'keys.done.generated': 'Schlüssel erzeugt und gespeichert',
+    'keys.done.imported': 'Schlüssel importiert und gespeichert',
+    'keys.done.contact': 'Kontakt gespeichert - vergleichen Sie den Fingerabdruck mit der Person, um sicherzugehen, dass es ihr Schlüssel ist',
+    'keys.done.keyPair': 'Schlüsselpaar erzeugt und gespeichert - exportieren Sie den öffentlichen Schlüssel, um ihn weiterzugeben',
+    'keys.done.exportedPublic': 'Öffentlicher Schlüssel exportiert - kann weitergegeben werden',
+    'keys.done.exported': 'Schlüssel exportiert - halten Sie ihn geheim',
+    'keys.done.deleted': 'Schlüssel gelöscht',
+    'keys.done.unlocked': 'Schlüssel für diese Sitzung entsperrt',
+    'keys.deleteConfirm': 'Schlüssel „{name}“ löschen? {consequence}',
+    'keys.deleteConsequence.signing': 'Damit signierte Nachrichten zeigen dann einen unbekannten Absender.',
+    'keys.deleteConsequence.encryption': 'Damit verschlüsselte Nachrichten lassen sich dann nicht mehr entschlüsseln.',
+    
+    // Key shares
+    'sharing.title': 'Schlüssel aufteilen oder wiederherstellen',
+    'sharing.split': 'Aufteilen:',
+    'sharing.source.random': 'einen neuen zufälligen Schlüssel',
+    'sharing.source.stored': 'den aktiven gespeicherten Schlüssel',
+    'sharing.source.passphrase': 'den Passphrase-Schlüssel der Nachricht oben',
+    'sharing.into': 'in',
+    'sharing.any': 'Anteile, von denen beliebige',
+    'sharing.rebuild': 'ihn wiederherstellen',
+    'sharing.splitKey': 'Schlüssel aufteilen',
+    'sharing.help': 'Geben Sie jeden Anteil einer anderen Person; weniger Anteile als der Schwellenwert verraten nichts über den Schlüssel. Um den Schlüssel einer Passphrase-Nachricht aufzuteilen, fügen Sie sie im Modus Entschlüsseln ein, wählen Passphrase und geben deren Passphrase ein.',
+    'sharing.qrDefault': 'QR-Code eines Schlüsselanteils',
+    'sharing.recoverLabel': 'Schlüssel wiederherstellen (ein Anteil pro Zeile)',
+    'sharing.recoverKey': 'Schlüssel wiederherstellen',
+    'sharing.hint.none': 'Noch kein Schlüssel aus Anteilen - teilen Sie unter Schlüssel aufteilen oder wiederherstellen einen auf oder stellen Sie einen wieder her.',
+    'sharing.hint.ready': 'Der Schlüssel aus Anteilen wird verwendet - beliebige {threshold} seiner {count} Anteile stellen ihn wieder her.',
+    'sharing.shareName': 'Anteil {index} von {count}',
+    'sharing.qr': 'QR-Code',
+    'sharing.copyLabel': '{name} kopieren',
+    'sharing.qrLabel': '{name} als QR-Code anzeigen',
+    'sharing.qrCanvas': 'QR-Code von {name}',
+    'sharing.done': 'Schlüssel in {count} Anteile aufgeteilt - beliebige {threshold} stellen ihn wieder her. Geben Sie jeden Anteil einer anderen Person.',
+    'sharing.recovered': 'Schlüssel wiederhergestellt ({threshold} seiner {count} Anteile nötig) und als Schlüsselquelle gewählt',
+    
+    // Output and export
+    'output.label.encrypt': 'Verschlüsselte Ausgabe',
+    'output.label.decrypt': 'Entschlüsselte Ausgabe',
+    'output.placeholder.encrypt': 'Der verschlüsselte Text erscheint hier...',
+    'output.placeholder.decrypt': 'Der entschlüsselte Text erscheint hier...',
+    'output.copy': '📋 In die Zwischenablage kopieren',
+    'output.encoding': 'Kodierung',
+    'output.encoding.armored': 'Armor-Text',
+    'output.encodingFailed': 'Die Kodierung konnte nicht geändert werden.',
+    'output.encrypted': 'Text erfolgreich verschlüsselt!',
+    'output.decrypted': 'Text erfolgreich entschlüsselt!',
+    'export.label': 'Export',
+    'export.txt': 'Als .txt speichern',
+    'export.json': 'Als JSON speichern',
+    'export.qr': 'QR-Code anzeigen',
+    'export.qrCanvas': 'QR-Code der verschlüsselten Ausgabe',
+    'export.qrHint': 'Scannen, um die Ausgabe auf ein anderes Gerät zu übertragen. Der Schlüssel ist nicht enthalten.',
+    'export.failed': 'Export fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'qr.failed': 'Der QR-Code konnte nicht gezeichnet werden.',
+    
+    // Key field
+    'key.label': 'Schlüssel (Base64)',
+    'key.placeholder.encrypt': 'Der Schlüssel dieser Verschlüsselung erscheint hier...',
+    'key.placeholder.decrypt': 'Fügen Sie den zum Verschlüsseln verwendeten Base64-Schlüssel ein...',
+    'key.hint.encrypt': 'Halten Sie diesen Schlüssel geheim - wer ihn hat, kann die Ausgabe entschlüsseln.',
+    'key.hint.decrypt': 'Zum Entschlüsseln erforderlich. Nur genau der beim Verschlüsseln verwendete Schlüssel funktioniert.',
+    
+    // Clipboard
+    'clipboard.clearAfter': 'Zwischenablage leeren nach',
+    'clipboard.delay.never': 'Nie',
+    'clipboard.delay.15': '15 Sekunden',
+    'clipboard.delay.30': '30 Sekunden',
+    'clipboard.delay.60': '1 Minute',
+    'clipboard.delay.120': '2 Minuten',
+    'clipboard.saveTxt': '💾 Stattdessen als .txt speichern',
+    'clipboard.nothingToCopy': 'Kein verschlüsselter Text zum Kopieren',
+    'clipboard.unavailable': 'Die Zwischenablage ist in diesem Browser nicht verfügbar',
+    'clipboard.failed': '✗ Kopieren fehlgeschlagen',
+    'clipboard.notConfirmed': '✗ Kopieren nicht bestätigt - die Zwischenablage enthält anderen Text',
+    'clipboard.copied': '✓ In die Zwischenablage kopiert',
+    'clipboard.copiedUnchecked': '✓ In die Zwischenablage kopiert (nicht zurückgelesen)',
+    'clipboard.risk': '⚠️ Sicherheitsrisiko Zwischenablage',
+    'clipboard.countdown': '⚠️ Zwischenablage wird in {seconds} s geleert',
+    'clipboard.clearsOnReturn': '⚠️ Zwischenablage wird geleert, wenn Sie zu dieser Seite zurückkehren',
+    'clipboard.notChecked': '⚠️ Zwischenablage nicht geleert - erlauben Sie den Zugriff auf die Zwischenablage, damit sie vorher geprüft werden kann',
+    'clipboard.clearFailed': '⚠️ Zwischenablage konnte nicht geleert werden',
+    'clipboard.cleared': '✓ Zwischenablage geleert',
+    'clipboard.downloaded': '✓ Als Download gespeichert',
+    
+    // History
+    'history.title': 'Verlauf',
+    'history.intro': 'Verschlüsselte Ausgaben in diesem Browser speichern, verschlüsselt mit einer Verlaufs-Passphrase. Schlüssel werden nie gespeichert.',
+    'history.passphrase': 'Verlaufs-Passphrase',
+    'history.turnOn': 'Verlauf einschalten',
+    'history.unlock': 'Verlauf entsperren',
+    'history.labelPlaceholder': 'Bezeichnung für die nächste verschlüsselte Ausgabe (optional)',
+    'history.label': 'Verlaufsbezeichnung',
+    'history.searchPlaceholder': 'Bezeichnungen und Algorithmen durchsuchen',
+    'history.search': 'Verlauf durchsuchen',
+    'history.lock': 'Sperren',
+    'history.expiry': 'Einträge löschen nach',
+    'history.expiry.1': '1 Tag',
+    'history.expiry.7': '7 Tagen',
+    'history.expiry.30': '30 Tagen',
+    'history.expiry.90': '90 Tagen',
+    'history.panic': 'Notfall-Löschung',
+    'history.noMatches': 'Keine passenden Einträge',
+    'history.empty': 'Noch keine gespeicherten Ausgaben',
+    'history.details': '{date} - {algorithm} - {size}',
+    'history.copyLabel': '{label} kopieren',
+    'history.deleteLabel': '{label} löschen',
+    'history.failed': 'Verlaufsvorgang fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'history.done.unlocked': 'Verlauf für diese Sitzung entsperrt',
+    'history.done.turnedOn': 'Verlauf eingeschaltet - verschlüsselte Ausgaben werden jetzt gespeichert',
+    'history.done.copied': '„{label}“ in die Zwischenablage kopiert',
+    'history.done.deleted': 'Verlaufseintrag gelöscht',
+    'history.done.expiry': { one: 'Verlaufseinträge werden jetzt nach {count} Tag gelöscht', other: 'Verlaufseinträge werden jetzt nach {count} Tagen gelöscht' },
+    'history.done.wiped': 'Verlauf gelöscht und alle Felder geleert',
+    'history.panicConfirm': 'Den gesamten gespeicherten Verlauf löschen und alle Felder leeren? Das kann nicht rückgängig gemacht werden.',
+    
+    // Audit log
+    'audit.title': 'Prüfprotokoll',
+    'audit.intro': 'Ver- und Entschlüsselungen, Schlüsselimporte, Kopier- und Löschvorgänge in diesem Browser protokollieren. Gespeichert werden nur Zeit, Aktion, Ergebnis und Einstellungen - nie Ihr Text, Ihre Schlüssel oder Passphrasen.',
+    'audit.turnOn': 'Prüfprotokoll einschalten',
+    'audit.turnOff': 'Prüfprotokoll ausschalten',
+    'audit.verify': 'Integrität prüfen',
+    'audit.export': 'Als JSON exportieren',
+    'audit.delete': 'Protokoll löschen',
+    'audit.empty': 'Noch keine Ereignisse aufgezeichnet',
+    'audit.off': 'Das Prüfprotokoll ist ausgeschaltet',
+    'audit.truncated': 'Die neuesten {shown} von {count} Einträgen werden angezeigt - exportieren Sie das Protokoll, um alle zu sehen',
+    'audit.entry': '#{id} {time} - {event} - {outcome}',
+    'audit.intact': { one: '✓ Der einzige Eintrag ist unverändert', other: '✓ Alle {count} Einträge sind unverändert' },
+    'audit.broken': '✗ Integritätsprüfung fehlgeschlagen: {reason}',
+    'audit.failed': 'Protokollvorgang fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'audit.done.turnedOff': 'Prüfprotokoll ausgeschaltet - aufgezeichnete Einträge bleiben erhalten',
+    'audit.done.turnedOn': 'Prüfprotokoll eingeschaltet',
+    'audit.done.deleted': 'Prüfprotokoll gelöscht',
+    'audit.clearConfirm': 'Alle Einträge des Prüfprotokolls löschen? Das kann nicht rückgängig gemacht werden.',
+    'audit.reason.missing': 'Eintrag {number} fehlt',
+    'audit.reason.outOfOrder': 'Eintrag {number} folgt nicht auf den Eintrag davor',
+    'audit.reason.modified': 'Eintrag {number} wurde verändert',
+    'audit.reason.removed': 'Einträge nach {previous} wurden entfernt',
+    'audit.reason.unrecorded': 'Einträge nach {previous} wurden nicht von der App geschrieben',
+    'audit.reason.head': 'Das Protokoll endet nicht mit seinem zuletzt aufgezeichneten Eintrag',
+    
+    // Processing
+    'job.encryptText': 'Ihr Text wird verschlüsselt...',
+    'job.encryptBatch': 'Ihr Stapel wird verschlüsselt...',
+    'job.decryptText': 'Ihr Text wird entschlüsselt...',
+    'job.encryptFile': 'Ihre Datei wird verschlüsselt...',
+    'job.decryptFile': 'Ihre Datei wird entschlüsselt...',
+    'job.splitKey': 'Der Schlüssel wird aufgeteilt...',
+    'job.progress': '{label} {percent} %',
+    'job.progressQueued': '{label} {percent} % ({queued} weitere in der Warteschlange)',
+    'job.progressLabel': 'Fortschritt',
+    'job.cancelled': { one: 'Vorgang abgebrochen', other: '{count} Vorgänge abgebrochen' },
+    'job.failed.encryptText': 'Verschlüsselung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'job.failed.encryptBatch': 'Stapelverschlüsselung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'job.failed.decryptText': 'Entschlüsselung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'job.failed.encryptFile': 'Dateiverschlüsselung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'job.failed.decryptFile': 'Dateientschlüsselung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'job.failed.splitKey': 'Aufteilen des Schlüssels fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'job.failed.recoverKey': 'Wiederherstellen des Schlüssels fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'clear.done': 'Alle Daten gelöscht',
+    
+    // Input validation (InputValidator)
+    'validation.empty': 'Die Eingabe darf nicht leer sein',
+    'validation.tooLong': 'Eingabe zu lang: {length}/10000 Zeichen',
+    'validation.controlCharacters': 'Die Eingabe enthält ungültige Steuerzeichen',
+    'validation.unicode': 'Die Eingabe enthält ungültige Unicode-Zeichen',
+    'validation.armorEnd': 'Der Armor-Nachricht fehlt die END-Zeile',
+    'validation.encoding': 'Die Eingabe ist kein gültiges Base64, Base64url, Hex oder Base32',
+    'validation.noFile': 'Keine Datei ausgewählt',
+    'validation.fileEmpty': 'Die Datei ist leer',
+    'validation.fileTooLarge': 'Datei zu groß: {size} (höchstens {maximum})',
+    'validation.fileTooSmall': 'Die Datei ist zu klein für eine verschlüsselte Datei',
+    'validation.passphraseEmpty': 'Die Passphrase darf nicht leer sein',
+    'validation.passphraseShort': 'Die Passphrase muss mindestens 8 Zeichen lang sein',
+    'validation.passphraseMismatch': 'Die Passphrasen stimmen nicht überein',
+    'validation.keyNameEmpty': 'Der Schlüsselname darf nicht leer sein',
+    'validation.keyNameTooLong': 'Der Schlüsselname darf höchstens 64 Zeichen lang sein',
+    'validation.keyNameControlCharacters': 'Der Schlüsselname enthält ungültige Steuerzeichen',
+    'strength.tooShort': 'Zu kurz',
+    'strength.weak': 'Schwach',
+    'strength.fair': 'Mittel',
+    'strength.good': 'Gut',
+    'strength.strong': 'Stark',
+    
+    // Errors, by CryptoError code and reason (I18n.errorMessage)
+    'error.CANCELLED': 'Vorgang abgebrochen',
+    'error.UNKNOWN_JOB': 'Unbekannte Auftragsart {type}',
+    'error.MALFORMED_INPUT': 'Die Eingabe ist ungültig',
+    'error.MALFORMED_INPUT.textUnicode': 'Der Text enthält ungültige Unicode-Zeichen',
+    'error.MALFORMED_INPUT.decryptedText': 'Die entschlüsselten Daten sind kein gültiger Text',
+    'error.MALFORMED_INPUT.truncated': 'Die verschlüsselte Nachricht ist unvollständig',
+    'error.MALFORMED_INPUT.recipientCount': 'Die verschlüsselte Nachricht hat eine ungültige Empfängeranzahl',
+    'error.MALFORMED_INPUT.salt': 'Die verschlüsselte Nachricht hat einen ungültigen Salt',
+    'error.MALFORMED_INPUT.iterations': 'Die verschlüsselte Nachricht hat eine nicht unterstützte Iterationszahl',
+    'error.MALFORMED_INPUT.chunkSize': 'Die verschlüsselte Datei hat eine nicht unterstützte Blockgröße',
+    'error.MALFORMED_INPUT.signatureType': 'Die verschlüsselte Nachricht hat einen ungültigen Signaturtyp',
+    'error.MALFORMED_INPUT.iv': 'Die verschlüsselte Nachricht hat einen ungültigen IV',
+    'error.MALFORMED_INPUT.armorLines': 'Der Nachricht im Textformat fehlt die BEGIN- oder END-Zeile',
+    'error.MALFORMED_INPUT.armorTrailing': 'Unerwarteter Text nach der Nachricht im Textformat',
+    'error.MALFORMED_INPUT.fileTruncated': 'Die verschlüsselte Datei ist unvollständig',
+    'error.MALFORMED_INPUT.signedTruncated': 'Die signierte Nachricht ist unvollständig',
+    'error.MALFORMED_INPUT.outputEncoding': 'Die Ausgabe hat keine bekannte Kodierung',
+    'error.MALFORMED_INPUT.encoding': 'Die Eingabe ist kein gültiges Base64, Base64url, Hex oder Base32',
+    'error.MALFORMED_INPUT.base64': 'Die Eingabe ist kein gültiges Base64',
+    'error.MALFORMED_INPUT.base64url': 'Die Eingabe ist kein gültiges Base64url',
+    'error.MALFORMED_INPUT.hex': 'Die Eingabe ist kein gültiges Hex',
+    'error.MALFORMED_INPUT.base32': 'Die Eingabe ist kein gültiges Base32',
+    'error.MALFORMED_INPUT.json': 'Die Eingabe ist kein gültiges JSON',
+    'error.MALFORMED_INPUT.jsonRecipients': 'Der JSON-Export hat eine ungültige Empfängerliste',
+    'error.MALFORMED_INPUT.jsonNumber': 'Der JSON-Export enthält eine ungültige Zahl',
+    'error.MALFORMED_INPUT.jsonMissing': 'Im JSON-Export fehlt {field}',
+    'error.MALFORMED_INPUT.jsonFingerprint': 'Der JSON-Export hat einen ungültigen Fingerabdruck des Signierers',
+    'error.MALFORMED_INPUT.signedContent': 'Nicht unterstützter signierter Inhalt {name}',
+    'error.MALFORMED_INPUT.batchFormat': 'Unbekanntes Stapelformat {format}',
+    'error.MALFORMED_INPUT.batchEmpty': 'Der Stapel enthält keine Einträge',
+    'error.MALFORMED_INPUT.batchTooMany': 'Zu viele Einträge: {count} (höchstens {maximum})',
+    'error.MALFORMED_INPUT.batchErrorColumn': 'Der Stapel hat bereits eine Spalte namens „{column}“',
+    'error.MALFORMED_INPUT.csvColumnName': 'CSV-Spalte {number} hat keinen Namen',
+    'error.MALFORMED_INPUT.csvColumnRepeated': 'CSV-Spalte „{name}“ kommt mehrfach vor',
+    'error.MALFORMED_INPUT.csvQuote': 'Die CSV enthält ein Feld mit nicht geschlossenen Anführungszeichen',
+    'error.MALFORMED_INPUT.batchJson': 'Der Stapel ist kein gültiges JSON',
+    'error.MALFORMED_INPUT.batchJsonArray': 'Ein JSON-Stapel muss ein Array aus Zeichenketten oder Objekten sein',
+    'error.MALFORMED_INPUT.batchColumnMissing': 'Der Stapel hat keine Spalte namens „{name}“',
+    'error.MALFORMED_INPUT.batchValue': 'Der Wert ist kein Text',
+    'error.MALFORMED_INPUT.batchNothing': 'Nichts zu verschlüsseln - die gewählten Spalten sind leer',
+    'error.MALFORMED_INPUT.batchRowFailed': 'Nichts zu verschlüsseln - Zeile {number}: {error}',
+    'error.MALFORMED_INPUT.splitPassphraseMessage': 'Fügen Sie die mit Passphrase verschlüsselte Nachricht im Modus Entschlüsseln ein, um ihren Schlüssel aufzuteilen',
+    'error.UNKNOWN_FORMAT': 'Die Daten sind keine EncryptDemo-Nachricht',
+    'error.UNKNOWN_FORMAT.json': 'Das JSON ist kein EncryptDemo-Export',
+    'error.UNSUPPORTED_VERSION': 'Nicht unterstützte Version',
+    'error.UNSUPPORTED_VERSION.message': 'Nicht unterstützte Nachrichtenversion {version} - diese App liest die Versionen {current} und {signed}',
+    'error.UNSUPPORTED_VERSION.manifest': 'Nicht unterstützte Version {version} des Integritätsmanifests',
+    'error.UNSUPPORTED_VERSION.share': 'Anteil {position} hat die nicht unterstützte Version {version}',
+    'error.UNSUPPORTED_ALGORITHM': 'Nicht unterstützter Algorithmus',
+    'error.UNSUPPORTED_ALGORITHM.encryptionId': 'Nicht unterstützte Verschlüsselungsalgorithmus-ID {id}',
+    'error.UNSUPPORTED_ALGORITHM.recipientType': 'Nicht unterstützter Empfängerschlüsseltyp {type}',
+    'error.UNSUPPORTED_ALGORITHM.signatureId': 'Nicht unterstützte Signaturalgorithmus-ID {id}',
+    'error.UNSUPPORTED_ALGORITHM.signedFile': 'Signierte Dateien werden nicht unterstützt',
+    'error.UNSUPPORTED_ALGORITHM.jsonAlgorithm': 'Nicht unterstützter Verschlüsselungsalgorithmus {name}',
+    'error.UNSUPPORTED_ALGORITHM.jsonRecipientType': 'Nicht unterstützter Empfängerschlüsseltyp {name}',
+    'error.UNSUPPORTED_ALGORITHM.jsonSignatureAlgorithm': 'Nicht unterstützter Signaturalgorithmus {name}',
+    'error.UNSUPPORTED_ALGORITHM.keyPair': 'Nicht unterstützter Schlüsselpaar-Algorithmus {algorithm}',
+    'error.UNSUPPORTED_ALGORITHM.signing': 'Nicht unterstützter Signaturalgorithmus {algorithm}',
+    'error.UNSUPPORTED_ALGORITHM.signingBrowser': '{algorithm}-Signaturschlüssel werden in diesem Browser nicht unterstützt',
+    'error.UNSUPPORTED_ALGORITHM.encryptedFile': 'Das ist eine verschlüsselte Datei - entschlüsseln Sie sie über die Dateiauswahl',
+    'error.UNSUPPORTED_ALGORITHM.encryptedText': 'Das ist eine verschlüsselte Textnachricht - fügen Sie sie stattdessen in das Textfeld ein',
+    'error.UNSUPPORTED_KDF': 'Nicht unterstützte Schlüsselableitungs-ID {id}',
+    'error.UNSUPPORTED_KDF.json': 'Nicht unterstützte Schlüsselableitung {name}',
+    'error.UNSUPPORTED_ENCODING': 'Nicht unterstützte Kodierung {encoding}',
+    'error.UNSUPPORTED_ENCODING.output': 'Nicht unterstützte Ausgabekodierung {encoding}',
+    'error.UNSUPPORTED_SIGNATURE': 'Dateien können nicht signiert werden - deaktivieren Sie „Signieren mit“, um eine Datei zu verschlüsseln',
+    'error.UNSUPPORTED_PROTECTION': 'Der Schutz durch eine Master-Passphrase ist nur für AES-Schlüssel verfügbar',
+    'error.INVALID_KEY': 'Ungültiger Schlüssel',
+    'error.INVALID_KEY.aesLength': 'Ungültiger Schlüssel: ein 256-Bit-AES-Schlüssel wird erwartet',
+    'error.INVALID_KEY.import': 'Ungültiger Schlüssel: Schlüssel konnte nicht importiert werden',
+    'error.INVALID_KEY.aesJwk': 'Ungültiger Schlüssel: ein A256GCM-JSON-Web-Key wird erwartet',
+    'error.INVALID_KEY.importPublic': 'Ungültiger Schlüssel: öffentlicher Schlüssel konnte nicht importiert werden',
+    'error.INVALID_KEY.importPrivate': 'Ungültiger Schlüssel: privater Schlüssel konnte nicht importiert werden',
+    'error.INVALID_KEY.importPublicSigning': 'Ungültiger Schlüssel: öffentlicher Signaturschlüssel konnte nicht importiert werden',
+    'error.INVALID_KEY.importPrivateSigning': 'Ungültiger Schlüssel: privater Signaturschlüssel konnte nicht importiert werden',
+    'error.INVALID_KEY.jwkJson': 'Ungültiger Schlüssel: der JWK ist kein gültiges JSON',
+    'error.INVALID_KEY.unknown': 'Ungültiger Schlüssel: weder ein AES-Schlüssel noch ein unterstützter öffentlicher Schlüssel',
+    'error.INVALID_KEY.curve': 'Ungültiger Schlüssel: nicht unterstützte Kurve {curve}',
+    'error.INVALID_KEY.rsaSize': 'Ungültiger Schlüssel: nur RSA-Schlüssel mit 2048 Bit werden unterstützt',
+    'error.INVALID_KEY.aes': 'Ungültiger Schlüssel: ein AES-256-Schlüssel wird erwartet',
+    'error.INVALID_KEY.private': 'Ungültiger Schlüssel: ein privater Schlüssel (JWK) wird erwartet',
+    'error.INVALID_KEY.contact': 'Ein Kontakt muss ein öffentlicher Signaturschlüssel sein (ECDSA P-256 oder Ed25519)',
+    'error.INVALID_KEY.recipient': 'Empfänger müssen öffentliche Schlüssel oder Schlüsselpaare sein',
+    'error.INVALID_KEY.recipientPair': 'Empfänger müssen Verschlüsselungs-Schlüsselpaare oder öffentliche Schlüssel sein',
+    'error.INVALID_KEY.signingRecipient': 'Signaturschlüssel können keine Empfänger sein - verwenden Sie einen ECDH- oder RSA-OAEP-Schlüssel',
+    'error.INVALID_KEY.notAes': 'Der gewählte Schlüssel ist kein AES-Schlüssel',
+    'error.INVALID_KEY.notSigning': 'Der gewählte Schlüssel ist kein Signatur-Schlüsselpaar',
+    'error.INVALID_KEY.required': 'Zum Entschlüsseln wird ein Schlüssel benötigt',
+    'error.INVALID_KEY.noSharedKey': 'Noch kein Schlüssel aus Anteilen - stellen Sie einen unter Schlüssel aufteilen oder wiederherstellen wieder her',
+    'error.INVALID_KEY.splitLength': 'Nur 256-Bit-Schlüssel können aufgeteilt werden',
+    'error.AUTH_FAILED': 'Entschlüsselung fehlgeschlagen: die Daten wurden manipuliert oder der Schlüssel ist falsch',
+    'error.AUTH_FAILED.file': 'Entschlüsselung fehlgeschlagen: die Datei ist unvollständig, wurde manipuliert oder der Schlüssel ist falsch',
+    'error.AUTH_FAILED.recipient': 'Entschlüsselung fehlgeschlagen: der Nachrichtenschlüssel ließ sich mit Ihrem Schlüsselpaar nicht wiederherstellen',
+    'error.AUTH_FAILED.masterPassphrase': 'Schlüssel konnte nicht entsperrt werden: falsche Master-Passphrase',
+    'error.KEY_SOURCE_MISMATCH': 'Die gewählte Schlüsselquelle passt nicht zu dieser Nachricht',
+    'error.KEY_SOURCE_MISMATCH.passphrase': 'Diese Nachricht wurde mit einer Passphrase verschlüsselt - wählen Sie Passphrase oder Schlüsselanteile mit ihrem aufgeteilten Schlüssel als Schlüsselquelle',
+    'error.KEY_SOURCE_MISMATCH.recipients': 'Diese Nachricht wurde für öffentliche Schlüssel verschlüsselt - wählen Sie Öffentlicher Schlüssel als Schlüsselquelle',
+    'error.KEY_SOURCE_MISMATCH.key': 'Diese Nachricht wurde mit einem Schlüssel verschlüsselt - wählen Sie Zufälliger Schlüssel, Gespeicherter Schlüssel oder Schlüsselanteile als Schlüsselquelle',
+    'error.KEY_SOURCE_MISMATCH.notPassphrase': 'Die Nachricht in der Eingabe wurde nicht mit einer Passphrase verschlüsselt',
+    'error.SIGNATURE_INVALID': 'Signaturprüfung fehlgeschlagen: die Nachricht wurde nicht von diesem Signierer signiert oder wurde verändert',
+    'error.NO_MATCHING_KEY': 'Keines Ihrer gespeicherten Schlüsselpaare ist Empfänger dieser Nachricht',
+    'error.NO_MATCHING_KEY.privateKey': 'Dieser private Schlüssel ist kein Empfänger der Nachricht',
+    'error.NO_RECIPIENTS': 'Wählen Sie mindestens einen Empfänger',
+    'error.NO_RECIPIENTS.tooMany': 'Eine Nachricht kann höchstens {maximum} Empfänger haben',
+    'error.KEY_LOCKED': 'Der gewählte Schlüssel ist gesperrt - geben Sie die Master-Passphrase ein, um ihn zu entsperren',
+    'error.KEY_NOT_FOUND': 'Der gewählte Schlüssel existiert nicht mehr',
+    'error.STORAGE_UNAVAILABLE': 'Der lokale Speicher ist in diesem Browser nicht verfügbar',
+    'error.STORAGE_UNAVAILABLE.open': 'Der lokale Speicher konnte nicht geöffnet werden',
+    'error.STORAGE_FAILED': 'Der Vorgang im lokalen Speicher ist fehlgeschlagen',
+    'error.PAYLOAD_TOO_LARGE': 'Zu lang für einen QR-Code: {size} Bytes (höchstens {maximum})',
+    'error.INVALID_PASSPHRASE': 'Ungültige Passphrase',
+    'error.INVALID_PASSPHRASE.empty': 'Die Passphrase darf nicht leer sein',
+    'error.INVALID_PASSPHRASE.history': 'Falsche Verlaufs-Passphrase',
+    'error.HISTORY_NOT_FOUND': 'Dieser Verlaufseintrag existiert nicht mehr',
+    'error.INVALID_EXPIRY': 'Die Aufbewahrung im Verlauf muss einer dieser Werte in Tagen sein: {options}',
+    'error.HISTORY_LOCKED': 'Der Verlauf ist gesperrt - geben Sie die Verlaufs-Passphrase ein',
+    'error.HISTORY_LOCKED.off': 'Schalten Sie zuerst den Verlauf ein',
+    'error.CODE_MODIFIED': 'Der Code der App wurde verändert: {files} stimmt nicht mit dem Integritätsmanifest überein',
+    'error.INTEGRITY_CHECK_FAILED': 'Der Code der App konnte nicht geprüft werden',
+    'error.INTEGRITY_CHECK_FAILED.manifest': 'Das Integritätsmanifest ist beschädigt',
+    'error.INTEGRITY_CHECK_FAILED.load': 'Der Code der App konnte nicht geprüft werden: {path} wurde nicht geladen',
+    'error.NOT_ENOUGH_SHARES': 'Zum Wiederherstellen dieses Schlüssels werden {threshold} verschiedene Anteile benötigt, {given} angegeben',
+    'error.NOT_ENOUGH_SHARES.none': 'Geben Sie die Schlüsselanteile ein, einen pro Zeile',
+    'error.SHARE_MISMATCH': 'Diese Anteile stammen aus verschiedenen Aufteilungen',
+    'error.SHARE_MISMATCH.conflict': 'Es gibt zwei verschiedene Fassungen von Anteil {index}',
+    'error.INVALID_SHARE': 'Anteil {position} ist beschädigt oder falsch abgetippt',
+    'error.INVALID_SHARE.notShare': 'Anteil {position} ist kein EncryptDemo-Schlüsselanteil',
+    'error.INVALID_SHARE.altered': 'Die Anteile ergeben nicht den aufgeteilten Schlüssel - einer von ihnen wurde verändert',
+    'error.INVALID_SHARE_COUNT': 'Wählen Sie {min} bis {max} Anteile und eine Schwelle von {min} bis zur Zahl der Anteile',
+    
+    // Keyboard shortcuts
+    'shortcuts.title': 'Tastenkürzel',
+    'shortcuts.intro': 'Die Kürzel funktionieren überall auf der Seite, außer ? beim Tippen in einem Feld.',
+    'shortcuts.close': 'Schließen',
+    'shortcuts.run': 'Text ver- oder entschlüsseln',
+    'shortcuts.encryptMode': 'In den Modus Verschlüsseln wechseln',
+    'shortcuts.decryptMode': 'In den Modus Entschlüsseln wechseln',
+    'shortcuts.focusInput': 'Zur Texteingabe springen',
+    'shortcuts.focusKey': 'Zur Schlüsselquelle springen',
+    'shortcuts.focusOutput': 'Zur Ausgabe springen',
+    'shortcuts.copy': 'Ausgabe kopieren',
+    'shortcuts.clear': 'Alle Felder leeren',
+    'shortcuts.cancel': 'Laufenden Vorgang abbrechen',
+    'shortcuts.help': 'Diese Liste anzeigen',
+    'key.ctrl': 'Strg',
+    'key.alt': 'Alt',
+    'key.shift': 'Umschalt',
+    'key.enter': 'Eingabe',
+    'key.escape': 'Esc',
+    
+    // Information panel
+    'info.title': '🔐 So funktioniert es',
+    'info.algorithm.label': 'Algorithmus:',
+    'info.algorithm': 'AES-GCM-Verschlüsselung mit 256 Bit (gemäß CryptoDecision.md)',
+    'info.keyGeneration.label': 'Schlüsselerzeugung:',
+    'info.keyGeneration': 'Neuer Zufallsschlüssel für jede Verschlüsselung über die Web Crypto API, oder aus einer Passphrase abgeleitet mit PBKDF2-SHA-256 (600.000 Iterationen)',
+    'info.publicKey.label': 'Öffentlicher Schlüssel:',
+    'info.publicKey': 'Ein zufälliger Nachrichtenschlüssel, für jeden Empfänger mit ECDH P-256 (HKDF + AES-KW) oder RSA-OAEP-2048 verpackt',
+    'info.signatures.label': 'Signaturen:',
+    'info.signatures': 'Optional mit ECDSA P-256 oder Ed25519 signiert, über die ganze Nachricht oder den Text darin; beim Entschlüsseln wird der Absender genannt, wenn er einer Ihrer Kontakte ist',
+    'info.security.label': 'Sicherheit:',
+    'info.security': 'Nur im Browser - Ihr Text verlässt nie Ihren Browser',
+    'info.outputFormat.label': 'Ausgabeformat:',
+    'info.outputFormat': 'Versionierter Umschlag (Version, Algorithmus, Parameter der Schlüsselableitung, IV, Chiffretext + AuthTag) als Base64, Base64url, Hex, Base32 oder Armor-Text; beim Entschlüsseln wird die Kodierung erkannt',
+    'info.export.label': 'Export:',
+    'info.export': 'Die Ausgabe als .txt oder als JSON mit einem Feld pro Umschlagteil speichern oder als QR-Code in der Seite anzeigen (bis 666 Byte)',
+    'info.files.label': 'Dateien:',
+    'info.files': 'In Blöcken von 1 MB verschlüsselt, jeder einzeln authentifiziert, und als .enc-Download gespeichert (bis 1 GB)',
+    'info.batch.label': 'Stapel:',
+    'info.batch': 'Bis zu 1.000 Einträge aus einer Liste, CSV oder JSON, jeder in einem eigenen Umschlag, als CSV oder JSON heruntergeladen',
+    'info.keyShares.label': 'Schlüsselanteile:',
+    'info.keyShares': 'Ein Schlüssel, mit dem Verfahren von Shamir über GF(256) in n Anteile aufgeteilt; beliebige k davon stellen ihn wieder her, jeder mit Prüfsumme und als Text oder QR-Code angezeigt',
+    'info.decryption.label': 'Entschlüsselung:',
+    'info.decryption': 'In den Modus Entschlüsseln wechseln und die Ausgabe zusammen mit ihrem Schlüssel einfügen',
+    'info.considerations': '⚠️ Sicherheitshinweise:',
+    'info.consideration.randomKeys': 'Zufällige Schlüssel werden für jede Verschlüsselung neu erzeugt und nicht gespeichert - sichern Sie den angezeigten Schlüssel, wenn Sie später entschlüsseln wollen',
+    'info.consideration.savedKeys': 'Gespeicherte Schlüssel bleiben im Speicher dieses Browsers; schützen Sie sie auf gemeinsam genutzten Geräten mit einer Master-Passphrase',
+    'info.consideration.history': 'Der Verlauf ist aus, bis Sie eine Verlaufs-Passphrase festlegen; Einträge verfallen automatisch und die Notfall-Löschung entfernt sie sofort',
+    'info.consideration.audit': 'Das Prüfprotokoll ist aus, bis Sie es einschalten; es zeichnet auf, was getan wurde, nicht was verschlüsselt wurde, und erkennt Änderungen, kann aber niemanden mit Zugriff auf diesen Browser am Umschreiben hindern',
+    'info.consideration.signatures': 'Eine Signatur beweist den Absender nur, wenn Sie seinen öffentlichen Schlüssel direkt von ihm erhalten haben - vergleichen Sie die Fingerabdrücke, bevor Sie einen Kontakt hinzufügen',
+    'info.consideration.shares': 'Schlüsselanteile sind nur so sicher wie ihre Inhaber - wer die Schwellenzahl an Anteilen sammelt, hat den Schlüssel',
+    'info.consideration.privateBrowsing': 'Nutzen Sie für vertrauliche Inhalte das private Surfen bzw. den Inkognito-Modus',
+    'info.consideration.clipboard': 'Der Inhalt der Zwischenablage kann für andere Anwendungen zugänglich sein; Kopien werden nach der gewählten Zeit und bei Alles löschen geleert',
+    'info.consideration.sharedComputers': 'Nicht auf gemeinsam genutzten oder öffentlichen Computern verwenden',
+    
+    // Footer
+    'footer.builtWith': 'Erstellt mit der Web Crypto API - kein Code und keine Styles von anderen Websites',
+    'footer.fingerprint': 'Code-Fingerabdruck:',
+    'footer.notVerified': 'nicht geprüft',
+    'footer.follows': 'Umsetzung gemäß:'
+};
@@ -0,0 +1,522 @@
+/**
+ * English message catalog - the reference catalog
+ * Every key used with I18n.t must be here; other catalogs fall back to it for missing keys
+ * {name} is replaced by the parameter of that name; { one, other } picks the plural form by count
+ */
+export const en = {
+    // Page
+    'page.title': 'Text Encryption Tool',
+    'page.subtitle': 'Secure client-side text encryption using AES-GCM',
+    'page.noticeLabel': 'Security Notice:',
+    'page.notice': 'This tool performs encryption in your browser. Avoid using on shared computers and be aware of clipboard security risks.',
+    'page.skipLink': 'Skip to the text input',
+    'page.language': 'Language',
+    'page.shortcuts': '⌨️ Keyboard Shortcuts',
+    
+    // Code integrity
+    'integrity.title': '⚠️ The app\'s code could not be verified',
+    'integrity.pinned': 'Accepted before:',
+    'integrity.new': 'This version:',
+    'integrity.compare': 'Compare the new fingerprint with the one published for this release before you continue.',
+    'integrity.trust': 'Run This Version',
+    'integrity.changed': 'The app changed since you last used it. If you did not expect an update, close this page.',
+    'integrity.checkFailed': 'The app\'s code could not be checked',
+    
+    // Mode and actions
+    'mode.label': 'Mode',
+    'mode.encrypt': 'Encrypt',
+    'mode.decrypt': 'Decrypt',
+    'action.encrypt': '🔒 Encrypt Text',
+    'action.decrypt': '🔓 Decrypt Text',
+    'action.clear': '🗑️ Clear All',
+    'action.cancel': 'Cancel',
+    'action.copy': 'Copy',
+    'action.delete': 'Delete',
+    
+    // Input
+    'input.label.encrypt': 'Enter Text to Encrypt',
+    'input.label.decrypt': 'Enter Encrypted Message',
+    'input.placeholder.encrypt': 'Enter your text here (maximum 10,000 characters)...',
+    'input.placeholder.decrypt': 'Paste the encrypted message (armored, JSON, Base64, Base64url, hex or Base32) here...',
+    'input.normalize': 'Normalize Unicode (NFC) before encrypting',
+    'input.count.encrypt': '{count} / 10,000 characters',
+    'input.count.decrypt': { one: '{count} character', other: '{count} characters' },
+    'input.valid': '✓ Valid input',
+    'input.validEncoding': '✓ Valid input ({encoding})',
+    'input.invalid': '✗ {error}',
+    
+    // Files
+    'file.heading': 'Or Choose a File',
+    'file.dropZone': 'Choose a file or drop it here',
+    'file.dropHint': 'Drop a file here or click to browse',
+    'file.none': 'No file selected',
+    'file.info': '{name} ({size})',
+    'file.invalid': '✗ {name}: {error}',
+    'file.encrypt': '🔒 Encrypt File',
+    'file.decrypt': '🔓 Decrypt File',
+    'file.saved': 'Saved {name} ({size})',
+    
+    // Batch
+    'batch.title': 'Batch Encryption',
+    'batch.help': 'Paste one item per line or a CSV with a header row, or upload a CSV or JSON file. Each item is encrypted on its own under the key source below.',
+    'batch.placeholder': 'One item per line, or CSV with a header row...',
+    'batch.items': 'Batch items',
+    'batch.file': 'Batch file',
+    'batch.noFile': 'No file selected - the text box is used',
+    'batch.format': 'Input Format',
+    'batch.format.lines': 'One item per line',
+    'batch.format.csv': 'CSV with header row',
+    'batch.format.json': 'JSON array',
+    'batch.columns': 'Columns to Encrypt',
+    'batch.columnsPlaceholder': 'All columns (or e.g. password, token)',
+    'batch.run': '🔒 Encrypt Batch',
+    'batch.downloadCsv': 'Download CSV',
+    'batch.downloadJson': 'Download JSON',
+    'batch.summary.all': { one: 'Encrypted all {count} row', other: 'Encrypted all {count} rows' },
+    'batch.summary.partial': 'Encrypted {encrypted} of {count} rows - {failed} with errors',
+    'batch.rowError': 'Row {number}: {error}',
+    'batch.moreErrors': '{count} more - see the error column in the download',
+    
+    // Key source
+    'keySource.heading': 'Key Source',
+    'keySource.label': 'Key source',
+    'keySource.random': 'Random key',
+    'keySource.passphrase': 'Passphrase',
+    'keySource.stored': 'Saved key',
+    'keySource.recipients': 'Public key',
+    'keySource.shares': 'Key shares',
+    'storedKey.active': 'Active Key',
+    'storedKey.masterPlaceholder': 'Master passphrase to unlock this key',
+    'storedKey.master': 'Master passphrase',
+    'storedKey.unlock': 'Unlock',
+    'recipients.label': 'Recipients',
+    'recipients.encryptHint': 'Select one or more recipients. Include your own key pair to read the message yourself.',
+    'recipients.decryptHint': 'Your saved key pairs are matched to the message automatically.',
+    'passphrase.label': 'Passphrase',
+    'passphrase.confirm': 'Confirm Passphrase',
+    
+    // Signing
+    'signing.signWith': 'Sign with',
+    'signing.key': 'Signing key',
+    'signing.content': 'Signed content',
+    'signing.envelope': 'Whole message',
+    'signing.plaintext': 'Text only',
+    'signing.hint.noKeys': 'To sign messages, generate an ECDSA P-256 or Ed25519 key pair under Manage Keys.',
+    'signing.hint.plaintext': 'The signature is encrypted with the text; only recipients can check it.',
+    'signing.hint.envelope': 'The signature covers the whole message and can be checked before decrypting.',
+    'signature.unknown': '⚠️ Signed by an unknown key {fingerprint} - add the sender as a contact to check the signature',
+    'signature.own': '✓ Signed by your key "{name}"',
+    'signature.contact': '✓ Signed by contact "{name}"',
+    
+    // Key management
+    'keys.title': 'Manage Keys',
+    'keys.name': 'Key Name',
+    'keys.master': 'Master Passphrase (optional)',
+    'keys.generateAes': 'Generate AES Key',
+    'keys.algorithm': 'Key pair algorithm',
+    'keys.algorithm.ecdsa': 'ECDSA P-256 (signing)',
+    'keys.algorithm.ed25519': 'Ed25519 (signing)',
+    'keys.algorithm.unsupported': '{algorithm} (not supported in this browser)',
+    'keys.generatePair': 'Generate Key Pair',
+    'keys.masterHint': 'The master passphrase protects AES keys; key pairs are stored unprotected.',
+    'keys.importLabel': 'Import Key (AES or public key as JWK or Base64, key pair as private JWK)',
+    'keys.import': 'Import Key',
+    'keys.addContact': 'Add as Contact',
+    'keys.addContactHint': 'Add as Contact saves someone\'s public signing key so their signatures show as trusted.',
+    'keys.contacts': 'Contacts',
+    'keys.noContacts': 'No contacts yet.',
+    'keys.selected': 'Selected Key',
+    'keys.exportFormat': 'Export format',
+    'keys.exportFormat.jwk': 'JWK (private for key pairs)',
+    'keys.exportFormat.raw': 'Raw / public key Base64',
+    'keys.export': 'Export',
+    'keys.exported': 'Exported key',
+    'keys.kind.secret': 'AES-256',
+    'keys.kind.keyPair': 'key pair',
+    'keys.kind.public': 'public key',
+    'keys.kind.signingKeyPair': 'signing key pair',
+    'keys.kind.contact': 'contact',
+    'keys.option.protected': '{name} (protected)',
+    'keys.option.signing': '{name} ({algorithm})',
+    'keys.option.recipient': '{name} ({algorithm} {kind})',
+    'keys.option.managed': '{name} - {kind}',
+    'keys.contact': '{name} - {algorithm} - {fingerprint}',
+    'keys.info': '{algorithm} - fingerprint {fingerprint}',
+    'keys.failed': 'Key operation failed. Please try again.',
+    'keys.done.generated': 'Key generated and saved',
+    'keys.done.imported': 'Key imported and saved',
+    'keys.done.contact': 'Contact saved - compare the fingerprint with them to be sure the key is theirs',
+    'keys.done.keyPair': 'Key pair generated and saved - export the public key to share it',
+    'keys.done.exportedPublic': 'Public key exported - safe to share',
+    'keys.done.exported': 'Key exported - keep it secret',
+    'keys.done.deleted': 'Key deleted',
+    'keys.done.unlocked': 'Key unlocked for this session',
+    'keys.deleteConfirm': 'Delete key "{name}"? {consequence}',
+    'keys.deleteConsequence.signing': 'Messages signed with it will show an unknown signer.',
+    'keys.deleteConsequence.encryption': 'Messages encrypted with it can no longer be decrypted.',
+    
+    // Key shares
+    'sharing.title': 'Split or Recover a Key',
+    'sharing.split': 'Split',
+    'sharing.source.random': 'a new random key',
+    'sharing.source.stored': 'the active saved key',
+    'sharing.source.passphrase': 'the passphrase key of the message above',
+    'sharing.into': 'into',
+    'sharing.any': 'shares, any',
+    'sharing.rebuild': 'of which rebuild it',
+    'sharing.splitKey': 'Split Key',
+    'sharing.help': 'Give each share to a different person; fewer shares than the threshold reveal nothing about the key. To split the key of a passphrase message, paste it in Decrypt mode with Passphrase selected and its passphrase entered.',
+    'sharing.qrDefault': 'QR code of a key share',
+    'sharing.recoverLabel': 'Recover a Key (one share per line)',
+    'sharing.recoverKey': 'Recover Key',
+    'sharing.hint.none': 'No key from shares yet - split or recover one under Split or Recover a Key.',
+    'sharing.hint.ready': 'Using the key from shares - any {threshold} of its {count} shares rebuild it.',
+    'sharing.shareName': 'Share {index} of {count}',
+    'sharing.qr': 'QR Code',
+    'sharing.copyLabel': 'Copy {name}',
+    'sharing.qrLabel': 'Show {name} as a QR code',
+    'sharing.qrCanvas': 'QR code of {name}',
+    'sharing.done': 'Key split into {count} shares - any {threshold} rebuild it. Give each share to a different person.',
+    'sharing.recovered': 'Key rebuilt ({threshold} of its {count} shares needed) and selected as the key source',
+    
+    // Output and export
+    'output.label.encrypt': 'Encrypted Output',
+    'output.label.decrypt': 'Decrypted Output',
+    'output.placeholder.encrypt': 'Encrypted text will appear here...',
+    'output.placeholder.decrypt': 'Decrypted text will appear here...',
+    'output.copy': '📋 Copy to Clipboard',
+    'output.encoding': 'Encoding',
+    'output.encoding.armored': 'Armored text',
+    'output.encodingFailed': 'Could not change the encoding.',
+    'output.encrypted': 'Text encrypted successfully!',
+    'output.decrypted': 'Text decrypted successfully!',
+    'export.label': 'Export',
+    'export.txt': 'Save .txt',
+    'export.json': 'Save JSON',
+    'export.qr': 'Show QR Code',
+    'export.qrCanvas': 'QR code of the encrypted output',
+    'export.qrHint': 'Scan to copy the output to another device. The key is not included.',
+    'export.failed': 'Export failed. Please try again.',
+    'qr.failed': 'Could not draw the QR code.',
+    
+    // Key field
+    'key.label': 'Encryption Key (Base64)',
+    'key.placeholder.encrypt': 'The key for this encryption will appear here...',
+    'key.placeholder.decrypt': 'Paste the Base64 key used for encryption...',
+    'key.hint.encrypt': 'Keep this key secret - anyone with it can decrypt the output.',
+    'key.hint.decrypt': 'Required to decrypt. Only the exact key used for encryption will work.',
+    
+    // Clipboard
+    'clipboard.clearAfter': 'Clear clipboard after',
+    'clipboard.delay.never': 'Never',
+    'clipboard.delay.15': '15 seconds',
+    'clipboard.delay.30': '30 seconds',
+    'clipboard.delay.60': '1 minute',
+    'clipboard.delay.120': '2 minutes',
+    'clipboard.saveTxt': '💾 Save as .txt instead',
+    'clipboard.nothingToCopy': 'No encrypted text to copy',
+    'clipboard.unavailable': 'The clipboard is not available in this browser',
+    'clipboard.failed': '✗ Copy failed',
+    'clipboard.notConfirmed': '✗ Copy not confirmed - the clipboard holds other text',
+    'clipboard.copied': '✓ Copied to clipboard',
+    'clipboard.copiedUnchecked': '✓ Copied to clipboard (not read back)',
+    'clipboard.risk': '⚠️ Clipboard security risk',
+    'clipboard.countdown': '⚠️ Clipboard clears in {seconds}s',
+    'clipboard.clearsOnReturn': '⚠️ Clipboard clears when you return to this page',
+    'clipboard.notChecked': '⚠️ Clipboard not cleared - allow clipboard access so it can be checked first',
+    'clipboard.clearFailed': '⚠️ Clipboard could not be cleared',
+    'clipboard.cleared': '✓ Clipboard cleared',
+    'clipboard.downloaded': '✓ Saved as a download',
+    
+    // History
+    'history.title': 'History',
+    'history.intro': 'Save encrypted outputs in this browser, encrypted under a history passphrase. Keys are never saved.',
+    'history.passphrase': 'History passphrase',
+    'history.turnOn': 'Turn On History',
+    'history.unlock': 'Unlock History',
+    'history.labelPlaceholder': 'Label for the next encrypted output (optional)',
+    'history.label': 'History label',
+    'history.searchPlaceholder': 'Search labels and algorithms',
+    'history.search': 'Search history',
+    'history.lock': 'Lock',
+    'history.expiry': 'Delete entries after',
+    'history.expiry.1': '1 day',
+    'history.expiry.7': '7 days',
+    'history.expiry.30': '30 days',
+    'history.expiry.90': '90 days',
+    'history.panic': 'Panic Wipe',
+    'history.noMatches': 'No matching entries',
+    'history.empty': 'No saved outputs yet',
+    'history.details': '{date} - {algorithm} - {size}',
+    'history.copyLabel': 'Copy {label}',
+    'history.deleteLabel': 'Delete {label}',
+    'history.failed': 'History operation failed. Please try again.',
+    'history.done.unlocked': 'History unlocked for this session',
+    'history.done.turnedOn': 'History turned on - encrypted outputs are now saved',
+    'history.done.copied': 'Copied "{label}" to the clipboard',
+    'history.done.deleted': 'History entry deleted',
+    'history.done.expiry': { one: 'History entries are now deleted after {count} day', other: 'History entries are now deleted after {count} days' },
+    'history.done.wiped': 'History wiped and all fields cleared',
+    'history.panicConfirm': 'Delete all saved history and clear every field? This cannot be undone.',
+    
+    // Audit log
+    'audit.title': 'Audit Log',
+    'audit.intro': 'Record encrypt, decrypt, key import, copy and clear events in this browser. Only the time, action, outcome and settings are kept - never your text, keys or passphrases.',
+    'audit.turnOn': 'Turn On Audit Log',
+    'audit.turnOff': 'Turn Off Audit Log',
+    'audit.verify': 'Verify Integrity',
+    'audit.export': 'Export JSON',
+    'audit.delete': 'Delete Log',
+    'audit.empty': 'No events recorded yet',
+    'audit.off': 'The audit log is off',
+    'audit.truncated': 'Showing the newest {shown} of {count} entries - export the log to see all',
+    'audit.entry': '#{id} {time} - {event} - {outcome}',
+    'audit.intact': { one: '✓ The only entry is intact', other: '✓ All {count} entries are intact' },
+    'audit.broken': '✗ Integrity check failed: {reason}',
+    'audit.failed': 'Audit log operation failed. Please try again.',
+    'audit.done.turnedOff': 'Audit log turned off - recorded entries are kept',
+    'audit.done.turnedOn': 'Audit log turned on',
+    'audit.done.deleted': 'Audit log deleted',
+    'audit.clearConfirm': 'Delete every audit log entry? This cannot be undone.',
+    'audit.reason.missing': 'Entry {number} is missing',
+    'audit.reason.outOfOrder': 'Entry {number} does not follow the entry before it',
+    'audit.reason.modified': 'Entry {number} has been modified',
+    'audit.reason.removed': 'Entries after {previous} have been removed',
+    'audit.reason.unrecorded': 'Entries after {previous} were not written by the app',
+    'audit.reason.head': 'The log does not end at its last recorded entry',
+    
+    // Processing
+    'job.encryptText': 'Encrypting your text...',
+    'job.encryptBatch': 'Encrypting your batch...',
+    'job.decryptText': 'Decrypting your text...',
+    'job.encryptFile': 'Encrypting your file...',
+    'job.decryptFile': 'Decrypting your file...',
+    'job.splitKey': 'Splitting the key...',
+    'job.progress': '{label} {percent}%',
+    'job.progressQueued': '{label} {percent}% ({queued} more queued)',
+    'job.progressLabel': 'Progress',
+    'job.cancelled': { one: 'Operation cancelled', other: '{count} operations cancelled' },
+    'job.failed.encryptText': 'Encryption failed. Please try again.',
+    'job.failed.encryptBatch': 'Batch encryption failed. Please try again.',
+    'job.failed.decryptText': 'Decryption failed. Please try again.',
+    'job.failed.encryptFile': 'File encryption failed. Please try again.',
+    'job.failed.decryptFile': 'File decryption failed. Please try again.',
+    'job.failed.splitKey': 'Splitting the key failed. Please try again.',
+    'job.failed.recoverKey': 'Rebuilding the key failed. Please try again.',
+    'clear.done': 'All data cleared',
+    
+    // Input validation (InputValidator)
+    'validation.empty': 'Input cannot be empty',
+    'validation.tooLong': 'Input too long: {length}/10000 characters',
+    'validation.controlCharacters': 'Input contains invalid control characters',
+    'validation.unicode': 'Input contains invalid Unicode characters',
+    'validation.armorEnd': 'Armored message is missing its END line',
+    'validation.encoding': 'Input is not valid Base64, Base64url, hex or Base32',
+    'validation.noFile': 'No file selected',
+    'validation.fileEmpty': 'File is empty',
+    'validation.fileTooLarge': 'File too large: {size} (maximum {maximum})',
+    'validation.fileTooSmall': 'File is too small to be an encrypted file',
+    'validation.passphraseEmpty': 'Passphrase cannot be empty',
+    'validation.passphraseShort': 'Passphrase must be at least 8 characters',
+    'validation.passphraseMismatch': 'Passphrases do not match',
+    'validation.keyNameEmpty': 'Key name cannot be empty',
+    'validation.keyNameTooLong': 'Key name must be at most 64 characters',
+    'validation.keyNameControlCharacters': 'Key name contains invalid control characters',
+    'strength.tooShort': 'Too short',
+    'strength.weak': 'Weak',
+    'strength.fair': 'Fair',
+    'strength.good': 'Good',
+    'strength.strong': 'Strong',
+    
+    // Errors, by CryptoError code and reason (I18n.errorMessage)
+    'error.CANCELLED': 'Operation cancelled',
+    'error.UNKNOWN_JOB': 'Unknown job type {type}',
+    'error.MALFORMED_INPUT': 'The input is not valid',
+    'error.MALFORMED_INPUT.textUnicode': 'Text contains invalid Unicode characters',
+    'error.MALFORMED_INPUT.decryptedText': 'Decrypted data is not valid text',
+    'error.MALFORMED_INPUT.truncated': 'Encrypted message is truncated',
+    'error.MALFORMED_INPUT.recipientCount': 'Encrypted message has an invalid recipient count',
+    'error.MALFORMED_INPUT.salt': 'Encrypted message has an invalid salt',
+    'error.MALFORMED_INPUT.iterations': 'Encrypted message has an unsupported iteration count',
+    'error.MALFORMED_INPUT.chunkSize': 'Encrypted file has an unsupported chunk size',
+    'error.MALFORMED_INPUT.signatureType': 'Encrypted message has an invalid signature type',
+    'error.MALFORMED_INPUT.iv': 'Encrypted message has an invalid IV',
+    'error.MALFORMED_INPUT.armorLines': 'Armored message is missing its BEGIN or END line',
+    'error.MALFORMED_INPUT.armorTrailing': 'Unexpected text after the armored message',
+    'error.MALFORMED_INPUT.fileTruncated': 'Encrypted file is truncated',
+    'error.MALFORMED_INPUT.signedTruncated': 'Signed message is truncated',
+    'error.MALFORMED_INPUT.outputEncoding': 'Output is not in a known encoding',
+    'error.MALFORMED_INPUT.encoding': 'Input is not valid Base64, Base64url, hex or Base32',
+    'error.MALFORMED_INPUT.base64': 'Input is not valid Base64',
+    'error.MALFORMED_INPUT.base64url': 'Input is not valid Base64url',
+    'error.MALFORMED_INPUT.hex': 'Input is not valid hex',
+    'error.MALFORMED_INPUT.base32': 'Input is not valid Base32',
+    'error.MALFORMED_INPUT.json': 'Input is not valid JSON',
+    'error.MALFORMED_INPUT.jsonRecipients': 'JSON export has an invalid recipient list',
+    'error.MALFORMED_INPUT.jsonNumber': 'JSON export has an invalid number',
+    'error.MALFORMED_INPUT.jsonMissing': 'JSON export is missing {field}',
+    'error.MALFORMED_INPUT.jsonFingerprint': 'JSON export has an invalid signer fingerprint',
+    'error.MALFORMED_INPUT.signedContent': 'Unsupported signed content {name}',
+    'error.MALFORMED_INPUT.batchFormat': 'Unknown batch format {format}',
+    'error.MALFORMED_INPUT.batchEmpty': 'The batch has no items',
+    'error.MALFORMED_INPUT.batchTooMany': 'Too many items: {count} (maximum {maximum})',
+    'error.MALFORMED_INPUT.batchErrorColumn': 'The batch already has a column named "{column}"',
+    'error.MALFORMED_INPUT.csvColumnName': 'CSV column {number} has no name',
+    'error.MALFORMED_INPUT.csvColumnRepeated': 'CSV column "{name}" appears more than once',
+    'error.MALFORMED_INPUT.csvQuote': 'CSV has a quoted field that is never closed',
+    'error.MALFORMED_INPUT.batchJson': 'The batch is not valid JSON',
+    'error.MALFORMED_INPUT.batchJsonArray': 'A JSON batch must be an array of strings or objects',
+    'error.MALFORMED_INPUT.batchColumnMissing': 'The batch has no column named "{name}"',
+    'error.MALFORMED_INPUT.batchValue': 'Value is not text',
+    'error.MALFORMED_INPUT.batchNothing': 'Nothing to encrypt - the selected columns are empty',
+    'error.MALFORMED_INPUT.batchRowFailed': 'Nothing to encrypt - row {number}: {error}',
+    'error.MALFORMED_INPUT.splitPassphraseMessage': 'Paste the passphrase-encrypted message in Decrypt mode to split its key',
+    'error.UNKNOWN_FORMAT': 'Data is not an EncryptDemo message',
+    'error.UNKNOWN_FORMAT.json': 'JSON is not an EncryptDemo export',
+    'error.UNSUPPORTED_VERSION': 'Unsupported version',
+    'error.UNSUPPORTED_VERSION.message': 'Unsupported message version {version} - this app reads versions {current} and {signed}',
+    'error.UNSUPPORTED_VERSION.manifest': 'Unsupported integrity manifest version {version}',
+    'error.UNSUPPORTED_VERSION.share': 'Share {position} has unsupported version {version}',
+    'error.UNSUPPORTED_ALGORITHM': 'Unsupported algorithm',
+    'error.UNSUPPORTED_ALGORITHM.encryptionId': 'Unsupported encryption algorithm id {id}',
+    'error.UNSUPPORTED_ALGORITHM.recipientType': 'Unsupported recipient key type {type}',
+    'error.UNSUPPORTED_ALGORITHM.signatureId': 'Unsupported signature algorithm id {id}',
+    'error.UNSUPPORTED_ALGORITHM.signedFile': 'Signed files are not supported',
+    'error.UNSUPPORTED_ALGORITHM.jsonAlgorithm': 'Unsupported encryption algorithm {name}',
+    'error.UNSUPPORTED_ALGORITHM.jsonRecipientType': 'Unsupported recipient key type {name}',
+    'error.UNSUPPORTED_ALGORITHM.jsonSignatureAlgorithm': 'Unsupported signature algorithm {name}',
+    'error.UNSUPPORTED_ALGORITHM.keyPair': 'Unsupported key pair algorithm {algorithm}',
+    'error.UNSUPPORTED_ALGORITHM.signing': 'Unsupported signing algorithm {algorithm}',
+    'error.UNSUPPORTED_ALGORITHM.signingBrowser': '{algorithm} signing keys are not supported in this browser',
+    'error.UNSUPPORTED_ALGORITHM.encryptedFile': 'This is an encrypted file - decrypt it with the file picker',
+    'error.UNSUPPORTED_ALGORITHM.encryptedText': 'This is an encrypted text message - paste it into the text box instead',
+    'error.UNSUPPORTED_KDF': 'Unsupported key derivation id {id}',
+    'error.UNSUPPORTED_KDF.json': 'Unsupported key derivation {name}',
+    'error.UNSUPPORTED_ENCODING': 'Unsupported encoding {encoding}',
+    'error.UNSUPPORTED_ENCODING.output': 'Unsupported output encoding {encoding}',
+    'error.UNSUPPORTED_SIGNATURE': 'Files cannot be signed - untick Sign to encrypt a file',
+    'error.UNSUPPORTED_PROTECTION': 'Master passphrase protection is only available for AES keys',
+    'error.INVALID_KEY': 'Invalid key',
+    'error.INVALID_KEY.aesLength': 'Invalid key: expected a 256-bit AES key',
+    'error.INVALID_KEY.import': 'Invalid key: could not import key',
+    'error.INVALID_KEY.aesJwk': 'Invalid key: expected an A256GCM JSON Web Key',
+    'error.INVALID_KEY.importPublic': 'Invalid key: could not import public key',
+    'error.INVALID_KEY.importPrivate': 'Invalid key: could not import private key',
+    'error.INVALID_KEY.importPublicSigning': 'Invalid key: could not import public signing key',
+    'error.INVALID_KEY.importPrivateSigning': 'Invalid key: could not import private signing key',
+    'error.INVALID_KEY.jwkJson': 'Invalid key: JWK is not valid JSON',
+    'error.INVALID_KEY.unknown': 'Invalid key: not an AES key or a supported public key',
+    'error.INVALID_KEY.curve': 'Invalid key: unsupported curve {curve}',
+    'error.INVALID_KEY.rsaSize': 'Invalid key: only 2048-bit RSA keys are supported',
+    'error.INVALID_KEY.aes': 'Invalid key: expected an AES-256 key',
+    'error.INVALID_KEY.private': 'Invalid key: expected a private key (JWK)',
+    'error.INVALID_KEY.contact': 'A contact must be a public signing key (ECDSA P-256 or Ed25519)',
+    'error.INVALID_KEY.recipient': 'Recipients must be public keys or key pairs',
+    'error.INVALID_KEY.recipientPair': 'Recipients must be encryption key pairs or public keys',
+    'error.INVALID_KEY.signingRecipient': 'Signing keys cannot be recipients - use an ECDH or RSA-OAEP key',
+    'error.INVALID_KEY.notAes': 'The selected key is not an AES key',
+    'error.INVALID_KEY.notSigning': 'The selected key is not a signing key pair',
+    'error.INVALID_KEY.required': 'A key is required to decrypt',
+    'error.INVALID_KEY.noSharedKey': 'No key from shares yet - recover one under Split or Recover a Key',
+    'error.INVALID_KEY.splitLength': 'Only 256-bit keys can be split',
+    'error.AUTH_FAILED': 'Decryption failed: the data has been tampered with or the key is wrong',
+    'error.AUTH_FAILED.file': 'Decryption failed: the file is truncated, has been tampered with, or the key is wrong',
+    'error.AUTH_FAILED.recipient': 'Decryption failed: the message key could not be recovered with your key pair',
+    'error.AUTH_FAILED.masterPassphrase': 'Could not unlock key: wrong master passphrase',
+    'error.KEY_SOURCE_MISMATCH': 'The selected key source does not match this message',
+    'error.KEY_SOURCE_MISMATCH.passphrase': 'This message was encrypted with a passphrase - select Passphrase, or Key shares with its split key, as the key source',
+    'error.KEY_SOURCE_MISMATCH.recipients': 'This message was encrypted to public keys - select Public key as the key source',
+    'error.KEY_SOURCE_MISMATCH.key': 'This message was encrypted with a key - select Random key, Saved key or Key shares as the key source',
+    'error.KEY_SOURCE_MISMATCH.notPassphrase': 'The message in the input was not encrypted with a passphrase',
+    'error.SIGNATURE_INVALID': 'Signature check failed: the message was not signed by this signer or has been altered',
+    'error.NO_MATCHING_KEY': 'None of your saved key pairs is a recipient of this message',
+    'error.NO_MATCHING_KEY.privateKey': 'This private key is not a recipient of the message',
+    'error.NO_RECIPIENTS': 'Select at least one recipient',
+    'error.NO_RECIPIENTS.tooMany': 'A message can have at most {maximum} recipients',
+    'error.KEY_LOCKED': 'The selected key is locked - enter the master passphrase to unlock it',
+    'error.KEY_NOT_FOUND': 'The selected key no longer exists',
+    'error.STORAGE_UNAVAILABLE': 'Local storage is not available in this browser',
+    'error.STORAGE_UNAVAILABLE.open': 'Local storage could not be opened',
+    'error.STORAGE_FAILED': 'Local storage operation failed',
+    'error.PAYLOAD_TOO_LARGE': 'Too long for a QR code: {size} bytes (maximum {maximum})',
+    'error.INVALID_PASSPHRASE': 'Invalid passphrase',
+    'error.INVALID_PASSPHRASE.empty': 'Passphrase cannot be empty',
+    'error.INVALID_PASSPHRASE.history': 'Wrong history passphrase',
+    'error.HISTORY_NOT_FOUND': 'This history entry no longer exists',
+    'error.INVALID_EXPIRY': 'History expiry must be one of {options} days',
+    'error.HISTORY_LOCKED': 'History is locked - enter the history passphrase',
+    'error.HISTORY_LOCKED.off': 'Turn on history first',
+    'error.CODE_MODIFIED': 'The app\'s code was modified: {files} does not match the integrity manifest',
+    'error.INTEGRITY_CHECK_FAILED': 'The app\'s code could not be checked',
+    'error.INTEGRITY_CHECK_FAILED.manifest': 'The integrity manifest is damaged',
+    'error.INTEGRITY_CHECK_FAILED.load': 'The app\'s code could not be checked: {path} did not load',
+    'error.NOT_ENOUGH_SHARES': '{threshold} different shares are needed to rebuild this key, {given} given',
+    'error.NOT_ENOUGH_SHARES.none': 'Enter the key shares, one per line',
+    'error.SHARE_MISMATCH': 'These shares come from different splits',
+    'error.SHARE_MISMATCH.conflict': 'There are two different versions of share {index}',
+    'error.INVALID_SHARE': 'Share {position} is damaged or mistyped',
+    'error.INVALID_SHARE.notShare': 'Share {position} is not an EncryptDemo key share',
+    'error.INVALID_SHARE.altered': 'The shares do not rebuild the key that was split - one of them has been altered',
+    'error.INVALID_SHARE_COUNT': 'Choose {min} to {max} shares, and a threshold from {min} up to the number of shares',
+    
+    // Keyboard shortcuts
+    'shortcuts.title': 'Keyboard Shortcuts',
+    'shortcuts.intro': 'Shortcuts work anywhere on the page, except ? while typing in a field.',
+    'shortcuts.close': 'Close',
+    'shortcuts.run': 'Encrypt or decrypt the text',
+    'shortcuts.encryptMode': 'Switch to Encrypt mode',
+    'shortcuts.decryptMode': 'Switch to Decrypt mode',
+    'shortcuts.focusInput': 'Go to the text input',
+    'shortcuts.focusKey': 'Go to the key source',
+    'shortcuts.focusOutput': 'Go to the output',
+    'shortcuts.copy': 'Copy the output',
+    'shortcuts.clear': 'Clear all fields',
+    'shortcuts.cancel': 'Cancel the running operation',
+    'shortcuts.help': 'Show this list',
+    'key.ctrl': 'Ctrl',
+    'key.alt': 'Alt',
+    'key.shift': 'Shift',
+    'key.enter': 'Enter',
+    'key.escape': 'Esc',
+    
+    // Information panel
+    'info.title': '🔐 How This Works',
+    'info.algorithm.label': 'Algorithm:',
+    'info.algorithm': 'AES-GCM 256-bit encryption (as per CryptoDecision.md)',
+    'info.keyGeneration.label': 'Key Generation:',
+    'info.keyGeneration': 'New random key for each encryption using Web Crypto API, or derived from a passphrase with PBKDF2-SHA-256 (600,000 iterations)',
+    'info.publicKey.label': 'Public Key:',
+    'info.publicKey': 'A random message key wrapped for each recipient with ECDH P-256 (HKDF + AES-KW) or RSA-OAEP-2048',
+    'info.signatures.label': 'Signatures:',
+    'info.signatures': 'Optionally signed with ECDSA P-256 or Ed25519, over the whole message or over the text inside it; decryption names the signer when they are one of your contacts',
+    'info.security.label': 'Security:',
+    'info.security': 'Client-side only - your text never leaves your browser',
+    'info.outputFormat.label': 'Output Format:',
+    'info.outputFormat': 'Versioned envelope (version, algorithm, key derivation parameters, IV, Ciphertext + AuthTag) as Base64, Base64url, hex, Base32 or armored text; decryption detects the encoding',
+    'info.export.label': 'Export:',
+    'info.export': 'Save the output as .txt or as JSON with one field per envelope part, or show it as a QR code drawn in the page (up to 666 bytes)',
+    'info.files.label': 'Files:',
+    'info.files': 'Encrypted in 1 MB chunks, each authenticated, and saved as a .enc download (up to 1 GB)',
+    'info.batch.label': 'Batch:',
+    'info.batch': 'Up to 1,000 items from a list, CSV or JSON, each in its own envelope, downloaded as CSV or JSON',
+    'info.keyShares.label': 'Key Shares:',
+    'info.keyShares': 'A key split into n shares with Shamir\'s scheme over GF(256); any k of them rebuild it, each checksummed and shown as text or a QR code',
+    'info.decryption.label': 'Decryption:',
+    'info.decryption': 'Switch to Decrypt mode and paste the output together with its key',
+    'info.considerations': '⚠️ Security Considerations:',
+    'info.consideration.randomKeys': 'Random keys are generated fresh for each encryption and not stored - save the displayed key if you need to decrypt later',
+    'info.consideration.savedKeys': 'Saved keys stay in this browser\'s storage; protect them with a master passphrase on shared devices',
+    'info.consideration.history': 'History is off until you set a history passphrase; entries expire automatically and Panic Wipe deletes them at once',
+    'info.consideration.audit': 'The audit log is off until you turn it on; it records what was done, not what was encrypted, and detects edits but cannot stop someone with access to this browser from rewriting it',
+    'info.consideration.signatures': 'A signature proves who sent a message only if you got the sender\'s public key from them directly - compare fingerprints before adding a contact',
+    'info.consideration.shares': 'Key shares are only as safe as their holders - anyone who gathers the threshold number of shares has the key',
+    'info.consideration.privateBrowsing': 'Use private/incognito browsing for sensitive content',
+    'info.consideration.clipboard': 'Be aware that clipboard content may be accessible to other applications; copies are cleared after the delay you choose and on Clear All',
+    'info.consideration.sharedComputers': 'Avoid using on shared or public computers',
+    
+    // Footer
+    'footer.builtWith': 'Built with Web Crypto API - no code or styles from other sites',
+    'footer.fingerprint': 'Code fingerprint:',
+    'footer.notVerified': 'not verified',
+    'footer.follows': 'Implementation follows:'
+};
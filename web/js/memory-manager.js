@@ -0,0 +1,50 @@
+import { AppState } from './app-state.js';
+import { HistoryManager } from './history-manager.js';
+import { AuditLog } from './audit-log.js';
+
+/**
+ * Memory Manager Class
+ * Implements Function: ClearSensitiveData (EncryptionFunctions.fun line 73)
+ * Follows Requirement: REQ_SEC_001 (EncryptionRequirements.req line 134)
+ * Per ThreatModel.md T-INFO-02 mitigation
+ */
+export class MemoryManager {
+    // Set from config c_SecurityFeatures_SecureMemoryHandling
+    static secureWipe = false;
+    
+    /**
+     * Overwrite raw key bytes once they are no longer needed
+     * Only active with secure memory handling; strings cannot be wiped in JavaScript
+     */
+    static wipe(bytes) {
+        if (this.secureWipe && bytes) {
+            bytes.fill(0);
+        }
+    }
+    
+    /**
+     * Clear sensitive data from memory
+     * Implements Function: ClearSensitiveData (EncryptionFunctions.fun line 73)
+     * With panic set this is the panic wipe: the stored history and its settings are deleted too
+     * With audit set the clear is a user action and goes into the audit log; the audit log itself
+     * survives a panic wipe, which is recorded like any other clear
+     */
+    static async clearSensitiveData({ panic = false, audit = false } = {}) {
+        // Clear application state
+        AppState.currentKey = null;
+        AppState.lastEncryptedData = null;
+        
+        // Force garbage collection hint (browser dependent)
+        if (globalThis.gc) {
+            globalThis.gc();
+        }
+        
+        if (panic) {
+            await HistoryManager.wipe();
+        }
+        
+        if (audit) {
+            await AuditLog.record(AuditLog.EVENTS.CLEAR, AuditLog.OUTCOMES.SUCCESS, { panic: panic });
+        }
+    }
+}
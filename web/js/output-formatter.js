@@ -0,0 +1,537 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { EnvelopeFormat } from './envelope-format.js';
+
+/**
+ * Output Formatter Class
+ * Implements Function: FormatEncryptedOutput (EncryptionFunctions.fun line 37)
+ * Follows Requirement: REQ_FUNC_003 (EncryptionRequirements.req line 86)
+ * Output is an EnvelopeFormat message as Base64, Base64url, hex, Base32 or armored text.
+ * The JSON export lists the envelope fields separately and is accepted back for decryption
+ */
+export class OutputFormatter {
+    static ENCODINGS = {
+        BASE64: 'base64',
+        BASE64URL: 'base64url',
+        HEX: 'hex',
+        BASE32: 'base32',
+        ARMORED: 'armored',
+        JSON: 'json'
+    };
+    
+    static ENCODING_LABELS = {
+        base64: 'Base64',
+        base64url: 'Base64url',
+        hex: 'Hex',
+        base32: 'Base32',
+        armored: 'Armored',
+        json: 'JSON'
+    };
+    
+    // Compact encodings in the order they are tried on decrypt; the first that yields the
+    // envelope magic wins. Hex and Base32 text is also valid Base64, but never decodes to the magic
+    static COMPACT_ENCODINGS = ['base64', 'base64url', 'hex', 'base32'];
+    
+    static PATTERNS = {
+        base64: /^[A-Za-z0-9+/]*={0,2}$/,
+        base64url: /^[A-Za-z0-9_-]*={0,2}$/,
+        hex: /^(?:[0-9A-Fa-f]{2})*$/,
+        base32: /^[A-Za-z2-7]*={0,6}$/
+    };
+    
+    static BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    
+    // Bytes per String.fromCharCode call; spreading a whole envelope overflows the call stack
+    static BASE64_CHUNK_SIZE = 0x2000;
+    
+    static JSON_FORMAT = 'EncryptDemo';
+    static ALGORITHM_NAMES = {
+        1: 'AES-256-GCM',
+        2: 'AES-256-GCM-STREAM'
+    };
+    static KDF_NAMES = {
+        0: 'none',
+        1: 'PBKDF2-SHA-256',
+        2: 'recipients'
+    };
+    static RECIPIENT_TYPE_NAMES = {
+        1: 'ECDH-P256',
+        2: 'RSA-OAEP-2048'
+    };
+    static SIGNATURE_ALGORITHM_NAMES = {
+        1: 'ECDSA-P256',
+        2: 'Ed25519'
+    };
+    static SIGNED_CONTENT_NAMES = {
+        1: 'envelope',
+        2: 'plaintext'
+    };
+    
+    /**
+     * Format an encoded envelope for display
+     * Implements Function: FormatEncryptedOutput (EncryptionFunctions.fun line 37)
+     */
+    static formatOutput(envelope, { encoding = this.ENCODINGS.BASE64 } = {}) {
+        if (encoding === this.ENCODINGS.JSON || !this.ENCODING_LABELS[encoding]) {
+            throw new CryptoError(
+                `Unsupported output encoding ${encoding}`,
+                'UNSUPPORTED_ENCODING',
+                { reason: 'output', params: { encoding } }
+            );
+        }
+        
+        try {
+            return encoding === this.ENCODINGS.ARMORED ? EnvelopeFormat.armor(envelope) : this.encodeBytes(envelope, encoding);
+        } catch (error) {
+            throw new Error('Failed to format encrypted output');
+        }
+    }
+    
+    /**
+     * Tell which encoding encrypted input is in, or null if it is in none of them
+     * Valid Base64 without the envelope magic is reported as Base64, so that decoding it
+     * rejects it as an unknown format rather than as an encoding error
+     */
+    static detectEncoding(encodedText) {
+        if (EnvelopeFormat.isArmored(encodedText)) {
+            return this.ENCODINGS.ARMORED;
+        }
+        if (encodedText.trimStart().startsWith('{')) {
+            return this.ENCODINGS.JSON;
+        }
+        
+        const compact = encodedText.replace(/\s+/g, '');
+        if (compact.length === 0) {
+            return null;
+        }
+        
+        // The first 8 characters cover the 4-byte magic in every compact encoding
+        for (const encoding of this.COMPACT_ENCODINGS) {
+            if (!this.PATTERNS[encoding].test(compact)) {
+                continue;
+            }
+            try {
+                if (EnvelopeFormat.hasMagic(this.decodeBytes(compact.slice(0, 8), encoding))) {
+                    return encoding;
+                }
+            } catch (error) {
+                // Not this encoding
+            }
+        }
+        
+        return this.PATTERNS.base64.test(compact) && compact.length % 4 === 0 ? this.ENCODINGS.BASE64 : null;
+    }
+    
+    /**
+     * Re-encode an encrypted output in another encoding without decrypting it
+     */
+    static reformat(encodedText, encoding) {
+        const current = this.detectEncoding(encodedText);
+        if (current === null || current === this.ENCODINGS.JSON) {
+            throw new CryptoError('Output is not in a known encoding', 'MALFORMED_INPUT', { reason: 'outputEncoding' });
+        }
+        
+        const bytes = current === this.ENCODINGS.ARMORED
+            ? EnvelopeFormat.dearmor(encodedText)
+            : this.decodeBytes(encodedText.replace(/\s+/g, ''), current);
+        return this.formatOutput(bytes, { encoding: encoding });
+    }
+    
+    /**
+     * Parse encrypted input into envelope fields
+     * The encoding is detected (see detectEncoding); input without the envelope magic is
+     * rejected as UNKNOWN_FORMAT
+     */
+    static parseInput(encodedText) {
+        const encoding = this.detectEncoding(encodedText);
+        
+        if (encoding === this.ENCODINGS.ARMORED) {
+            return EnvelopeFormat.decode(EnvelopeFormat.dearmor(encodedText));
+        }
+        if (encoding === this.ENCODINGS.JSON) {
+            return this.parseJsonExport(encodedText);
+        }
+        if (encoding === null) {
+            throw new CryptoError(
+                'Input is not valid Base64, Base64url, hex or Base32',
+                'MALFORMED_INPUT',
+                { reason: 'encoding' }
+            );
+        }
+        
+        return EnvelopeFormat.decode(this.decodeBytes(encodedText.replace(/\s+/g, ''), encoding));
+    }
+    
+    /**
+     * Describe a decoded envelope as a JSON-ready object with one field per envelope part
+     * Binary fields are Base64; the ciphertext and its authentication tag are listed apart,
+     * followed by the signature of a message signed over the envelope
+     */
+    static toJsonExport(envelope) {
+        const tagStart = envelope.encryptedData.length - CryptographicEngine.TAG_LENGTH;
+        const fields = {
+            ...this.headerFields(envelope),
+            ciphertext: this.encodeBase64(envelope.encryptedData.slice(0, tagStart)),
+            tag: this.encodeBase64(envelope.encryptedData.slice(tagStart))
+        };
+        if (envelope.signature && envelope.signature.value) {
+            fields.signatureValue = this.encodeBase64(envelope.signature.value);
+        }
+        return fields;
+    }
+    
+    /**
+     * The header part of the JSON export, for an envelope or a file header from decodeHeader
+     */
+    static headerFields(envelope) {
+        const fields = {
+            format: this.JSON_FORMAT,
+            version: envelope.version,
+            algorithm: this.ALGORITHM_NAMES[envelope.algorithm],
+            kdf: this.KDF_NAMES[envelope.kdf]
+        };
+        
+        if (envelope.kdf === EnvelopeFormat.KDFS.PBKDF2_SHA256) {
+            fields.salt = this.encodeBase64(envelope.salt);
+            fields.iterations = envelope.iterations;
+        }
+        if (envelope.kdf === EnvelopeFormat.KDFS.RECIPIENTS) {
+            fields.recipients = envelope.recipients.map((recipient) => ({
+                type: this.RECIPIENT_TYPE_NAMES[recipient.type],
+                keyId: this.encodeHex(recipient.keyId),
+                ephemeralPublicKey: this.encodeBase64(recipient.ephemeralPublicKey),
+                wrappedKey: this.encodeBase64(recipient.wrappedKey)
+            }));
+        }
+        if (envelope.algorithm === EnvelopeFormat.ALGORITHMS.AES_256_GCM_STREAM) {
+            fields.chunkSize = envelope.chunkSize;
+        }
+        if (envelope.signature) {
+            fields.signature = {
+                algorithm: this.SIGNATURE_ALGORITHM_NAMES[envelope.signature.algorithm],
+                content: this.SIGNED_CONTENT_NAMES[envelope.signature.content],
+                signer: this.encodeHex(envelope.signature.fingerprint)
+            };
+        }
+        
+        fields.iv = this.encodeBase64(envelope.iv);
+        return fields;
+    }
+    
+    /**
+     * Rebuild an envelope from its JSON export
+     * The header is re-encoded from the fields, so an edited field fails the authentication check
+     */
+    static parseJsonExport(text) {
+        let fields;
+        try {
+            fields = JSON.parse(text);
+        } catch (error) {
+            throw new CryptoError('Input is not valid JSON', 'MALFORMED_INPUT', { reason: 'json' });
+        }
+        if (!fields || fields.format !== this.JSON_FORMAT) {
+            throw new CryptoError('JSON is not an EncryptDemo export', 'UNKNOWN_FORMAT', { reason: 'json' });
+        }
+        if (fields.version !== EnvelopeFormat.VERSION && fields.version !== EnvelopeFormat.SIGNED_VERSION) {
+            throw new CryptoError(
+                `Unsupported message version ${fields.version} - this app reads versions ${EnvelopeFormat.VERSION} and ${EnvelopeFormat.SIGNED_VERSION}`,
+                'UNSUPPORTED_VERSION',
+                {
+                    reason: 'message',
+                    params: { version: fields.version, current: EnvelopeFormat.VERSION, signed: EnvelopeFormat.SIGNED_VERSION }
+                }
+            );
+        }
+        
+        const algorithm = this.lookupName(
+            this.ALGORITHM_NAMES,
+            fields.algorithm,
+            'encryption algorithm',
+            'UNSUPPORTED_ALGORITHM',
+            'jsonAlgorithm'
+        );
+        const kdf = this.lookupName(this.KDF_NAMES, fields.kdf, 'key derivation', 'UNSUPPORTED_KDF', 'json');
+        const header = { algorithm: algorithm, kdf: kdf, chunkSize: fields.chunkSize, iv: this.jsonBytes(fields, 'iv') };
+        
+        if (kdf === EnvelopeFormat.KDFS.PBKDF2_SHA256) {
+            header.salt = this.jsonBytes(fields, 'salt');
+            header.iterations = fields.iterations;
+        }
+        if (kdf === EnvelopeFormat.KDFS.RECIPIENTS) {
+            if (!Array.isArray(fields.recipients) || fields.recipients.length < 1 || fields.recipients.length > EnvelopeFormat.MAX_RECIPIENTS) {
+                throw new CryptoError(
+                    'JSON export has an invalid recipient list',
+                    'MALFORMED_INPUT',
+                    { reason: 'jsonRecipients' }
+                );
+            }
+            header.recipients = fields.recipients.map((recipient) => ({
+                type: this.lookupName(
+                    this.RECIPIENT_TYPE_NAMES,
+                    recipient.type,
+                    'recipient key type',
+                    'UNSUPPORTED_ALGORITHM',
+                    'jsonRecipientType'
+                ),
+                keyId: this.decodeHex(typeof recipient.keyId === 'string' ? recipient.keyId : ''),
+                ephemeralPublicKey: this.jsonBytes(recipient, 'ephemeralPublicKey'),
+                wrappedKey: this.jsonBytes(recipient, 'wrappedKey')
+            }));
+        }
+        if (fields.version === EnvelopeFormat.SIGNED_VERSION) {
+            header.signature = this.parseJsonSignature(fields.signature);
+        }
+        if (!Number.isInteger(header.iterations ?? 0) || !Number.isInteger(header.chunkSize ?? 0)) {
+            throw new CryptoError('JSON export has an invalid number', 'MALFORMED_INPUT', { reason: 'jsonNumber' });
+        }
+        
+        const ciphertext = this.jsonBytes(fields, 'ciphertext');
+        const tag = this.jsonBytes(fields, 'tag');
+        const encryptedData = new Uint8Array(ciphertext.length + tag.length);
+        encryptedData.set(ciphertext, 0);
+        encryptedData.set(tag, ciphertext.length);
+        
+        const signatureValue = header.signature && header.signature.content === EnvelopeFormat.SIGNED_CONTENT.ENVELOPE
+            ? this.jsonBytes(fields, 'signatureValue')
+            : undefined;
+        return EnvelopeFormat.decode(EnvelopeFormat.encode(EnvelopeFormat.encodeHeader(header), encryptedData, signatureValue));
+    }
+    
+    /**
+     * Header signature fields from the signature object of a version 2 JSON export
+     */
+    static parseJsonSignature(signature) {
+        if (!signature || typeof signature !== 'object' || typeof signature.signer !== 'string') {
+            throw new CryptoError(
+                'JSON export is missing signature',
+                'MALFORMED_INPUT',
+                { reason: 'jsonMissing', params: { field: 'signature' } }
+            );
+        }
+        
+        const fingerprint = this.decodeHex(signature.signer);
+        if (fingerprint.length !== EnvelopeFormat.SIGNER_FINGERPRINT_LENGTH) {
+            throw new CryptoError(
+                'JSON export has an invalid signer fingerprint',
+                'MALFORMED_INPUT',
+                { reason: 'jsonFingerprint' }
+            );
+        }
+        return {
+            algorithm: this.lookupName(
+                this.SIGNATURE_ALGORITHM_NAMES,
+                signature.algorithm,
+                'signature algorithm',
+                'UNSUPPORTED_ALGORITHM',
+                'jsonSignatureAlgorithm'
+            ),
+            content: this.lookupName(this.SIGNED_CONTENT_NAMES, signature.content, 'signed content', 'MALFORMED_INPUT', 'signedContent'),
+            fingerprint: fingerprint
+        };
+    }
+    
+    /**
+     * Id for a name used in the JSON export
+     * reason names the catalog message for an unknown name (see I18n.errorMessage)
+     */
+    static lookupName(names, name, description, code, reason) {
+        const id = Object.keys(names).find((key) => names[key] === name);
+        if (id === undefined) {
+            throw new CryptoError(`Unsupported ${description} ${name}`, code, { reason: reason, params: { name: String(name) } });
+        }
+        return Number(id);
+    }
+    
+    /**
+     * Decode a Base64 field of the JSON export
+     */
+    static jsonBytes(fields, name) {
+        if (typeof fields[name] !== 'string') {
+            throw new CryptoError(
+                `JSON export is missing ${name}`,
+                'MALFORMED_INPUT',
+                { reason: 'jsonMissing', params: { field: name } }
+            );
+        }
+        return this.decodeBase64(fields[name]);
+    }
+    
+    /**
+     * Format a public-key fingerprint as grouped hex for display
+     * Shows the first 16 bytes, matching what users compare out of band
+     */
+    static formatFingerprint(fingerprint) {
+        const hex = Array.from(fingerprint.slice(0, 16), (byte) => byte.toString(16).padStart(2, '0'));
+        const groups = [];
+        for (let i = 0; i < hex.length; i += 2) {
+            groups.push(hex[i] + hex[i + 1]);
+        }
+        return groups.join(' ').toUpperCase();
+    }
+    
+    /**
+     * Human-readable file size
+     */
+    static formatSize(bytes) {
+        const units = ['bytes', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+    }
+    
+    /**
+     * Encode bytes in one of the compact encodings
+     */
+    static encodeBytes(bytes, encoding) {
+        switch (encoding) {
+            case this.ENCODINGS.BASE64:
+                return this.encodeBase64(bytes);
+            case this.ENCODINGS.BASE64URL:
+                return this.encodeBase64url(bytes);
+            case this.ENCODINGS.HEX:
+                return this.encodeHex(bytes);
+            case this.ENCODINGS.BASE32:
+                return this.encodeBase32(bytes);
+            default:
+                throw new CryptoError(
+                    `Unsupported encoding ${encoding}`,
+                    'UNSUPPORTED_ENCODING',
+                    { params: { encoding } }
+                );
+        }
+    }
+    
+    /**
+     * Decode text in one of the compact encodings; whitespace is ignored
+     */
+    static decodeBytes(encodedText, encoding) {
+        switch (encoding) {
+            case this.ENCODINGS.BASE64:
+                return this.decodeBase64(encodedText);
+            case this.ENCODINGS.BASE64URL:
+                return this.decodeBase64url(encodedText);
+            case this.ENCODINGS.HEX:
+                return this.decodeHex(encodedText);
+            case this.ENCODINGS.BASE32:
+                return this.decodeBase32(encodedText);
+            default:
+                throw new CryptoError(
+                    `Unsupported encoding ${encoding}`,
+                    'UNSUPPORTED_ENCODING',
+                    { params: { encoding } }
+                );
+        }
+    }
+    
+    /**
+     * Encode bytes as standard Base64
+     * Converted in chunks so large envelopes do not exceed the argument limit
+     */
+    static encodeBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += this.BASE64_CHUNK_SIZE) {
+            binary += String.fromCharCode(...bytes.slice(i, i + this.BASE64_CHUNK_SIZE));
+        }
+        return btoa(binary);
+    }
+    
+    /**
+     * Decode standard Base64 into bytes
+     */
+    static decodeBase64(encodedText) {
+        try {
+            const binary = atob(encodedText.replace(/\s+/g, ''));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        } catch (error) {
+            throw new CryptoError('Input is not valid Base64', 'MALFORMED_INPUT', { reason: 'base64' });
+        }
+    }
+    
+    /**
+     * Encode bytes as URL- and filename-safe Base64 without padding (RFC 4648 section 5)
+     */
+    static encodeBase64url(bytes) {
+        return this.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    static decodeBase64url(encodedText) {
+        const compact = encodedText.replace(/\s+/g, '').replace(/=+$/, '');
+        if (!this.PATTERNS.base64url.test(compact) || compact.length % 4 === 1) {
+            throw new CryptoError('Input is not valid Base64url', 'MALFORMED_INPUT', { reason: 'base64url' });
+        }
+        const base64 = compact.replace(/-/g, '+').replace(/_/g, '/');
+        return this.decodeBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    }
+    
+    /**
+     * Encode bytes as lowercase hex
+     */
+    static encodeHex(bytes) {
+        return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    static decodeHex(encodedText) {
+        const compact = encodedText.replace(/\s+/g, '');
+        if (!this.PATTERNS.hex.test(compact)) {
+            throw new CryptoError('Input is not valid hex', 'MALFORMED_INPUT', { reason: 'hex' });
+        }
+        const bytes = new Uint8Array(compact.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(compact.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+    
+    /**
+     * Encode bytes as padded Base32 (RFC 4648 section 6)
+     */
+    static encodeBase32(bytes) {
+        let output = '';
+        let buffer = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            buffer = ((buffer << 8) | byte) & 0xFFF;
+            bits += 8;
+            while (bits >= 5) {
+                output += this.BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += this.BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+        }
+        return output.padEnd(Math.ceil(output.length / 8) * 8, '=');
+    }
+    
+    /**
+     * Decode Base32, case-insensitively and with or without padding
+     */
+    static decodeBase32(encodedText) {
+        const compact = encodedText.replace(/\s+/g, '').replace(/=+$/, '').toUpperCase();
+        if (!this.PATTERNS.base32.test(compact) || [1, 3, 6].includes(compact.length % 8)) {
+            throw new CryptoError('Input is not valid Base32', 'MALFORMED_INPUT', { reason: 'base32' });
+        }
+        
+        const bytes = new Uint8Array(Math.floor(compact.length * 5 / 8));
+        let buffer = 0;
+        let bits = 0;
+        let index = 0;
+        for (const char of compact) {
+            buffer = ((buffer << 5) | this.BASE32_ALPHABET.indexOf(char)) & 0xFFF;
+            bits += 5;
+            if (bits >= 8) {
+                bytes[index++] = (buffer >>> (bits - 8)) & 0xFF;
+                bits -= 8;
+            }
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,439 @@
+import { CryptoError } from './crypto-error.js';
+
+/**
+ * QR Code Class
+ * Enables Feature: ExportFormats (EncryptionWebApp.fml line 241)
+ * Self-contained QR Code encoder (ISO/IEC 18004) for showing short outputs on a canvas,
+ * so no payload is ever sent to a QR service or library CDN
+ * Byte mode, error correction level M, versions 1-20 (up to 666 bytes); the mask with the
+ * lowest penalty score is chosen
+ */
+export class QrCode {
+    static MIN_VERSION = 1;
+    static MAX_VERSION = 20;
+    static QUIET_ZONE = 4;
+    
+    // Level M per version (index 0 unused): error correction codewords per block, and block count
+    static ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26];
+    static ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16];
+    
+    // Format information bits for level M
+    static ECC_FORMAT_BITS = 0;
+    
+    static PENALTY_RUN = 3;
+    static PENALTY_BLOCK = 3;
+    static PENALTY_FINDER_LIKE = 40;
+    static PENALTY_BALANCE = 10;
+    
+    /**
+     * Most bytes a QR code can carry
+     */
+    static capacity(version = this.MAX_VERSION) {
+        return Math.floor((this.dataCodewords(version) * 8 - 4 - this.countBits(version)) / 8);
+    }
+    
+    /**
+     * Encode bytes as a QR code
+     * Returns { size, modules } with modules[y][x] true for dark modules, quiet zone excluded
+     */
+    static encode(bytes) {
+        let version = this.MIN_VERSION;
+        while (version <= this.MAX_VERSION && bytes.length > this.capacity(version)) {
+            version++;
+        }
+        if (version > this.MAX_VERSION) {
+            throw new CryptoError(
+                `Too long for a QR code: ${bytes.length} bytes (maximum ${this.capacity()})`,
+                'PAYLOAD_TOO_LARGE',
+                { params: { size: bytes.length, maximum: this.capacity() } }
+            );
+        }
+        
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+        
+        this.drawFunctionPatterns(version, size, setFunction);
+        this.drawCodewords(this.addErrorCorrection(this.dataBytes(bytes, version), version), size, modules, isFunction);
+        
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask, size, modules, isFunction);
+            this.drawFormatBits(mask, size, setFunction);
+            const penalty = this.penaltyScore(size, modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            // Masking is its own inverse
+            this.applyMask(mask, size, modules, isFunction);
+        }
+        this.applyMask(bestMask, size, modules, isFunction);
+        this.drawFormatBits(bestMask, size, setFunction);
+        
+        return { size: size, modules: modules };
+    }
+    
+    /**
+     * Draw a QR code on a canvas, black on white with the quiet zone
+     * The canvas is sized to whole pixels per module, at most maxSize pixels wide
+     */
+    static render(canvas, qr, maxSize = 320) {
+        const total = qr.size + this.QUIET_ZONE * 2;
+        const scale = Math.max(1, Math.floor(maxSize / total));
+        canvas.width = total * scale;
+        canvas.height = total * scale;
+        
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#FFFFFF';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#000000';
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) {
+                    context.fillRect((x + this.QUIET_ZONE) * scale, (y + this.QUIET_ZONE) * scale, scale, scale);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Mode indicator, character count, data, terminator and padding, as codewords
+     */
+    static dataBytes(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        append(0b0100, 4);
+        append(bytes.length, this.countBits(version));
+        for (const byte of bytes) {
+            append(byte, 8);
+        }
+        
+        const capacityBits = this.dataCodewords(version) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((value, bit) => (value << 1) | bit, 0));
+        }
+        return codewords;
+    }
+    
+    /**
+     * Split data into blocks, append Reed-Solomon codewords to each and interleave them
+     */
+    static addErrorCorrection(data, version) {
+        const blockCount = this.ERROR_CORRECTION_BLOCKS[version];
+        const eccLength = this.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(this.rawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.reedSolomonDivisor(eccLength);
+        
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+        
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+    
+    /**
+     * Timing, finder and alignment patterns, reserved format area and version information
+     */
+    static drawFunctionPatterns(version, size, setFunction) {
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+        
+        for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+        
+        const positions = this.alignmentPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // The finder patterns take these three corners
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                    return;
+                }
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        // Reserve the format areas; the real bits are drawn once the mask is known
+        this.drawFormatBits(0, size, setFunction);
+        
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+    }
+    
+    /**
+     * Both copies of the 15 format bits (level and mask, BCH-protected), plus the dark module
+     */
+    static drawFormatBits(mask, size, setFunction) {
+        const data = (this.ECC_FORMAT_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        
+        for (let i = 0; i <= 5; i++) {
+            setFunction(8, i, bit(i));
+        }
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            setFunction(14 - i, 8, bit(i));
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            setFunction(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            setFunction(8, size - 15 + i, bit(i));
+        }
+        setFunction(8, size - 8, true);
+    }
+    
+    /**
+     * Place codeword bits in the two-column zigzag from the bottom right, skipping function modules
+     */
+    static drawCodewords(codewords, size, modules, isFunction) {
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // The vertical timing pattern shifts the columns left of it
+            if (right === 6) {
+                right = 5;
+            }
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+    
+    static applyMask(mask, size, modules, isFunction) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && conditions[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+    
+    /**
+     * Penalty score of a masked symbol: runs of one color, 2x2 blocks, finder-like patterns
+     * and dark/light imbalance
+     */
+    static penaltyScore(size, modules) {
+        let penalty = 0;
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map((row) => row[i]));
+        }
+        
+        for (const line of lines) {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) {
+                    penalty += this.PENALTY_RUN + run - 5;
+                }
+                run = 1;
+            }
+            
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some((pattern) => pattern.every((dark, k) => line[i + k] === (dark === 1)))) {
+                    penalty += this.PENALTY_FINDER_LIKE;
+                }
+            }
+        }
+        
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) {
+                    dark++;
+                }
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                        penalty += this.PENALTY_BLOCK;
+                    }
+                }
+            }
+        }
+        
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * this.PENALTY_BALANCE;
+        return penalty;
+    }
+    
+    /**
+     * Centers of the alignment patterns along each axis
+     */
+    static alignmentPositions(version, size) {
+        if (version === 1) {
+            return [];
+        }
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+    
+    /**
+     * Modules left for data and error correction once function patterns are drawn
+     */
+    static rawDataModules(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            modules -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) {
+                modules -= 36;
+            }
+        }
+        return modules;
+    }
+    
+    static dataCodewords(version) {
+        return Math.floor(this.rawDataModules(version) / 8)
+            - this.ECC_CODEWORDS_PER_BLOCK[version] * this.ERROR_CORRECTION_BLOCKS[version];
+    }
+    
+    /**
+     * Width of the byte-mode character count field
+     */
+    static countBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+    
+    /**
+     * Generator polynomial of the given degree over GF(256), highest term dropped
+     */
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree - 1).fill(0).concat([1]);
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+    
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+    
+    /**
+     * Multiplication in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+     */
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+}
@@ -0,0 +1,308 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+import { OutputFormatter } from './output-formatter.js';
+
+/**
+ * Secret Sharing Class
+ * Enables Features: DataBackup, KeyManagement (EncryptionWebApp.fml lines 255, 38)
+ * Shamir's secret sharing over GF(256): a 256-bit key and its 4-byte key check are split
+ * into n shares so that any k of them rebuild both and fewer reveal nothing about either. Each
+ * secret byte is the constant term of its own random polynomial of degree k - 1; share i holds
+ * the polynomials' values at x = i.
+ * Share text: "EDSHARE-" and Base32 in dash-separated groups of
+ *   Version (1) || Set id (4) || Threshold (1) || Count (1) || Index (1) || Share (36) || Checksum (4)
+ * The checksum (SHA-256 of the bytes before it) catches typos and damage; the set id tells
+ * shares of different splits apart; the key check (SHA-256 of the key, 4 bytes) is only known
+ * once k shares are combined and confirms the rebuilt key, so a share that was altered with a
+ * valid checksum is still caught
+ */
+export class SecretSharing {
+    static VERSION = 1;
+    static PREFIX = 'EDSHARE-';
+    static GROUP_LENGTH = 5;
+    
+    static KEY_LENGTH = 32;
+    static SET_ID_LENGTH = 4;
+    static KEY_CHECK_LENGTH = 4;
+    static CHECKSUM_LENGTH = 4;
+    // The key and its key check are split together
+    static SECRET_LENGTH = 32 + 4;
+    static SHARE_LENGTH = 1 + 4 + 1 + 1 + 1 + 36 + 4;
+    
+    static MIN_SHARES = 2;
+    static MAX_SHARES = 255;
+    
+    static KEY_CHECK_CONTEXT = 'EncryptDemo key share check';
+    
+    // GF(256) log and exponent tables for the AES polynomial x^8 + x^4 + x^3 + x + 1,
+    // generator 3; built on first use
+    static EXP = null;
+    static LOG = null;
+    
+    /**
+     * Split a raw 256-bit key into count share texts, any threshold of which rebuild it
+     */
+    static async splitKey(rawKey, count, threshold) {
+        if (rawKey.length !== this.KEY_LENGTH) {
+            throw new CryptoError('Only 256-bit keys can be split', 'INVALID_KEY', { reason: 'splitLength' });
+        }
+        
+        const setId = globalThis.crypto.getRandomValues(new Uint8Array(this.SET_ID_LENGTH));
+        const secret = new Uint8Array(this.SECRET_LENGTH);
+        secret.set(rawKey, 0);
+        secret.set(await this.keyCheck(rawKey), this.KEY_LENGTH);
+        const shares = [];
+        try {
+            for (const point of this.split(secret, count, threshold)) {
+                shares.push(await this.encodeShare({ setId, threshold, count, index: point.x, data: point.y }));
+            }
+        } finally {
+            secret.fill(0);
+        }
+        return shares;
+    }
+    
+    /**
+     * Rebuild a raw key from share texts
+     * Rejects damaged shares, shares of different splits, conflicting copies of a share, too few
+     * shares, and shares that rebuild a key other than the one that was split
+     */
+    static async recoverKey(texts) {
+        const shares = [];
+        for (const [position, text] of texts.entries()) {
+            shares.push(await this.decodeShare(text, position + 1));
+        }
+        if (shares.length === 0) {
+            throw new CryptoError('Enter the key shares, one per line', 'NOT_ENOUGH_SHARES', { reason: 'none' });
+        }
+        
+        const [first] = shares;
+        const byIndex = new Map();
+        for (const share of shares) {
+            if (!this.equalBytes(share.setId, first.setId) || share.threshold !== first.threshold ||
+                share.count !== first.count) {
+                throw new CryptoError('These shares come from different splits', 'SHARE_MISMATCH');
+            }
+            const copy = byIndex.get(share.index);
+            if (copy && !this.equalBytes(copy.data, share.data)) {
+                throw new CryptoError(
+                    `There are two different versions of share ${share.index}`,
+                    'SHARE_MISMATCH',
+                    { reason: 'conflict', params: { index: share.index } }
+                );
+            }
+            byIndex.set(share.index, share);
+        }
+        if (byIndex.size < first.threshold) {
+            throw new CryptoError(
+                `${first.threshold} different shares are needed to rebuild this key, ${byIndex.size} given`,
+                'NOT_ENOUGH_SHARES',
+                { params: { threshold: first.threshold, given: byIndex.size } }
+            );
+        }
+        
+        const secret = this.combine([...byIndex.values()].map((share) => ({ x: share.index, y: share.data })));
+        const rawKey = secret.slice(0, this.KEY_LENGTH);
+        const keyCheck = secret.subarray(this.KEY_LENGTH);
+        const valid = this.equalBytes(await this.keyCheck(rawKey), keyCheck);
+        secret.fill(0);
+        if (!valid) {
+            rawKey.fill(0);
+            throw new CryptoError(
+                'The shares do not rebuild the key that was split - one of them has been altered',
+                'INVALID_SHARE',
+                { reason: 'altered' }
+            );
+        }
+        return { rawKey: rawKey, threshold: first.threshold, count: first.count };
+    }
+    
+    /**
+     * Shamir split of secret bytes into count points { x, y } on random polynomials of degree
+     * threshold - 1, one polynomial per byte
+     */
+    static split(secret, count, threshold) {
+        this.checkCounts(count, threshold);
+        
+        const coefficients = globalThis.crypto.getRandomValues(new Uint8Array(secret.length * (threshold - 1)));
+        const points = [];
+        for (let x = 1; x <= count; x++) {
+            const y = new Uint8Array(secret.length);
+            for (let byte = 0; byte < secret.length; byte++) {
+                // Horner's rule from the highest coefficient down to the secret byte
+                let value = 0;
+                for (let degree = threshold - 1; degree >= 1; degree--) {
+                    value = this.multiply(value, x) ^ coefficients[byte * (threshold - 1) + degree - 1];
+                }
+                y[byte] = this.multiply(value, x) ^ secret[byte];
+            }
+            points.push({ x, y });
+        }
+        coefficients.fill(0);
+        return points;
+    }
+    
+    /**
+     * Reject share counts and thresholds that cannot be split into
+     */
+    static checkCounts(count, threshold) {
+        if (!Number.isInteger(count) || !Number.isInteger(threshold) ||
+            threshold < this.MIN_SHARES || count < threshold || count > this.MAX_SHARES) {
+            throw new CryptoError(
+                `Choose ${this.MIN_SHARES} to ${this.MAX_SHARES} shares, and a threshold from ${this.MIN_SHARES} up to the number of shares`,
+                'INVALID_SHARE_COUNT',
+                { params: { min: this.MIN_SHARES, max: this.MAX_SHARES } }
+            );
+        }
+    }
+    
+    /**
+     * Lagrange interpolation at x = 0 of points { x, y } with distinct non-zero x
+     */
+    static combine(points) {
+        const secret = new Uint8Array(points[0].y.length);
+        for (const [i, point] of points.entries()) {
+            // Basis polynomial i at 0: the product of x_j / (x_j - x_i); subtraction is XOR here
+            let basis = 1;
+            for (const [j, other] of points.entries()) {
+                if (i !== j) {
+                    basis = this.multiply(basis, this.divide(other.x, other.x ^ point.x));
+                }
+            }
+            for (let byte = 0; byte < secret.length; byte++) {
+                secret[byte] ^= this.multiply(point.y[byte], basis);
+            }
+        }
+        return secret;
+    }
+    
+    /**
+     * Share text from its fields
+     */
+    static async encodeShare({ setId, threshold, count, index, data }) {
+        const bytes = new Uint8Array(this.SHARE_LENGTH);
+        bytes.set([this.VERSION, ...setId, threshold, count, index, ...data]);
+        bytes.set(await this.checksum(bytes.subarray(0, this.SHARE_LENGTH - this.CHECKSUM_LENGTH)), this.SHARE_LENGTH - this.CHECKSUM_LENGTH);
+        
+        const body = OutputFormatter.encodeBase32(bytes).replace(/=+$/, '');
+        const groups = [];
+        for (let i = 0; i < body.length; i += this.GROUP_LENGTH) {
+            groups.push(body.slice(i, i + this.GROUP_LENGTH));
+        }
+        return this.PREFIX + groups.join('-');
+    }
+    
+    /**
+     * Share fields from share text; position numbers the share in error messages
+     * Case, spaces and dashes do not matter, so shares can be read out and typed back
+     */
+    static async decodeShare(text, position) {
+        const compact = text.replace(/[\s-]+/g, '').toUpperCase();
+        const prefix = this.PREFIX.replace(/-/g, '');
+        if (!compact.startsWith(prefix)) {
+            throw new CryptoError(
+                `Share ${position} is not an EncryptDemo key share`,
+                'INVALID_SHARE',
+                { reason: 'notShare', params: { position } }
+            );
+        }
+        
+        let bytes;
+        try {
+            bytes = OutputFormatter.decodeBase32(compact.slice(prefix.length));
+        } catch (error) {
+            bytes = null;
+        }
+        const checksumStart = this.SHARE_LENGTH - this.CHECKSUM_LENGTH;
+        if (!bytes || bytes.length !== this.SHARE_LENGTH ||
+            !this.equalBytes(await this.checksum(bytes.subarray(0, checksumStart)), bytes.subarray(checksumStart))) {
+            throw new CryptoError(
+                `Share ${position} is damaged or mistyped`,
+                'INVALID_SHARE',
+                { params: { position } }
+            );
+        }
+        if (bytes[0] !== this.VERSION) {
+            throw new CryptoError(
+                `Share ${position} has unsupported version ${bytes[0]}`,
+                'UNSUPPORTED_VERSION',
+                { reason: 'share', params: { position, version: bytes[0] } }
+            );
+        }
+        
+        let offset = 1;
+        const read = (length) => bytes.slice(offset, offset += length);
+        const share = {
+            setId: read(this.SET_ID_LENGTH),
+            threshold: read(1)[0],
+            count: read(1)[0],
+            index: read(1)[0],
+            data: read(this.SECRET_LENGTH)
+        };
+        if (share.threshold < this.MIN_SHARES || share.count < share.threshold || share.index < 1 || share.index > share.count) {
+            throw new CryptoError(
+                `Share ${position} is damaged or mistyped`,
+                'INVALID_SHARE',
+                { params: { position } }
+            );
+        }
+        return share;
+    }
+    
+    static async checksum(bytes) {
+        return (await CryptographicEngine.sha256(bytes)).slice(0, this.CHECKSUM_LENGTH);
+    }
+    
+    static async keyCheck(rawKey) {
+        const context = new TextEncoder().encode(this.KEY_CHECK_CONTEXT);
+        const data = new Uint8Array(context.length + rawKey.length);
+        data.set(context, 0);
+        data.set(rawKey, context.length);
+        const digest = await CryptographicEngine.sha256(data);
+        data.fill(0);
+        return digest.slice(0, this.KEY_CHECK_LENGTH);
+    }
+    
+    static equalBytes(a, b) {
+        return a.length === b.length && a.every((value, i) => value === b[i]);
+    }
+    
+    /**
+     * Multiplication in GF(256) through the log tables
+     */
+    static multiply(a, b) {
+        if (a === 0 || b === 0) {
+            return 0;
+        }
+        this.buildTables();
+        return this.EXP[this.LOG[a] + this.LOG[b]];
+    }
+    
+    static divide(a, b) {
+        if (a === 0) {
+            return 0;
+        }
+        this.buildTables();
+        return this.EXP[this.LOG[a] + 255 - this.LOG[b]];
+    }
+    
+    static buildTables() {
+        if (this.EXP) {
+            return;
+        }
+        
+        // The exponent table is doubled so sums of two logs need no reduction
+        const exp = new Uint8Array(510);
+        const log = new Uint8Array(256);
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            exp[i] = value;
+            exp[i + 255] = value;
+            log[value] = i;
+            // Multiply by the generator 3: value * 2 XOR value, reduced by the AES polynomial
+            value ^= (value << 1) ^ ((value & 0x80) ? 0x11B : 0);
+        }
+        this.EXP = exp;
+        this.LOG = log;
+    }
+}
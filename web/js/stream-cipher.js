@@ -0,0 +1,112 @@
+import { CryptoError } from './crypto-error.js';
+import { CryptographicEngine } from './cryptographic-engine.js';
+
+/**
+ * Stream Cipher Class
+ * Chunked AES-256-GCM for files too large to encrypt in one call
+ * Each chunk is sealed separately under nonce = prefix (7) || counter (4) || final flag (1),
+ * so reordered, duplicated or dropped chunks fail authentication, and a file cut at a
+ * chunk boundary fails because its new last chunk was not sealed as final
+ * Per CryptoDecision.md file encryption section
+ */
+export class StreamCipher {
+    static CHUNK_SIZE = 1024 * 1024;
+    static MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+    static NONCE_PREFIX_LENGTH = 7;
+    
+    /**
+     * Generate the random per-file nonce prefix
+     */
+    static generateNoncePrefix() {
+        return globalThis.crypto.getRandomValues(new Uint8Array(this.NONCE_PREFIX_LENGTH));
+    }
+    
+    /**
+     * Build the 96-bit nonce for one chunk
+     */
+    static chunkNonce(noncePrefix, index, isFinal) {
+        const nonce = new Uint8Array(CryptographicEngine.IV_LENGTH);
+        nonce.set(noncePrefix, 0);
+        new DataView(nonce.buffer).setUint32(this.NONCE_PREFIX_LENGTH, index);
+        nonce[CryptographicEngine.IV_LENGTH - 1] = isFinal ? 1 : 0;
+        return nonce;
+    }
+    
+    /**
+     * Read a byte range from a File or Blob
+     */
+    static async readSlice(blob, start, end) {
+        return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+    }
+    
+    /**
+     * Encrypt a File or Blob chunk by chunk
+     * The header is authenticated with every chunk; progress is reported as a 0-1 fraction
+     * Returns a Blob of header || sealed chunks
+     */
+    static async encryptFile(file, key, header, noncePrefix, chunkSize, onProgress = () => {}) {
+        const parts = [header];
+        let index = 0;
+        let offset = 0;
+        
+        // An empty file still gets one sealed final chunk, so truncation to the header is detectable
+        do {
+            const end = Math.min(offset + chunkSize, file.size);
+            const isFinal = end >= file.size;
+            const sealed = await globalThis.crypto.subtle.encrypt(
+                CryptographicEngine.gcmParams(this.chunkNonce(noncePrefix, index, isFinal), header),
+                key,
+                await this.readSlice(file, offset, end)
+            );
+            parts.push(new Uint8Array(sealed));
+            
+            offset = end;
+            index++;
+            onProgress(file.size === 0 ? 1 : offset / file.size);
+        } while (offset < file.size);
+        
+        return new Blob(parts, { type: 'application/octet-stream' });
+    }
+    
+    /**
+     * Decrypt a File or Blob produced by encryptFile
+     * Nothing is returned until every chunk, including the final one, has been verified
+     */
+    static async decryptFile(file, key, envelope, onProgress = () => {}) {
+        const sealedChunkSize = envelope.chunkSize + CryptographicEngine.TAG_LENGTH;
+        const bodySize = file.size - envelope.headerLength;
+        const parts = [];
+        let index = 0;
+        let offset = envelope.headerLength;
+        
+        if (bodySize < CryptographicEngine.TAG_LENGTH) {
+            throw new CryptoError('Encrypted file is truncated', 'MALFORMED_INPUT', { reason: 'fileTruncated' });
+        }
+        
+        while (offset < file.size) {
+            const end = Math.min(offset + sealedChunkSize, file.size);
+            const isFinal = end >= file.size;
+            let plain;
+            try {
+                plain = await globalThis.crypto.subtle.decrypt(
+                    CryptographicEngine.gcmParams(this.chunkNonce(envelope.iv, index, isFinal), envelope.additionalData),
+                    key,
+                    await this.readSlice(file, offset, end)
+                );
+            } catch (error) {
+                throw new CryptoError(
+                    'Decryption failed: the file is truncated, has been tampered with, or the key is wrong',
+                    'AUTH_FAILED',
+                    { reason: 'file' }
+                );
+            }
+            parts.push(new Uint8Array(plain));
+            
+            offset = end;
+            index++;
+            onProgress((offset - envelope.headerLength) / bodySize);
+        }
+        
+        return new Blob(parts, { type: 'application/octet-stream' });
+    }
+}
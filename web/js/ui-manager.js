@@ -0,0 +1,1932 @@
+import { AppState } from './app-state.js';
+import { InputValidator } from './input-validator.js';
+import { FileManager } from './file-manager.js';
+import { BatchFormat } from './batch-format.js';
+import { OutputFormatter } from './output-formatter.js';
+import { QrCode } from './qr-code.js';
+import { KeyManager } from './key-manager.js';
+import { SignatureEngine } from './signature-engine.js';
+import { HistoryManager } from './history-manager.js';
+import { AuditLog } from './audit-log.js';
+import { FeatureConfig } from './feature-config.js';
+import { ClipboardManager } from './clipboard-manager.js';
+import { MemoryManager } from './memory-manager.js';
+import { CryptoWorkerClient } from './crypto-worker-client.js';
+import { EncryptionController } from './encryption-controller.js';
+import { I18n } from './i18n.js';
+
+/**
+ * UI Manager Class
+ * Implements Functions: DisplayEncryptedResult, HandleEncryptionError (EncryptionFunctions.fun lines 46, 55)
+ * Follows Requirements: REQ_FUNC_003, REQ_FUNC_004, REQ_USAB_001 (EncryptionRequirements.req)
+ */
+export class UIManager {
+    static elements = {};
+    static storedKeys = new Map();
+    
+    // Message keys of the job labels, by job type
+    static JOB_LABELS = {
+        encryptText: 'job.encryptText',
+        encryptBatch: 'job.encryptBatch',
+        decryptText: 'job.decryptText',
+        encryptFile: 'job.encryptFile',
+        decryptFile: 'job.decryptFile',
+        splitKey: 'job.splitKey'
+    };
+    
+    // Row errors listed under a batch result; the download has every error
+    static MAX_BATCH_ERRORS_SHOWN = 10;
+    
+    // Audit entries listed in the panel; the export has every entry
+    static AUDIT_VIEW_LIMIT = 100;
+    
+    // Keyboard shortcuts, in the order the help dialog lists them; keys are message keys or
+    // key caps. Letters are matched by e.code so they work on any keyboard layout, and Alt+Shift
+    // keeps them clear of the browser's and screen readers' own shortcuts
+    static SHORTCUTS = [
+        // Ctrl+Enter predates the other shortcuts and works with c_Accessibility_KeyboardNavigation off
+        { action: 'run', keys: ['key.ctrl', 'key.enter'], ctrl: true, key: 'Enter', always: true },
+        { action: 'encryptMode', keys: ['key.alt', 'key.shift', 'E'], alt: true, shift: true, code: 'KeyE' },
+        { action: 'decryptMode', keys: ['key.alt', 'key.shift', 'D'], alt: true, shift: true, code: 'KeyD' },
+        { action: 'focusInput', keys: ['key.alt', 'key.shift', 'I'], alt: true, shift: true, code: 'KeyI' },
+        { action: 'focusKey', keys: ['key.alt', 'key.shift', 'K'], alt: true, shift: true, code: 'KeyK' },
+        { action: 'focusOutput', keys: ['key.alt', 'key.shift', 'O'], alt: true, shift: true, code: 'KeyO' },
+        { action: 'copy', keys: ['key.alt', 'key.shift', 'C'], alt: true, shift: true, code: 'KeyC' },
+        { action: 'clear', keys: ['key.alt', 'key.shift', 'L'], alt: true, shift: true, code: 'KeyL' },
+        { action: 'cancel', keys: ['key.escape'], key: 'Escape' },
+        { action: 'help', keys: ['?'], key: '?' }
+    ];
+    
+    // Delay between emptying a live region and filling it, so a repeated message is read again
+    static ANNOUNCE_DELAY = 100;
+    
+    static announcing = false;
+    static announceTimer = null;
+    static announcedJobId = null;
+    static shortcutReturnFocus = null;
+    
+    /**
+     * Initialize UI elements and event handlers
+     * Implements Function: InitializeUserInterface (EncryptionFunctions.fun line 82)
+     * Enables Features: InputForm, Styling (EncryptionWebApp.fml lines 59, 73)
+     */
+    static initialize() {
+        // Cache DOM elements
+        this.elements = {
+            inputText: document.getElementById('inputText'),
+            outputText: document.getElementById('outputText'),
+            encryptBtn: document.getElementById('encryptBtn'),
+            modeEncryptBtn: document.getElementById('modeEncryptBtn'),
+            modeDecryptBtn: document.getElementById('modeDecryptBtn'),
+            inputLabel: document.getElementById('inputLabel'),
+            outputLabel: document.getElementById('outputLabel'),
+            keyText: document.getElementById('keyText'),
+            keyHint: document.getElementById('keyHint'),
+            keySection: document.getElementById('keySection'),
+            keySourceRandom: document.getElementById('keySourceRandom'),
+            keySourcePassphrase: document.getElementById('keySourcePassphrase'),
+            keySourceStored: document.getElementById('keySourceStored'),
+            keySourceRecipients: document.getElementById('keySourceRecipients'),
+            keySourceShares: document.getElementById('keySourceShares'),
+            keySourceSharesOption: document.getElementById('keySourceSharesOption'),
+            sharedKeySection: document.getElementById('sharedKeySection'),
+            sharedKeyHint: document.getElementById('sharedKeyHint'),
+            sharingPanel: document.getElementById('sharingPanel'),
+            shareSource: document.getElementById('shareSource'),
+            shareCount: document.getElementById('shareCount'),
+            shareThreshold: document.getElementById('shareThreshold'),
+            splitKeyBtn: document.getElementById('splitKeyBtn'),
+            shareList: document.getElementById('shareList'),
+            shareQrSection: document.getElementById('shareQrSection'),
+            shareQrCanvas: document.getElementById('shareQrCanvas'),
+            shareQrLabel: document.getElementById('shareQrLabel'),
+            shareInput: document.getElementById('shareInput'),
+            recoverKeyBtn: document.getElementById('recoverKeyBtn'),
+            storedKeySection: document.getElementById('storedKeySection'),
+            recipientSection: document.getElementById('recipientSection'),
+            recipientSelect: document.getElementById('recipientSelect'),
+            recipientEncryptHint: document.getElementById('recipientEncryptHint'),
+            recipientDecryptHint: document.getElementById('recipientDecryptHint'),
+            keyManagementPanel: document.getElementById('keyManagementPanel'),
+            manageKeySelect: document.getElementById('manageKeySelect'),
+            manageKeyInfo: document.getElementById('manageKeyInfo'),
+            keyPairAlgorithm: document.getElementById('keyPairAlgorithm'),
+            generateKeyPairBtn: document.getElementById('generateKeyPairBtn'),
+            signingSection: document.getElementById('signingSection'),
+            signOutput: document.getElementById('signOutput'),
+            signingKeySelect: document.getElementById('signingKeySelect'),
+            signedContent: document.getElementById('signedContent'),
+            signingHint: document.getElementById('signingHint'),
+            signatureBadge: document.getElementById('signatureBadge'),
+            contactList: document.getElementById('contactList'),
+            contactEmpty: document.getElementById('contactEmpty'),
+            keySelect: document.getElementById('keySelect'),
+            unlockSection: document.getElementById('unlockSection'),
+            masterPassphraseUnlock: document.getElementById('masterPassphraseUnlock'),
+            unlockKeyBtn: document.getElementById('unlockKeyBtn'),
+            newKeyName: document.getElementById('newKeyName'),
+            newKeyMasterPassphrase: document.getElementById('newKeyMasterPassphrase'),
+            generateKeyBtn: document.getElementById('generateKeyBtn'),
+            importKeyText: document.getElementById('importKeyText'),
+            importKeyBtn: document.getElementById('importKeyBtn'),
+            importContactBtn: document.getElementById('importContactBtn'),
+            exportKeyFormat: document.getElementById('exportKeyFormat'),
+            exportKeyBtn: document.getElementById('exportKeyBtn'),
+            exportKeyOutput: document.getElementById('exportKeyOutput'),
+            deleteKeyBtn: document.getElementById('deleteKeyBtn'),
+            passphraseSection: document.getElementById('passphraseSection'),
+            passphraseInput: document.getElementById('passphraseInput'),
+            passphraseConfirm: document.getElementById('passphraseConfirm'),
+            passphraseConfirmSection: document.getElementById('passphraseConfirmSection'),
+            strengthMeter: document.getElementById('strengthMeter'),
+            strengthBar: document.getElementById('strengthBar'),
+            strengthLabel: document.getElementById('strengthLabel'),
+            clearBtn: document.getElementById('clearBtn'),
+            copyBtn: document.getElementById('copyBtn'),
+            outputFormat: document.getElementById('outputFormat'),
+            exportSection: document.getElementById('exportSection'),
+            exportTxtBtn: document.getElementById('exportTxtBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
+            exportQrBtn: document.getElementById('exportQrBtn'),
+            qrSection: document.getElementById('qrSection'),
+            qrCanvas: document.getElementById('qrCanvas'),
+            charCount: document.getElementById('charCount'),
+            normalizeOption: document.getElementById('normalizeOption'),
+            normalizeInput: document.getElementById('normalizeInput'),
+            validationStatus: document.getElementById('validationStatus'),
+            statusArea: document.getElementById('statusArea'),
+            errorMessage: document.getElementById('errorMessage'),
+            errorText: document.getElementById('errorText'),
+            successMessage: document.getElementById('successMessage'),
+            successText: document.getElementById('successText'),
+            copyStatus: document.getElementById('copyStatus'),
+            clipboardClearSettings: document.getElementById('clipboardClearSettings'),
+            clipboardClearDelay: document.getElementById('clipboardClearDelay'),
+            copyDownloadBtn: document.getElementById('copyDownloadBtn'),
+            processingIndicator: document.getElementById('processingIndicator'),
+            processingText: document.getElementById('processingText'),
+            progressBar: document.getElementById('progressBar'),
+            progressFill: document.getElementById('progressFill'),
+            cancelBtn: document.getElementById('cancelBtn'),
+            fileDropZone: document.getElementById('fileDropZone'),
+            fileInput: document.getElementById('fileInput'),
+            fileInfo: document.getElementById('fileInfo'),
+            fileActionBtn: document.getElementById('fileActionBtn'),
+            batchPanel: document.getElementById('batchPanel'),
+            batchInput: document.getElementById('batchInput'),
+            batchFileInput: document.getElementById('batchFileInput'),
+            batchFileInfo: document.getElementById('batchFileInfo'),
+            batchFormat: document.getElementById('batchFormat'),
+            batchColumns: document.getElementById('batchColumns'),
+            batchRunBtn: document.getElementById('batchRunBtn'),
+            batchResultSection: document.getElementById('batchResultSection'),
+            batchSummary: document.getElementById('batchSummary'),
+            batchErrors: document.getElementById('batchErrors'),
+            batchDownloadCsvBtn: document.getElementById('batchDownloadCsvBtn'),
+            batchDownloadJsonBtn: document.getElementById('batchDownloadJsonBtn'),
+            historyPanel: document.getElementById('historyPanel'),
+            historyLockedSection: document.getElementById('historyLockedSection'),
+            historyPassphrase: document.getElementById('historyPassphrase'),
+            historyUnlockBtn: document.getElementById('historyUnlockBtn'),
+            historyUnlockedSection: document.getElementById('historyUnlockedSection'),
+            historyLabel: document.getElementById('historyLabel'),
+            historySearch: document.getElementById('historySearch'),
+            historyLockBtn: document.getElementById('historyLockBtn'),
+            historyList: document.getElementById('historyList'),
+            historyEmpty: document.getElementById('historyEmpty'),
+            historyExpiry: document.getElementById('historyExpiry'),
+            historyPanicBtn: document.getElementById('historyPanicBtn'),
+            auditPanel: document.getElementById('auditPanel'),
+            auditToggleBtn: document.getElementById('auditToggleBtn'),
+            auditVerifyBtn: document.getElementById('auditVerifyBtn'),
+            auditExportBtn: document.getElementById('auditExportBtn'),
+            auditClearBtn: document.getElementById('auditClearBtn'),
+            auditStatus: document.getElementById('auditStatus'),
+            auditList: document.getElementById('auditList'),
+            auditEmpty: document.getElementById('auditEmpty'),
+            localeSelect: document.getElementById('localeSelect'),
+            liveStatus: document.getElementById('liveStatus'),
+            liveAlert: document.getElementById('liveAlert'),
+            shortcutHelp: document.getElementById('shortcutHelp'),
+            shortcutHelpBtn: document.getElementById('shortcutHelpBtn'),
+            shortcutList: document.getElementById('shortcutList'),
+            shortcutCloseBtn: document.getElementById('shortcutCloseBtn')
+        };
+        
+        // Set up event handlers
+        this.setupEventHandlers();
+        this.applyFeatureConfig();
+        CryptoWorkerClient.onStatusChange = (status) => this.showJobStatus(status);
+        
+        // Initial UI state
+        this.setupLocaleSwitcher();
+        this.setMode(AppState.mode);
+        this.refreshKeyList();
+        this.updateSigningAlgorithms();
+        this.refreshHistory();
+        this.refreshAudit();
+    }
+    
+    /**
+     * Switch between encrypt and decrypt mode
+     * In decrypt mode the input holds Base64 ciphertext and the key field is editable
+     */
+    static setMode(mode) {
+        AppState.mode = mode;
+        const decrypting = mode === 'decrypt';
+        const activeClass = 'px-4 py-2 font-medium transition-colors bg-blue-600 text-white';
+        const inactiveClass = 'px-4 py-2 font-medium transition-colors bg-white text-gray-700 hover:bg-gray-100';
+        
+        this.elements.modeEncryptBtn.className = decrypting ? inactiveClass : activeClass;
+        this.elements.modeDecryptBtn.className = decrypting ? activeClass : inactiveClass;
+        this.elements.modeEncryptBtn.setAttribute('aria-pressed', String(!decrypting));
+        this.elements.modeDecryptBtn.setAttribute('aria-pressed', String(decrypting));
+        
+        this.updateModeText();
+        
+        // Ciphertext is longer than its plaintext, so the 10,000 character cap only applies to encryption
+        if (decrypting) {
+            this.elements.inputText.removeAttribute('maxlength');
+        } else {
+            this.elements.inputText.setAttribute('maxlength', '10000');
+        }
+        
+        this.elements.normalizeOption.classList.toggle('hidden', decrypting);
+        // Signing happens on encrypt; on decrypt the signer badge takes its place
+        this.elements.signingSection.classList.toggle('hidden', decrypting);
+        // Batches and exports are encrypt-only
+        this.elements.batchPanel.classList.toggle('hidden', decrypting || !this.batchEnabled());
+        this.elements.exportSection.classList.toggle('hidden', decrypting || !this.exportEnabled());
+        this.elements.keyText.readOnly = !decrypting;
+        
+        this.elements.inputText.value = '';
+        this.elements.outputText.value = '';
+        this.elements.keyText.value = '';
+        this.elements.copyBtn.disabled = true;
+        this.showSignatureBadge(null);
+        this.clearExport();
+        this.selectFile(null);
+        this.clearBatch();
+        this.setKeySource(AppState.keySource);
+        this.updateCharacterCount();
+        this.clearMessages();
+    }
+    
+    /**
+     * Label the inputs, outputs and action buttons for the current mode
+     */
+    static updateModeText() {
+        const mode = AppState.mode === 'decrypt' ? 'decrypt' : 'encrypt';
+        this.elements.inputLabel.textContent = I18n.t(`input.label.${mode}`);
+        this.elements.outputLabel.textContent = I18n.t(`output.label.${mode}`);
+        this.elements.encryptBtn.textContent = I18n.t(`action.${mode}`);
+        this.elements.fileActionBtn.textContent = I18n.t(`file.${mode}`);
+        this.elements.inputText.placeholder = I18n.t(`input.placeholder.${mode}`);
+        this.elements.outputText.placeholder = I18n.t(`output.placeholder.${mode}`);
+        this.elements.keyText.placeholder = I18n.t(`key.placeholder.${mode}`);
+        this.elements.keyHint.textContent = I18n.t(`key.hint.${mode}`);
+    }
+    
+    /**
+     * Switch between a random per-operation key, a passphrase-derived key, a saved key,
+     * public-key recipients and the key from shares
+     * Confirmation and strength meter are only shown when encrypting
+     */
+    static setKeySource(keySource) {
+        AppState.keySource = keySource;
+        const usePassphrase = keySource === 'passphrase';
+        const useStored = keySource === 'stored';
+        const useRecipients = keySource === 'recipients';
+        const encrypting = AppState.mode === 'encrypt';
+        
+        this.elements.keySourceRandom.checked = keySource === 'random';
+        this.elements.keySourcePassphrase.checked = usePassphrase;
+        this.elements.keySourceStored.checked = useStored;
+        this.elements.keySourceRecipients.checked = useRecipients;
+        this.elements.keySourceShares.checked = keySource === 'shares';
+        this.elements.keySection.classList.toggle('hidden', keySource !== 'random');
+        this.elements.sharedKeySection.classList.toggle('hidden', keySource !== 'shares');
+        this.elements.passphraseSection.classList.toggle('hidden', !usePassphrase);
+        this.elements.storedKeySection.classList.toggle('hidden', !useStored);
+        this.elements.recipientSection.classList.toggle('hidden', !useRecipients);
+        this.elements.recipientSelect.classList.toggle('hidden', !encrypting);
+        this.elements.recipientEncryptHint.classList.toggle('hidden', !encrypting);
+        this.elements.recipientDecryptHint.classList.toggle('hidden', encrypting);
+        this.elements.passphraseConfirmSection.classList.toggle('hidden', !encrypting);
+        this.elements.strengthMeter.classList.toggle('hidden', !encrypting);
+        
+        this.elements.passphraseInput.value = '';
+        this.elements.passphraseConfirm.value = '';
+        this.updatePassphraseStrength();
+        this.validateInput();
+    }
+    
+    /**
+     * Reload the key dropdowns from the key store
+     * AES keys feed the saved key dropdown, encryption key pairs and public keys the recipient
+     * list, signing key pairs the signing dropdown, contacts the contact list, and every key
+     * the management dropdown.
+     * Saved key, public-key and signing options are disabled when IndexedDB is unavailable
+     */
+    static async refreshKeyList(selectedId) {
+        const previous = selectedId || this.elements.keySelect.value;
+        const previousManaged = selectedId || this.elements.manageKeySelect.value;
+        const previousRecipients = new Set(Array.from(this.elements.recipientSelect.selectedOptions, (option) => option.value));
+        const previousSigning = this.elements.signingKeySelect.value;
+        let keys;
+        
+        try {
+            keys = await KeyManager.listKeys();
+        } catch (error) {
+            console.error('Key store error:', error);
+            this.elements.keySourceStored.disabled = true;
+            this.elements.keySourceRecipients.disabled = true;
+            if (AppState.keySource === 'stored' || AppState.keySource === 'recipients') {
+                this.setKeySource('random');
+            }
+            this.updateSigningState();
+            return;
+        }
+        
+        const kindLabels = {
+            [KeyManager.KINDS.SECRET]: I18n.t('keys.kind.secret'),
+            [KeyManager.KINDS.KEY_PAIR]: I18n.t('keys.kind.keyPair'),
+            [KeyManager.KINDS.PUBLIC]: I18n.t('keys.kind.public')
+        };
+        const signingKindLabels = {
+            [KeyManager.KINDS.KEY_PAIR]: I18n.t('keys.kind.signingKeyPair'),
+            [KeyManager.KINDS.PUBLIC]: I18n.t('keys.kind.contact')
+        };
+        const createOption = (key, label) => {
+            const option = document.createElement('option');
+            option.value = key.id;
+            option.textContent = label;
+            return option;
+        };
+        
+        this.storedKeys = new Map(keys.map((key) => [key.id, key]));
+        this.elements.keySelect.replaceChildren();
+        this.elements.recipientSelect.replaceChildren();
+        this.elements.signingKeySelect.replaceChildren();
+        this.elements.contactList.replaceChildren();
+        this.elements.manageKeySelect.replaceChildren();
+        
+        for (const key of keys) {
+            if (key.kind === KeyManager.KINDS.SECRET) {
+                this.elements.keySelect.appendChild(createOption(key, key.wrapped ? I18n.t('keys.option.protected', { name: key.name }) : key.name));
+            } else if (key.signing && key.kind === KeyManager.KINDS.KEY_PAIR) {
+                this.elements.signingKeySelect.appendChild(createOption(key, I18n.t('keys.option.signing', { name: key.name, algorithm: key.algorithm })));
+            } else if (key.signing) {
+                const item = document.createElement('li');
+                item.textContent = I18n.t('keys.contact', { name: key.name, algorithm: key.algorithm, fingerprint: key.fingerprint });
+                this.elements.contactList.appendChild(item);
+            } else {
+                const option = createOption(key, I18n.t('keys.option.recipient', { name: key.name, algorithm: key.algorithm, kind: kindLabels[key.kind] }));
+                option.selected = previousRecipients.has(key.id);
+                this.elements.recipientSelect.appendChild(option);
+            }
+            const kindLabel = key.signing ? signingKindLabels[key.kind] : kindLabels[key.kind];
+            this.elements.manageKeySelect.appendChild(createOption(key, I18n.t('keys.option.managed', { name: key.name, kind: kindLabel })));
+        }
+        
+        if (this.storedKeys.get(previous)?.kind === KeyManager.KINDS.SECRET) {
+            this.elements.keySelect.value = previous;
+        }
+        if (this.storedKeys.has(previousSigning)) {
+            this.elements.signingKeySelect.value = previousSigning;
+        }
+        this.elements.contactEmpty.classList.toggle('hidden', this.elements.contactList.children.length > 0);
+        if (this.storedKeys.has(previousManaged)) {
+            this.elements.manageKeySelect.value = previousManaged;
+        }
+        
+        const hasKeys = keys.length > 0;
+        this.elements.exportKeyBtn.disabled = !hasKeys;
+        this.elements.deleteKeyBtn.disabled = !hasKeys;
+        this.updateKeyLockState();
+        this.updateManagedKeyInfo();
+        this.updateSigningState();
+    }
+    
+    /**
+     * Enable the signing controls when there is a signing key pair to sign with
+     */
+    static updateSigningState() {
+        const hasSigningKeys = this.elements.signingKeySelect.options.length > 0;
+        if (!hasSigningKeys) {
+            this.elements.signOutput.checked = false;
+        }
+        
+        const signing = this.elements.signOutput.checked;
+        this.elements.signOutput.disabled = !hasSigningKeys;
+        this.elements.signingKeySelect.disabled = !signing;
+        this.elements.signedContent.disabled = !signing;
+        this.elements.signingHint.textContent = !hasSigningKeys
+            ? I18n.t('signing.hint.noKeys')
+            : this.elements.signedContent.value === 'plaintext'
+                ? I18n.t('signing.hint.plaintext')
+                : I18n.t('signing.hint.envelope');
+    }
+    
+    /**
+     * Mark signing algorithms this browser's Web Crypto lacks (Ed25519 on older browsers)
+     */
+    static async updateSigningAlgorithms() {
+        const supported = await SignatureEngine.supportedAlgorithms();
+        for (const option of this.elements.keyPairAlgorithm.options) {
+            if (SignatureEngine.isSigningAlgorithm(option.value) && !supported.includes(option.value)) {
+                option.disabled = true;
+                option.textContent = I18n.t('keys.algorithm.unsupported', { algorithm: option.value });
+            }
+        }
+    }
+    
+    /**
+     * Show algorithm and fingerprint of the key selected in the management panel
+     * Fingerprints let users compare public keys out of band
+     */
+    static updateManagedKeyInfo() {
+        const selected = this.storedKeys.get(this.elements.manageKeySelect.value);
+        this.elements.manageKeyInfo.textContent = !selected
+            ? ''
+            : selected.fingerprint
+                ? I18n.t('keys.info', { algorithm: selected.algorithm, fingerprint: selected.fingerprint })
+                : selected.algorithm;
+        this.elements.exportKeyOutput.value = '';
+    }
+    
+    /**
+     * Show the unlock field when the selected saved key is locked
+     */
+    static updateKeyLockState() {
+        const selected = this.storedKeys.get(this.elements.keySelect.value);
+        this.elements.unlockSection.classList.toggle('hidden', !selected || !selected.locked);
+        this.elements.masterPassphraseUnlock.value = '';
+        this.validateInput();
+    }
+    
+    /**
+     * Run a key management action with the shared error handling
+     */
+    static async runKeyAction(action, successMessage) {
+        try {
+            await action();
+            this.showSuccess(successMessage);
+        } catch (error) {
+            console.error('Key management error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('keys.failed')));
+        }
+    }
+    
+    static generateStoredKey() {
+        return this.runKeyAction(async () => {
+            const key = await KeyManager.generateKey(
+                this.elements.newKeyName.value,
+                this.elements.newKeyMasterPassphrase.value
+            );
+            this.elements.newKeyName.value = '';
+            this.elements.newKeyMasterPassphrase.value = '';
+            await this.refreshKeyList(key.id);
+        }, I18n.t('keys.done.generated'));
+    }
+    
+    static importStoredKey() {
+        return this.runKeyAction(async () => {
+            const key = await KeyManager.importKey(
+                this.elements.newKeyName.value,
+                this.elements.importKeyText.value,
+                this.elements.newKeyMasterPassphrase.value
+            );
+            this.elements.newKeyName.value = '';
+            this.elements.newKeyMasterPassphrase.value = '';
+            this.elements.importKeyText.value = '';
+            await this.refreshKeyList(key.id);
+        }, I18n.t('keys.done.imported'));
+    }
+    
+    static importContact() {
+        return this.runKeyAction(async () => {
+            const key = await KeyManager.importContact(
+                this.elements.newKeyName.value,
+                this.elements.importKeyText.value
+            );
+            this.elements.newKeyName.value = '';
+            this.elements.importKeyText.value = '';
+            await this.refreshKeyList(key.id);
+        }, I18n.t('keys.done.contact'));
+    }
+    
+    static generateStoredKeyPair() {
+        return this.runKeyAction(async () => {
+            const key = await KeyManager.generateKeyPair(
+                this.elements.newKeyName.value,
+                this.elements.keyPairAlgorithm.value
+            );
+            this.elements.newKeyName.value = '';
+            await this.refreshKeyList(key.id);
+        }, I18n.t('keys.done.keyPair'));
+    }
+    
+    static exportStoredKey() {
+        const selected = this.storedKeys.get(this.elements.manageKeySelect.value);
+        const sharesPublicKey = selected && selected.kind !== KeyManager.KINDS.SECRET && this.elements.exportKeyFormat.value === 'raw';
+        
+        return this.runKeyAction(async () => {
+            this.elements.exportKeyOutput.value = await KeyManager.exportKey(
+                this.elements.manageKeySelect.value,
+                this.elements.exportKeyFormat.value
+            );
+        }, I18n.t(sharesPublicKey ? 'keys.done.exportedPublic' : 'keys.done.exported'));
+    }
+    
+    static deleteStoredKey() {
+        const selected = this.storedKeys.get(this.elements.manageKeySelect.value);
+        const consequence = I18n.t(selected && selected.signing ? 'keys.deleteConsequence.signing' : 'keys.deleteConsequence.encryption');
+        if (!selected || !window.confirm(I18n.t('keys.deleteConfirm', { name: selected.name, consequence: consequence }))) {
+            return Promise.resolve();
+        }
+        
+        return this.runKeyAction(async () => {
+            await KeyManager.deleteKey(selected.id);
+            await this.refreshKeyList();
+        }, I18n.t('keys.done.deleted'));
+    }
+    
+    static unlockStoredKey() {
+        return this.runKeyAction(async () => {
+            const id = this.elements.keySelect.value;
+            await KeyManager.unlockKey(id, this.elements.masterPassphraseUnlock.value);
+            await this.refreshKeyList(id);
+        }, I18n.t('keys.done.unlocked'));
+    }
+    
+    static sharingEnabled() {
+        return FeatureConfig.isEnabled('c_DataManagement_DataBackup');
+    }
+    
+    /**
+     * Say whether a key from shares is ready for the Key shares key source
+     * Enables Feature: DataBackup (EncryptionWebApp.fml line 255)
+     */
+    static updateSharedKeyState() {
+        const shared = AppState.sharedKey;
+        this.elements.sharedKeyHint.textContent = shared
+            ? I18n.t('sharing.hint.ready', { threshold: shared.threshold, count: shared.count })
+            : I18n.t('sharing.hint.none');
+        this.validateInput();
+    }
+    
+    /**
+     * List the shares of a split key, each with copy and QR code buttons
+     * Shares are only shown, never stored; each one should go to a different holder
+     */
+    static displayShares(shares) {
+        const items = shares.map((share, index) => {
+            const name = I18n.t('sharing.shareName', { index: index + 1, count: shares.length });
+            const item = document.createElement('li');
+            item.className = 'p-3 border border-gray-200 rounded-lg';
+            
+            const label = document.createElement('p');
+            label.className = 'text-sm font-medium text-gray-800';
+            label.textContent = name;
+            
+            const text = document.createElement('p');
+            text.className = 'text-xs text-gray-700 font-mono break-all';
+            text.textContent = share;
+            
+            const actions = document.createElement('div');
+            actions.className = 'mt-2 flex gap-2';
+            const copyButton = document.createElement('button');
+            copyButton.type = 'button';
+            copyButton.className = 'bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm';
+            copyButton.textContent = I18n.t('action.copy');
+            copyButton.setAttribute('aria-label', I18n.t('sharing.copyLabel', { name: name }));
+            copyButton.addEventListener('click', () => ClipboardManager.copyText(share, 'share'));
+            const qrButton = document.createElement('button');
+            qrButton.type = 'button';
+            qrButton.className = 'bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded-lg text-sm';
+            qrButton.textContent = I18n.t('sharing.qr');
+            qrButton.setAttribute('aria-label', I18n.t('sharing.qrLabel', { name: name }));
+            qrButton.addEventListener('click', () => this.showShareQrCode(share, name));
+            actions.appendChild(copyButton);
+            actions.appendChild(qrButton);
+            
+            item.appendChild(label);
+            item.appendChild(text);
+            item.appendChild(actions);
+            return item;
+        });
+        
+        this.hideShareQrCode();
+        this.elements.shareList.replaceChildren(...items);
+        this.updateSharedKeyState();
+        this.showSuccess(I18n.t('sharing.done', { count: shares.length, threshold: AppState.sharedKey.threshold }));
+    }
+    
+    /**
+     * Draw one share as a QR code, drawn in the page like the output's
+     */
+    static showShareQrCode(share, name) {
+        try {
+            QrCode.render(this.elements.shareQrCanvas, QrCode.encode(new TextEncoder().encode(share)));
+            this.elements.shareQrLabel.textContent = name;
+            this.elements.shareQrCanvas.setAttribute('aria-label', I18n.t('sharing.qrCanvas', { name: name }));
+            this.elements.shareQrSection.classList.remove('hidden');
+        } catch (error) {
+            this.hideShareQrCode();
+            console.error('QR code error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('qr.failed')));
+        }
+    }
+    
+    static hideShareQrCode() {
+        this.elements.shareQrSection.classList.add('hidden');
+        this.elements.shareQrLabel.textContent = '';
+        // Resizing a canvas clears it
+        this.elements.shareQrCanvas.width = 0;
+    }
+    
+    /**
+     * Forget the key from shares and remove the listed shares, for Clear All
+     */
+    static clearShares() {
+        AppState.sharedKey = null;
+        this.elements.shareList.replaceChildren();
+        this.elements.shareInput.value = '';
+        this.hideShareQrCode();
+        this.updateSharedKeyState();
+    }
+    
+    static historyEnabled() {
+        return FeatureConfig.isEnabled('c_UserExperience_History') && FeatureConfig.isEnabled('c_DataManagement_LocalStorage');
+    }
+    
+    /**
+     * Show the history panel locked or unlocked, with the entries matching the search
+     * Enables Feature: History (EncryptionWebApp.fml line 206)
+     * The panel is hidden when IndexedDB is unavailable
+     */
+    static async refreshHistory() {
+        if (!this.historyEnabled()) {
+            return;
+        }
+        
+        const unlocked = HistoryManager.isUnlocked();
+        this.elements.historyLockedSection.classList.toggle('hidden', unlocked);
+        this.elements.historyUnlockedSection.classList.toggle('hidden', !unlocked);
+        
+        let entries = [];
+        try {
+            const configured = await HistoryManager.isConfigured();
+            this.elements.historyUnlockBtn.textContent = I18n.t(configured ? 'history.unlock' : 'history.turnOn');
+            this.elements.historyPanicBtn.disabled = !configured;
+            this.elements.historyExpiry.disabled = !configured;
+            this.elements.historyExpiry.value = String(await HistoryManager.getExpiryDays());
+            
+            if (unlocked) {
+                entries = await HistoryManager.list(this.elements.historySearch.value);
+            } else {
+                await HistoryManager.purgeExpired();
+            }
+        } catch (error) {
+            console.error('History error:', error);
+            this.elements.historyPanel.classList.add('hidden');
+            return;
+        }
+        
+        this.elements.historyList.replaceChildren(...entries.map((entry) => this.createHistoryItem(entry)));
+        this.elements.historyEmpty.textContent = entries.length > 0
+            ? ''
+            : I18n.t(this.elements.historySearch.value.trim() ? 'history.noMatches' : 'history.empty');
+    }
+    
+    /**
+     * Build the list item for one history entry
+     * Labels are user text and are only ever written through textContent
+     */
+    static createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'p-3 border border-gray-200 rounded-lg';
+        
+        const label = document.createElement('p');
+        label.className = 'text-sm font-medium text-gray-800';
+        label.textContent = entry.label;
+        
+        const details = document.createElement('p');
+        details.className = 'text-xs text-gray-500';
+        details.textContent = I18n.t('history.details', {
+            date: new Date(entry.createdAt).toLocaleString(I18n.locale),
+            algorithm: entry.algorithm,
+            size: OutputFormatter.formatSize(entry.size)
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'mt-2 flex gap-2';
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm';
+        copyButton.textContent = I18n.t('action.copy');
+        copyButton.setAttribute('aria-label', I18n.t('history.copyLabel', { label: entry.label }));
+        copyButton.addEventListener('click', () => this.copyHistoryEntry(entry.id));
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg text-sm';
+        deleteButton.textContent = I18n.t('action.delete');
+        deleteButton.setAttribute('aria-label', I18n.t('history.deleteLabel', { label: entry.label }));
+        deleteButton.addEventListener('click', () => this.deleteHistoryEntry(entry.id));
+        actions.appendChild(copyButton);
+        actions.appendChild(deleteButton);
+        
+        item.appendChild(label);
+        item.appendChild(details);
+        item.appendChild(actions);
+        return item;
+    }
+    
+    /**
+     * Run a history action with the shared error handling
+     */
+    static async runHistoryAction(action, successMessage) {
+        try {
+            await action();
+            if (successMessage) {
+                this.showSuccess(successMessage);
+            }
+        } catch (error) {
+            console.error('History error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('history.failed')));
+        }
+    }
+    
+    static unlockHistory() {
+        return this.runHistoryAction(async () => {
+            const configured = await HistoryManager.isConfigured();
+            await HistoryManager.unlock(this.elements.historyPassphrase.value);
+            this.elements.historyPassphrase.value = '';
+            await this.refreshHistory();
+            this.showSuccess(I18n.t(configured ? 'history.done.unlocked' : 'history.done.turnedOn'));
+        });
+    }
+    
+    static copyHistoryEntry(id) {
+        return this.runHistoryAction(async () => {
+            const entry = await HistoryManager.get(id);
+            if (await ClipboardManager.copyText(entry.output, 'history')) {
+                this.showSuccess(I18n.t('history.done.copied', { label: entry.label }));
+            }
+        });
+    }
+    
+    static deleteHistoryEntry(id) {
+        return this.runHistoryAction(async () => {
+            await HistoryManager.remove(id);
+            await this.refreshHistory();
+        }, I18n.t('history.done.deleted'));
+    }
+    
+    static setHistoryExpiry() {
+        const days = Number(this.elements.historyExpiry.value);
+        return this.runHistoryAction(async () => {
+            await HistoryManager.setExpiryDays(days);
+            await this.refreshHistory();
+        }, I18n.t('history.done.expiry', { count: days }));
+    }
+    
+    /**
+     * Panic wipe: delete the stored history and clear every sensitive field at once
+     */
+    static panicWipe() {
+        if (!window.confirm(I18n.t('history.panicConfirm'))) {
+            return Promise.resolve();
+        }
+        
+        return this.runHistoryAction(async () => {
+            this.clearSensitiveFields();
+            await MemoryManager.clearSensitiveData({ panic: true, audit: true });
+            await this.refreshHistory();
+        }, I18n.t('history.done.wiped'));
+    }
+    
+    static auditEnabled() {
+        return FeatureConfig.isEnabled('c_Monitoring_SecurityAudit') && FeatureConfig.isEnabled('c_DataManagement_LocalStorage');
+    }
+    
+    /**
+     * Show whether the audit log is on, with its newest entries
+     * Enables Feature: SecurityAudit (EncryptionWebApp.fml line 311)
+     * The panel is hidden when IndexedDB is unavailable
+     */
+    static async refreshAudit() {
+        if (!this.auditEnabled()) {
+            return;
+        }
+        
+        let enabled;
+        let entries;
+        try {
+            enabled = await AuditLog.isEnabled();
+            entries = await AuditLog.list();
+        } catch (error) {
+            console.error('Audit log error:', error);
+            this.elements.auditPanel.classList.add('hidden');
+            return;
+        }
+        
+        this.elements.auditToggleBtn.textContent = I18n.t(enabled ? 'audit.turnOff' : 'audit.turnOn');
+        this.elements.auditVerifyBtn.disabled = entries.length === 0;
+        this.elements.auditExportBtn.disabled = entries.length === 0;
+        this.elements.auditClearBtn.disabled = entries.length === 0;
+        
+        const shown = entries.slice(0, this.AUDIT_VIEW_LIMIT);
+        this.elements.auditList.replaceChildren(...shown.map((entry) => this.createAuditItem(entry)));
+        if (entries.length === 0) {
+            this.elements.auditEmpty.textContent = I18n.t(enabled ? 'audit.empty' : 'audit.off');
+        } else if (entries.length > shown.length) {
+            this.elements.auditEmpty.textContent = I18n.t('audit.truncated', { shown: shown.length, count: entries.length });
+        } else {
+            this.elements.auditEmpty.textContent = '';
+        }
+    }
+    
+    /**
+     * Build the list item for one audit entry
+     */
+    static createAuditItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'p-2 border border-gray-200 rounded-lg';
+        
+        const summary = document.createElement('p');
+        summary.className = entry.outcome === AuditLog.OUTCOMES.FAILURE ? 'text-sm text-red-700' : 'text-sm text-gray-800';
+        summary.textContent = I18n.t('audit.entry', {
+            id: entry.id,
+            time: new Date(entry.time).toLocaleString(I18n.locale),
+            event: entry.event,
+            outcome: entry.outcome
+        });
+        item.appendChild(summary);
+        
+        const fields = Object.entries(entry.details || {});
+        if (fields.length > 0) {
+            const details = document.createElement('p');
+            details.className = 'text-xs text-gray-500';
+            details.textContent = fields.map(([field, value]) => `${field}: ${value}`).join(', ');
+            item.appendChild(details);
+        }
+        return item;
+    }
+    
+    /**
+     * Run an audit log action with the shared error handling
+     */
+    static async runAuditAction(action, successMessage) {
+        try {
+            await action();
+            if (successMessage) {
+                this.showSuccess(successMessage);
+            }
+        } catch (error) {
+            console.error('Audit log error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('audit.failed')));
+        }
+    }
+    
+    static toggleAudit() {
+        return this.runAuditAction(async () => {
+            const enabled = await AuditLog.isEnabled();
+            if (enabled) {
+                await AuditLog.disable();
+            } else {
+                await AuditLog.enable();
+            }
+            this.elements.auditStatus.textContent = '';
+            await this.refreshAudit();
+            this.showSuccess(I18n.t(enabled ? 'audit.done.turnedOff' : 'audit.done.turnedOn'));
+        });
+    }
+    
+    /**
+     * Check the hash chain and show the result under the buttons
+     */
+    static verifyAudit() {
+        return this.runAuditAction(async () => {
+            const result = await AuditLog.verify();
+            this.elements.auditStatus.textContent = result.valid
+                ? I18n.t('audit.intact', { count: result.count })
+                : I18n.t('audit.broken', {
+                    reason: I18n.t(`audit.reason.${result.reason}`, { number: result.brokenAt, previous: result.brokenAt - 1 })
+                });
+            this.elements.auditStatus.className = result.valid ? 'text-sm text-green-600' : 'text-sm text-red-600';
+        });
+    }
+    
+    static exportAudit() {
+        return this.runAuditAction(async () => {
+            const json = await AuditLog.exportJson();
+            FileManager.download(new Blob([json], { type: 'application/json' }), 'audit-log.json');
+        });
+    }
+    
+    static clearAudit() {
+        if (!window.confirm(I18n.t('audit.clearConfirm'))) {
+            return Promise.resolve();
+        }
+        
+        return this.runAuditAction(async () => {
+            await AuditLog.clear();
+            this.elements.auditStatus.textContent = '';
+            await this.refreshAudit();
+        }, I18n.t('audit.done.deleted'));
+    }
+    
+    static batchEnabled() {
+        return FeatureConfig.isEnabled('c_UserExperience_BatchProcessing');
+    }
+    
+    /**
+     * Remember the file to encrypt as a batch and pick the input format from its extension
+     * Passing null clears the selection, and the batch text box is used again
+     */
+    static selectBatchFile(file) {
+        AppState.selectedBatchFile = file;
+        
+        if (!file) {
+            this.elements.batchFileInput.value = '';
+            this.elements.batchFileInfo.textContent = I18n.t('batch.noFile');
+            this.elements.batchFileInfo.className = 'text-sm text-gray-500';
+        } else {
+            const validation = InputValidator.validateBatchFile(file);
+            if (validation.isValid) {
+                this.elements.batchFileInfo.textContent = I18n.t('file.info', { name: file.name, size: OutputFormatter.formatSize(file.size) });
+                this.elements.batchFileInfo.className = 'text-sm text-gray-700';
+                this.elements.batchFormat.value = BatchFormat.formatForFile(file.name);
+            } else {
+                this.elements.batchFileInfo.textContent = I18n.t('file.invalid', { name: file.name, error: validation.errors[0] });
+                this.elements.batchFileInfo.className = 'text-sm text-red-600';
+            }
+        }
+        
+        this.validateInput();
+    }
+    
+    /**
+     * Show how many rows were encrypted and why the others failed, and offer the downloads
+     * Rows are numbered from the first item; only validation messages are shown, never cell contents
+     */
+    static displayBatchResult(table, encodedKey) {
+        const failed = table.rows
+            .map((row, index) => ({ number: index + 1, error: row.error }))
+            .filter((row) => row.error);
+        const total = table.rows.length;
+        const summary = failed.length === 0
+            ? I18n.t('batch.summary.all', { count: total })
+            : I18n.t('batch.summary.partial', { encrypted: total - failed.length, count: total, failed: failed.length });
+        
+        const errorItems = failed.slice(0, this.MAX_BATCH_ERRORS_SHOWN).map((row) => {
+            const item = document.createElement('li');
+            item.textContent = I18n.t('batch.rowError', { number: row.number, error: row.error });
+            return item;
+        });
+        if (failed.length > this.MAX_BATCH_ERRORS_SHOWN) {
+            const more = document.createElement('li');
+            more.textContent = I18n.t('batch.moreErrors', { count: failed.length - this.MAX_BATCH_ERRORS_SHOWN });
+            errorItems.push(more);
+        }
+        
+        this.elements.keyText.value = encodedKey;
+        this.elements.batchSummary.textContent = summary;
+        this.elements.batchErrors.replaceChildren(...errorItems);
+        this.elements.batchResultSection.classList.remove('hidden');
+        this.showSuccess(summary);
+    }
+    
+    /**
+     * Download the last batch result as CSV or JSON
+     */
+    static downloadBatchResult(format) {
+        if (!AppState.batchResult) {
+            return;
+        }
+        
+        const blob = new Blob([BatchFormat.serialize(AppState.batchResult, format)], { type: BatchFormat.MIME_TYPES[format] });
+        const sourceName = AppState.selectedBatchFile ? AppState.selectedBatchFile.name : '';
+        FileManager.download(blob, BatchFormat.outputName(sourceName, format));
+    }
+    
+    /**
+     * Empty the batch input, file selection and result
+     */
+    static clearBatch() {
+        this.elements.batchInput.value = '';
+        this.elements.batchColumns.value = '';
+        this.elements.batchSummary.textContent = '';
+        this.elements.batchErrors.replaceChildren();
+        this.elements.batchResultSection.classList.add('hidden');
+        AppState.batchResult = null;
+        this.selectBatchFile(null);
+    }
+    
+    static exportEnabled() {
+        return FeatureConfig.isEnabled('c_DataManagement_ExportFormats');
+    }
+    
+    /**
+     * Show the current encrypted output in another encoding
+     * The envelope is only re-encoded, not encrypted again, so the key stays valid
+     */
+    static reformatOutput() {
+        const output = this.elements.outputText.value;
+        if (AppState.mode !== 'encrypt' || !output) {
+            return;
+        }
+        
+        try {
+            this.elements.outputText.value = OutputFormatter.reformat(output, this.elements.outputFormat.value);
+            this.hideQrCode();
+        } catch (error) {
+            console.error('Encoding error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('output.encodingFailed')));
+        }
+    }
+    
+    /**
+     * Download the encrypted output as a .txt file or as a JSON object with one field per envelope part
+     * Enables Feature: ExportFormats (EncryptionWebApp.fml line 241)
+     */
+    static exportOutput(format) {
+        const output = this.elements.outputText.value;
+        if (!output) {
+            return;
+        }
+        
+        try {
+            if (format === 'json') {
+                const fields = OutputFormatter.toJsonExport(OutputFormatter.parseInput(output));
+                FileManager.download(
+                    new Blob([JSON.stringify(fields, null, 2) + '\n'], { type: 'application/json' }),
+                    'encrypted-message.json'
+                );
+            } else {
+                FileManager.download(new Blob([output + '\n'], { type: 'text/plain' }), 'encrypted-message.txt');
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('export.failed')));
+        }
+    }
+    
+    /**
+     * Draw the encrypted output as a QR code, or report that it is too long for one
+     * The code is drawn in the page; nothing is sent anywhere
+     */
+    static showQrCode() {
+        const output = this.elements.outputText.value;
+        if (!output) {
+            return;
+        }
+        
+        try {
+            QrCode.render(this.elements.qrCanvas, QrCode.encode(new TextEncoder().encode(output)));
+            this.elements.qrSection.classList.remove('hidden');
+        } catch (error) {
+            this.hideQrCode();
+            console.error('QR code error:', error);
+            this.showError(I18n.errorMessage(error, I18n.t('qr.failed')));
+        }
+    }
+    
+    static hideQrCode() {
+        this.elements.qrSection.classList.add('hidden');
+        // Resizing a canvas clears it
+        this.elements.qrCanvas.width = 0;
+    }
+    
+    /**
+     * Disable the export buttons and remove the QR code until there is a new output
+     */
+    static clearExport() {
+        this.elements.exportTxtBtn.disabled = true;
+        this.elements.exportJsonBtn.disabled = true;
+        this.elements.exportQrBtn.disabled = true;
+        this.hideQrCode();
+    }
+    
+    /**
+     * Update passphrase strength meter
+     */
+    static updatePassphraseStrength() {
+        const strength = InputValidator.assessPassphrase(this.elements.passphraseInput.value);
+        const colors = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-blue-500', 'bg-green-600'];
+        
+        this.elements.strengthBar.style.width = `${Math.max(strength.score, strength.label ? 1 : 0) * 25}%`;
+        this.elements.strengthBar.className = `h-2 rounded-full transition-all ${colors[strength.score]}`;
+        this.elements.strengthLabel.textContent = strength.label;
+    }
+    
+    /**
+     * Set up all event handlers
+     */
+    static setupEventHandlers() {
+        // Input validation on change - implements real-time validation per InputValidation.md
+        this.elements.inputText.addEventListener('input', () => {
+            this.updateCharacterCount();
+            this.validateInput();
+            this.clearMessages();
+        });
+        
+        // NFC opt-in can change the length check, so re-validate
+        this.elements.normalizeInput.addEventListener('change', () => {
+            this.validateInput();
+        });
+        
+        // Key field input - decrypt mode needs a key before the action is enabled
+        this.elements.keyText.addEventListener('input', () => {
+            this.validateInput();
+            this.clearMessages();
+        });
+        
+        // Key source selection - random key or passphrase
+        this.elements.keySourceRandom.addEventListener('change', () => {
+            this.setKeySource('random');
+            this.clearMessages();
+        });
+        this.elements.keySourcePassphrase.addEventListener('change', () => {
+            this.setKeySource('passphrase');
+            this.clearMessages();
+        });
+        this.elements.keySourceStored.addEventListener('change', () => {
+            this.setKeySource('stored');
+            this.clearMessages();
+        });
+        this.elements.keySourceRecipients.addEventListener('change', () => {
+            this.setKeySource('recipients');
+            this.clearMessages();
+        });
+        this.elements.keySourceShares.addEventListener('change', () => {
+            this.setKeySource('shares');
+            this.clearMessages();
+        });
+        this.elements.recipientSelect.addEventListener('change', () => {
+            this.validateInput();
+            this.clearMessages();
+        });
+        
+        // Saved key selection and management - implements Feature: KeyManagement (EncryptionWebApp.fml line 38)
+        this.elements.keySelect.addEventListener('change', () => {
+            this.updateKeyLockState();
+            this.clearMessages();
+        });
+        this.elements.unlockKeyBtn.addEventListener('click', () => {
+            this.unlockStoredKey();
+        });
+        this.elements.generateKeyBtn.addEventListener('click', () => {
+            this.generateStoredKey();
+        });
+        this.elements.generateKeyPairBtn.addEventListener('click', () => {
+            this.generateStoredKeyPair();
+        });
+        this.elements.manageKeySelect.addEventListener('change', () => {
+            this.updateManagedKeyInfo();
+            this.clearMessages();
+        });
+        this.elements.importKeyBtn.addEventListener('click', () => {
+            this.importStoredKey();
+        });
+        this.elements.importContactBtn.addEventListener('click', () => {
+            this.importContact();
+        });
+        this.elements.exportKeyBtn.addEventListener('click', () => {
+            this.exportStoredKey();
+        });
+        this.elements.deleteKeyBtn.addEventListener('click', () => {
+            this.deleteStoredKey();
+        });
+        
+        // Key shares - implements Feature: DataBackup (EncryptionWebApp.fml line 255)
+        this.elements.splitKeyBtn.addEventListener('click', () => {
+            EncryptionController.processKeySplit();
+        });
+        this.elements.recoverKeyBtn.addEventListener('click', () => {
+            EncryptionController.recoverSharedKey();
+        });
+        
+        // Signing - per ThreatModel.md T-SPOOF-03
+        this.elements.signOutput.addEventListener('change', () => {
+            this.updateSigningState();
+            this.clearMessages();
+        });
+        this.elements.signedContent.addEventListener('change', () => {
+            this.updateSigningState();
+        });
+        
+        // Passphrase input - strength meter and button state
+        this.elements.passphraseInput.addEventListener('input', () => {
+            this.updatePassphraseStrength();
+            this.validateInput();
+            this.clearMessages();
+        });
+        this.elements.passphraseConfirm.addEventListener('input', () => {
+            this.clearMessages();
+        });
+        
+        // File selection - picker or drag and drop onto the drop zone
+        this.elements.fileInput.addEventListener('change', () => {
+            this.selectFile(this.elements.fileInput.files[0] || null);
+        });
+        this.elements.fileDropZone.addEventListener('click', () => {
+            this.elements.fileInput.click();
+        });
+        this.elements.fileDropZone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.elements.fileInput.click();
+            }
+        });
+        this.elements.fileDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.elements.fileDropZone.classList.add('border-blue-500', 'bg-blue-50');
+        });
+        this.elements.fileDropZone.addEventListener('dragleave', () => {
+            this.elements.fileDropZone.classList.remove('border-blue-500', 'bg-blue-50');
+        });
+        this.elements.fileDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.fileDropZone.classList.remove('border-blue-500', 'bg-blue-50');
+            this.selectFile(e.dataTransfer.files[0] || null);
+        });
+        this.elements.fileActionBtn.addEventListener('click', () => {
+            EncryptionController.processFile();
+        });
+        
+        // Batch panel - implements Feature: BatchProcessing (EncryptionWebApp.fml line 220)
+        this.elements.batchInput.addEventListener('input', () => {
+            this.validateInput();
+        });
+        this.elements.batchFileInput.addEventListener('change', () => {
+            this.selectBatchFile(this.elements.batchFileInput.files[0] || null);
+        });
+        this.elements.batchRunBtn.addEventListener('click', () => {
+            EncryptionController.processBatch();
+        });
+        this.elements.batchDownloadCsvBtn.addEventListener('click', () => {
+            this.downloadBatchResult('csv');
+        });
+        this.elements.batchDownloadJsonBtn.addEventListener('click', () => {
+            this.downloadBatchResult('json');
+        });
+        
+        // Mode toggle
+        this.elements.modeEncryptBtn.addEventListener('click', () => {
+            if (AppState.mode !== 'encrypt') {
+                this.setMode('encrypt');
+            }
+        });
+        this.elements.modeDecryptBtn.addEventListener('click', () => {
+            if (AppState.mode !== 'decrypt') {
+                this.setMode('decrypt');
+            }
+        });
+        
+        // Encrypt/decrypt button click
+        this.elements.encryptBtn.addEventListener('click', () => {
+            EncryptionController.process();
+        });
+        
+        // Cancel button - aborts the running job and empties the queue
+        this.elements.cancelBtn.addEventListener('click', () => {
+            this.cancelJobs();
+        });
+        
+        // Clear button click
+        this.elements.clearBtn.addEventListener('click', () => {
+            this.clearAll();
+        });
+        
+        // Copy button click - implements Feature: CopyToClipboard (EncryptionWebApp.fml line 80)
+        this.elements.copyBtn.addEventListener('click', () => {
+            ClipboardManager.copyToClipboard();
+        });
+        this.elements.copyDownloadBtn.addEventListener('click', () => {
+            ClipboardManager.downloadFallback();
+        });
+        
+        // Encoding and export - implements Feature: ExportFormats (EncryptionWebApp.fml line 241)
+        this.elements.outputFormat.addEventListener('change', () => {
+            this.reformatOutput();
+        });
+        this.elements.exportTxtBtn.addEventListener('click', () => {
+            this.exportOutput('txt');
+        });
+        this.elements.exportJsonBtn.addEventListener('click', () => {
+            this.exportOutput('json');
+        });
+        this.elements.exportQrBtn.addEventListener('click', () => {
+            this.showQrCode();
+        });
+        
+        // History panel - implements Feature: History (EncryptionWebApp.fml line 206)
+        this.elements.historyUnlockBtn.addEventListener('click', () => {
+            this.unlockHistory();
+        });
+        this.elements.historyPassphrase.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.unlockHistory();
+            }
+        });
+        this.elements.historyLockBtn.addEventListener('click', () => {
+            HistoryManager.lock();
+            this.refreshHistory();
+        });
+        this.elements.historySearch.addEventListener('input', () => {
+            this.refreshHistory();
+        });
+        this.elements.historyExpiry.addEventListener('change', () => {
+            this.setHistoryExpiry();
+        });
+        this.elements.historyPanicBtn.addEventListener('click', () => {
+            this.panicWipe();
+        });
+        
+        // Audit log panel - implements Feature: SecurityAudit (EncryptionWebApp.fml line 311)
+        this.elements.auditToggleBtn.addEventListener('click', () => {
+            this.toggleAudit();
+        });
+        this.elements.auditVerifyBtn.addEventListener('click', () => {
+            this.verifyAudit();
+        });
+        this.elements.auditExportBtn.addEventListener('click', () => {
+            this.exportAudit();
+        });
+        this.elements.auditClearBtn.addEventListener('click', () => {
+            this.clearAudit();
+        });
+    }
+    
+    /**
+     * Switch optional behaviors on or off from the variant configuration
+     * Enables Features: CopyToClipboard, SecureMemoryHandling, KeyboardNavigation, ScreenReaderSupport
+     * (EncryptionWebApp.fml lines 80, 108, 122, 129)
+     * History needs both History and LocalStorage (configs c_UserExperience_History, c_DataManagement_LocalStorage),
+     * and so does the audit log (configs c_Monitoring_SecurityAudit, c_DataManagement_LocalStorage);
+     * the batch panel and export buttons follow c_UserExperience_BatchProcessing and c_DataManagement_ExportFormats
+     * in setMode, as they are also hidden when decrypting. Key shares follow c_DataManagement_DataBackup.
+     */
+    static applyFeatureConfig() {
+        this.elements.copyBtn.classList.toggle('hidden', !FeatureConfig.isEnabled('c_UserInterface_CopyToClipboard'));
+        this.elements.clipboardClearSettings.classList.toggle('hidden', !FeatureConfig.isEnabled('c_UserInterface_CopyToClipboard'));
+        this.elements.sharingPanel.classList.toggle('hidden', !this.sharingEnabled());
+        this.elements.keySourceSharesOption.classList.toggle('hidden', !this.sharingEnabled());
+        this.elements.historyPanel.classList.toggle('hidden', !this.historyEnabled());
+        this.elements.auditPanel.classList.toggle('hidden', !this.auditEnabled());
+        AuditLog.available = this.auditEnabled();
+        AuditLog.onChange = () => this.refreshAudit();
+        
+        if (FeatureConfig.isEnabled('c_SecurityFeatures_SecureMemoryHandling')) {
+            MemoryManager.secureWipe = true;
+            
+            // Leave nothing behind in a page that may be restored from the back/forward cache
+            window.addEventListener('pagehide', () => {
+                this.clearSensitiveFields();
+            });
+        }
+        
+        const keyboard = FeatureConfig.isEnabled('c_Accessibility_KeyboardNavigation');
+        this.elements.shortcutHelpBtn.classList.toggle('hidden', !keyboard);
+        this.setupKeyboardShortcuts(keyboard);
+        
+        if (FeatureConfig.isEnabled('c_Accessibility_ScreenReaderSupport')) {
+            // Results, errors, job starts and copies are announced through the live regions;
+            // the validation status is read as it changes while typing
+            this.announcing = true;
+            this.elements.validationStatus.setAttribute('aria-live', 'polite');
+        }
+    }
+    
+    /**
+     * Read a message out through the live regions
+     * Errors go to the assertive region and interrupt; everything else waits its turn
+     * Implements Feature: ScreenReaderSupport (EncryptionWebApp.fml line 129)
+     */
+    static announce(message, { assertive = false } = {}) {
+        if (!this.announcing) {
+            return;
+        }
+        
+        const region = assertive ? this.elements.liveAlert : this.elements.liveStatus;
+        clearTimeout(this.announceTimer);
+        this.elements.liveStatus.textContent = '';
+        this.elements.liveAlert.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, this.ANNOUNCE_DELAY);
+    }
+    
+    /**
+     * Keyboard shortcuts from SHORTCUTS, listed in the help dialog
+     * Implements Feature: KeyboardNavigation (EncryptionWebApp.fml line 122)
+     * With the feature off only the shortcuts marked always work, and there is no help dialog
+     */
+    static setupKeyboardShortcuts(keyboard) {
+        const shortcuts = this.SHORTCUTS.filter((shortcut) => keyboard || shortcut.always);
+        document.addEventListener('keydown', (e) => {
+            // The open dialog handles its own keys; Escape closes it
+            if (e.defaultPrevented || this.elements.shortcutHelp.open) {
+                return;
+            }
+            
+            const shortcut = shortcuts.find((candidate) => this.matchesShortcut(candidate, e));
+            if (shortcut && this.runShortcut(shortcut.action, e.target)) {
+                e.preventDefault();
+            }
+        });
+        if (!keyboard) {
+            return;
+        }
+        
+        this.elements.shortcutHelpBtn.addEventListener('click', () => {
+            this.showShortcutHelp();
+        });
+        this.elements.shortcutCloseBtn.addEventListener('click', () => {
+            this.elements.shortcutHelp.close();
+        });
+        this.elements.shortcutHelp.addEventListener('close', () => {
+            // Back to where the user was before the dialog opened
+            if (this.shortcutReturnFocus && this.shortcutReturnFocus.isConnected) {
+                this.shortcutReturnFocus.focus();
+            }
+            this.shortcutReturnFocus = null;
+        });
+        this.renderShortcutHelp();
+    }
+    
+    static matchesShortcut(shortcut, e) {
+        if ((e.ctrlKey || e.metaKey) !== Boolean(shortcut.ctrl) || e.altKey !== Boolean(shortcut.alt)) {
+            return false;
+        }
+        if (shortcut.code) {
+            return e.shiftKey === Boolean(shortcut.shift) && e.code === shortcut.code;
+        }
+        // Shift is left open for keys like ? that need it on most layouts
+        return e.key === shortcut.key;
+    }
+    
+    /**
+     * Run a shortcut's action; returns false when it does not apply right now, so the key
+     * keeps its usual meaning
+     */
+    static runShortcut(action, target) {
+        switch (action) {
+            case 'run':
+                if (this.elements.encryptBtn.disabled) {
+                    return false;
+                }
+                EncryptionController.process();
+                return true;
+            case 'encryptMode':
+            case 'decryptMode': {
+                const mode = action === 'encryptMode' ? 'encrypt' : 'decrypt';
+                if (AppState.mode !== mode) {
+                    this.setMode(mode);
+                }
+                this.elements.inputText.focus();
+                return true;
+            }
+            case 'focusInput':
+                this.elements.inputText.focus();
+                return true;
+            case 'focusKey': {
+                const sources = [
+                    this.elements.keySourceRandom,
+                    this.elements.keySourcePassphrase,
+                    this.elements.keySourceStored,
+                    this.elements.keySourceRecipients,
+                    this.elements.keySourceShares
+                ];
+                (sources.find((source) => source.checked) || this.elements.keySourceRandom).focus();
+                return true;
+            }
+            case 'focusOutput':
+                this.elements.outputText.focus();
+                return true;
+            case 'copy':
+                if (this.elements.copyBtn.disabled || this.elements.copyBtn.classList.contains('hidden')) {
+                    return false;
+                }
+                ClipboardManager.copyToClipboard();
+                return true;
+            case 'clear':
+                this.clearAll();
+                return true;
+            case 'cancel':
+                if (!CryptoWorkerClient.getStatus().current) {
+                    return false;
+                }
+                this.cancelJobs();
+                return true;
+            case 'help':
+                // ? is typed as itself in text fields
+                if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) {
+                    return false;
+                }
+                this.showShortcutHelp();
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * List the shortcuts in the help dialog, with key names in the current language
+     */
+    static renderShortcutHelp() {
+        const rows = this.SHORTCUTS.map((shortcut) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between gap-4 py-1';
+            
+            const keys = document.createElement('dt');
+            shortcut.keys.forEach((key, index) => {
+                if (index > 0) {
+                    const plus = document.createElement('span');
+                    plus.textContent = ' + ';
+                    keys.appendChild(plus);
+                }
+                const cap = document.createElement('kbd');
+                cap.textContent = key.startsWith('key.') ? I18n.t(key) : key;
+                keys.appendChild(cap);
+            });
+            
+            const description = document.createElement('dd');
+            description.className = 'text-gray-700';
+            description.textContent = I18n.t(`shortcuts.${shortcut.action}`);
+            
+            row.appendChild(keys);
+            row.appendChild(description);
+            return row;
+        });
+        this.elements.shortcutList.replaceChildren(...rows);
+    }
+    
+    /**
+     * Open the help dialog as a modal; focus moves into it and returns when it closes
+     */
+    static showShortcutHelp() {
+        if (this.elements.shortcutHelp.open) {
+            return;
+        }
+        
+        this.shortcutReturnFocus = document.activeElement;
+        this.elements.shortcutHelp.showModal();
+        this.elements.shortcutCloseBtn.focus();
+    }
+    
+    /**
+     * Fill the language switcher from the catalogs and switch on change
+     */
+    static setupLocaleSwitcher() {
+        const options = Object.entries(I18n.LOCALE_NAMES).map(([locale, name]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            // The name is in its own language, so screen readers should read it that way
+            option.setAttribute('lang', locale);
+            return option;
+        });
+        this.elements.localeSelect.replaceChildren(...options);
+        this.elements.localeSelect.value = I18n.locale;
+        this.elements.localeSelect.addEventListener('change', () => {
+            this.setLocale(this.elements.localeSelect.value);
+        });
+    }
+    
+    /**
+     * Switch the language and remember the choice
+     */
+    static setLocale(locale) {
+        I18n.saveLocale(locale);
+        I18n.setLocale(locale);
+        this.applyLocale();
+    }
+    
+    /**
+     * Render every text built in code again in the current language
+     * The page's static text is translated by I18n.setLocale; messages shown for an earlier
+     * action are cleared rather than translated
+     */
+    static applyLocale() {
+        this.elements.localeSelect.value = I18n.locale;
+        this.updateModeText();
+        this.updateCharacterCount();
+        this.updatePassphraseStrength();
+        this.updateSigningState();
+        this.updateSharedKeyState();
+        this.selectFile(AppState.selectedFile);
+        this.selectBatchFile(AppState.selectedBatchFile);
+        this.refreshKeyList();
+        this.updateSigningAlgorithms();
+        this.refreshHistory();
+        this.refreshAudit();
+        this.renderShortcutHelp();
+        this.clearMessages();
+    }
+    
+    /**
+     * Update character counter
+     * Implements input length tracking per InputValidation.md
+     */
+    static updateCharacterCount() {
+        const length = this.elements.inputText.value.length;
+        
+        if (AppState.mode === 'decrypt') {
+            this.elements.charCount.textContent = I18n.t('input.count.decrypt', { count: length });
+            this.elements.charCount.className = 'text-sm text-gray-500';
+            return;
+        }
+        
+        this.elements.charCount.textContent = I18n.t('input.count.encrypt', { count: length });
+        
+        // Visual feedback for length limits
+        if (length > 9000) {
+            this.elements.charCount.className = 'text-sm text-red-500';
+        } else if (length > 7000) {
+            this.elements.charCount.className = 'text-sm text-yellow-600';
+        } else {
+            this.elements.charCount.className = 'text-sm text-gray-500';
+        }
+    }
+    
+    /**
+     * Validate input and update UI
+     * Implements Function: ValidateTextInput (EncryptionFunctions.fun line 10)
+     */
+    static validateInput() {
+        const input = this.elements.inputText.value;
+        const decrypting = AppState.mode === 'decrypt';
+        const validation = decrypting
+            ? InputValidator.validateCiphertext(input)
+            : InputValidator.validate(input, { normalize: this.elements.normalizeInput.checked });
+        
+        // Update validation status
+        if (input.length === 0) {
+            this.elements.validationStatus.textContent = '';
+            this.elements.validationStatus.className = 'text-sm';
+            this.elements.encryptBtn.disabled = true;
+        } else if (validation.isValid) {
+            this.elements.validationStatus.textContent = decrypting && validation.encoding
+                ? I18n.t('input.validEncoding', { encoding: OutputFormatter.ENCODING_LABELS[validation.encoding] })
+                : I18n.t('input.valid');
+            this.elements.validationStatus.className = 'text-sm text-green-600';
+            this.elements.encryptBtn.disabled = !this.hasKeyMaterial();
+        } else {
+            this.elements.validationStatus.textContent = I18n.t('input.invalid', { error: validation.errors[0] });
+            this.elements.validationStatus.className = 'text-sm text-red-600';
+            this.elements.encryptBtn.disabled = true;
+        }
+        
+        this.elements.fileActionBtn.disabled = !AppState.selectedFile || !this.hasKeyMaterial();
+        this.elements.batchRunBtn.disabled = (!AppState.selectedBatchFile && this.elements.batchInput.value.trim().length === 0)
+            || !this.hasKeyMaterial();
+    }
+    
+    /**
+     * Remember the file to encrypt or decrypt and show its name and size
+     * Passing null clears the selection
+     */
+    static selectFile(file) {
+        AppState.selectedFile = file;
+        if (!file) {
+            this.elements.fileInput.value = '';
+        }
+        
+        const validation = InputValidator.validateFile(file, AppState.mode);
+        if (!file) {
+            this.elements.fileInfo.textContent = I18n.t('file.none');
+            this.elements.fileInfo.className = 'text-sm text-gray-500';
+        } else if (validation.isValid) {
+            this.elements.fileInfo.textContent = I18n.t('file.info', { name: file.name, size: OutputFormatter.formatSize(file.size) });
+            this.elements.fileInfo.className = 'text-sm text-gray-700';
+        } else {
+            this.elements.fileInfo.textContent = I18n.t('file.invalid', { name: file.name, error: validation.errors[0] });
+            this.elements.fileInfo.className = 'text-sm text-red-600';
+        }
+        
+        this.validateInput();
+        this.clearMessages();
+    }
+    
+    /**
+     * Check that the selected key source has something to work with
+     * Encrypting with a random key needs nothing; everything else needs user input
+     */
+    static hasKeyMaterial() {
+        if (AppState.keySource === 'passphrase') {
+            return this.elements.passphraseInput.value.length > 0;
+        }
+        if (AppState.keySource === 'stored') {
+            return this.elements.keySelect.value.length > 0;
+        }
+        if (AppState.keySource === 'recipients') {
+            // Decryption finds the matching key pair itself
+            return AppState.mode === 'decrypt' || this.elements.recipientSelect.selectedOptions.length > 0;
+        }
+        if (AppState.keySource === 'shares') {
+            return AppState.sharedKey !== null;
+        }
+        return AppState.mode === 'encrypt' || this.elements.keyText.value.trim().length > 0;
+    }
+    
+    /**
+     * Display encrypted result
+     * Implements Function: DisplayEncryptedResult (EncryptionFunctions.fun line 46)
+     * Follows Requirement: REQ_FUNC_003 (EncryptionRequirements.req line 86)
+     * Enables Feature: OutputDisplay (EncryptionWebApp.fml line 66)
+     */
+    static displayResult(encryptedText, encodedKey) {
+        this.elements.outputText.value = encryptedText;
+        this.elements.keyText.value = encodedKey;
+        this.elements.copyBtn.disabled = false;
+        this.elements.exportTxtBtn.disabled = false;
+        this.elements.exportJsonBtn.disabled = false;
+        this.elements.exportQrBtn.disabled = false;
+        this.hideQrCode();
+        this.showSignatureBadge(null);
+        this.showSuccess(I18n.t('output.encrypted'));
+    }
+    
+    /**
+     * Display decrypted plaintext, with the signer badge for a signed message
+     * Written through .value so decrypted markup is never interpreted (ThreatModel.md T-PRIV-01)
+     */
+    static displayDecryptedResult(plaintext, signature = null) {
+        this.elements.outputText.value = plaintext;
+        this.elements.copyBtn.disabled = false;
+        this.showSignatureBadge(signature);
+        this.showSuccess(I18n.t('output.decrypted'));
+    }
+    
+    /**
+     * Show who signed the decrypted message, or hide the badge when it was not signed
+     * signature is { signer, fingerprint }, signer being KeyManager.findSigner's result; a known
+     * signer's signature has been checked, an unknown one's could not be
+     */
+    static showSignatureBadge(signature) {
+        const badge = this.elements.signatureBadge;
+        if (!signature) {
+            badge.textContent = '';
+            badge.className = 'mt-2 hidden';
+            return;
+        }
+        
+        const badgeClass = 'mt-2 inline-block px-2 py-1 rounded text-sm';
+        if (!signature.signer) {
+            badge.textContent = I18n.t('signature.unknown', { fingerprint: OutputFormatter.formatFingerprint(signature.fingerprint) });
+            badge.className = `${badgeClass} bg-yellow-100 text-yellow-800`;
+        } else {
+            badge.textContent = I18n.t(signature.signer.own ? 'signature.own' : 'signature.contact', { name: signature.signer.name });
+            badge.className = `${badgeClass} bg-green-100 text-green-800`;
+        }
+    }
+    
+    /**
+     * Report a finished file operation
+     * The file itself is delivered as a download; a random encryption key is shown in the key field
+     */
+    static displayFileResult(fileName, size, encodedKey) {
+        if (AppState.mode === 'encrypt') {
+            this.elements.keyText.value = encodedKey;
+        }
+        this.showSuccess(I18n.t('file.saved', { name: fileName, size: OutputFormatter.formatSize(size) }));
+    }
+    
+    /**
+     * Handle and display errors
+     * Implements Function: HandleEncryptionError (EncryptionFunctions.fun line 55)
+     * Follows Requirement: REQ_FUNC_004 (EncryptionRequirements.req line 98)
+     * Per ThreatModel.md - no sensitive details in error messages
+     */
+    static showError(message) {
+        this.elements.statusArea.classList.remove('hidden');
+        this.elements.errorMessage.classList.remove('hidden');
+        this.elements.errorMessage.className = 'p-4 bg-red-50 border border-red-200 text-red-800 rounded-lg mb-4';
+        this.elements.errorText.textContent = message;
+        this.elements.successMessage.classList.add('hidden');
+        this.announce(message, { assertive: true });
+    }
+    
+    /**
+     * Show success message
+     * Implements user feedback per REQ_USAB_001 (EncryptionRequirements.req line 122)
+     */
+    static showSuccess(message) {
+        this.elements.statusArea.classList.remove('hidden');
+        this.elements.successMessage.classList.remove('hidden');
+        this.elements.successText.textContent = message;
+        this.elements.errorMessage.classList.add('hidden');
+        this.announce(message);
+    }
+    
+    /**
+     * Clear all messages
+     */
+    static clearMessages() {
+        this.elements.statusArea.classList.add('hidden');
+        this.elements.errorMessage.classList.add('hidden');
+        this.elements.successMessage.classList.add('hidden');
+        this.elements.copyStatus.textContent = '';
+    }
+    
+    /**
+     * Show the running crypto job, its progress and the queue length
+     * Called by CryptoWorkerClient whenever a job starts, progresses or finishes
+     * Implements Requirement: REQ_USAB_001 (EncryptionRequirements.req line 122)
+     * Each job is announced once when it starts, not at every percent; focus on the Cancel
+     * button moves to the action button when the indicator hides
+     */
+    static showJobStatus(status) {
+        if (!status.current) {
+            this.announcedJobId = null;
+            if (document.activeElement === this.elements.cancelBtn) {
+                this.elements.encryptBtn.focus();
+            }
+            this.elements.processingIndicator.classList.add('hidden');
+            return;
+        }
+        
+        const label = I18n.t(this.JOB_LABELS[status.current.type]);
+        const percent = Math.round(status.current.progress * 100);
+        const text = status.queued > 0
+            ? I18n.t('job.progressQueued', { label: label, percent: percent, queued: status.queued })
+            : I18n.t('job.progress', { label: label, percent: percent });
+        if (status.current.id !== this.announcedJobId) {
+            this.announcedJobId = status.current.id;
+            this.announce(label);
+        }
+        
+        this.elements.processingText.textContent = text;
+        this.elements.progressBar.setAttribute('aria-valuenow', String(percent));
+        this.elements.progressFill.style.width = `${percent}%`;
+        this.elements.processingIndicator.classList.remove('hidden');
+    }
+    
+    /**
+     * Cancel the running job and everything queued behind it
+     */
+    static cancelJobs() {
+        const cancelled = CryptoWorkerClient.cancelAll();
+        if (cancelled > 0) {
+            this.showSuccess(I18n.t('job.cancelled', { count: cancelled }));
+        }
+    }
+    
+    /**
+     * Clear all fields and reset UI
+     */
+    static clearAll() {
+        this.clearSensitiveFields({ audit: true });
+        this.updatePassphraseStrength();
+        this.updateCharacterCount();
+        this.validateInput();
+        this.clearMessages();
+        this.refreshKeyList();
+        this.refreshHistory();
+        
+        this.showSuccess(I18n.t('clear.done'));
+        // The field that had focus may now be empty or hidden; start over at the input
+        this.elements.inputText.focus();
+    }
+    
+    /**
+     * Empty every field that may hold plaintext, ciphertext, keys or passphrases
+     * Implements Function: ClearSensitiveData (EncryptionFunctions.fun line 73)
+     * Only clears the user asked for are audited, not the one when the page is left
+     */
+    static clearSensitiveFields({ audit = false } = {}) {
+        this.elements.inputText.value = '';
+        this.elements.outputText.value = '';
+        this.elements.keyText.value = '';
+        this.elements.passphraseInput.value = '';
+        this.elements.passphraseConfirm.value = '';
+        this.elements.masterPassphraseUnlock.value = '';
+        this.elements.newKeyMasterPassphrase.value = '';
+        this.elements.exportKeyOutput.value = '';
+        this.elements.importKeyText.value = '';
+        this.elements.historyPassphrase.value = '';
+        this.elements.historyLabel.value = '';
+        this.elements.historySearch.value = '';
+        this.elements.historyList.replaceChildren();
+        this.elements.copyBtn.disabled = true;
+        this.showSignatureBadge(null);
+        this.clearExport();
+        this.selectFile(null);
+        this.clearBatch();
+        this.clearShares();
+        
+        // Pending jobs are dropped so no result appears after the clear
+        // Protected saved keys and the history are locked again and need their passphrases
+        // The clipboard is overwritten if it still holds a copy made here
+        CryptoWorkerClient.cancelAll();
+        ClipboardManager.reset();
+        MemoryManager.clearSensitiveData({ audit: audit });
+        KeyManager.lockAll();
+        HistoryManager.lock();
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Service Worker - keeps a verified copy of the app so it runs offline
+ * 
+ * Installing fetches integrity.json, checks it against MANIFEST_FINGERPRINT, then fetches every
+ * file it lists and caches them only when all of them match their SHA-256. Any mismatch fails the
+ * install, and the copy installed before stays in use. Afterwards the app's requests are answered
+ * from that copy, online or offline; anything else goes to the network.
+ * 
+ * tools/build-integrity.js rewrites MANIFEST_FINGERPRINT for each build, so every build changes
+ * this file and the browser installs it as an update; the new copy takes over once no page of the
+ * old one is open. Registered by app.js when c_PerformanceOptimization_OfflineSupport is on.
+ * Started as a classic script, not a module, so it imports nothing.
+ * 
+ * Enables Feature: OfflineSupport (EncryptionWebApp.fml line 164)
+ * Per ThreatModel.md T-TAMPER-01, T-INFO-04
+ */
+
+const MANIFEST_FINGERPRINT = 'bb763adfbadd72b103d4a811321ab0f793d0d5f1ea5194da99c6b3bf2f848162';
+const MANIFEST_URL = 'integrity.json';
+const CACHE_PREFIX = 'encryptdemo-';
+const CACHE_NAME = CACHE_PREFIX + MANIFEST_FINGERPRINT.slice(0, 16);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheVerifiedCopy());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(deleteOldCopies().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method === 'GET' && url.origin === self.location.origin) {
+        event.respondWith(respond(event.request));
+    }
+});
+
+/**
+ * Fetch and check the manifest and every file it lists, then cache them together
+ */
+async function cacheVerifiedCopy() {
+    const manifestResponse = await fetchFresh(MANIFEST_URL);
+    const manifestBytes = await manifestResponse.arrayBuffer();
+    if (await sha256Hex(manifestBytes) !== MANIFEST_FINGERPRINT) {
+        throw new Error(`${MANIFEST_URL} does not match the fingerprint of this build`);
+    }
+    
+    const entries = [[MANIFEST_URL, copyResponse(manifestResponse, manifestBytes)]];
+    const { files } = JSON.parse(new TextDecoder().decode(manifestBytes));
+    for (const [path, hash] of Object.entries(files)) {
+        const response = await fetchFresh(path);
+        const bytes = await response.arrayBuffer();
+        if (await sha256Hex(bytes) !== hash) {
+            throw new Error(`${path} does not match the integrity manifest`);
+        }
+        entries.push([path, copyResponse(response, bytes)]);
+    }
+    
+    // Only a complete, verified copy is cached
+    const cache = await caches.open(CACHE_NAME);
+    for (const [path, response] of entries) {
+        await cache.put(new URL(path, self.registration.scope), response);
+    }
+}
+
+async function deleteOldCopies() {
+    for (const name of await caches.keys()) {
+        if (name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME) {
+            await caches.delete(name);
+        }
+    }
+}
+
+/**
+ * Cached copy first; the scope's directory URL is the app's index.html
+ */
+async function respond(request) {
+    const cache = await caches.open(CACHE_NAME);
+    let cached = await cache.match(request, { ignoreSearch: true });
+    if (!cached && request.mode === 'navigate' && new URL(request.url).pathname === new URL(self.registration.scope).pathname) {
+        cached = await cache.match(new URL('index.html', self.registration.scope));
+    }
+    return cached || fetch(request);
+}
+
+async function fetchFresh(path) {
+    const response = await fetch(new URL(path, self.registration.scope), { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`${path} did not load`);
+    }
+    return response;
+}
+
+function copyResponse(response, bytes) {
+    return new Response(bytes, { headers: response.headers });
+}
+
+async function sha256Hex(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}